@@ -0,0 +1,67 @@
+-- Migration: Categorization Rules
+-- Replaces the hardcoded keyword chain in TransactionProcessor.categorizeTransaction
+-- with an ordered, editable rule set that can be global, per-advisor or per-client.
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  -- Scope: who the rule applies to
+  scope TEXT NOT NULL DEFAULT 'global' CHECK (scope IN ('global', 'advisor', 'client')),
+  advisor_id TEXT, -- required when scope = 'advisor'
+  client_id UUID REFERENCES clients(client_id) ON DELETE CASCADE, -- required when scope = 'client'
+
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100, -- higher runs first within a scope
+  is_active BOOLEAN DEFAULT true,
+
+  -- Conditions (every condition that is set must match)
+  merchant_pattern TEXT, -- case-insensitive regex tested against merchant name (or name)
+  amount_min DECIMAL(12,2), -- compared against the absolute amount
+  amount_max DECIMAL(12,2),
+  account_types JSONB DEFAULT '[]'::jsonb, -- e.g. ["credit", "depository"]
+  account_subtypes JSONB DEFAULT '[]'::jsonb, -- e.g. ["checking"]
+  pfc_primary TEXT, -- Plaid personal_finance_category.primary, e.g. FOOD_AND_DRINK
+  pfc_detailed TEXT, -- Plaid personal_finance_category.detailed
+
+  -- Outcome
+  category TEXT NOT NULL, -- expense category key, e.g. groceries, diningOut
+
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT categorization_rules_scope_owner CHECK (
+    (scope = 'global' AND advisor_id IS NULL AND client_id IS NULL) OR
+    (scope = 'advisor' AND advisor_id IS NOT NULL AND client_id IS NULL) OR
+    (scope = 'client' AND client_id IS NOT NULL)
+  )
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_scope ON categorization_rules(scope);
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_advisor_id ON categorization_rules(advisor_id);
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_client_id ON categorization_rules(client_id);
+
+-- Trigger
+CREATE TRIGGER update_categorization_rules_updated_at BEFORE UPDATE ON categorization_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed global rules equivalent to the previous hardcoded keyword chain
+-- (kept in sync with DEFAULT_RULES in services/categorizationRules.js)
+INSERT INTO categorization_rules (scope, name, priority, merchant_pattern, category, created_by) VALUES
+  ('global', 'Rent, mortgage & property tax', 200, 'rent|mortgage|property tax', 'housing', 'system'),
+  ('global', 'Utilities, internet & phone', 190, 'electric|gas company|water|internet|phone|cable', 'billAndUtilities', 'system'),
+  ('global', 'Rideshare & parking', 180, 'uber|lyft|parking', 'autoAndTransport', 'system'),
+  ('global', 'Fuel', 170, 'gas', 'autoAndTransport', 'system'),
+  ('global', 'Insurance carriers', 160, 'insurance|allstate|geico', 'insurance', 'system'),
+  ('global', 'Credit card payments', 150, '^(?=.*credit card)(?=.*pay)', 'loanPayment', 'system'),
+  ('global', 'Loan payments', 140, 'loan|payment -', 'loanPayment', 'system'),
+  ('global', 'Groceries', 130, 'grocery|supermarket', 'groceries', 'system'),
+  ('global', 'Health & fitness', 120, 'doctor|pharmacy|gym|fitness', 'healthAndFitness', 'system'),
+  ('global', 'Shopping & retail', 110, 'amazon|target|sparkfun|shop|bicycle|store', 'shopping', 'system'),
+  ('global', 'Dining out', 100, 'restaurant|mcdonald|starbucks|kfc|kentucky fried', 'diningOut', 'system'),
+  ('global', 'Streaming & movies', 90, 'netflix|spotify|movie', 'entertainment', 'system'),
+  ('global', 'Airlines & hotels', 80, 'airline|hotel', 'travel', 'system'),
+  ('global', 'Recreation & activities', 70, 'climbing|touchstone', 'entertainment', 'system'),
+  ('global', 'Church & charity', 60, 'church|charity', 'charitableGiving', 'system'),
+  ('global', 'Bank fees & interest', 50, 'fee|charge|overdraft|intrst', 'feeAndCharges', 'system');
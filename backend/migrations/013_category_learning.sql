@@ -0,0 +1,33 @@
+-- Migration: Learned Categorization
+-- Remembers merchant -> category decisions made during transaction review so
+-- future syncs can come in pre-categorized.
+
+-- One row per reviewed transaction whose category was changed from the suggestion
+-- or that kept a learned suggestion.
+-- Keyed by transaction so re-saving a review never double counts.
+CREATE TABLE IF NOT EXISTS category_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES clients(client_id) ON DELETE CASCADE,
+  advisor_id TEXT, -- copied from clients.advisor_id for advisor-book learning
+  plaid_transaction_id TEXT NOT NULL,
+  merchant_key TEXT NOT NULL, -- normalized merchant name (see services/categoryLearning.js)
+  merchant_name TEXT, -- merchant name as displayed on the transaction
+  category TEXT NOT NULL, -- category chosen by the reviewer
+  previous_category TEXT, -- suggested category (overridden, or kept when learned)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(client_id, plaid_transaction_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_feedback_client_id ON category_feedback(client_id);
+CREATE INDEX IF NOT EXISTS idx_category_feedback_advisor_id ON category_feedback(advisor_id);
+CREATE INDEX IF NOT EXISTS idx_category_feedback_merchant_key ON category_feedback(merchant_key);
+
+CREATE TRIGGER update_category_feedback_updated_at BEFORE UPDATE ON category_feedback
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- How the suggested category was chosen
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS category_source TEXT, -- 'rule', 'learned', 'learned_advisor'
+ADD COLUMN IF NOT EXISTS category_confidence DECIMAL(4,3), -- 0-1, set for learned suggestions
+ADD COLUMN IF NOT EXISTS category_explanation TEXT;
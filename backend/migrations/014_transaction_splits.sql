@@ -0,0 +1,13 @@
+-- Migration: Split Transactions
+-- Lets one Plaid transaction be allocated across several categories
+-- (e.g. a Costco charge that is part groceries, part shopping, part gift).
+
+-- Each allocation: { "category": "groceries", "amount": 82.15, "note": "optional" }
+-- Amounts are positive and must sum to ABS(amount); empty array = not split.
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS splits JSONB DEFAULT '[]'::jsonb;
+
+-- User category before the split (user_category holds the largest allocation
+-- while split); restored when the split is removed
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS pre_split_category TEXT;
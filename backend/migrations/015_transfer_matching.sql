@@ -0,0 +1,14 @@
+-- Migration: Internal Transfer Matching
+-- Pairs opposite-signed transactions of equal amount across a client's own
+-- accounts (checking -> savings, credit card payments) so they are not
+-- counted as both income and expense.
+
+-- Both sides of a pair share the same transfer_pair_id.
+--   matched   = paired automatically by services/transferMatcher.js
+--   confirmed = advisor confirmed the pair
+--   broken    = advisor said the pair is not a transfer; never re-matched
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS transfer_pair_id UUID,
+ADD COLUMN IF NOT EXISTS transfer_status TEXT CHECK (transfer_status IN ('matched', 'confirmed', 'broken'));
+
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer_pair_id ON transactions(transfer_pair_id);
@@ -0,0 +1,34 @@
+-- Migration: Client Budgets
+-- Per-category spending targets set by the advisor, compared against the
+-- actuals in monthly_summaries.cash_flow.
+
+CREATE TABLE IF NOT EXISTS budgets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES clients(client_id) ON DELETE CASCADE,
+
+  category TEXT NOT NULL, -- expense category key, e.g. groceries, insurance
+  amount DECIMAL(12,2) NOT NULL CHECK (amount >= 0),
+
+  -- monthly = amount per month
+  -- annual  = lumpy item (e.g. insurance premium); amount per year, set aside
+  --           monthly as a sinking fund and expected in due_month
+  period TEXT NOT NULL DEFAULT 'monthly' CHECK (period IN ('monthly', 'annual')),
+  due_month INTEGER CHECK (due_month BETWEEN 1 AND 12),
+
+  -- Carry unspent (or overspent) budget into the next month; resets each January.
+  -- Annual items always roll over.
+  rollover BOOLEAN DEFAULT false,
+
+  is_active BOOLEAN DEFAULT true,
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(client_id, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_client_id ON budgets(client_id);
+
+CREATE TRIGGER update_budgets_updated_at BEFORE UPDATE ON budgets
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,34 @@
+-- Migration: Financial Goals
+-- Client goals (emergency fund, down payment, debt payoff, ...) whose progress
+-- is computed from balance_sheets and investment_snapshots history.
+
+CREATE TABLE IF NOT EXISTS goals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES clients(client_id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,
+  goal_type TEXT NOT NULL DEFAULT 'custom' CHECK (goal_type IN (
+    'emergency_fund', 'down_payment', 'debt_payoff', 'retirement', 'education', 'major_purchase', 'custom'
+  )),
+
+  target_amount DECIMAL(12,2) NOT NULL CHECK (target_amount >= 0), -- for debt_payoff: the balance being paid off
+  target_date DATE,
+  priority INTEGER NOT NULL DEFAULT 3 CHECK (priority BETWEEN 1 AND 5), -- 1 = highest
+
+  -- Where progress comes from, e.g.
+  --   [{ "source": "balance_sheet", "key": "savings" }]            (asset/liability breakdown key)
+  --   [{ "source": "investment", "accountId": "plaid-account-id" }] (investment_snapshots account)
+  -- When empty, current_amount is used as a manually tracked balance.
+  linked_accounts JSONB DEFAULT '[]'::jsonb,
+  current_amount DECIMAL(12,2),
+
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'achieved')),
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_goals_client_id ON goals(client_id);
+
+CREATE TRIGGER update_goals_updated_at BEFORE UPDATE ON goals
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,48 @@
+-- Migration: Debt Payoff Planner
+-- Manually entered liabilities (and overrides for Plaid-linked ones) used by
+-- the debt payoff planner, plus the new debt_payoff report type.
+
+CREATE TABLE IF NOT EXISTS debts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES clients(client_id) ON DELETE CASCADE,
+
+  name TEXT NOT NULL,
+  debt_type TEXT NOT NULL DEFAULT 'other'
+    CHECK (debt_type IN ('credit_card', 'student_loan', 'mortgage', 'auto_loan', 'personal_loan', 'other')),
+
+  balance DECIMAL(12,2) CHECK (balance >= 0),
+  apr DECIMAL(6,3) CHECK (apr >= 0),               -- annual rate in percent, e.g. 22.99
+  minimum_payment DECIMAL(12,2) CHECK (minimum_payment >= 0),
+
+  -- Set when this row overrides a Plaid-linked account; NULL fields fall
+  -- back to the values reported by Plaid liabilities
+  plaid_account_id TEXT,
+
+  -- Position in the payoff order for the custom strategy (lower pays first)
+  payoff_order INTEGER,
+
+  is_active BOOLEAN DEFAULT true,
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(client_id, plaid_account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_debts_client_id ON debts(client_id);
+
+CREATE TRIGGER update_debts_updated_at BEFORE UPDATE ON debts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Allow the new report type on generated documents
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS valid_report_type;
+
+ALTER TABLE documents
+ADD CONSTRAINT valid_report_type
+  CHECK (
+    report_type IS NULL OR
+    report_type IN ('monthly_cash_flow', 'net_worth', 'annual_summary', 'retirement_projection', 'debt_payoff')
+  );
+
+COMMENT ON COLUMN documents.report_type IS 'Type of generated report: monthly_cash_flow, net_worth, annual_summary, retirement_projection, or debt_payoff';
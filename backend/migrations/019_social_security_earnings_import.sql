@@ -0,0 +1,13 @@
+-- Migration: Social Security Earnings Record Import
+-- Stores the AIME recomputed from social_security_earnings and the source of
+-- the earnings record (manual entry, PDF statement or SSA XML download).
+
+ALTER TABLE social_security
+ADD COLUMN IF NOT EXISTS average_indexed_monthly_earnings DECIMAL(10,2),
+ADD COLUMN IF NOT EXISTS earnings_imported_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE social_security_earnings
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'manual';
+
+COMMENT ON COLUMN social_security.data_source IS 'Source of benefit data: manual, statement_parse, projection, or earnings_xml';
+COMMENT ON COLUMN social_security_earnings.source IS 'Source of the earnings row: manual, statement_parse, or earnings_xml';
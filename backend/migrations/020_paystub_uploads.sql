@@ -0,0 +1,18 @@
+-- Migration: Paystub Uploads
+-- Paystubs are uploaded as documents (account_type 'paystub'), parsed into
+-- documents.ocr_data for admin review, and written to paystubs on approval.
+
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_account_type_check;
+ALTER TABLE documents ADD CONSTRAINT documents_account_type_check
+  CHECK (account_type IN ('bank_statement', 'credit_card', 'investment', 'loan', 'paystub', 'other'));
+
+ALTER TABLE paystubs
+ADD COLUMN IF NOT EXISTS document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS parser_layout VARCHAR(30),
+ADD COLUMN IF NOT EXISTS reviewed_by UUID,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+-- One paystub per uploaded document; re-approving a document updates it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_paystubs_document ON paystubs(document_id);
+
+COMMENT ON COLUMN paystubs.parser_layout IS 'Payroll layout the parser used: adp or line_items (manual when entered by hand)';
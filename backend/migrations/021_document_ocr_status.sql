@@ -0,0 +1,12 @@
+-- Migration: Document OCR Status
+-- Local OCR runs from an in-process queue; documents it can't read move to
+-- 'failed' with the reason in processing_error so the admin can retry.
+
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_status_check;
+ALTER TABLE documents ADD CONSTRAINT documents_status_check
+  CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'approved', 'rejected'));
+
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS processing_error TEXT;
+
+COMMENT ON COLUMN documents.processing_error IS 'Why the last OCR run failed (cleared when OCR is queued again)';
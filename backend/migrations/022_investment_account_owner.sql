@@ -0,0 +1,46 @@
+-- Migration: Investment Account Owner
+-- investment_accounts.owner was free text; the manual accounts API only
+-- accepts client, partner or joint, so the table enforces the same.
+
+-- Map the free-text values that have an obvious meaning. NULL meant the
+-- column default ('client').
+UPDATE investment_accounts
+SET owner = 'client'
+WHERE owner IS NULL OR LOWER(TRIM(owner)) IN ('', 'client', 'self', 'me', 'primary');
+
+UPDATE investment_accounts
+SET owner = 'partner'
+WHERE LOWER(TRIM(owner)) IN ('partner', 'spouse', 'wife', 'husband', 'domestic partner', 'domestic_partner');
+
+UPDATE investment_accounts
+SET owner = 'joint'
+WHERE LOWER(TRIM(owner)) IN ('joint', 'both', 'shared', 'household');
+
+-- A partner's name, or any owner on an account linked to a partner
+UPDATE investment_accounts ia
+SET owner = 'partner'
+FROM client_partners cp
+WHERE ia.owner NOT IN ('client', 'partner', 'joint')
+  AND cp.client_id = ia.client_id
+  AND (ia.partner_id = cp.id OR LOWER(TRIM(ia.owner)) = LOWER(TRIM(cp.name)));
+
+-- Anything else has to be fixed by hand rather than silently becoming 'client'
+DO $$
+DECLARE
+  unknown_owners TEXT;
+BEGIN
+  SELECT string_agg(DISTINCT owner, ', ') INTO unknown_owners
+  FROM investment_accounts
+  WHERE owner NOT IN ('client', 'partner', 'joint');
+
+  IF unknown_owners IS NOT NULL THEN
+    RAISE EXCEPTION 'investment_accounts.owner has values other than client, partner or joint: %. Set them by hand and re-run this migration.', unknown_owners;
+  END IF;
+END $$;
+
+ALTER TABLE investment_accounts ALTER COLUMN owner SET NOT NULL;
+ALTER TABLE investment_accounts DROP CONSTRAINT IF EXISTS investment_accounts_owner_check;
+ALTER TABLE investment_accounts ADD CONSTRAINT investment_accounts_owner_check
+  CHECK (owner IN ('client', 'partner', 'joint'));
+
+COMMENT ON COLUMN investment_accounts.owner IS 'client, partner (see partner_id) or joint';
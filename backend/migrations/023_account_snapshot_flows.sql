@@ -0,0 +1,9 @@
+-- Migration: Account Snapshot Flows
+-- Performance returns need the money that moved in or out of a manually
+-- tracked account, which statements report but balances alone don't show.
+
+ALTER TABLE account_snapshots
+ADD COLUMN IF NOT EXISTS net_flow DECIMAL(14,2);
+
+COMMENT ON COLUMN account_snapshots.net_flow IS
+'Contributions minus withdrawals since the previous snapshot (NULL = unknown; returns then include any deposits)';
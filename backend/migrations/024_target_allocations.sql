@@ -0,0 +1,31 @@
+-- Migration: Target Asset Allocations
+-- One target allocation model per client, set by the advisor or derived from
+-- a risk questionnaire. Drift and rebalancing trades are computed against the
+-- household's asset class breakdown.
+
+CREATE TABLE IF NOT EXISTS target_allocations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL UNIQUE REFERENCES clients(client_id) ON DELETE CASCADE,
+
+  model_name TEXT NOT NULL, -- a built-in model (conservative ... aggressive) or 'custom'
+  source TEXT NOT NULL DEFAULT 'advisor' CHECK (source IN ('advisor', 'questionnaire')),
+
+  -- Percent of the portfolio per asset class, summing to 100, e.g.
+  --   { "US Equities": 40, "International": 15, "US Bonds": 35, "Cash": 5, ... }
+  -- Keys are the classes from investmentSnapshot.calculateAssetClassBreakdown.
+  allocation JSONB NOT NULL,
+
+  -- Percentage points an asset class may drift before rebalancing is recommended
+  drift_threshold DECIMAL(5,2) NOT NULL DEFAULT 5 CHECK (drift_threshold > 0),
+
+  -- Questionnaire answers and score when source = 'questionnaire'
+  questionnaire JSONB,
+  risk_score INTEGER,
+
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER update_target_allocations_updated_at BEFORE UPDATE ON target_allocations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
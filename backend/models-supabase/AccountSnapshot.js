@@ -0,0 +1,157 @@
+const { getDatabase } = require('../database-supabase');
+
+const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+class AccountSnapshot {
+  /**
+   * Find snapshots of manually tracked accounts by query
+   * @param {Object} query - Query object (e.g., { clientId: 'uuid' } or { accountId: 'uuid' })
+   * @returns {Promise<Array>} Snapshots, most recent first
+   */
+  static async find(query = {}) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('account_snapshots').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    dbQuery = dbQuery.order('snapshot_date', { ascending: false });
+
+    const { data, error } = await dbQuery;
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
+  /**
+   * Find a single snapshot
+   * @param {Object} query - Query object (e.g., { id: 'uuid', accountId: 'uuid' })
+   * @returns {Promise<Object|null>} Snapshot or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('account_snapshots').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  /**
+   * Insert a snapshot, replacing any snapshot of the same account on the same date
+   */
+  static async upsert(data) {
+    const supabase = getDatabase();
+
+    const { data: upserted, error } = await supabase
+      .from('account_snapshots')
+      .upsert([this._mapToDb(data)], {
+        onConflict: 'account_id,snapshot_date'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(upserted);
+  }
+
+  static async update(id, data) {
+    const supabase = getDatabase();
+
+    const { data: updated, error } = await supabase
+      .from('account_snapshots')
+      .update(this._mapToDb(data))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(updated);
+  }
+
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('account_snapshots').delete();
+
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { error } = await dbQuery;
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      clientId: row.client_id,
+      snapshotDate: row.snapshot_date,
+      monthYear: row.month_year,
+      statementDate: row.statement_date,
+      totalBalance: toNumber(row.total_balance),
+      isProjected: row.is_projected,
+      projectionRate: toNumber(row.projection_rate),
+      sourceStatement: row.source_statement,
+      netFlow: toNumber(row.net_flow),
+      holdings: row.holdings || [],
+      assetAllocation: row.asset_allocation || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.accountId !== undefined) dbData.account_id = data.accountId;
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.snapshotDate !== undefined) dbData.snapshot_date = data.snapshotDate;
+    if (data.monthYear !== undefined) dbData.month_year = data.monthYear;
+    if (data.statementDate !== undefined) dbData.statement_date = data.statementDate;
+    if (data.totalBalance !== undefined) dbData.total_balance = data.totalBalance;
+    if (data.isProjected !== undefined) dbData.is_projected = data.isProjected;
+    if (data.projectionRate !== undefined) dbData.projection_rate = data.projectionRate;
+    if (data.sourceStatement !== undefined) dbData.source_statement = data.sourceStatement;
+    if (data.netFlow !== undefined) dbData.net_flow = data.netFlow;
+    if (data.holdings !== undefined) dbData.holdings = data.holdings;
+    if (data.assetAllocation !== undefined) dbData.asset_allocation = data.assetAllocation;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = AccountSnapshot;
@@ -0,0 +1,144 @@
+const { getDatabase } = require('../database-supabase');
+
+class Budget {
+  /**
+   * Find budgets by query
+   * @param {Object} query - Query object (e.g., { clientId: 'uuid', isActive: true })
+   * @returns {Promise<Array>} Budgets ordered by category
+   */
+  static async find(query = {}) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('budgets').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    dbQuery = dbQuery.order('category', { ascending: true });
+
+    const { data, error } = await dbQuery;
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
+  /**
+   * Find a single budget
+   * @param {Object} query - Query object (e.g., { id: 'uuid', clientId: 'uuid' })
+   * @returns {Promise<Object|null>} Budget or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('budgets').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  static async create(data) {
+    const supabase = getDatabase();
+
+    const { data: created, error } = await supabase
+      .from('budgets')
+      .insert([this._mapToDb(data)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(created);
+  }
+
+  static async update(id, data) {
+    const supabase = getDatabase();
+
+    const { data: updated, error } = await supabase
+      .from('budgets')
+      .update(this._mapToDb(data))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(updated);
+  }
+
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('budgets').delete();
+
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { error } = await dbQuery;
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      category: row.category,
+      amount: parseFloat(row.amount),
+      period: row.period,
+      dueMonth: row.due_month,
+      rollover: row.rollover,
+      isActive: row.is_active,
+      notes: row.notes,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.category !== undefined) dbData.category = data.category;
+    if (data.amount !== undefined) dbData.amount = data.amount;
+    if (data.period !== undefined) dbData.period = data.period;
+    if (data.dueMonth !== undefined) dbData.due_month = data.dueMonth;
+    if (data.rollover !== undefined) dbData.rollover = data.rollover;
+    if (data.isActive !== undefined) dbData.is_active = data.isActive;
+    if (data.notes !== undefined) dbData.notes = data.notes;
+    if (data.createdBy !== undefined) dbData.created_by = data.createdBy;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = Budget;
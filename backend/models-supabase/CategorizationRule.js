@@ -0,0 +1,177 @@
+const { getDatabase } = require('../database-supabase');
+
+class CategorizationRule {
+  /**
+   * Find categorization rules by query
+   * @param {Object} query - Query object (e.g., { scope: 'client', clientId: 'uuid' })
+   * @returns {Promise<Array>} Rules ordered by priority (highest first)
+   */
+  static async find(query = {}) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('categorization_rules').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    dbQuery = dbQuery.order('priority', { ascending: false });
+
+    const { data, error } = await dbQuery;
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
+  /**
+   * Find a single rule
+   * @param {Object} query - Query object (e.g., { id: 'uuid' })
+   * @returns {Promise<Object|null>} Rule or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('categorization_rules').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  /**
+   * Find every active rule that applies to a client: global rules,
+   * rules for the client's advisor and rules for the client itself
+   * @param {string} clientId - Client UUID
+   * @param {string|null} advisorId - The client's advisor ID
+   * @returns {Promise<Array>} Active rules (unsorted across scopes)
+   */
+  static async findApplicable(clientId, advisorId = null) {
+    const queries = [
+      this.find({ scope: 'global', isActive: true }),
+      this.find({ scope: 'client', clientId, isActive: true })
+    ];
+
+    if (advisorId) {
+      queries.push(this.find({ scope: 'advisor', advisorId, isActive: true }));
+    }
+
+    const results = await Promise.all(queries);
+
+    return results.flat();
+  }
+
+  static async create(data) {
+    const supabase = getDatabase();
+
+    const { data: created, error } = await supabase
+      .from('categorization_rules')
+      .insert([this._mapToDb(data)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(created);
+  }
+
+  static async update(id, data) {
+    const supabase = getDatabase();
+
+    const { data: updated, error } = await supabase
+      .from('categorization_rules')
+      .update(this._mapToDb(data))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(updated);
+  }
+
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    const dbKey = this._toSnakeCase(Object.keys(query)[0]);
+    const value = query[Object.keys(query)[0]];
+
+    const { error } = await supabase
+      .from('categorization_rules')
+      .delete()
+      .eq(dbKey, value);
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      scope: row.scope,
+      advisorId: row.advisor_id,
+      clientId: row.client_id,
+      name: row.name,
+      priority: row.priority,
+      isActive: row.is_active,
+      merchantPattern: row.merchant_pattern,
+      amountMin: row.amount_min !== null ? parseFloat(row.amount_min) : null,
+      amountMax: row.amount_max !== null ? parseFloat(row.amount_max) : null,
+      accountTypes: row.account_types || [],
+      accountSubtypes: row.account_subtypes || [],
+      pfcPrimary: row.pfc_primary,
+      pfcDetailed: row.pfc_detailed,
+      category: row.category,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.scope !== undefined) dbData.scope = data.scope;
+    if (data.advisorId !== undefined) dbData.advisor_id = data.advisorId;
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.name !== undefined) dbData.name = data.name;
+    if (data.priority !== undefined) dbData.priority = data.priority;
+    if (data.isActive !== undefined) dbData.is_active = data.isActive;
+    if (data.merchantPattern !== undefined) dbData.merchant_pattern = data.merchantPattern;
+    if (data.amountMin !== undefined) dbData.amount_min = data.amountMin;
+    if (data.amountMax !== undefined) dbData.amount_max = data.amountMax;
+    if (data.accountTypes !== undefined) dbData.account_types = data.accountTypes;
+    if (data.accountSubtypes !== undefined) dbData.account_subtypes = data.accountSubtypes;
+    if (data.pfcPrimary !== undefined) dbData.pfc_primary = data.pfcPrimary;
+    if (data.pfcDetailed !== undefined) dbData.pfc_detailed = data.pfcDetailed;
+    if (data.category !== undefined) dbData.category = data.category;
+    if (data.createdBy !== undefined) dbData.created_by = data.createdBy;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = CategorizationRule;
@@ -283,6 +283,8 @@ class Client {
       advisorId: data.advisor_id,
       preferences: data.preferences,
       clientProfile: data.client_profile,
+      birthDate: data.birth_date,
+      retirementAge: data.retirement_age,
       plaidAccessTokens,
       createdAt: data.created_at,
       updatedAt: data.updated_at,
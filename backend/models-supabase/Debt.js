@@ -0,0 +1,148 @@
+const { getDatabase } = require('../database-supabase');
+
+class Debt {
+  /**
+   * Find debts by query
+   * @param {Object} query - Query object (e.g., { clientId: 'uuid', isActive: true })
+   * @returns {Promise<Array>} Debts ordered by name
+   */
+  static async find(query = {}) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('debts').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    dbQuery = dbQuery.order('name', { ascending: true });
+
+    const { data, error } = await dbQuery;
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
+  /**
+   * Find a single debt
+   * @param {Object} query - Query object (e.g., { id: 'uuid', clientId: 'uuid' })
+   * @returns {Promise<Object|null>} Debt or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('debts').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  static async create(data) {
+    const supabase = getDatabase();
+
+    const { data: created, error } = await supabase
+      .from('debts')
+      .insert([this._mapToDb(data)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(created);
+  }
+
+  static async update(id, data) {
+    const supabase = getDatabase();
+
+    const { data: updated, error } = await supabase
+      .from('debts')
+      .update(this._mapToDb(data))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(updated);
+  }
+
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('debts').delete();
+
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { error } = await dbQuery;
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      name: row.name,
+      debtType: row.debt_type,
+      balance: row.balance !== null ? parseFloat(row.balance) : null,
+      apr: row.apr !== null ? parseFloat(row.apr) : null,
+      minimumPayment: row.minimum_payment !== null ? parseFloat(row.minimum_payment) : null,
+      plaidAccountId: row.plaid_account_id,
+      payoffOrder: row.payoff_order,
+      isActive: row.is_active,
+      notes: row.notes,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.name !== undefined) dbData.name = data.name;
+    if (data.debtType !== undefined) dbData.debt_type = data.debtType;
+    if (data.balance !== undefined) dbData.balance = data.balance;
+    if (data.apr !== undefined) dbData.apr = data.apr;
+    if (data.minimumPayment !== undefined) dbData.minimum_payment = data.minimumPayment;
+    if (data.plaidAccountId !== undefined) dbData.plaid_account_id = data.plaidAccountId;
+    if (data.payoffOrder !== undefined) dbData.payoff_order = data.payoffOrder;
+    if (data.isActive !== undefined) dbData.is_active = data.isActive;
+    if (data.notes !== undefined) dbData.notes = data.notes;
+    if (data.createdBy !== undefined) dbData.created_by = data.createdBy;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = Debt;
@@ -0,0 +1,146 @@
+const { getDatabase } = require('../database-supabase');
+
+class Goal {
+  /**
+   * Find goals by query
+   * @param {Object} query - Query object (e.g., { clientId: 'uuid', status: 'active' })
+   * @returns {Promise<Array>} Goals ordered by priority (highest first)
+   */
+  static async find(query = {}) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('goals').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    dbQuery = dbQuery.order('priority', { ascending: true });
+
+    const { data, error } = await dbQuery;
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
+  /**
+   * Find a single goal
+   * @param {Object} query - Query object (e.g., { id: 'uuid', clientId: 'uuid' })
+   * @returns {Promise<Object|null>} Goal or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('goals').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  static async create(data) {
+    const supabase = getDatabase();
+
+    const { data: created, error } = await supabase
+      .from('goals')
+      .insert([this._mapToDb(data)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(created);
+  }
+
+  static async update(id, data) {
+    const supabase = getDatabase();
+
+    const { data: updated, error } = await supabase
+      .from('goals')
+      .update(this._mapToDb(data))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(updated);
+  }
+
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('goals').delete();
+
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { error } = await dbQuery;
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      name: row.name,
+      goalType: row.goal_type,
+      targetAmount: parseFloat(row.target_amount),
+      targetDate: row.target_date,
+      priority: row.priority,
+      linkedAccounts: row.linked_accounts || [],
+      currentAmount: row.current_amount !== null ? parseFloat(row.current_amount) : null,
+      status: row.status,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.name !== undefined) dbData.name = data.name;
+    if (data.goalType !== undefined) dbData.goal_type = data.goalType;
+    if (data.targetAmount !== undefined) dbData.target_amount = data.targetAmount;
+    if (data.targetDate !== undefined) dbData.target_date = data.targetDate;
+    if (data.priority !== undefined) dbData.priority = data.priority;
+    if (data.linkedAccounts !== undefined) dbData.linked_accounts = data.linkedAccounts;
+    if (data.currentAmount !== undefined) dbData.current_amount = data.currentAmount;
+    if (data.status !== undefined) dbData.status = data.status;
+    if (data.notes !== undefined) dbData.notes = data.notes;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = Goal;
@@ -0,0 +1,147 @@
+const { getDatabase } = require('../database-supabase');
+
+class InvestmentAccount {
+  /**
+   * Find manually tracked investment accounts by query
+   * @param {Object} query - Query object (e.g., { clientId: 'uuid', isActive: true })
+   * @returns {Promise<Array>} Accounts ordered by nickname
+   */
+  static async find(query = {}) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('investment_accounts').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    dbQuery = dbQuery.order('account_nickname', { ascending: true });
+
+    const { data, error } = await dbQuery;
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
+  /**
+   * Find a single investment account
+   * @param {Object} query - Query object (e.g., { id: 'uuid', clientId: 'uuid' })
+   * @returns {Promise<Object|null>} Account or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('investment_accounts').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  static async create(data) {
+    const supabase = getDatabase();
+
+    const { data: created, error } = await supabase
+      .from('investment_accounts')
+      .insert([this._mapToDb(data)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(created);
+  }
+
+  static async update(id, data) {
+    const supabase = getDatabase();
+
+    const { data: updated, error } = await supabase
+      .from('investment_accounts')
+      .update(this._mapToDb(data))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(updated);
+  }
+
+  /**
+   * Delete accounts by query (their account_snapshots cascade)
+   */
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('investment_accounts').delete();
+
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { error } = await dbQuery;
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      partnerId: row.partner_id,
+      accountNickname: row.account_nickname,
+      custodian: row.custodian,
+      accountType: row.account_type,
+      taxTreatment: row.tax_treatment,
+      owner: row.owner,
+      isActive: row.is_active,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.partnerId !== undefined) dbData.partner_id = data.partnerId;
+    if (data.accountNickname !== undefined) dbData.account_nickname = data.accountNickname;
+    if (data.custodian !== undefined) dbData.custodian = data.custodian;
+    if (data.accountType !== undefined) dbData.account_type = data.accountType;
+    if (data.taxTreatment !== undefined) dbData.tax_treatment = data.taxTreatment;
+    if (data.owner !== undefined) dbData.owner = data.owner;
+    if (data.isActive !== undefined) dbData.is_active = data.isActive;
+    if (data.notes !== undefined) dbData.notes = data.notes;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = InvestmentAccount;
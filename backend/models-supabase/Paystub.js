@@ -0,0 +1,243 @@
+const { getDatabase } = require('../database-supabase');
+
+// Paystub field -> column prefix (current in `<prefix>`, YTD in `<prefix>_ytd`)
+const EARNING_COLUMNS = {
+  regular: 'regular_pay',
+  overtime: 'overtime_pay',
+  holiday: 'holiday_pay',
+  vacation: 'vacation_pay',
+  sick: 'sick_pay',
+  bonus: 'bonus_pay',
+  commission: 'commission_pay',
+  fringe: 'fringe_benefits',
+  other: 'other_earnings',
+  gross: 'gross_pay'
+};
+
+const STATUTORY_COLUMNS = {
+  federal: 'federal_income_tax',
+  socialSecurity: 'social_security_tax',
+  medicare: 'medicare_tax',
+  state: 'state_income_tax',
+  local: 'local_income_tax'
+};
+
+const EMPLOYER_COLUMNS = {
+  match401k: 'employer_401k_match',
+  hsa: 'employer_hsa',
+  healthInsurance: 'employer_health_insurance'
+};
+
+const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : 0);
+
+class Paystub {
+  /**
+   * Find paystubs by query
+   * @param {Object} query - Query object (e.g., { clientId: 'uuid', taxYear: 2025 })
+   * @returns {Promise<Array>} Paystubs, most recent period first
+   */
+  static async find(query = {}) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('paystubs').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    dbQuery = dbQuery.order('period_ending', { ascending: false });
+
+    const { data, error } = await dbQuery;
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
+  /**
+   * Find a single paystub
+   * @param {Object} query - Query object (e.g., { id: 'uuid' } or { documentId: 'uuid' })
+   * @returns {Promise<Object|null>} Paystub or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('paystubs').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  static async create(data) {
+    const supabase = getDatabase();
+
+    const { data: created, error } = await supabase
+      .from('paystubs')
+      .insert([this._mapToDb(data)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(created);
+  }
+
+  static async update(id, data) {
+    const supabase = getDatabase();
+
+    const { data: updated, error } = await supabase
+      .from('paystubs')
+      .update(this._mapToDb(data))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(updated);
+  }
+
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('paystubs').delete();
+
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { error } = await dbQuery;
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    const pairs = (columns) => Object.fromEntries(
+      Object.entries(columns).map(([key, column]) => [
+        key,
+        { current: toNumber(row[column]), ytd: toNumber(row[`${column}_ytd`]) }
+      ])
+    );
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      documentId: row.document_id,
+      parserLayout: row.parser_layout,
+      employerName: row.employer_name,
+      periodBeginning: row.period_beginning,
+      periodEnding: row.period_ending,
+      payDate: row.pay_date,
+      payFrequency: row.pay_frequency,
+      payPeriodsPerYear: row.pay_periods_per_year,
+      taxYear: row.tax_year,
+      filingStatus: row.filing_status,
+      state: row.state,
+      earnings: pairs(EARNING_COLUMNS),
+      statutory: pairs(STATUTORY_COLUMNS),
+      pretaxDeductions: row.pretax_deductions || {},
+      aftertaxDeductions: row.aftertax_deductions || {},
+      pretaxTotal: { current: toNumber(row.pretax_total), ytd: toNumber(row.pretax_total_ytd) },
+      aftertaxTotal: { current: toNumber(row.aftertax_total), ytd: toNumber(row.aftertax_total_ytd) },
+      employerContributions: pairs(EMPLOYER_COLUMNS),
+      netPay: { current: toNumber(row.net_pay), ytd: toNumber(row.net_pay_ytd) },
+      projections: {
+        estimatedAnnualGross: row.estimated_annual_gross !== null ? parseFloat(row.estimated_annual_gross) : null,
+        estimatedAnnualFederalTax: row.estimated_annual_federal_tax !== null ? parseFloat(row.estimated_annual_federal_tax) : null,
+        estimatedAnnualStateTax: row.estimated_annual_state_tax !== null ? parseFloat(row.estimated_annual_state_tax) : null,
+        estimatedAnnualFica: row.estimated_annual_fica !== null ? parseFloat(row.estimated_annual_fica) : null,
+        remainingPayPeriods: row.remaining_pay_periods
+      },
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.documentId !== undefined) dbData.document_id = data.documentId;
+    if (data.parserLayout !== undefined) dbData.parser_layout = data.parserLayout;
+    if (data.employerName !== undefined) dbData.employer_name = data.employerName;
+    if (data.periodBeginning !== undefined) dbData.period_beginning = data.periodBeginning;
+    if (data.periodEnding !== undefined) dbData.period_ending = data.periodEnding;
+    if (data.payDate !== undefined) dbData.pay_date = data.payDate;
+    if (data.payFrequency !== undefined) dbData.pay_frequency = data.payFrequency;
+    if (data.payPeriodsPerYear !== undefined) dbData.pay_periods_per_year = data.payPeriodsPerYear;
+    if (data.taxYear !== undefined) dbData.tax_year = data.taxYear;
+    if (data.filingStatus !== undefined) dbData.filing_status = data.filingStatus;
+    if (data.state !== undefined) dbData.state = data.state;
+
+    const setPairs = (values, columns) => {
+      if (!values) return;
+      Object.entries(columns).forEach(([key, column]) => {
+        if (!values[key]) return;
+        dbData[column] = values[key].current || 0;
+        dbData[`${column}_ytd`] = values[key].ytd || 0;
+      });
+    };
+
+    setPairs(data.earnings, EARNING_COLUMNS);
+    setPairs(data.statutory, STATUTORY_COLUMNS);
+    setPairs(data.employerContributions, EMPLOYER_COLUMNS);
+
+    if (data.pretaxDeductions !== undefined) dbData.pretax_deductions = data.pretaxDeductions;
+    if (data.aftertaxDeductions !== undefined) dbData.aftertax_deductions = data.aftertaxDeductions;
+    if (data.pretaxTotal !== undefined) {
+      dbData.pretax_total = data.pretaxTotal.current || 0;
+      dbData.pretax_total_ytd = data.pretaxTotal.ytd || 0;
+    }
+    if (data.aftertaxTotal !== undefined) {
+      dbData.aftertax_total = data.aftertaxTotal.current || 0;
+      dbData.aftertax_total_ytd = data.aftertaxTotal.ytd || 0;
+    }
+    if (data.netPay !== undefined) {
+      dbData.net_pay = data.netPay.current || 0;
+      dbData.net_pay_ytd = data.netPay.ytd || 0;
+    }
+
+    if (data.projections) {
+      dbData.estimated_annual_gross = data.projections.estimatedAnnualGross;
+      dbData.estimated_annual_federal_tax = data.projections.estimatedAnnualFederalTax;
+      dbData.estimated_annual_state_tax = data.projections.estimatedAnnualStateTax;
+      dbData.estimated_annual_fica = data.projections.estimatedAnnualFica;
+      dbData.remaining_pay_periods = data.projections.remainingPayPeriods;
+    }
+
+    if (data.reviewedBy !== undefined) dbData.reviewed_by = data.reviewedBy;
+    if (data.reviewedAt !== undefined) dbData.reviewed_at = data.reviewedAt;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = Paystub;
@@ -230,6 +230,9 @@ class SocialSecurity {
    * Calculate optimal claiming age based on break-even analysis
    * Compares total lifetime benefits at different claiming ages with COLA adjustments
    *
+   * Only evaluates 62, FRA and 70; kept for the optimal-age endpoint. Use
+   * services/socialSecurityOptimizer for the month-by-month claiming curve.
+   *
    * @param {Object} benefits - Object with benefit_at_62, benefit_at_fra, benefit_at_70, full_retirement_age
    * @param {number} currentAge - Current age of client
    * @param {number} lifeExpectancy - Expected lifespan (default: 90)
@@ -294,6 +297,51 @@ class SocialSecurity {
     };
   }
 
+  /**
+   * Find the social_security records (benefit estimates by claiming age) for a
+   * client and, when linked through client_partners.social_security_id, their
+   * spouse (a partner whose relationship is 'spouse'; other partners are ignored)
+   *
+   * @param {string} clientId - Client UUID
+   * @returns {Promise<Object>} { client, spouse, partner } - rows or null
+   */
+  static async findHouseholdRecords(clientId) {
+    const supabase = getDatabase();
+
+    const { data: clientRows, error: clientError } = await supabase
+      .from('social_security')
+      .select('*')
+      .eq('client_id', clientId)
+      .limit(1);
+
+    if (clientError) throw clientError;
+
+    const { data: partners, error: partnerError } = await supabase
+      .from('client_partners')
+      .select('id, name, birth_date, relationship, social_security_id')
+      .eq('client_id', clientId)
+      .not('social_security_id', 'is', null);
+
+    if (partnerError) throw partnerError;
+
+    // Spousal and survivor benefits need a marriage; unmarried partners don't qualify
+    const partner = (partners || []).find(p => p.relationship === 'spouse') || null;
+
+    let spouse = null;
+    if (partner) {
+      const { data: spouseRows, error: spouseError } = await supabase
+        .from('social_security')
+        .select('*')
+        .eq('id', partner.social_security_id)
+        .limit(1);
+
+      if (spouseError) throw spouseError;
+      spouse = spouseRows[0] || null;
+    }
+
+    return { client: clientRows[0] || null, spouse, partner };
+  }
+
   // ======================
   // Helper Methods
   // ======================
@@ -0,0 +1,104 @@
+const { getDatabase } = require('../database-supabase');
+
+class TargetAllocation {
+  /**
+   * Find a client's target allocation
+   * @param {Object} query - Query object (e.g., { clientId: 'uuid' })
+   * @returns {Promise<Object|null>} Target allocation or null
+   */
+  static async findOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('target_allocations').select('*');
+
+    // Apply filters
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { data, error } = await dbQuery.limit(1).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  /**
+   * Create or replace a client's target allocation (one per client)
+   */
+  static async upsert(data) {
+    const supabase = getDatabase();
+
+    const { data: upserted, error } = await supabase
+      .from('target_allocations')
+      .upsert([this._mapToDb(data)], {
+        onConflict: 'client_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this._mapToModel(upserted);
+  }
+
+  static async deleteOne(query) {
+    const supabase = getDatabase();
+
+    let dbQuery = supabase.from('target_allocations').delete();
+
+    Object.keys(query).forEach(key => {
+      const dbKey = this._toSnakeCase(key);
+      dbQuery = dbQuery.eq(dbKey, query[key]);
+    });
+
+    const { error } = await dbQuery;
+
+    if (error) throw error;
+
+    return { deletedCount: 1 };
+  }
+
+  static _mapToModel(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      clientId: row.client_id,
+      modelName: row.model_name,
+      source: row.source,
+      allocation: row.allocation || {},
+      driftThreshold: row.drift_threshold !== null ? parseFloat(row.drift_threshold) : null,
+      questionnaire: row.questionnaire,
+      riskScore: row.risk_score,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  static _mapToDb(data) {
+    const dbData = {};
+
+    if (data.clientId !== undefined) dbData.client_id = data.clientId;
+    if (data.modelName !== undefined) dbData.model_name = data.modelName;
+    if (data.source !== undefined) dbData.source = data.source;
+    if (data.allocation !== undefined) dbData.allocation = data.allocation;
+    if (data.driftThreshold !== undefined) dbData.drift_threshold = data.driftThreshold;
+    if (data.questionnaire !== undefined) dbData.questionnaire = data.questionnaire;
+    if (data.riskScore !== undefined) dbData.risk_score = data.riskScore;
+    if (data.notes !== undefined) dbData.notes = data.notes;
+
+    return dbData;
+  }
+
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+module.exports = TargetAllocation;
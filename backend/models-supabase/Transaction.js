@@ -139,7 +139,11 @@ class Transaction {
         plaid_sub_category: data.plaidSubCategory || null,
         personal_finance_category: data.personalFinanceCategory || null,
         suggested_category: data.suggestedCategory,
+        category_source: data.categorySource || null,
+        category_confidence: data.categoryConfidence ?? null,
+        category_explanation: data.categoryExplanation || null,
         user_category: data.userCategory || null,
+        splits: data.splits || [],
         is_reviewed: data.isReviewed || false,
         month_year: data.monthYear,
         notes: data.notes || null,
@@ -172,6 +176,64 @@ class Transaction {
     return this._mapToModel(updated);
   }
 
+  /**
+   * Replace the split allocations of a transaction
+   * @param {string} clientId - Client UUID
+   * @param {string} plaidTransactionId - Plaid transaction ID
+   * @param {Array} splits - Normalized allocations ([] removes the split)
+   * @param {string|null} userCategory - Category to store alongside the split
+   * @param {string|null} preSplitCategory - User category to restore when the split is removed
+   * @returns {Promise<Object|null>} Updated transaction or null if not found
+   */
+  static async updateSplits(clientId, plaidTransactionId, splits, userCategory, preSplitCategory) {
+    const supabase = getDatabase();
+
+    const { data, error } = await supabase
+      .from('transactions')
+      .update({
+        splits,
+        user_category: userCategory || null,
+        pre_split_category: preSplitCategory || null,
+        is_reviewed: true
+      })
+      .eq('plaid_transaction_id', plaidTransactionId)
+      .eq('client_id', clientId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+
+    return this._mapToModel(data);
+  }
+
+  /**
+   * Set the transfer pairing of one or more transactions
+   * @param {string} clientId - Client UUID
+   * @param {Array<string>} plaidTransactionIds - Plaid transaction IDs
+   * @param {Object} transfer - { transferPairId, transferStatus } (nulls clear the pairing)
+   * @returns {Promise<Array>} Updated transactions
+   */
+  static async updateTransfer(clientId, plaidTransactionIds, { transferPairId, transferStatus }) {
+    const supabase = getDatabase();
+
+    const { data, error } = await supabase
+      .from('transactions')
+      .update({
+        transfer_pair_id: transferPairId,
+        transfer_status: transferStatus
+      })
+      .eq('client_id', clientId)
+      .in('plaid_transaction_id', plaidTransactionIds)
+      .select();
+
+    if (error) throw error;
+
+    return data.map(row => this._mapToModel(row));
+  }
+
   static async deleteMany(query) {
     const supabase = getDatabase();
 
@@ -211,7 +273,14 @@ class Transaction {
       plaidSubCategory: row.plaid_sub_category,
       personalFinanceCategory: row.personal_finance_category,
       suggestedCategory: row.suggested_category,
+      categorySource: row.category_source,
+      categoryConfidence: row.category_confidence !== null && row.category_confidence !== undefined ? parseFloat(row.category_confidence) : null,
+      categoryExplanation: row.category_explanation,
       userCategory: row.user_category,
+      splits: row.splits || [],
+      preSplitCategory: row.pre_split_category || null,
+      transferPairId: row.transfer_pair_id,
+      transferStatus: row.transfer_status,
       isReviewed: row.is_reviewed,
       monthYear: row.month_year,
       notes: row.notes,
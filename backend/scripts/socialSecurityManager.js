@@ -39,6 +39,14 @@ const path = require('path');
 const moment = require('moment');
 const pdfParse = require('pdf-parse');
 const { initDatabase, getDatabase } = require('../database-supabase');
+const socialSecurityCalculator = require('../services/socialSecurityCalculator');
+const {
+  getFullRetirementAge,
+  calculateBenefitAtAge,
+  estimatePIAFromIncome,
+  buildEarningsRow,
+  updateTotals
+} = socialSecurityCalculator;
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -60,148 +68,6 @@ const CONFIG = {
   benefit70: parseFloat(getArg('benefit-70')) || null,
 };
 
-// Social Security constants for 2024
-const SS_CONSTANTS = {
-  // Tax rates
-  SS_TAX_RATE: 0.062,           // 6.2% employee, 6.2% employer
-  MEDICARE_TAX_RATE: 0.0145,    // 1.45% employee, 1.45% employer
-  
-  // Wage base limits (2024)
-  SS_WAGE_BASE: 168600,         // Maximum earnings subject to SS tax
-  
-  // Credits
-  CREDIT_AMOUNT: 1730,          // Earnings needed per credit in 2024
-  MAX_CREDITS_PER_YEAR: 4,
-  CREDITS_FOR_MEDICARE: 40,     // 10 years of work
-  
-  // Bend points for PIA calculation (2024)
-  BEND_POINT_1: 1174,
-  BEND_POINT_2: 7078,
-  
-  // Early/delayed retirement factors
-  EARLY_REDUCTION_PER_MONTH: 0.00556,  // 5/9 of 1% for first 36 months
-  EARLY_REDUCTION_AFTER_36: 0.00417,   // 5/12 of 1% after 36 months
-  DELAYED_CREDIT_PER_MONTH: 0.00667,   // 2/3 of 1% (8% per year)
-};
-
-/**
- * Get Full Retirement Age based on birth year
- */
-function getFullRetirementAge(birthYear) {
-  if (birthYear <= 1937) return { years: 65, months: 0 };
-  if (birthYear === 1938) return { years: 65, months: 2 };
-  if (birthYear === 1939) return { years: 65, months: 4 };
-  if (birthYear === 1940) return { years: 65, months: 6 };
-  if (birthYear === 1941) return { years: 65, months: 8 };
-  if (birthYear === 1942) return { years: 65, months: 10 };
-  if (birthYear >= 1943 && birthYear <= 1954) return { years: 66, months: 0 };
-  if (birthYear === 1955) return { years: 66, months: 2 };
-  if (birthYear === 1956) return { years: 66, months: 4 };
-  if (birthYear === 1957) return { years: 66, months: 6 };
-  if (birthYear === 1958) return { years: 66, months: 8 };
-  if (birthYear === 1959) return { years: 66, months: 10 };
-  return { years: 67, months: 0 }; // 1960 and later
-}
-
-/**
- * Calculate Average Indexed Monthly Earnings (AIME)
- * Uses top 35 years of earnings
- */
-function calculateAIME(earningsHistory) {
-  // Sort earnings and take top 35 years
-  const sortedEarnings = earningsHistory
-    .map(e => e.taxed_social_security_earnings || 0)
-    .sort((a, b) => b - a)
-    .slice(0, 35);
-  
-  // Pad with zeros if less than 35 years
-  while (sortedEarnings.length < 35) {
-    sortedEarnings.push(0);
-  }
-  
-  const totalEarnings = sortedEarnings.reduce((sum, e) => sum + e, 0);
-  const aime = totalEarnings / (35 * 12); // Average monthly over 35 years
-  
-  return Math.floor(aime);
-}
-
-/**
- * Calculate Primary Insurance Amount (PIA) from AIME
- */
-function calculatePIA(aime) {
-  let pia = 0;
-  
-  // First bend point: 90% of first $1,174
-  if (aime <= SS_CONSTANTS.BEND_POINT_1) {
-    pia = aime * 0.90;
-  } else if (aime <= SS_CONSTANTS.BEND_POINT_2) {
-    // 90% of first bend point + 32% of amount between bend points
-    pia = (SS_CONSTANTS.BEND_POINT_1 * 0.90) + 
-          ((aime - SS_CONSTANTS.BEND_POINT_1) * 0.32);
-  } else {
-    // 90% + 32% + 15% of amount over second bend point
-    pia = (SS_CONSTANTS.BEND_POINT_1 * 0.90) + 
-          ((SS_CONSTANTS.BEND_POINT_2 - SS_CONSTANTS.BEND_POINT_1) * 0.32) +
-          ((aime - SS_CONSTANTS.BEND_POINT_2) * 0.15);
-  }
-  
-  return Math.floor(pia * 100) / 100;
-}
-
-/**
- * Calculate benefit at different ages based on PIA and FRA
- */
-function calculateBenefitAtAge(pia, fraMonths, claimAgeMonths) {
-  const monthsDiff = claimAgeMonths - fraMonths;
-  
-  if (monthsDiff === 0) {
-    return pia;
-  } else if (monthsDiff < 0) {
-    // Early retirement reduction
-    const monthsEarly = Math.abs(monthsDiff);
-    let reduction = 0;
-    
-    if (monthsEarly <= 36) {
-      reduction = monthsEarly * SS_CONSTANTS.EARLY_REDUCTION_PER_MONTH;
-    } else {
-      reduction = (36 * SS_CONSTANTS.EARLY_REDUCTION_PER_MONTH) + 
-                  ((monthsEarly - 36) * SS_CONSTANTS.EARLY_REDUCTION_AFTER_36);
-    }
-    
-    return Math.floor(pia * (1 - reduction) * 100) / 100;
-  } else {
-    // Delayed retirement credits (up to age 70)
-    const monthsDelayed = Math.min(monthsDiff, (70 * 12) - fraMonths);
-    const increase = monthsDelayed * SS_CONSTANTS.DELAYED_CREDIT_PER_MONTH;
-    
-    return Math.floor(pia * (1 + increase) * 100) / 100;
-  }
-}
-
-/**
- * Estimate PIA from current income (simplified projection)
- */
-function estimatePIAFromIncome(annualIncome, currentAge, workYears = 35) {
-  // Cap at SS wage base
-  const cappedIncome = Math.min(annualIncome, SS_CONSTANTS.SS_WAGE_BASE);
-  
-  // Assume similar earnings for career (simplified)
-  const estimatedAIME = (cappedIncome * workYears) / (35 * 12);
-  
-  return calculatePIA(estimatedAIME);
-}
-
-/**
- * Calculate credits earned from earnings
- */
-function calculateCredits(earnings) {
-  const credits = Math.min(
-    Math.floor(earnings / SS_CONSTANTS.CREDIT_AMOUNT),
-    SS_CONSTANTS.MAX_CREDITS_PER_YEAR
-  );
-  return credits;
-}
-
 /**
  * List all clients
  */
@@ -394,7 +260,7 @@ async function addManualData(clientId, birthdate, income) {
   const fraMonths = (fra.years * 12) + fra.months;
   
   // Estimate PIA from income
-  const estimatedPIA = estimatePIAFromIncome(income, currentAge);
+  const estimatedPIA = estimatePIAFromIncome(income, currentAge, 35, birthYear + 62);
   
   // Calculate benefits at each age
   const benefits = {};
@@ -451,44 +317,18 @@ async function addManualData(clientId, birthdate, income) {
  * Add earnings for a specific year
  */
 async function addEarnings(clientId, year, earnings) {
-  const supabase = getDatabase();
-  
-  // Cap SS earnings at wage base
-  const ssEarnings = Math.min(earnings, SS_CONSTANTS.SS_WAGE_BASE);
-  const medicareEarnings = earnings; // No cap for Medicare
-  
-  // Calculate taxes
-  const ssTax = ssEarnings * SS_CONSTANTS.SS_TAX_RATE;
-  const medicareTax = medicareEarnings * SS_CONSTANTS.MEDICARE_TAX_RATE;
-  
-  // Credits earned
-  const credits = calculateCredits(earnings);
-  
-  const earningsData = {
-    client_id: clientId,
-    work_year: year,
-    taxed_social_security_earnings: ssEarnings,
-    taxed_medicare_earnings: medicareEarnings,
-    social_security_tax_paid: ssTax,
-    medicare_tax_paid: medicareTax,
-    employer_ss_paid: ssTax,  // Employer matches
-    employer_medicare_paid: medicareTax,
-    credits_earned: credits,
-  };
-  
-  const { data, error } = await supabase
-    .from('social_security_earnings')
-    .upsert(earningsData, { onConflict: 'client_id,work_year' })
-    .select()
-    .single();
-  
-  if (error) {
+  let saved;
+  try {
+    saved = await socialSecurityCalculator.addEarnings(clientId, year, earnings);
+  } catch (error) {
     console.error('Error saving earnings:', error);
     return;
   }
   
-  // Update totals in main SS table
-  await updateTotals(clientId);
+  const ssEarnings = parseFloat(saved.taxed_social_security_earnings);
+  const ssTax = parseFloat(saved.social_security_tax_paid);
+  const medicareTax = parseFloat(saved.medicare_tax_paid);
+  const credits = saved.credits_earned;
   
   console.log(`\n✅ Earnings for ${year} saved!`);
   console.log(`   Earnings: $${earnings.toLocaleString()}`);
@@ -498,42 +338,6 @@ async function addEarnings(clientId, year, earnings) {
   console.log(`   Credits Earned: ${credits}\n`);
 }
 
-/**
- * Update totals from earnings history
- */
-async function updateTotals(clientId) {
-  const supabase = getDatabase();
-  
-  // Get all earnings
-  const { data: earnings } = await supabase
-    .from('social_security_earnings')
-    .select('*')
-    .eq('client_id', clientId);
-  
-  if (!earnings || earnings.length === 0) return;
-  
-  const totals = earnings.reduce((acc, e) => ({
-    total_social_security_paid: acc.total_social_security_paid + parseFloat(e.social_security_tax_paid || 0),
-    total_medicare_paid: acc.total_medicare_paid + parseFloat(e.medicare_tax_paid || 0),
-    total_employer_ss_paid: acc.total_employer_ss_paid + parseFloat(e.employer_ss_paid || 0),
-    total_employer_medicare_paid: acc.total_employer_medicare_paid + parseFloat(e.employer_medicare_paid || 0),
-    medicare_credits: acc.medicare_credits + (e.credits_earned || 0),
-  }), {
-    total_social_security_paid: 0,
-    total_medicare_paid: 0,
-    total_employer_ss_paid: 0,
-    total_employer_medicare_paid: 0,
-    medicare_credits: 0,
-  });
-  
-  totals.medicare_eligible = totals.medicare_credits >= 40;
-  
-  await supabase
-    .from('social_security')
-    .update(totals)
-    .eq('client_id', clientId);
-}
-
 /**
  * Add benefits from SS statement manually
  */
@@ -777,15 +581,8 @@ async function parseAndImportStatement(clientId, filePath) {
     if (e.isRange) {
       // For ranges, we'll save as the end year with the total
       const earningsData = {
-        client_id: clientId,
-        work_year: e.yearEnd,
-        taxed_social_security_earnings: e.ssEarnings,
-        taxed_medicare_earnings: e.medicareEarnings,
-        social_security_tax_paid: e.ssEarnings * SS_CONSTANTS.SS_TAX_RATE,
-        medicare_tax_paid: e.medicareEarnings * SS_CONSTANTS.MEDICARE_TAX_RATE,
-        employer_ss_paid: e.ssEarnings * SS_CONSTANTS.SS_TAX_RATE,
-        employer_medicare_paid: e.medicareEarnings * SS_CONSTANTS.MEDICARE_TAX_RATE,
-        credits_earned: Math.min(4, Math.floor(e.ssEarnings / SS_CONSTANTS.CREDIT_AMOUNT)),
+        ...buildEarningsRow(clientId, e.yearEnd, e.ssEarnings, e.medicareEarnings),
+        source: 'statement_parse',
       };
       
       const { error } = await supabase
@@ -796,15 +593,8 @@ async function parseAndImportStatement(clientId, filePath) {
     } else {
       // Single year
       const earningsData = {
-        client_id: clientId,
-        work_year: e.year,
-        taxed_social_security_earnings: e.ssEarnings,
-        taxed_medicare_earnings: e.medicareEarnings,
-        social_security_tax_paid: e.ssEarnings * SS_CONSTANTS.SS_TAX_RATE,
-        medicare_tax_paid: e.medicareEarnings * SS_CONSTANTS.MEDICARE_TAX_RATE,
-        employer_ss_paid: e.ssEarnings * SS_CONSTANTS.SS_TAX_RATE,
-        employer_medicare_paid: e.medicareEarnings * SS_CONSTANTS.MEDICARE_TAX_RATE,
-        credits_earned: Math.min(4, Math.floor(e.ssEarnings / SS_CONSTANTS.CREDIT_AMOUNT)),
+        ...buildEarningsRow(clientId, e.year, e.ssEarnings, e.medicareEarnings),
+        source: 'statement_parse',
       };
       
       const { error } = await supabase
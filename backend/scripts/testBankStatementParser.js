@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Test Bank Statement Parser
+ *
+ * This script tests transaction extraction WITHOUT storing any data. Parsing
+ * lives in services/bankStatementParser.js, shared with the admin statement
+ * upload.
+ *
+ * Usage:
+ *   node scripts/testBankStatementParser.js <path-to-pdf>
+ *   node scripts/testBankStatementParser.js ./statements/checking.pdf --raw
+ *   node scripts/testBankStatementParser.js ./statements/visa.pdf --credit
+ */
+
+const fs = require('fs');
+const { parseBankStatementPdf } = require('../services/bankStatementParser');
+
+// Command line args
+const args = process.argv.slice(2);
+const pdfPath = args.find(a => !a.startsWith('--'));
+const showRaw = args.includes('--raw');
+const accountKind = args.includes('--credit') ? 'credit' : 'depository';
+
+const money = (value) => (value === null || value === undefined ? '-' : '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2 }));
+
+/**
+ * Main parsing function
+ */
+async function parseStatement(filePath) {
+  console.log('\n🏦 Bank Statement Parser (TEST MODE)');
+  console.log('═'.repeat(70));
+  console.log(`\nFile: ${filePath} (${accountKind})\n`);
+
+  if (!fs.existsSync(filePath)) {
+    console.error(`❌ File not found: ${filePath}`);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = await parseBankStatementPdf(fs.readFileSync(filePath), { accountKind });
+  } catch (error) {
+    console.error('❌ Error parsing PDF:', error.message);
+    process.exit(1);
+  }
+
+  if (showRaw) {
+    console.log('📝 RAW EXTRACTED TEXT:');
+    console.log('─'.repeat(70));
+    console.log(result.text);
+    console.log('─'.repeat(70));
+  }
+
+  console.log(`📅 Period: ${result.period.start || '?'} to ${result.period.end || '?'}`);
+
+  console.log(`\n📋 TRANSACTIONS (${result.transactions.length}):`);
+  console.log('─'.repeat(70));
+  result.transactions.forEach(t => {
+    console.log(`   ${t.date}  ${t.description.substring(0, 36).padEnd(36)} ${money(t.amount).padStart(12)}  ${t.signSource}`);
+  });
+
+  const r = result.reconciliation;
+  console.log('\n🧮 RECONCILIATION:');
+  console.log('─'.repeat(70));
+  console.log(`   Opening Balance:  ${money(r.openingBalance)}`);
+  console.log(`   Transactions:     ${money(r.transactionsTotal)}`);
+  console.log(`   Expected Closing: ${money(r.expectedClosing)}`);
+  console.log(`   Closing Balance:  ${money(r.closingBalance)}`);
+  console.log(`   ${r.balanced === true ? '✅ Balanced' : r.balanced === false ? `❌ Off by ${money(r.difference)}` : '⚠️  Not checked'}`);
+
+  if (result.warnings.length) {
+    console.log('\n⚠️  WARNINGS:');
+    result.warnings.forEach(w => console.log(`   - ${w}`));
+  }
+
+  console.log('\n');
+}
+
+// Main
+if (!pdfPath) {
+  console.log(`
+🏦 Bank Statement Parser (TEST MODE)
+
+Usage:
+  node scripts/testBankStatementParser.js <path-to-pdf> [options]
+
+Options:
+  --raw     Show raw extracted text from PDF
+  --credit  Parse as a credit card statement (charges positive)
+
+Examples:
+  node scripts/testBankStatementParser.js ./statements/checking.pdf
+  node scripts/testBankStatementParser.js ./statements/visa.pdf --credit
+`);
+  process.exit(0);
+}
+
+parseStatement(pdfPath).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
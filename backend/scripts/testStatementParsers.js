@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Statement Parser Fixtures
+ *
+ * Runs every redacted statement in fixtures/statements through the parser
+ * registry and compares the result with its .expected.json. Expected files
+ * list only the fields worth pinning: objects match on the keys they name,
+ * arrays must have the same length and match item by item.
+ *
+ * Usage:
+ *   npm run test-statement-parsers
+ *   npm run test-statement-parsers -- schwab_brokerage   (one fixture)
+ *   npm run test-statement-parsers -- --verbose          (print parsed output)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseStatementText } = require('../services/statementParsers');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'statements');
+
+const args = process.argv.slice(2);
+const only = args.find(a => !a.startsWith('--'));
+const verbose = args.includes('--verbose');
+
+/**
+ * Differences between an expected subset and the actual value
+ *
+ * @returns {string[]} One line per mismatch, prefixed with its path
+ */
+function compare(expected, actual, keyPath = '') {
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) return [`${keyPath}: expected an array, got ${JSON.stringify(actual)}`];
+    if (expected.length !== actual.length) {
+      return [`${keyPath}: expected ${expected.length} items, got ${actual.length}`];
+    }
+    return expected.flatMap((item, i) => compare(item, actual[i], `${keyPath}[${i}]`));
+  }
+
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object') return [`${keyPath}: expected an object, got ${JSON.stringify(actual)}`];
+    return Object.keys(expected).flatMap(key =>
+      compare(expected[key], actual[key], keyPath ? `${keyPath}.${key}` : key));
+  }
+
+  if (typeof expected === 'number' && typeof actual === 'number' && Math.abs(expected - actual) < 0.005) {
+    return [];
+  }
+  return expected === actual ? [] : [`${keyPath}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+}
+
+function main() {
+  console.log('\n📑 Statement Parser Fixtures');
+  console.log('═'.repeat(60));
+
+  const names = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.txt'))
+    .map(file => file.replace(/\.txt$/, ''))
+    .filter(name => !only || name === only)
+    .sort();
+
+  if (names.length === 0) {
+    console.error(`❌ No fixtures found${only ? ` named ${only}` : ''} in ${FIXTURES_DIR}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  names.forEach(name => {
+    const expectedPath = path.join(FIXTURES_DIR, `${name}.expected.json`);
+    if (!fs.existsSync(expectedPath)) {
+      console.log(`✗ ${name}: missing ${name}.expected.json`);
+      failed++;
+      return;
+    }
+
+    let result;
+    try {
+      result = parseStatementText(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.txt`), 'utf8'));
+    } catch (error) {
+      console.log(`✗ ${name}: ${error.message}`);
+      failed++;
+      return;
+    }
+
+    const differences = compare(JSON.parse(fs.readFileSync(expectedPath, 'utf8')), result);
+    if (differences.length === 0) {
+      console.log(`✓ ${name} (${result.parser}, ${result.accountType})`);
+    } else {
+      failed++;
+      console.log(`✗ ${name} (${result.parser}, ${result.accountType})`);
+      differences.forEach(line => console.log(`     ${line}`));
+    }
+
+    if (verbose) console.log(JSON.stringify(result, null, 2));
+  });
+
+  console.log('─'.repeat(60));
+  console.log(`${names.length - failed}/${names.length} fixtures passed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
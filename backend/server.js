@@ -42,6 +42,8 @@ const transactionsSync = require('./services/transactionsSync');
 const investmentsSync = require('./services/investmentsSync');
 const balanceSheetSnapshot = require('./services/balanceSheetSnapshot');
 const investmentSnapshot = require('./services/investmentSnapshot');
+const categoryLearning = require('./services/categoryLearning');
+const transactionSplits = require('./services/transactionSplits');
 const { requireAuth, ensureClientOwnership, requireAdmin, supabase } = require('./middleware/auth');
 const { logAuthEvent, logAdminAction, logSecurityEvent } = require('./middleware/auditLogger');
 
@@ -460,7 +462,11 @@ app.post('/api/admin/save-categories/:clientId', requireAuth, async (req, res) =
         );
       });
 
-      await Promise.all(updatePromises);
+      const updated = await Promise.all(updatePromises);
+
+      // Remember corrections so future syncs suggest the same category
+      await categoryLearning.recordReviews(clientId, updated.filter(Boolean))
+        .catch(error => console.error('Error recording category corrections:', error));
     }
 
     // Also process for monthly summary
@@ -749,6 +755,10 @@ app.post('/api/clients/:clientId/update-transaction-categories', requireAuth, en
     const results = await Promise.all(updatePromises);
     const successCount = results.filter(r => r !== null).length;
 
+    // Remember corrections so future syncs suggest the same category
+    await categoryLearning.recordReviews(clientId, results.filter(r => r !== null))
+      .catch(error => console.error('Error recording category corrections:', error));
+
     res.json({ 
       success: true, 
       message: `Updated ${successCount} of ${transactions.length} transactions`,
@@ -761,6 +771,50 @@ app.post('/api/clients/:clientId/update-transaction-categories', requireAuth, en
   }
 });
 
+// Split a transaction across several categories (user)
+// Body: { splits: [{ category, amount, note? }] } - amounts must sum to the transaction amount; [] removes the split
+app.put('/api/clients/:clientId/transactions/:transactionId/splits', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const { transactionId } = req.params;
+    const { splits } = req.body || {};
+
+    const transaction = await Transaction.findOne({ clientId, plaidTransactionId: transactionId });
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    const validationError = transactionSplits.validateSplits(transaction, splits);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const normalized = transactionSplits.normalizeSplits(transaction, splits);
+    const wasSplit = transaction.splits.length > 0;
+
+    // The user category shows the largest allocation while split; removing
+    // the split restores the category the transaction had before
+    const preSplitCategory = wasSplit ? transaction.preSplitCategory : transaction.userCategory;
+    const userCategory = normalized.length > 0
+      ? transactionSplits.getPrimaryCategory(normalized)
+      : preSplitCategory;
+
+    const updated = await Transaction.updateSplits(
+      clientId,
+      transactionId,
+      normalized,
+      userCategory,
+      normalized.length > 0 ? preSplitCategory : null
+    );
+
+    res.json({ success: true, transaction: updated });
+  } catch (error) {
+    console.error('Error splitting transaction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Clear and refresh transactions (force reprocess with corrected logic)
 app.post('/api/clients/:clientId/refresh-transactions', requireAuth, ensureClientOwnership, async (req, res) => {
   try {
@@ -1093,6 +1147,36 @@ app.post('/api/admin/capture-all-investment-snapshots', requireAuth, requireAdmi
 // =============================================================================
 
 const SocialSecurity = require('./models-supabase/SocialSecurity');
+const socialSecurityOptimizer = require('./services/socialSecurityOptimizer');
+const ssaEarningsImport = require('./services/ssaEarningsImport');
+const socialSecurityCalculator = require('./services/socialSecurityCalculator');
+const socialSecurityTax = require('./services/socialSecurityTax');
+const { FILING_STATUSES } = require('./services/federalTax');
+
+const BENEFIT_TAX_FIELDS = ['otherIncome', 'taxExemptInterest'];
+
+// Tax inputs for after-tax Social Security values; afterTax=false returns gross values only
+function pickBenefitTaxOptions(query = {}) {
+  const options = {};
+  BENEFIT_TAX_FIELDS.forEach(field => {
+    if (query[field] === undefined || query[field] === '') return;
+    options[field] = Number(query[field]);
+  });
+  if (query.filingStatus) options.filingStatus = query.filingStatus;
+  if (query.afterTax !== undefined) options.afterTax = query.afterTax !== 'false';
+  return options;
+}
+
+function validateBenefitTaxOptions(options) {
+  const invalid = BENEFIT_TAX_FIELDS.find(field =>
+    options[field] !== undefined && (!Number.isFinite(options[field]) || options[field] < 0)
+  );
+  if (invalid) return `${invalid} must be a non-negative number`;
+  if (options.filingStatus !== undefined && !FILING_STATUSES.includes(options.filingStatus)) {
+    return `filingStatus must be one of: ${FILING_STATUSES.join(', ')}`;
+  }
+  return null;
+}
 
 // Get Social Security data for a client (Admin only)
 app.get('/api/admin/clients/:clientId/social-security', requireAuth, requireAdmin, async (req, res) => {
@@ -1232,7 +1316,196 @@ app.post('/api/admin/clients/:clientId/social-security/upload-statement', requir
   }
 });
 
-// Get optimal claiming age analysis (Admin only)
+// Import the earnings record XML downloaded from my Social Security (Admin only)
+// Without confirm: true, returns the parsed years and a diff against stored earnings
+app.post('/api/admin/clients/:clientId/social-security/upload-earnings-xml', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { xml, confirm = false } = req.body;
+
+    if (!xml || typeof xml !== 'string') {
+      return res.status(400).json({ success: false, error: 'XML content is required' });
+    }
+
+    try {
+      ssaEarningsImport.parseEarningsXml(xml);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: parseError.message });
+    }
+
+    const result = confirm === true
+      ? await ssaEarningsImport.importEarnings(clientId, xml)
+      : await ssaEarningsImport.previewEarningsImport(clientId, xml);
+
+    if (confirm === true) {
+      await logAdminAction('import_social_security_earnings', req.user.clientId, clientId, req.ip, {
+        yearsWritten: result.written,
+        ...result.diff.summary
+      });
+    }
+
+    res.json({ success: true, imported: confirm === true, data: result });
+  } catch (error) {
+    console.error('Error importing SSA earnings record:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+function parseEarningsYear(value) {
+  const year = parseInt(value);
+  const currentYear = new Date().getFullYear();
+  return Number.isInteger(year) && year >= 1937 && year <= currentYear ? year : null;
+}
+
+function parseRecomputeOptions(body = {}) {
+  const options = {};
+  if (body.projectedAnnualEarnings !== undefined && body.projectedAnnualEarnings !== '') {
+    options.projectedAnnualEarnings = Number(body.projectedAnnualEarnings);
+  }
+  if (body.retirementAge !== undefined && body.retirementAge !== '') {
+    options.retirementAge = Number(body.retirementAge);
+  }
+  if (body.birthDate) options.birthDate = body.birthDate;
+  return options;
+}
+
+function validateRecomputeOptions(options) {
+  if (options.projectedAnnualEarnings !== undefined &&
+      (!Number.isFinite(options.projectedAnnualEarnings) || options.projectedAnnualEarnings < 0)) {
+    return 'projectedAnnualEarnings must be a non-negative number';
+  }
+  if (options.retirementAge !== undefined &&
+      (!Number.isInteger(options.retirementAge) || options.retirementAge < 50 || options.retirementAge > 75)) {
+    return 'retirementAge must be a whole number between 50 and 75';
+  }
+  if (options.projectedAnnualEarnings > 0 && options.retirementAge === undefined) {
+    return 'retirementAge is required with projectedAnnualEarnings';
+  }
+  if (options.birthDate && !moment(options.birthDate, 'YYYY-MM-DD', true).isValid()) {
+    return 'birthDate must be YYYY-MM-DD';
+  }
+  return null;
+}
+
+// Get a client's earnings record with the indexed AIME/PIA calculation (Admin only)
+app.get('/api/admin/clients/:clientId/social-security/earnings', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const options = parseRecomputeOptions(req.query);
+
+    const validationError = validateRecomputeOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const [earnings, record] = await Promise.all([
+      socialSecurityCalculator.getEarnings(clientId),
+      socialSecurityCalculator.getSocialSecurityRecord(clientId)
+    ]);
+
+    const birthDate = (record && record.birth_date) || options.birthDate;
+    const calculation = birthDate
+      ? socialSecurityCalculator.calculateBenefits(earnings, { ...options, birthDate })
+      : null;
+
+    res.json({ success: true, earnings, record, calculation, count: earnings.length });
+  } catch (error) {
+    console.error('Error fetching Social Security earnings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add or edit earnings for a year (Admin only)
+app.put('/api/admin/clients/:clientId/social-security/earnings/:year', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const year = parseEarningsYear(req.params.year);
+    const earnings = Number(req.body.earnings);
+    const medicareEarnings = req.body.medicareEarnings !== undefined && req.body.medicareEarnings !== ''
+      ? Number(req.body.medicareEarnings)
+      : undefined;
+
+    if (year === null) {
+      return res.status(400).json({ success: false, error: 'year must be between 1937 and the current year' });
+    }
+    if (!Number.isFinite(earnings) || earnings < 0) {
+      return res.status(400).json({ success: false, error: 'earnings must be a non-negative number' });
+    }
+    if (medicareEarnings !== undefined && (!Number.isFinite(medicareEarnings) || medicareEarnings < 0)) {
+      return res.status(400).json({ success: false, error: 'medicareEarnings must be a non-negative number' });
+    }
+
+    const saved = await socialSecurityCalculator.addEarnings(clientId, year, earnings, { medicareEarnings });
+
+    await logAdminAction('update_social_security_earnings', req.user.clientId, clientId, req.ip, { year, earnings });
+
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    console.error('Error saving Social Security earnings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete earnings for a year (Admin only)
+app.delete('/api/admin/clients/:clientId/social-security/earnings/:year', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const year = parseEarningsYear(req.params.year);
+
+    if (year === null) {
+      return res.status(400).json({ success: false, error: 'year must be between 1937 and the current year' });
+    }
+
+    const deleted = await socialSecurityCalculator.deleteEarnings(clientId, year);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `No earnings recorded for ${year}` });
+    }
+
+    await logAdminAction('delete_social_security_earnings', req.user.clientId, clientId, req.ip, { year });
+
+    res.json({ success: true, message: `Earnings for ${year} deleted` });
+  } catch (error) {
+    console.error('Error deleting Social Security earnings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recompute AIME, PIA and benefits at 62-70 from the earnings record (Admin only)
+// Optional projectedAnnualEarnings (today's dollars) until retirementAge
+app.post('/api/admin/clients/:clientId/social-security/recompute', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const options = parseRecomputeOptions(req.body);
+
+    const validationError = validateRecomputeOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const result = await socialSecurityCalculator.recomputeBenefits(clientId, options);
+
+    if (!result.record) {
+      return res.status(400).json({
+        success: false,
+        error: 'A birth date is required to compute benefits; pass birthDate or add Social Security data first'
+      });
+    }
+
+    await logAdminAction('recompute_social_security_benefits', req.user.clientId, clientId, req.ip, {
+      pia: result.pia,
+      previousPia: result.previousPia,
+      projectedYears: result.calculation.projectedYears
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error recomputing Social Security benefits:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get optimal claiming age analysis, recommended on after-tax present value (Admin only)
 app.get('/api/admin/clients/:clientId/social-security/optimal-age', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { clientId } = req.params;
@@ -1241,6 +1514,12 @@ app.get('/api/admin/clients/:clientId/social-security/optimal-age', requireAuth,
       discountRate = 0.03,
       inflationRate = 0.025 // 2.5% COLA
     } = req.query;
+    const taxOptions = pickBenefitTaxOptions(req.query);
+
+    const validationError = validateBenefitTaxOptions(taxOptions);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
 
     const ssData = await SocialSecurity.findOne({ clientId });
 
@@ -1270,125 +1549,1873 @@ app.get('/api/admin/clients/:clientId/social-security/optimal-age', requireAuth,
       parseFloat(inflationRate)
     );
 
-    res.json({ success: true, data: analysis });
+    if (taxOptions.afterTax === false) {
+      return res.json({ success: true, data: analysis });
+    }
+
+    // Recommend on after-tax value: up to 85% of benefits can be taxable
+    const taxInputs = await socialSecurityTax.getTaxInputs(clientId, taxOptions);
+    const afterTax = socialSecurityTax.addAfterTaxValues(analysis, {
+      currentAge,
+      lifeExpectancy: parseFloat(lifeExpectancy),
+      discountRate: parseFloat(discountRate),
+      inflationRate: parseFloat(inflationRate)
+    }, taxInputs);
+
+    res.json({ success: true, data: afterTax });
   } catch (error) {
     console.error('Error calculating optimal claiming age:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// =============================================================================
-// CHART DATA ROUTES
-// =============================================================================
+const JOINT_CLAIMING_FIELDS = ['lifeExpectancy', 'spouseLifeExpectancy', 'discountRate', 'inflationRate'];
 
-const chartDataService = require('./services/chartDataService');
+function validateJointClaimingOptions(options) {
+  const invalid = JOINT_CLAIMING_FIELDS.find(field => !Number.isFinite(options[field]));
+  if (invalid) return `${invalid} must be a number`;
+  for (const field of ['lifeExpectancy', 'spouseLifeExpectancy']) {
+    if (options[field] <= 62 || options[field] > 110) return `${field} must be between 62 and 110`;
+  }
+  if (options.discountRate < 0 || options.discountRate > 0.2) {
+    return 'discountRate must be between 0 and 0.2';
+  }
+  if (options.inflationRate < 0 || options.inflationRate > 0.2) {
+    return 'inflationRate must be between 0 and 0.2';
+  }
+  return null;
+}
 
-// Get expenses by category chart data (Admin only)
-app.get('/api/admin/clients/:clientId/chart-data/expenses-by-category', requireAuth, requireAdmin, async (req, res) => {
+// Joint claiming strategy for a client and spouse (own, spousal and survivor benefits)
+app.get('/api/admin/clients/:clientId/social-security/joint-optimal-age', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { clientId } = req.params;
-    const { months = 12 } = req.query;
+    const {
+      lifeExpectancy = 90,
+      spouseLifeExpectancy = 90,
+      discountRate = 0.03,
+      inflationRate = 0.025
+    } = req.query;
 
-    const data = await chartDataService.getExpensesByCategoryChart(clientId, parseInt(months));
+    const options = {
+      lifeExpectancy: Number(lifeExpectancy),
+      spouseLifeExpectancy: Number(spouseLifeExpectancy),
+      discountRate: Number(discountRate),
+      inflationRate: Number(inflationRate)
+    };
+    const validationError = validateJointClaimingOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
 
-    res.json({ success: true, data });
+    const taxOptions = pickBenefitTaxOptions(req.query);
+    const taxError = validateBenefitTaxOptions(taxOptions);
+    if (taxError) {
+      return res.status(400).json({ success: false, error: taxError });
+    }
+
+    const household = await SocialSecurity.findHouseholdRecords(clientId);
+
+    if (!household.client) {
+      return res.status(404).json({ success: false, error: 'Social Security record not found for client' });
+    }
+
+    if (!household.spouse) {
+      return res.status(400).json({
+        success: false,
+        error: 'No spouse with a linked Social Security record (client_partners relationship spouse with social_security_id)'
+      });
+    }
+
+    if (!household.client.birth_date || !household.spouse.birth_date) {
+      return res.status(400).json({ success: false, error: 'Birth dates are required for both spouses' });
+    }
+
+    // Recommend on after-tax value, like the single-person route
+    if (taxOptions.afterTax !== false) {
+      options.taxInputs = await socialSecurityTax.getTaxInputs(clientId, taxOptions);
+    }
+
+    const analysis = socialSecurityOptimizer.calculateJointClaimingStrategy(household.client, household.spouse, options);
+
+    await logAdminAction('view_social_security_joint_optimization', req.user.clientId, clientId, req.ip, {
+      partnerId: household.partner.id
+    });
+
+    res.json({ success: true, data: { ...analysis, partner: { id: household.partner.id, name: household.partner.name } } });
   } catch (error) {
-    console.error('Chart data error (expenses by category):', error);
-    res.status(500).json({ success: false, error: 'Failed to generate chart data' });
+    console.error('Error calculating joint claiming strategy:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get income vs expenses chart data (Admin only)
-app.get('/api/admin/clients/:clientId/chart-data/income-vs-expenses', requireAuth, requireAdmin, async (req, res) => {
+const CLAIMING_CURVE_FIELDS = ['lifeExpectancy', 'discountRate', 'inflationRate'];
+
+function pickClaimingCurveOptions(query = {}) {
+  const options = pickBenefitTaxOptions(query);
+  CLAIMING_CURVE_FIELDS.forEach(field => {
+    if (query[field] === undefined || query[field] === '') return;
+    options[field] = Number(query[field]);
+  });
+  return options;
+}
+
+function validateClaimingCurveOptions(options) {
+  const invalid = CLAIMING_CURVE_FIELDS.find(field => options[field] !== undefined && !Number.isFinite(options[field]));
+  if (invalid) return `${invalid} must be a number`;
+  if (options.lifeExpectancy !== undefined && (options.lifeExpectancy <= 62 || options.lifeExpectancy > 110)) {
+    return 'lifeExpectancy must be between 62 and 110';
+  }
+  if (options.discountRate !== undefined && (options.discountRate < 0 || options.discountRate > 0.2)) {
+    return 'discountRate must be between 0 and 0.2';
+  }
+  if (options.inflationRate !== undefined && (options.inflationRate < 0 || options.inflationRate > 0.2)) {
+    return 'inflationRate must be between 0 and 0.2';
+  }
+  return validateBenefitTaxOptions(options);
+}
+
+// Present value of claiming at every month from 62 to 70, with break-evens and sensitivity (Admin only)
+app.get('/api/admin/clients/:clientId/social-security/claiming-curve', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { clientId } = req.params;
-    const { months = 12 } = req.query;
+    const options = pickClaimingCurveOptions(req.query);
 
-    const data = await chartDataService.getIncomeVsExpensesChart(clientId, parseInt(months));
+    const validationError = validateClaimingCurveOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
 
-    res.json({ success: true, data });
+    const result = await socialSecurityOptimizer.getClaimingCurve(clientId, options);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Social Security data with a birth date and benefit estimate not found'
+      });
+    }
+
+    res.json({ success: true, data: result });
   } catch (error) {
-    console.error('Chart data error (income vs expenses):', error);
+    console.error('Error calculating claiming curve:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get expense breakdown chart data (Admin only)
-app.get('/api/admin/clients/:clientId/chart-data/expense-breakdown', requireAuth, requireAdmin, async (req, res) => {
+// Claiming curve as a PNG chart (Admin only)
+app.get('/api/admin/clients/:clientId/social-security/claiming-curve/chart', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { clientId } = req.params;
-    const { startDate, endDate } = req.query;
+    const options = pickClaimingCurveOptions(req.query);
 
-    if (!startDate || !endDate) {
-      return res.status(400).json({
+    const validationError = validateClaimingCurveOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const result = await socialSecurityOptimizer.getClaimingCurve(clientId, options);
+
+    if (!result) {
+      return res.status(404).json({
         success: false,
-        error: 'Start date and end date are required'
+        error: 'Social Security data with a birth date and benefit estimate not found'
       });
     }
 
-    const data = await chartDataService.getExpenseBreakdownChart(clientId, startDate, endDate);
+    const chartRenderer = require('./services/chartRenderer');
+    const chart = await chartRenderer.renderClaimingCurveChart(socialSecurityOptimizer.toChartData(result));
 
-    res.json({ success: true, data });
+    res.set('Content-Type', 'image/png');
+    res.send(chart);
   } catch (error) {
-    console.error('Chart data error (expense breakdown):', error);
+    console.error('Error rendering claiming curve chart:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get net worth history chart data (Admin only)
-app.get('/api/admin/clients/:clientId/chart-data/net-worth-history', requireAuth, requireAdmin, async (req, res) => {
+// Provisional income and taxable share of benefits when claiming at an age (Admin only)
+// Query: claimingAge (default full retirement age), otherIncome, taxExemptInterest, filingStatus, inflationRate
+app.get('/api/admin/clients/:clientId/social-security/tax-estimate', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { clientId } = req.params;
-    const { months = 24, includeSocialSecurity = 'false' } = req.query;
+    const taxOptions = pickBenefitTaxOptions(req.query);
+    const inflationRate = req.query.inflationRate !== undefined
+      ? Number(req.query.inflationRate)
+      : socialSecurityOptimizer.DEFAULT_ASSUMPTIONS.inflationRate;
+
+    const validationError = validateBenefitTaxOptions(taxOptions);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    if (!Number.isFinite(inflationRate) || inflationRate < 0 || inflationRate > 0.2) {
+      return res.status(400).json({ success: false, error: 'inflationRate must be between 0 and 0.2' });
+    }
 
-    const data = await chartDataService.getNetWorthHistoryChart(
-      clientId,
-      parseInt(months),
-      includeSocialSecurity === 'true'
+    const profile = await socialSecurityOptimizer.getClaimingProfile(clientId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Social Security data with a birth date and benefit estimate not found'
+      });
+    }
+
+    const claimingAge = req.query.claimingAge !== undefined
+      ? Number(req.query.claimingAge)
+      : Math.round(profile.fraMonths / 12 * 100) / 100;
+    if (!Number.isFinite(claimingAge) || claimingAge < 62 || claimingAge > 70) {
+      return res.status(400).json({ success: false, error: 'claimingAge must be between 62 and 70' });
+    }
+
+    const taxInputs = await socialSecurityTax.getTaxInputs(clientId, taxOptions);
+    const monthlyBenefit = socialSecurityCalculator.calculateBenefitAtAge(
+      profile.pia,
+      profile.fraMonths,
+      Math.round(claimingAge * 12)
     );
+    const currentAge = moment().diff(moment(profile.birthDate), 'years', true);
+    const yearsFromNow = Math.max(0, Math.round(claimingAge - currentAge));
+    const annualBenefit = monthlyBenefit * 12;
+    const taxpayers65OrOlder = claimingAge >= 65 ? (taxInputs.filingStatus === 'married_filing_jointly' ? 2 : 1) : 0;
+
+    const estimate = (years) => socialSecurityTax.estimateBenefitTaxation({
+      ...taxInputs,
+      annualBenefit: annualBenefit * Math.pow(1 + inflationRate, years),
+      taxpayers65OrOlder,
+      yearsFromNow: years,
+      inflationRate
+    });
 
-    res.json({ success: true, data });
+    res.json({
+      success: true,
+      data: {
+        claimingAge,
+        monthlyBenefit,
+        annualBenefit: Math.round(annualBenefit),
+        // First year of benefits if the tax thresholds applied today, and in the claiming year
+        todayDollars: estimate(0),
+        atClaimingAge: { yearsFromNow, ...estimate(yearsFromNow) },
+        taxAssumptions: {
+          filingStatus: taxInputs.filingStatus,
+          otherIncome: taxInputs.otherIncome,
+          taxExemptInterest: taxInputs.taxExemptInterest,
+          otherIncomeSource: taxInputs.source,
+          inflationRate
+        }
+      }
+    });
   } catch (error) {
-    console.error('Chart data error (net worth history):', error);
+    console.error('Error estimating Social Security benefit taxation:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // =============================================================================
-// PDF REPORT GENERATION ROUTES
+// CATEGORIZATION RULES ROUTES
 // =============================================================================
 
-const { ReportGenerator } = require('./services/pdfGenerator');
-const pdfStorageService = require('./services/pdfStorageService');
+const CategorizationRule = require('./models-supabase/CategorizationRule');
+const categorizationRules = require('./services/categorizationRules');
 
-// Generate PDF Report (Admin only)
-app.post('/api/admin/clients/:clientId/generate-report', requireAuth, requireAdmin, async (req, res) => {
+// Only these fields can be set through the rules API
+const CATEGORIZATION_RULE_FIELDS = [
+  'scope', 'advisorId', 'clientId', 'name', 'priority', 'isActive',
+  'merchantPattern', 'amountMin', 'amountMax', 'accountTypes', 'accountSubtypes',
+  'pfcPrimary', 'pfcDetailed', 'category'
+];
+
+function pickRuleFields(body = {}) {
+  const rule = {};
+  CATEGORIZATION_RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) rule[field] = body[field];
+  });
+  return rule;
+}
+
+// List categorization rules (Admin only)
+app.get('/api/admin/categorization-rules', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { clientId } = req.params;
-    const { reportType, params, emailToClient = false } = req.body;
+    const { scope, clientId, advisorId } = req.query;
 
-    // Validate report type
-    const validTypes = ['monthly_cash_flow', 'net_worth', 'annual_summary', 'retirement_projection'];
-    if (!validTypes.includes(reportType)) {
-      return res.status(400).json({ success: false, error: 'Invalid report type' });
-    }
+    const query = {};
+    if (scope) query.scope = scope;
+    if (clientId) query.clientId = clientId;
+    if (advisorId) query.advisorId = advisorId;
 
-    // Fetch client data
-    const Client = require('./models-supabase/Client');
-    const client = await Client.findOne({ clientId });
-    if (!client) {
-      return res.status(404).json({ success: false, error: 'Client not found' });
+    const rules = await CategorizationRule.find(query);
+
+    res.json({ success: true, rules: categorizationRules.sortRules(rules), count: rules.length });
+  } catch (error) {
+    console.error('Error fetching categorization rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a categorization rule (Admin only)
+app.post('/api/admin/categorization-rules', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rule = { scope: 'global', ...pickRuleFields(req.body) };
+
+    const validationError = categorizationRules.validateRule(rule);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
 
-    console.log(`📄 Generating ${reportType} report for client ${client.name}...`);
-    const startTime = Date.now();
+    const created = await CategorizationRule.create({ ...rule, createdBy: req.user.clientId });
 
-    // Generate PDF
-    const generator = new ReportGenerator(client, reportType, params);
-    const pdfBuffer = await generator.generate();
+    logAdminAction('create_categorization_rule', req.user.clientId, rule.clientId || null, req.ip, {
+      ruleId: created.id,
+      scope: created.scope
+    });
 
-    // Determine report date for storage
-    const reportDate = params.month || params.year || moment().format('YYYY-MM');
+    res.json({ success: true, rule: created });
+  } catch (error) {
+    console.error('Error creating categorization rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a categorization rule (Admin only)
+app.put('/api/admin/categorization-rules/:ruleId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const existing = await CategorizationRule.findOne({ id: ruleId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Categorization rule not found' });
+    }
+
+    const updates = pickRuleFields(req.body);
+
+    // A new scope drops the owner fields it doesn't use
+    if (updates.scope && updates.scope !== existing.scope) {
+      if (updates.scope !== 'client' && updates.clientId === undefined) updates.clientId = null;
+      if (updates.scope === 'global' && updates.advisorId === undefined) updates.advisorId = null;
+    }
+
+    // Validate the rule as it will look after the update
+    const validationError = categorizationRules.validateRule({ ...existing, ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updated = await CategorizationRule.update(ruleId, updates);
+
+    logAdminAction('update_categorization_rule', req.user.clientId, updated.clientId || null, req.ip, {
+      ruleId
+    });
+
+    res.json({ success: true, rule: updated });
+  } catch (error) {
+    console.error('Error updating categorization rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a categorization rule (Admin only)
+app.delete('/api/admin/categorization-rules/:ruleId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const existing = await CategorizationRule.findOne({ id: ruleId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Categorization rule not found' });
+    }
+
+    await CategorizationRule.deleteOne({ id: ruleId });
+
+    logAdminAction('delete_categorization_rule', req.user.clientId, existing.clientId || null, req.ip, {
+      ruleId
+    });
+
+    res.json({ success: true, message: 'Categorization rule deleted' });
+  } catch (error) {
+    console.error('Error deleting categorization rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Dry run a rule against a client's last N months of transactions (Admin only)
+// Accepts either an existing ruleId (optionally with edits) or a full rule definition
+app.post('/api/admin/clients/:clientId/categorization-rules/preview', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { ruleId, months = 3 } = req.body;
+
+    let rule = pickRuleFields(req.body.rule || req.body);
+    if (ruleId) {
+      const existing = await CategorizationRule.findOne({ id: ruleId });
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Categorization rule not found' });
+      }
+      rule = { ...existing, ...rule };
+    }
+
+    const validationError = categorizationRules.validateRule({ scope: 'global', ...rule });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const monthCount = Math.min(Math.max(parseInt(months) || 3, 1), 24);
+    const preview = await categorizationRules.previewRule(clientId, rule, monthCount);
+
+    res.json({ success: true, preview });
+  } catch (error) {
+    console.error('Error previewing categorization rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// TRANSFER MATCHING ROUTES
+// =============================================================================
+
+const transferMatcher = require('./services/transferMatcher');
+
+// List internal transfer pairs for a client (Admin only)
+app.get('/api/admin/clients/:clientId/transfers', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { month } = req.query;
+
+    const pairs = await transferMatcher.getTransferPairs(clientId, month || null);
+
+    res.json({ success: true, pairs, count: pairs.length });
+  } catch (error) {
+    console.error('Error fetching transfer pairs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run the transfer matcher for a month (Admin only)
+app.post('/api/admin/clients/:clientId/transfers/match', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { month = moment().format('YYYY-MM'), windowDays } = req.body || {};
+
+    if (!moment(month, 'YYYY-MM', true).isValid()) {
+      return res.status(400).json({ success: false, error: 'month must be in YYYY-MM format' });
+    }
+
+    const options = {};
+    if (windowDays !== undefined) {
+      options.windowDays = Math.min(Math.max(parseInt(windowDays) || transferMatcher.DEFAULT_WINDOW_DAYS, 0), 10);
+    }
+
+    const pairs = await transferMatcher.matchTransfersForMonth(clientId, month, options);
+
+    res.json({ success: true, matched: pairs.length, pairs });
+  } catch (error) {
+    console.error('Error matching transfers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Confirm or break a transfer pair (Admin only)
+// Broken pairs count as regular income/expense again and are never re-matched
+app.post('/api/admin/clients/:clientId/transfers/:pairId/:action', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, pairId, action } = req.params;
+
+    const statuses = { confirm: 'confirmed', break: 'broken' };
+    if (!statuses[action]) {
+      return res.status(400).json({ success: false, error: 'action must be confirm or break' });
+    }
+
+    const transactions = await transferMatcher.setPairStatus(clientId, pairId, statuses[action]);
+    if (!transactions) {
+      return res.status(404).json({ success: false, error: 'Transfer pair not found' });
+    }
+
+    logAdminAction(`${action}_transfer_pair`, req.user.clientId, clientId, req.ip, {
+      transferPairId: pairId
+    });
+
+    res.json({ success: true, transferPairId: pairId, status: statuses[action], transactions });
+  } catch (error) {
+    console.error('Error updating transfer pair:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// RECURRING TRANSACTION ROUTES
+// =============================================================================
+
+const recurringDetector = require('./services/recurringDetector');
+
+// Recurring charges and subscriptions for the logged-in client
+app.get('/api/clients/:clientId/recurring-transactions', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const months = Math.min(Math.max(parseInt(req.query.months) || 13, 3), 36);
+
+    const recurring = await recurringDetector.getRecurringForClient(clientId, { months });
+
+    res.json({ success: true, data: recurring });
+  } catch (error) {
+    console.error('Error detecting recurring transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recurring charges and subscriptions for any client (Admin only)
+app.get('/api/admin/clients/:clientId/recurring-transactions', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const months = Math.min(Math.max(parseInt(req.query.months) || 13, 3), 36);
+
+    const recurring = await recurringDetector.getRecurringForClient(clientId, { months });
+
+    res.json({ success: true, data: recurring });
+  } catch (error) {
+    console.error('Error detecting recurring transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// BUDGET ROUTES
+// =============================================================================
+
+const Budget = require('./models-supabase/Budget');
+const budgetService = require('./services/budgetService');
+
+// Only these fields can be set through the budgets API
+const BUDGET_FIELDS = ['category', 'amount', 'period', 'dueMonth', 'rollover', 'isActive', 'notes'];
+
+function pickBudgetFields(body = {}) {
+  const budget = {};
+  BUDGET_FIELDS.forEach(field => {
+    if (body[field] !== undefined) budget[field] = body[field];
+  });
+  return budget;
+}
+
+// List a client's budgets (Admin only)
+app.get('/api/admin/clients/:clientId/budgets', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const budgets = await Budget.find({ clientId });
+
+    res.json({ success: true, budgets, count: budgets.length });
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a budget for a category (Admin only)
+app.post('/api/admin/clients/:clientId/budgets', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const budget = { period: 'monthly', ...pickBudgetFields(req.body) };
+
+    const validationError = budgetService.validateBudget(budget);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const existing = await Budget.findOne({ clientId, category: budget.category });
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'A budget already exists for this category' });
+    }
+
+    const created = await Budget.create({ ...budget, clientId, createdBy: req.user.clientId });
+
+    logAdminAction('create_budget', req.user.clientId, clientId, req.ip, {
+      budgetId: created.id,
+      category: created.category
+    });
+
+    res.json({ success: true, budget: created });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a budget (Admin only)
+app.put('/api/admin/clients/:clientId/budgets/:budgetId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, budgetId } = req.params;
+
+    const existing = await Budget.findOne({ id: budgetId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Budget not found' });
+    }
+
+    const updates = pickBudgetFields(req.body);
+
+    // Validate the budget as it will look after the update
+    const validationError = budgetService.validateBudget({ ...existing, ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updated = await Budget.update(budgetId, updates);
+
+    logAdminAction('update_budget', req.user.clientId, clientId, req.ip, { budgetId });
+
+    res.json({ success: true, budget: updated });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a budget (Admin only)
+app.delete('/api/admin/clients/:clientId/budgets/:budgetId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, budgetId } = req.params;
+
+    const existing = await Budget.findOne({ id: budgetId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Budget not found' });
+    }
+
+    await Budget.deleteOne({ id: budgetId, clientId });
+
+    logAdminAction('delete_budget', req.user.clientId, clientId, req.ip, {
+      budgetId,
+      category: existing.category
+    });
+
+    res.json({ success: true, message: 'Budget deleted' });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Budget vs actual for a month (Admin only)
+app.get('/api/admin/clients/:clientId/budgets/variance', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { month = moment().format('YYYY-MM') } = req.query;
+
+    if (!moment(month, 'YYYY-MM', true).isValid()) {
+      return res.status(400).json({ success: false, error: 'month must be in YYYY-MM format' });
+    }
+
+    const variance = await budgetService.getBudgetVariance(clientId, month);
+
+    res.json({ success: true, data: variance });
+  } catch (error) {
+    console.error('Error calculating budget variance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Budget vs actual for the logged-in client
+app.get('/api/clients/:clientId/budgets/variance', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const { month = moment().format('YYYY-MM') } = req.query;
+
+    if (!moment(month, 'YYYY-MM', true).isValid()) {
+      return res.status(400).json({ success: false, error: 'month must be in YYYY-MM format' });
+    }
+
+    const variance = await budgetService.getBudgetVariance(clientId, month);
+
+    res.json({ success: true, data: variance });
+  } catch (error) {
+    console.error('Error calculating budget variance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// GOALS ROUTES
+// =============================================================================
+
+const Goal = require('./models-supabase/Goal');
+const goalService = require('./services/goalService');
+
+// Only these fields can be set through the goals API
+const GOAL_FIELDS = [
+  'name', 'goalType', 'targetAmount', 'targetDate', 'priority',
+  'linkedAccounts', 'currentAmount', 'status', 'notes'
+];
+
+function pickGoalFields(body = {}) {
+  const goal = {};
+  GOAL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) goal[field] = body[field];
+  });
+  return goal;
+}
+
+// List the logged-in client's goals with progress
+app.get('/api/clients/:clientId/goals', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+
+    const goals = await goalService.getGoalsWithProgress(clientId, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ success: true, goals, count: goals.length });
+  } catch (error) {
+    console.error('Error fetching goals:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a goal
+app.post('/api/clients/:clientId/goals', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const goal = { goalType: 'custom', ...pickGoalFields(req.body) };
+
+    const validationError = goalService.validateGoal(goal);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const created = await Goal.create({ ...goal, clientId });
+
+    res.json({ success: true, goal: created });
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a goal
+app.put('/api/clients/:clientId/goals/:goalId', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const { goalId } = req.params;
+
+    const existing = await Goal.findOne({ id: goalId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Goal not found' });
+    }
+
+    const updates = pickGoalFields(req.body);
+
+    // Validate the goal as it will look after the update
+    const validationError = goalService.validateGoal({ ...existing, ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updated = await Goal.update(goalId, updates);
+
+    res.json({ success: true, goal: updated });
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a goal
+app.delete('/api/clients/:clientId/goals/:goalId', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const { goalId } = req.params;
+
+    const existing = await Goal.findOne({ id: goalId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Goal not found' });
+    }
+
+    await Goal.deleteOne({ id: goalId, clientId });
+
+    res.json({ success: true, message: 'Goal deleted' });
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List any client's goals with progress (Admin only)
+app.get('/api/admin/clients/:clientId/goals', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const goals = await goalService.getGoalsWithProgress(clientId, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ success: true, goals, count: goals.length });
+  } catch (error) {
+    console.error('Error fetching goals:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// MANUAL INVESTMENT ACCOUNT ROUTES
+// =============================================================================
+
+const InvestmentAccount = require('./models-supabase/InvestmentAccount');
+const AccountSnapshot = require('./models-supabase/AccountSnapshot');
+const manualAccounts = require('./services/manualAccounts');
+const accountProjections = require('./services/accountProjections');
+
+// Only these fields can be set through the investment accounts API; projected
+// snapshots only come from accountProjections
+const INVESTMENT_ACCOUNT_FIELDS = ['accountNickname', 'custodian', 'accountType', 'taxTreatment', 'owner', 'partnerId', 'isActive', 'notes'];
+const ACCOUNT_SNAPSHOT_FIELDS = ['snapshotDate', 'statementDate', 'totalBalance', 'netFlow', 'sourceStatement', 'holdings', 'assetAllocation'];
+
+function pickFields(body = {}, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+}
+
+// Read account list options from a query string
+function parseManualAccountOptions(query) {
+  return {
+    asOfDate: query.asOfDate || null,
+    includeInactive: query.includeInactive === 'true'
+  };
+}
+
+function validateManualAccountOptions(options) {
+  if (options.asOfDate && !moment(options.asOfDate, 'YYYY-MM-DD', true).isValid()) {
+    return 'asOfDate must be YYYY-MM-DD';
+  }
+  return null;
+}
+
+// List manual investment accounts with their latest balances (Admin only)
+// Query: asOfDate=YYYY-MM-DD, includeInactive=true
+app.get('/api/admin/clients/:clientId/investment-accounts', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const options = parseManualAccountOptions(req.query);
+
+    const validationError = validateManualAccountOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const data = await manualAccounts.getManualAccounts(clientId, options);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching investment accounts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a manual investment account (Admin only)
+app.post('/api/admin/clients/:clientId/investment-accounts', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const account = { owner: 'client', ...pickFields(req.body, INVESTMENT_ACCOUNT_FIELDS) };
+
+    const validationError = manualAccounts.validateAccount(account);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const existing = await InvestmentAccount.findOne({ clientId, accountNickname: account.accountNickname });
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'An account with this nickname already exists' });
+    }
+
+    const created = await InvestmentAccount.create({ ...account, clientId });
+
+    logAdminAction('create_investment_account', req.user.clientId, clientId, req.ip, {
+      accountId: created.id,
+      taxTreatment: created.taxTreatment
+    });
+
+    res.json({ success: true, account: created });
+  } catch (error) {
+    console.error('Error creating investment account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a manual investment account (Admin only)
+app.put('/api/admin/clients/:clientId/investment-accounts/:accountId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, accountId } = req.params;
+
+    const existing = await InvestmentAccount.findOne({ id: accountId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Investment account not found' });
+    }
+
+    const updates = pickFields(req.body, INVESTMENT_ACCOUNT_FIELDS);
+
+    // Validate the account as it will look after the update
+    const validationError = manualAccounts.validateAccount({ ...existing, ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    if (updates.accountNickname && updates.accountNickname !== existing.accountNickname) {
+      const duplicate = await InvestmentAccount.findOne({ clientId, accountNickname: updates.accountNickname });
+      if (duplicate) {
+        return res.status(409).json({ success: false, error: 'An account with this nickname already exists' });
+      }
+    }
+
+    const updated = await InvestmentAccount.update(accountId, updates);
+
+    // Deactivating drops the account's projections; reactivating fills them again
+    if (updates.isActive !== undefined && updates.isActive !== existing.isActive) {
+      await accountProjections.projectAccount(updated);
+    }
+
+    logAdminAction('update_investment_account', req.user.clientId, clientId, req.ip, { accountId });
+
+    res.json({ success: true, account: updated });
+  } catch (error) {
+    console.error('Error updating investment account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a manual investment account and its snapshots (Admin only)
+// Closed accounts whose history should stay in net worth are deactivated instead
+app.delete('/api/admin/clients/:clientId/investment-accounts/:accountId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, accountId } = req.params;
+
+    const existing = await InvestmentAccount.findOne({ id: accountId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Investment account not found' });
+    }
+
+    await InvestmentAccount.deleteOne({ id: accountId, clientId });
+
+    logAdminAction('delete_investment_account', req.user.clientId, clientId, req.ip, {
+      accountId,
+      accountNickname: existing.accountNickname
+    });
+
+    res.json({ success: true, message: 'Investment account deleted' });
+  } catch (error) {
+    console.error('Error deleting investment account:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List an account's snapshots, most recent first (Admin only)
+app.get('/api/admin/clients/:clientId/investment-accounts/:accountId/snapshots', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, accountId } = req.params;
+
+    const account = await InvestmentAccount.findOne({ id: accountId, clientId });
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Investment account not found' });
+    }
+
+    const snapshots = await AccountSnapshot.find({ accountId });
+
+    res.json({ success: true, account, snapshots, count: snapshots.length });
+  } catch (error) {
+    console.error('Error fetching account snapshots:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Record an account's balance and holdings for a date, replacing any snapshot
+// on the same date (Admin only)
+app.post('/api/admin/clients/:clientId/investment-accounts/:accountId/snapshots', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, accountId } = req.params;
+
+    const account = await InvestmentAccount.findOne({ id: accountId, clientId });
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Investment account not found' });
+    }
+
+    const fields = pickFields(req.body, ACCOUNT_SNAPSHOT_FIELDS);
+    const validationError = manualAccounts.validateSnapshot(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const snapshot = await AccountSnapshot.upsert(manualAccounts.buildSnapshot(account, fields));
+    // Re-base the projected months around the new actual balance
+    const projection = await accountProjections.projectAccount(account);
+
+    logAdminAction('save_account_snapshot', req.user.clientId, clientId, req.ip, {
+      accountId,
+      snapshotId: snapshot.id,
+      snapshotDate: snapshot.snapshotDate
+    });
+
+    res.json({ success: true, snapshot, projection });
+  } catch (error) {
+    console.error('Error saving account snapshot:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete one snapshot (Admin only)
+app.delete('/api/admin/clients/:clientId/investment-accounts/:accountId/snapshots/:snapshotId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, accountId, snapshotId } = req.params;
+
+    const existing = await AccountSnapshot.findOne({ id: snapshotId, accountId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+
+    await AccountSnapshot.deleteOne({ id: snapshotId, accountId });
+    if (!existing.isProjected) {
+      const account = await InvestmentAccount.findOne({ id: accountId, clientId });
+      await accountProjections.projectAccount(account);
+    }
+
+    logAdminAction('delete_account_snapshot', req.user.clientId, clientId, req.ip, {
+      accountId,
+      snapshotId,
+      snapshotDate: existing.snapshotDate
+    });
+
+    res.json({ success: true, message: 'Snapshot deleted' });
+  } catch (error) {
+    console.error('Error deleting account snapshot:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fill the months between statements with projected snapshots (Admin only)
+// Body: { asOfDate: YYYY-MM-DD (default today), rate: annual rate for months after the last statement }
+app.post('/api/admin/clients/:clientId/investment-accounts/project', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { asOfDate, rate } = req.body || {};
+
+    if (asOfDate && !moment(asOfDate, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ success: false, error: 'asOfDate must be YYYY-MM-DD' });
+    }
+    if (rate !== undefined && rate !== null && (!Number.isFinite(Number(rate)) || Number(rate) <= -1)) {
+      return res.status(400).json({ success: false, error: 'rate must be an annual rate above -1 (0.07 = 7%)' });
+    }
+
+    const results = await accountProjections.projectClientAccounts(clientId, {
+      asOfDate,
+      rate: rate !== undefined && rate !== null ? Number(rate) : undefined
+    });
+
+    logAdminAction('project_investment_accounts', req.user.clientId, clientId, req.ip, { asOfDate, rate });
+
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Error projecting investment accounts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin route: Fill projected snapshots for all clients (for scheduled jobs - requires admin role)
+app.post('/api/admin/project-all-investment-accounts', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { asOfDate } = req.body || {}; // Optional: YYYY-MM-DD format
+
+    if (asOfDate && !moment(asOfDate, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ success: false, error: 'asOfDate must be YYYY-MM-DD' });
+    }
+
+    logAdminAction('project_all_investment_accounts', req.user.clientId, null, req.ip, { asOfDate });
+
+    const results = await accountProjections.projectAllClientsAccounts(asOfDate);
+
+    res.json({
+      success: true,
+      message: 'Manual account projections updated for all clients',
+      results
+    });
+  } catch (error) {
+    console.error('Error projecting investment accounts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List the logged-in client's manual investment accounts
+app.get('/api/clients/:clientId/investment-accounts', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+
+    const options = parseManualAccountOptions(req.query);
+
+    const validationError = validateManualAccountOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const data = await manualAccounts.getManualAccounts(clientId, options);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching investment accounts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// INVESTMENT PERFORMANCE ROUTES
+// =============================================================================
+
+const investmentPerformance = require('./services/investmentPerformance');
+
+// Validate a performance period from a query string (both dates optional)
+function validatePerformancePeriod(query) {
+  for (const field of ['startDate', 'endDate']) {
+    if (query[field] && !moment(query[field], 'YYYY-MM-DD', true).isValid()) {
+      return `${field} must be YYYY-MM-DD`;
+    }
+  }
+  if (query.startDate && query.endDate && query.startDate >= query.endDate) {
+    return 'startDate must be before endDate';
+  }
+  if (query.startDate && !query.endDate && query.startDate >= moment().format('YYYY-MM-DD')) {
+    return 'startDate must be before today';
+  }
+  return null;
+}
+
+// Time- and money-weighted returns per account, tax bucket and household (Admin only)
+// Query: startDate=YYYY-MM-DD (default January 1), endDate=YYYY-MM-DD (default today)
+app.get('/api/admin/clients/:clientId/investment-performance', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const validationError = validatePerformancePeriod(req.query);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const data = await investmentPerformance.getInvestmentPerformance(clientId, {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error calculating investment performance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the logged-in client's investment performance
+app.get('/api/clients/:clientId/investment-performance', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+
+    const validationError = validatePerformancePeriod(req.query);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const data = await investmentPerformance.getInvestmentPerformance(clientId, {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error calculating investment performance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// TARGET ALLOCATION ROUTES
+// =============================================================================
+
+const TargetAllocation = require('./models-supabase/TargetAllocation');
+const rebalancingPlanner = require('./services/rebalancingPlanner');
+
+// Only these fields can be set through the target allocation API
+const TARGET_ALLOCATION_FIELDS = ['modelName', 'allocation', 'questionnaire', 'driftThreshold', 'notes'];
+
+// Built-in allocation models and the risk questionnaire (Admin only)
+app.get('/api/admin/target-allocation-models', requireAuth, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    assetClasses: rebalancingPlanner.ASSET_CLASSES,
+    models: rebalancingPlanner.MODEL_PORTFOLIOS,
+    questionnaire: rebalancingPlanner.RISK_QUESTIONNAIRE,
+    defaultDriftThreshold: rebalancingPlanner.DEFAULT_DRIFT_THRESHOLD
+  });
+});
+
+// Get a client's target allocation (Admin only)
+app.get('/api/admin/clients/:clientId/target-allocation', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const targetAllocation = await TargetAllocation.findOne({ clientId });
+
+    res.json({ success: true, targetAllocation });
+  } catch (error) {
+    console.error('Error fetching target allocation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set a client's target allocation (Admin only)
+// Body: { modelName } for a built-in model, { allocation: { assetClass: percent }, modelName? } for a
+// custom one, or { questionnaire: { questionId: score } } to pick a model from risk answers;
+// plus optional driftThreshold (percentage points) and notes
+app.put('/api/admin/clients/:clientId/target-allocation', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const fields = pickFields(req.body, TARGET_ALLOCATION_FIELDS);
+
+    const validationError = rebalancingPlanner.validateTargetAllocation(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const targetAllocation = await TargetAllocation.upsert({
+      ...rebalancingPlanner.buildTargetAllocation(fields),
+      clientId
+    });
+
+    logAdminAction('set_target_allocation', req.user.clientId, clientId, req.ip, {
+      modelName: targetAllocation.modelName,
+      source: targetAllocation.source
+    });
+
+    res.json({ success: true, targetAllocation });
+  } catch (error) {
+    console.error('Error saving target allocation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a client's target allocation (Admin only)
+app.delete('/api/admin/clients/:clientId/target-allocation', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const existing = await TargetAllocation.findOne({ clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'No target allocation set for this client' });
+    }
+
+    await TargetAllocation.deleteOne({ clientId });
+
+    logAdminAction('delete_target_allocation', req.user.clientId, clientId, req.ip, {
+      modelName: existing.modelName
+    });
+
+    res.json({ success: true, message: 'Target allocation deleted' });
+  } catch (error) {
+    console.error('Error deleting target allocation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Drift from target and rebalancing trades by tax bucket (Admin only)
+app.get('/api/admin/clients/:clientId/rebalancing', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const plan = await rebalancingPlanner.getRebalancingPlan(clientId);
+    if (!plan) {
+      return res.status(404).json({ success: false, error: 'No target allocation set for this client' });
+    }
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Error building rebalancing plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the logged-in client's drift from target and rebalancing trades
+app.get('/api/clients/:clientId/rebalancing', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+
+    const plan = await rebalancingPlanner.getRebalancingPlan(clientId);
+    if (!plan) {
+      return res.status(404).json({ success: false, error: 'No target allocation set yet' });
+    }
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('Error building rebalancing plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// CONTRIBUTION PACING ROUTES
+// =============================================================================
+
+const contributionTracker = require('./services/contributionTracker');
+
+function pickPacingOptions(query = {}) {
+  const options = {};
+  if (query.taxYear !== undefined && query.taxYear !== '') options.taxYear = Number(query.taxYear);
+  if (query.hsaCoverage) options.hsaCoverage = query.hsaCoverage;
+  if (query.matchLimitPercent !== undefined && query.matchLimitPercent !== '') {
+    options.matchLimitPercent = Number(query.matchLimitPercent);
+  }
+  return options;
+}
+
+function validatePacingOptions(options) {
+  if (options.taxYear !== undefined && !Number.isInteger(options.taxYear)) {
+    return 'taxYear must be a year';
+  }
+  if (options.hsaCoverage && !contributionTracker.HSA_COVERAGE_TYPES.includes(options.hsaCoverage)) {
+    return `hsaCoverage must be one of: ${contributionTracker.HSA_COVERAGE_TYPES.join(', ')}`;
+  }
+  if (options.matchLimitPercent !== undefined &&
+      (!Number.isFinite(options.matchLimitPercent) || options.matchLimitPercent < 0 || options.matchLimitPercent > 100)) {
+    return 'matchLimitPercent must be between 0 and 100';
+  }
+  return null;
+}
+
+// Year-end 401(k)/HSA contribution pacing from the logged-in client's paystubs
+app.get('/api/clients/:clientId/contribution-pacing', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const options = pickPacingOptions(req.query);
+
+    const validationError = validatePacingOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const pacing = await contributionTracker.getContributionPacing(clientId, options);
+
+    res.json({ success: true, pacing });
+  } catch (error) {
+    console.error('Error calculating contribution pacing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Contribution pacing for any client (Admin only)
+app.get('/api/admin/clients/:clientId/contribution-pacing', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const options = pickPacingOptions(req.query);
+
+    const validationError = validatePacingOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const pacing = await contributionTracker.getContributionPacing(clientId, options);
+
+    res.json({ success: true, pacing });
+  } catch (error) {
+    console.error('Error calculating contribution pacing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// WITHHOLDING PROJECTION ROUTES
+// =============================================================================
+
+const withholdingProjection = require('./services/withholdingProjection');
+
+const WITHHOLDING_AMOUNT_FIELDS = ['otherIncome', 'otherWithholding', 'credits'];
+
+function pickWithholdingOptions(query = {}) {
+  const options = {};
+  if (query.taxYear !== undefined && query.taxYear !== '') options.taxYear = Number(query.taxYear);
+  if (query.filingStatus) options.filingStatus = query.filingStatus;
+  WITHHOLDING_AMOUNT_FIELDS.forEach(field => {
+    if (query[field] === undefined || query[field] === '') return;
+    options[field] = Number(query[field]);
+  });
+  return options;
+}
+
+function validateWithholdingOptions(options) {
+  if (options.taxYear !== undefined && !Number.isInteger(options.taxYear)) {
+    return 'taxYear must be a year';
+  }
+  if (options.filingStatus && !FILING_STATUSES.includes(options.filingStatus)) {
+    return `filingStatus must be one of: ${FILING_STATUSES.join(', ')}`;
+  }
+  for (const field of WITHHOLDING_AMOUNT_FIELDS) {
+    if (options[field] !== undefined && (!Number.isFinite(options[field]) || options[field] < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Project year-end federal tax, refund or balance due and a W-4 adjustment from paystubs (Admin only)
+app.get('/api/admin/clients/:clientId/withholding-projection', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const options = pickWithholdingOptions(req.query);
+
+    const validationError = validateWithholdingOptions(options);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const projection = await withholdingProjection.getWithholdingProjection(clientId, options);
+    if (!projection) {
+      return res.status(404).json({ success: false, error: 'No paystubs for this tax year' });
+    }
+
+    res.json({ success: true, projection });
+  } catch (error) {
+    console.error('Error projecting withholding:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// DEBT PLANNER ROUTES
+// =============================================================================
+
+const Debt = require('./models-supabase/Debt');
+const debtPlanner = require('./services/debtPlanner');
+
+// Only these fields can be set through the debts API
+const DEBT_FIELDS = ['name', 'debtType', 'balance', 'apr', 'minimumPayment', 'plaidAccountId', 'payoffOrder', 'isActive', 'notes'];
+
+function pickDebtFields(body = {}) {
+  const debt = {};
+  DEBT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) debt[field] = body[field];
+  });
+  return debt;
+}
+
+// Read debt plan options from a query string
+function parseDebtPlanOptions(query) {
+  const { strategy = 'avalanche', extraPayment = 0, customOrder = '', includeMortgage = 'true' } = query;
+  return {
+    strategy,
+    extraPayment: parseFloat(extraPayment) || 0,
+    customOrder: customOrder ? customOrder.split(',').map(key => key.trim()).filter(Boolean) : [],
+    includeMortgage: includeMortgage !== 'false'
+  };
+}
+
+// List a client's liabilities: Plaid-linked and manual (Admin only)
+app.get('/api/admin/clients/:clientId/debts', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const [debts, manualEntries] = await Promise.all([
+      debtPlanner.getDebtsForClient(clientId),
+      Debt.find({ clientId })
+    ]);
+
+    res.json({ success: true, debts, manualEntries, count: debts.length });
+  } catch (error) {
+    console.error('Error fetching debts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a manual debt, or override values of a Plaid-linked one (Admin only)
+app.post('/api/admin/clients/:clientId/debts', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const debt = { debtType: 'other', ...pickDebtFields(req.body) };
+
+    const validationError = debtPlanner.validateDebt(debt);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    if (debt.plaidAccountId) {
+      const existing = await Debt.findOne({ clientId, plaidAccountId: debt.plaidAccountId });
+      if (existing) {
+        return res.status(409).json({ success: false, error: 'An override already exists for this account' });
+      }
+    }
+
+    const created = await Debt.create({ ...debt, clientId, createdBy: req.user.clientId });
+
+    logAdminAction('create_debt', req.user.clientId, clientId, req.ip, {
+      debtId: created.id,
+      plaidAccountId: created.plaidAccountId
+    });
+
+    res.json({ success: true, debt: created });
+  } catch (error) {
+    console.error('Error creating debt:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a manual debt or override (Admin only)
+app.put('/api/admin/clients/:clientId/debts/:debtId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, debtId } = req.params;
+
+    const existing = await Debt.findOne({ id: debtId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Debt not found' });
+    }
+
+    const updates = pickDebtFields(req.body);
+
+    // Validate the debt as it will look after the update
+    const validationError = debtPlanner.validateDebt({ ...existing, ...updates });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const updated = await Debt.update(debtId, updates);
+
+    logAdminAction('update_debt', req.user.clientId, clientId, req.ip, { debtId });
+
+    res.json({ success: true, debt: updated });
+  } catch (error) {
+    console.error('Error updating debt:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a manual debt or override (Admin only)
+app.delete('/api/admin/clients/:clientId/debts/:debtId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, debtId } = req.params;
+
+    const existing = await Debt.findOne({ id: debtId, clientId });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Debt not found' });
+    }
+
+    await Debt.deleteOne({ id: debtId, clientId });
+
+    logAdminAction('delete_debt', req.user.clientId, clientId, req.ip, {
+      debtId,
+      name: existing.name
+    });
+
+    res.json({ success: true, message: 'Debt deleted' });
+  } catch (error) {
+    console.error('Error deleting debt:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Simulate a debt payoff plan (Admin only)
+// Query: strategy=avalanche|snowball|custom, extraPayment, customOrder=key,key, includeMortgage
+app.get('/api/admin/clients/:clientId/debt-plan', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const options = parseDebtPlanOptions(req.query);
+
+    if (!['avalanche', 'snowball', 'custom'].includes(options.strategy)) {
+      return res.status(400).json({ success: false, error: 'strategy must be avalanche, snowball or custom' });
+    }
+
+    const plan = await debtPlanner.getDebtPlan(clientId, options);
+
+    res.json({ success: true, data: { ...plan, chart: debtPlanner.toChartData(plan) } });
+  } catch (error) {
+    console.error('Error building debt plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Simulate a debt payoff plan for the logged-in client
+app.get('/api/clients/:clientId/debt-plan', requireAuth, ensureClientOwnership, async (req, res) => {
+  try {
+    // Derive clientId exclusively from authenticated JWT
+    const clientId = req.user.clientId;
+    const options = parseDebtPlanOptions(req.query);
+
+    if (!['avalanche', 'snowball', 'custom'].includes(options.strategy)) {
+      return res.status(400).json({ success: false, error: 'strategy must be avalanche, snowball or custom' });
+    }
+
+    const plan = await debtPlanner.getDebtPlan(clientId, options);
+
+    res.json({ success: true, data: { ...plan, chart: debtPlanner.toChartData(plan) } });
+  } catch (error) {
+    console.error('Error building debt plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// RETIREMENT PROJECTION ROUTES
+// =============================================================================
+
+const retirementSimulator = require('./services/retirementSimulator');
+const withdrawalPlanner = require('./services/withdrawalPlanner');
+const federalTax = require('./services/federalTax');
+
+// Query parameters that may override stored inputs or default assumptions
+const RETIREMENT_OVERRIDE_FIELDS = [
+  'currentAge', 'annualSpending', 'socialSecurityMonthly',
+  ...Object.keys(retirementSimulator.DEFAULT_ASSUMPTIONS)
+];
+
+function pickRetirementOverrides(query = {}) {
+  const overrides = {};
+  RETIREMENT_OVERRIDE_FIELDS.forEach(field => {
+    if (query[field] === undefined || query[field] === '') return;
+    overrides[field] = Number(query[field]);
+  });
+  return overrides;
+}
+
+// Plausible [min, max] per override; keeps a stray endAge from sizing the simulation
+const RETIREMENT_OVERRIDE_RANGES = {
+  currentAge: [0, retirementSimulator.MAX_AGE],
+  retirementAge: [0, retirementSimulator.MAX_AGE],
+  endAge: [0, retirementSimulator.MAX_AGE],
+  socialSecurityClaimAge: [62, 70],
+  annualSpending: [0, 100000000],
+  socialSecurityMonthly: [0, 100000],
+  meanReturn: [-0.5, 0.5],
+  returnVolatility: [0, 1],
+  meanInflation: [-0.1, 0.2],
+  inflationVolatility: [0, 0.2],
+  effectiveTaxRate: [0, 1],
+  simulations: [1, retirementSimulator.MAX_SIMULATIONS],
+  realReturn: [-0.5, 0.5],
+  taxableGainShare: [0, 1],
+  deferredLiquidationTaxRate: [0, 1]
+};
+
+/**
+ * Validate retirement projection overrides
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRetirementOverrides(overrides) {
+  for (const [field, value] of Object.entries(overrides)) {
+    if (!Number.isFinite(value)) return `${field} must be a number`;
+
+    const range = RETIREMENT_OVERRIDE_RANGES[field];
+    if (range && (value < range[0] || value > range[1])) {
+      return `${field} must be between ${range[0]} and ${range[1]}`;
+    }
+  }
+
+  const { currentAge, retirementAge, endAge } = overrides;
+  if (currentAge !== undefined && retirementAge !== undefined && currentAge >= retirementAge) {
+    return 'currentAge must be less than retirementAge';
+  }
+  if (retirementAge !== undefined && endAge !== undefined && retirementAge > endAge) {
+    return 'retirementAge must not be after endAge';
+  }
+  if (currentAge !== undefined && endAge !== undefined && currentAge >= endAge) {
+    return 'currentAge must be less than endAge';
+  }
+
+  return null;
+}
+
+// Run a Monte Carlo retirement projection (Admin only)
+app.get('/api/admin/clients/:clientId/retirement-projection', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const overrides = pickRetirementOverrides(req.query);
+
+    const validationError = validateRetirementOverrides(overrides);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const projection = await retirementSimulator.projectRetirement(clientId, overrides);
+
+    res.json({ success: true, data: projection });
+  } catch (error) {
+    console.error('Error running retirement projection:', error);
+    // Missing birth date or spending history is a data problem, not a server error
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare tax-aware withdrawal strategies (Admin only)
+// Query: retirement projection overrides plus filingStatus, targetBracket, realReturn,
+// taxableGainShare, deferredLiquidationTaxRate
+app.get('/api/admin/clients/:clientId/withdrawal-plan', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { filingStatus, targetBracket } = req.query;
+
+    if (filingStatus && !federalTax.FILING_STATUSES.includes(filingStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: `filingStatus must be one of: ${federalTax.FILING_STATUSES.join(', ')}`
+      });
+    }
+    if (targetBracket && ![0.10, 0.12, 0.22, 0.24, 0.32, 0.35].includes(Number(targetBracket))) {
+      return res.status(400).json({ success: false, error: 'targetBracket must be a bracket rate such as 0.22' });
+    }
+
+    const overrides = pickRetirementOverrides(req.query);
+    Object.keys(withdrawalPlanner.DEFAULT_OPTIONS).forEach(field => {
+      if (req.query[field] !== undefined && req.query[field] !== '') overrides[field] = Number(req.query[field]);
+    });
+
+    const validationError = validateRetirementOverrides(overrides);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    if (filingStatus) overrides.filingStatus = filingStatus;
+
+    const plan = await withdrawalPlanner.getWithdrawalPlan(clientId, overrides);
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Error building withdrawal plan:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// CHART DATA ROUTES
+// =============================================================================
+
+const chartDataService = require('./services/chartDataService');
+
+// Get expenses by category chart data (Admin only)
+app.get('/api/admin/clients/:clientId/chart-data/expenses-by-category', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { months = 12 } = req.query;
+
+    const data = await chartDataService.getExpensesByCategoryChart(clientId, parseInt(months));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Chart data error (expenses by category):', error);
+    res.status(500).json({ success: false, error: 'Failed to generate chart data' });
+  }
+});
+
+// Get income vs expenses chart data (Admin only)
+app.get('/api/admin/clients/:clientId/chart-data/income-vs-expenses', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { months = 12 } = req.query;
+
+    const data = await chartDataService.getIncomeVsExpensesChart(clientId, parseInt(months));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Chart data error (income vs expenses):', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get expense breakdown chart data (Admin only)
+app.get('/api/admin/clients/:clientId/chart-data/expense-breakdown', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date and end date are required'
+      });
+    }
+
+    const data = await chartDataService.getExpenseBreakdownChart(clientId, startDate, endDate);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Chart data error (expense breakdown):', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get net worth history chart data (Admin only)
+app.get('/api/admin/clients/:clientId/chart-data/net-worth-history', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { months = 24, includeSocialSecurity = 'false' } = req.query;
+
+    const data = await chartDataService.getNetWorthHistoryChart(
+      clientId,
+      parseInt(months),
+      includeSocialSecurity === 'true'
+    );
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Chart data error (net worth history):', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get budget vs actual chart data (Admin only)
+app.get('/api/admin/clients/:clientId/chart-data/budget-variance', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { month = moment().format('YYYY-MM') } = req.query;
+
+    if (!moment(month, 'YYYY-MM', true).isValid()) {
+      return res.status(400).json({ success: false, error: 'month must be in YYYY-MM format' });
+    }
+
+    const data = await chartDataService.getBudgetVarianceChart(clientId, month);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Chart data error (budget variance):', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =============================================================================
+// PDF REPORT GENERATION ROUTES
+// =============================================================================
+
+const { ReportGenerator } = require('./services/pdfGenerator');
+const pdfStorageService = require('./services/pdfStorageService');
+
+// Generate PDF Report (Admin only)
+app.post('/api/admin/clients/:clientId/generate-report', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { reportType, params, emailToClient = false } = req.body;
+
+    // Validate report type
+    const validTypes = ['monthly_cash_flow', 'net_worth', 'annual_summary', 'retirement_projection', 'debt_payoff'];
+    if (!validTypes.includes(reportType)) {
+      return res.status(400).json({ success: false, error: 'Invalid report type' });
+    }
+
+    // Fetch client data
+    const Client = require('./models-supabase/Client');
+    const client = await Client.findOne({ clientId });
+    if (!client) {
+      return res.status(404).json({ success: false, error: 'Client not found' });
+    }
+
+    console.log(`📄 Generating ${reportType} report for client ${client.name}...`);
+    const startTime = Date.now();
+
+    // Generate PDF
+    const generator = new ReportGenerator(client, reportType, params);
+    const pdfBuffer = await generator.generate();
+
+    // Determine report date for storage
+    const reportDate = params.month || params.year || moment().format('YYYY-MM');
 
     // Upload to Supabase Storage
     const { filePath, filename } = await pdfStorageService.uploadPDF(
@@ -1592,6 +3619,12 @@ app.put('/api/clients/:clientId/profile', requireAuth, ensureClientOwnership, as
 // DOCUMENT UPLOAD & OCR ROUTES
 // =============================================================================
 
+const Paystub = require('./models-supabase/Paystub');
+const paystubService = require('./services/paystubService');
+const investmentStatementService = require('./services/investmentStatementService');
+const ocrService = require('./services/ocrService');
+const bankStatementService = require('./services/bankStatementService');
+
 // Create document record after file upload to Supabase Storage
 app.post('/api/clients/:clientId/upload-statement', requireAuth, ensureClientOwnership, async (req, res) => {
   try {
@@ -1625,15 +3658,37 @@ app.post('/api/clients/:clientId/upload-statement', requireAuth, ensureClientOwn
       return res.status(500).json({ error: 'Failed to create document record' });
     }
 
-    logSecurityEvent('document_uploaded', clientId, req.ip, {
-      documentId: data.id,
-      filename,
-      accountType
-    });
-
+    logSecurityEvent('document_uploaded', clientId, req.ip, {
+      documentId: data.id,
+      filename,
+      accountType
+    });
+
+    // Investment, bank and card statements with a text layer are parsed right
+    // away; anything the parsers can't read stays pending for the admin
+    let document = data;
+    const parseOnUpload = accountType === investmentStatementService.INVESTMENT_DOCUMENT_TYPE
+      ? investmentStatementService.parseInvestmentDocument
+      : bankStatementService.isBankDocument(data) ? bankStatementService.parseBankStatementDocument : null;
+    if (parseOnUpload && fileType === 'pdf') {
+      try {
+        const ocrData = await parseOnUpload(data);
+        const { data: parsed, error: parseSaveError } = await supabase
+          .from('documents')
+          .update({ ocr_data: ocrData, status: 'processed', processed_at: new Date().toISOString() })
+          .eq('id', data.id)
+          .select()
+          .single();
+        if (parseSaveError) throw parseSaveError;
+        document = parsed;
+      } catch (parseError) {
+        console.warn(`Statement ${data.id} left for review: ${parseError.message}`);
+      }
+    }
+
     res.json({
       success: true,
-      document: data
+      document
     });
   } catch (error) {
     console.error('Upload statement error:', error);
@@ -1680,7 +3735,8 @@ app.get('/api/clients/:clientId/statements', requireAuth, ensureClientOwnership,
   }
 });
 
-// Process OCR for a document (Admin only)
+// Queue local OCR for a document (Admin only)
+// Responds right away; the document moves to processing, then processed or failed
 app.post('/api/admin/statements/:documentId/process-ocr', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { documentId } = req.params;
@@ -1696,65 +3752,35 @@ app.post('/api/admin/statements/:documentId/process-ocr', requireAuth, requireAd
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Update status to processing
-    const { error: updateError } = await supabase
-      .from('documents')
-      .update({ status: 'processing' })
-      .eq('id', documentId);
-
-    if (updateError) {
-      console.error('Error updating document status:', updateError);
-      return res.status(500).json({ error: 'Failed to update document status' });
+    if (document.status === 'approved' || document.status === 'rejected') {
+      return res.status(400).json({ error: `Document is already ${document.status}` });
     }
 
-    // Call Python OCR script or use OCR service
-    // For now, we'll simulate OCR processing
-    // In production, you would call your Python script like this:
-    /*
-    const { spawn } = require('child_process');
-    const pythonProcess = spawn('python3', ['scripts/ocr_processor.py', document.file_path]);
+    if (document.file_type === 'csv') {
+      return res.status(400).json({ error: 'CSV files have no images to OCR' });
+    }
 
-    let ocrDataBuffer = '';
-    pythonProcess.stdout.on('data', (data) => {
-      ocrDataBuffer += data.toString();
-    });
+    let queuePosition;
+    try {
+      queuePosition = await ocrService.queueDocumentOcr(document, req.user.clientId);
+    } catch (queueError) {
+      return res.status(503).json({ error: queueError.message });
+    }
 
-    pythonProcess.on('close', async (code) => {
-      if (code === 0) {
-        const ocrData = JSON.parse(ocrDataBuffer);
-        // Update document with OCR data
-        const { error: updateError } = await supabase
-          .from('documents')
-          .update({
-            ocr_data: ocrData,
-            status: 'processed',
-            processed_at: new Date().toISOString(),
-            processed_by: req.user.clientId
-          })
-          .eq('id', documentId);
-
-        if (!updateError && ocrData.transactions && ocrData.transactions.length > 0) {
-          // Automatically extract transactions from OCR data
-          // This will be handled by calling the extract-transactions endpoint
-          // or you can call the extraction logic directly here
-        }
-      }
-    });
-    */
-    
-    // Note: After OCR processing completes and ocr_data is saved,
-    // you should call POST /api/admin/statements/:documentId/extract-transactions
-    // to automatically extract and save transactions to the database
+    // Note: bank and card statements still need
+    // POST /api/admin/statements/:documentId/extract-transactions after review
 
     logSecurityEvent('ocr_processing_started', req.user.clientId, req.ip, {
       documentId,
-      filename: document.filename
+      filename: document.filename,
+      queuePosition
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'OCR processing started',
-      documentId
+      message: queuePosition > 0 ? `OCR queued behind ${queuePosition} document(s)` : 'OCR processing started',
+      documentId,
+      queuePosition
     });
   } catch (error) {
     console.error('Process OCR error:', error);
@@ -1762,6 +3788,11 @@ app.post('/api/admin/statements/:documentId/process-ocr', requireAuth, requireAd
   }
 });
 
+// Documents waiting for OCR (Admin only)
+app.get('/api/admin/ocr-queue', requireAuth, requireAdmin, (req, res) => {
+  res.json({ success: true, ...ocrService.getQueueStatus() });
+});
+
 // Update OCR data for a document (Admin only - for manual corrections)
 app.put('/api/admin/statements/:documentId/ocr-data', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -1823,6 +3854,79 @@ app.post('/api/admin/statements/:documentId/approve', requireAuth, requireAdmin,
       return res.status(400).json({ error: 'No OCR data available for this document' });
     }
 
+    // Paystubs are written to the paystubs table instead of balance sheets
+    if (document.account_type === paystubService.PAYSTUB_DOCUMENT_TYPE) {
+      const validationError = paystubService.validatePaystub(document.ocr_data.paystub);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { paystub, warnings } = await paystubService.savePaystubFromDocument(document, req.user.clientId);
+
+      const { error: paystubStatusError } = await supabase
+        .from('documents')
+        .update({
+          status: 'approved',
+          processed_at: new Date().toISOString(),
+          processed_by: req.user.clientId
+        })
+        .eq('id', documentId);
+
+      if (paystubStatusError) {
+        console.error('Error updating document status:', paystubStatusError);
+        return res.status(500).json({ error: 'Failed to update document status' });
+      }
+
+      logSecurityEvent('document_approved', req.user.clientId, req.ip, {
+        documentId,
+        paystubId: paystub.id
+      });
+
+      return res.json({
+        success: true,
+        message: 'Paystub approved and saved',
+        paystub,
+        warnings
+      });
+    }
+
+    // Parsed investment statements become account_snapshots rows
+    if (document.ocr_data.documentType === investmentStatementService.INVESTMENT_STATEMENT_DATA_TYPE) {
+      const validationError = investmentStatementService.validateStatement(document.ocr_data);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { account, snapshot } = await investmentStatementService.saveSnapshotFromDocument(document);
+
+      const { error: snapshotStatusError } = await supabase
+        .from('documents')
+        .update({
+          status: 'approved',
+          processed_at: new Date().toISOString(),
+          processed_by: req.user.clientId
+        })
+        .eq('id', documentId);
+
+      if (snapshotStatusError) {
+        console.error('Error updating document status:', snapshotStatusError);
+        return res.status(500).json({ error: 'Failed to update document status' });
+      }
+
+      logSecurityEvent('document_approved', req.user.clientId, req.ip, {
+        documentId,
+        accountId: account.id,
+        snapshotId: snapshot.id
+      });
+
+      return res.json({
+        success: true,
+        message: 'Statement approved and account snapshot saved',
+        account,
+        snapshot
+      });
+    }
+
     // Extract account data from OCR
     const ocrData = document.ocr_data;
     const balanceSheetEntries = [];
@@ -1939,6 +4043,19 @@ app.post('/api/admin/statements/:documentId/extract-transactions', requireAuth,
       });
     }
 
+    // Statements whose transactions don't add up to the closing balance need
+    // an explicit { force: true } once the admin has checked them
+    if (ocrData.flagged && !(req.body && req.body.force)) {
+      return res.status(409).json({
+        error: 'Statement transactions do not reconcile with its balances. Review them, then extract with force.',
+        reconciliation: ocrData.reconciliation
+      });
+    }
+
+    // Load the client's categorization rules once for the whole statement
+    const TransactionProcessor = require('./services/transactionProcessor');
+    const rules = await categorizationRules.getRulesForClient(clientId);
+
     // Process each transaction
     for (const ocrTransaction of ocrData.transactions) {
       try {
@@ -1955,14 +4072,16 @@ app.post('/api/admin/statements/:documentId/extract-transactions', requireAuth,
         // This helps prevent duplicates
         const transactionId = `${clientId}_${transactionDate.toISOString()}_${ocrTransaction.amount}_${ocrTransaction.description?.substring(0, 20) || ''}`;
 
-        // Categorize transaction using TransactionProcessor
-        const TransactionProcessor = require('./services/transactionProcessor');
+        // Categorize transaction using the same rules as the Plaid sync path
         const categorized = TransactionProcessor.categorizeTransaction({
           amount: ocrTransaction.amount,
           name: ocrTransaction.description || ocrTransaction.name || '',
           merchant_name: ocrTransaction.merchant,
           category: ocrTransaction.category || []
-        }, accountType);
+        }, accountType, {
+          rules,
+          accountSubtype: ocrTransaction.accountSubtype || null
+        });
 
         // Prepare transaction data
         const transactionData = {
@@ -2100,6 +4219,263 @@ app.post('/api/admin/statements/:documentId/reject', requireAuth, requireAdmin,
   }
 });
 
+// Parse an uploaded paystub PDF into ocr_data for review (Admin only)
+// Body: { layout } to force a payroll layout (adp, line_items)
+app.post('/api/admin/statements/:documentId/parse-paystub', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { layout } = req.body || {};
+
+    if (layout && !paystubService.LAYOUTS.some(l => l.id === layout)) {
+      return res.status(400).json({
+        error: `layout must be one of: ${paystubService.LAYOUTS.map(l => l.id).join(', ')}`
+      });
+    }
+
+    const { data: document, error: fetchError } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('id', documentId)
+      .single();
+
+    if (fetchError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (document.account_type !== paystubService.PAYSTUB_DOCUMENT_TYPE) {
+      return res.status(400).json({ error: 'Document is not a paystub' });
+    }
+
+    if (document.status === 'approved' || document.status === 'rejected') {
+      return res.status(400).json({ error: `Document is already ${document.status}` });
+    }
+
+    let ocrData;
+    try {
+      ocrData = await paystubService.parsePaystubDocument(document, { layout });
+    } catch (parseError) {
+      return res.status(422).json({ error: parseError.message });
+    }
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({
+        ocr_data: ocrData,
+        status: 'processed',
+        processed_at: new Date().toISOString(),
+        processed_by: req.user.clientId
+      })
+      .eq('id', documentId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving parsed paystub:', error);
+      return res.status(500).json({ error: 'Failed to save parsed paystub' });
+    }
+
+    logSecurityEvent('paystub_parsed', req.user.clientId, req.ip, {
+      documentId,
+      layout: ocrData.layout,
+      warnings: ocrData.warnings.length
+    });
+
+    res.json({
+      success: true,
+      document: data
+    });
+  } catch (error) {
+    console.error('Parse paystub error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Extract transactions from an uploaded bank or credit card statement PDF
+// into ocr_data for review (Admin only)
+app.post('/api/admin/statements/:documentId/parse-transactions', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    const { data: document, error: fetchError } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('id', documentId)
+      .single();
+
+    if (fetchError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!bankStatementService.isBankDocument(document)) {
+      return res.status(400).json({ error: 'Document is not a bank or credit card statement' });
+    }
+
+    if (document.status === 'approved' || document.status === 'rejected') {
+      return res.status(400).json({ error: `Document is already ${document.status}` });
+    }
+
+    let ocrData;
+    try {
+      ocrData = await bankStatementService.parseBankStatementDocument(document);
+    } catch (parseError) {
+      return res.status(422).json({ error: parseError.message });
+    }
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({
+        ocr_data: ocrData,
+        status: 'processed',
+        processed_at: new Date().toISOString(),
+        processed_by: req.user.clientId
+      })
+      .eq('id', documentId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving parsed statement:', error);
+      return res.status(500).json({ error: 'Failed to save parsed statement' });
+    }
+
+    logSecurityEvent('statement_transactions_parsed', req.user.clientId, req.ip, {
+      documentId,
+      transactions: ocrData.transactions.length,
+      flagged: ocrData.flagged
+    });
+
+    res.json({
+      success: true,
+      document: data
+    });
+  } catch (error) {
+    console.error('Parse statement transactions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the custodian statement parsers (Admin only)
+app.get('/api/admin/statement-parsers', requireAuth, requireAdmin, (req, res) => {
+  res.json({ success: true, parsers: investmentStatementService.listParsers() });
+});
+
+// Parse an uploaded investment statement PDF into ocr_data for review (Admin only)
+// Body: { parser } to force a custodian parser instead of detecting it
+app.post('/api/admin/statements/:documentId/parse-investment', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { parser } = req.body || {};
+
+    const parsers = investmentStatementService.listParsers();
+    if (parser && !parsers.some(p => p.id === parser)) {
+      return res.status(400).json({
+        error: `parser must be one of: ${parsers.map(p => p.id).join(', ')}`
+      });
+    }
+
+    const { data: document, error: fetchError } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('id', documentId)
+      .single();
+
+    if (fetchError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (document.account_type !== investmentStatementService.INVESTMENT_DOCUMENT_TYPE) {
+      return res.status(400).json({ error: 'Document is not an investment statement' });
+    }
+
+    if (document.status === 'approved' || document.status === 'rejected') {
+      return res.status(400).json({ error: `Document is already ${document.status}` });
+    }
+
+    let ocrData;
+    try {
+      ocrData = await investmentStatementService.parseInvestmentDocument(document, { parser });
+    } catch (parseError) {
+      return res.status(422).json({ error: parseError.message });
+    }
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({
+        ocr_data: ocrData,
+        status: 'processed',
+        processed_at: new Date().toISOString(),
+        processed_by: req.user.clientId
+      })
+      .eq('id', documentId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error saving parsed statement:', error);
+      return res.status(500).json({ error: 'Failed to save parsed statement' });
+    }
+
+    logSecurityEvent('statement_parsed', req.user.clientId, req.ip, {
+      documentId,
+      parser: ocrData.parser,
+      warnings: ocrData.warnings.length
+    });
+
+    res.json({
+      success: true,
+      document: data
+    });
+  } catch (error) {
+    console.error('Parse statement error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a client's saved paystubs (Admin only)
+// Query: taxYear
+app.get('/api/admin/clients/:clientId/paystubs', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const taxYear = req.query.taxYear ? parseInt(req.query.taxYear) : undefined;
+
+    if (req.query.taxYear && !Number.isInteger(taxYear)) {
+      return res.status(400).json({ success: false, error: 'taxYear must be a year' });
+    }
+
+    const paystubs = await paystubService.getPaystubs(clientId, { taxYear });
+
+    res.json({ success: true, count: paystubs.length, paystubs });
+  } catch (error) {
+    console.error('Error fetching paystubs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a saved paystub (Admin only); the uploaded document is kept
+app.delete('/api/admin/clients/:clientId/paystubs/:paystubId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { clientId, paystubId } = req.params;
+
+    const paystub = await Paystub.findOne({ id: paystubId, clientId });
+
+    if (!paystub) {
+      return res.status(404).json({ success: false, error: 'Paystub not found' });
+    }
+
+    await Paystub.deleteOne({ id: paystubId, clientId });
+
+    await logAdminAction('delete_paystub', req.user.clientId, clientId, req.ip, {
+      paystubId,
+      periodEnding: paystub.periodEnding
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting paystub:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // =============================================================================
 // PLAID ROUTES
 // =============================================================================
@@ -2525,6 +4901,32 @@ function calculateMonthlySummary(transactions, clientId, monthYear) {
 }
 
 // Process and save transactions (enhanced version)
+/**
+ * Plaid transaction IDs among posted review rows that are paired internal transfers
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Array} transactions - Posted rows ({ transactionId } or Transaction models)
+ * @returns {Promise<Set>} Plaid transaction IDs to leave out of the summary
+ */
+async function getInternalTransferIds(clientId, transactions) {
+  const ids = transactions
+    .map(t => t.transactionId || t.plaidTransactionId || t._id)
+    .filter(Boolean);
+  if (ids.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('plaid_transaction_id, transfer_pair_id, transfer_status')
+    .eq('client_id', clientId)
+    .in('plaid_transaction_id', ids);
+
+  if (error) throw error;
+
+  return new Set((data || [])
+    .filter(row => transferMatcher.isInternalTransfer(row))
+    .map(row => row.plaid_transaction_id));
+}
+
 async function processAndSaveTransactions(clientId, transactions, month) {
   const year = parseInt(month.split('-')[0]);
   
@@ -2566,19 +4968,28 @@ async function processAndSaveTransactions(clientId, transactions, month) {
     lastProcessedAt: new Date()
   };
 
+  // Posted rows don't carry the transfer pairing, so look it up: matched
+  // internal transfers would otherwise count as both income and expense
+  const transferIds = await getInternalTransferIds(clientId, transactions);
+
   // Aggregate transactions into categories
   transactions.forEach(t => {
+    if (transferMatcher.isInternalTransfer(t) || transferIds.has(t.transactionId || t.plaidTransactionId || t._id)) {
+      return;
+    }
+
     const amount = typeof t.amount === 'number' ? Math.abs(t.amount) : Math.abs(parseFloat(t.amount) || 0);
     
     if (t.isIncome || (t.amount && t.amount > 0)) {
       monthlyData.cashFlow.income += amount;
     } else {
-      const category = t.finalCategory || t.userCategory || t.suggestedCategory || 'uncategorized';
-      if (monthlyData.cashFlow.hasOwnProperty(category)) {
-        monthlyData.cashFlow[category] = (monthlyData.cashFlow[category] || 0) + amount;
-      } else {
-        monthlyData.cashFlow.uncategorized = (monthlyData.cashFlow.uncategorized || 0) + amount;
-      }
+      transactionSplits.getAllocations(t).forEach(({ category, amount: allocated }) => {
+        if (monthlyData.cashFlow.hasOwnProperty(category)) {
+          monthlyData.cashFlow[category] = (monthlyData.cashFlow[category] || 0) + allocated;
+        } else {
+          monthlyData.cashFlow.uncategorized = (monthlyData.cashFlow.uncategorized || 0) + allocated;
+        }
+      });
     }
   });
 
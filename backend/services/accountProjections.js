@@ -0,0 +1,244 @@
+/**
+ * Manual Account Projections
+ * Fills the months between statements of manually tracked investment accounts
+ * with projected account_snapshots rows (is_projected = true):
+ *
+ * - Between two actual snapshots, balances follow the growth rate implied by
+ *   the two statements, so the projected path lands on the later statement.
+ *   A new statement re-bases the rows before it the next time this runs.
+ * - After the latest actual snapshot, balances compound at the projection
+ *   rate up to the as-of date (at most MAX_PROJECTION_MONTHS).
+ *
+ * Projected rows sit on month ends and never in a month that has an actual
+ * snapshot. Holdings are left empty; the asset allocation is the last
+ * statement's, scaled to the projected balance.
+ */
+
+const moment = require('moment');
+const Client = require('../models-supabase/Client');
+const InvestmentAccount = require('../models-supabase/InvestmentAccount');
+const AccountSnapshot = require('../models-supabase/AccountSnapshot');
+const { DEFAULT_ASSUMPTIONS } = require('./retirementSimulator');
+
+// Expected annual returns used to weight a statement's asset allocation
+const ASSET_CLASS_RETURNS = {
+  stocks: 0.08,
+  bonds: 0.04,
+  cash: 0.03,
+  other: 0.05
+};
+
+// Stop projecting two years past the last statement; older accounts need a new one
+const MAX_PROJECTION_MONTHS = 24;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+const roundRate = (value) => Math.round(value * 10000) / 10000;
+// account_snapshots.projection_rate is DECIMAL(5,4); a big deposit between
+// statements can imply a rate beyond it
+const MAX_STORED_RATE = 9.9999;
+
+/**
+ * Annual rate to project an account at from its latest statement: the
+ * allocation-weighted expected return, or the retirement simulator's mean
+ * return when the statement has no allocation
+ *
+ * @param {Object} snapshot - Actual AccountSnapshot
+ * @returns {number} Annual rate (0.07 = 7%)
+ */
+function projectionRateFor(snapshot) {
+  const allocation = snapshot.assetAllocation || {};
+  const total = Object.values(allocation).reduce((sum, value) => sum + (Number(value) || 0), 0);
+  if (total <= 0) return DEFAULT_ASSUMPTIONS.meanReturn;
+
+  const weighted = Object.entries(allocation).reduce((sum, [assetClass, value]) => {
+    const rate = ASSET_CLASS_RETURNS[assetClass] !== undefined ? ASSET_CLASS_RETURNS[assetClass] : ASSET_CLASS_RETURNS.other;
+    return sum + rate * (Number(value) || 0);
+  }, 0);
+  return roundRate(weighted / total);
+}
+
+function scaleAllocation(allocation, factor) {
+  return Object.fromEntries(
+    Object.entries(allocation || {}).map(([assetClass, value]) => [assetClass, roundCents((Number(value) || 0) * factor)])
+  );
+}
+
+/**
+ * Month ends strictly after one month and before another, capped at a date
+ */
+function monthEndsBetween(fromMonth, toMonth, capDate) {
+  // An invalid month formats as 'Invalid date', which would never end the loop
+  if (!moment(fromMonth, 'YYYY-MM', true).isValid() || !moment(toMonth, 'YYYY-MM', true).isValid()) {
+    throw new Error(`Invalid month range: ${fromMonth} to ${toMonth}`);
+  }
+  if (!moment(capDate, 'YYYY-MM-DD', true).isValid()) {
+    throw new Error(`Invalid date: ${capDate}`);
+  }
+
+  const dates = [];
+  const cursor = moment(fromMonth, 'YYYY-MM').add(1, 'month');
+  while (cursor.format('YYYY-MM') < toMonth) {
+    const monthEnd = cursor.clone().endOf('month').format('YYYY-MM-DD');
+    if (monthEnd > capDate) break;
+    dates.push(monthEnd);
+    cursor.add(1, 'month');
+  }
+  return dates;
+}
+
+/**
+ * Projected snapshots for one account
+ *
+ * @param {Object} account - InvestmentAccount
+ * @param {Array} actuals - The account's actual snapshots, oldest first
+ * @param {Object} options - { asOfDate: YYYY-MM-DD, rate: annual rate override }
+ * @returns {Array} AccountSnapshot fields for every projected month
+ */
+function buildProjections(account, actuals, options) {
+  const projections = [];
+
+  const project = (base, snapshotDate, annualRate, months) => {
+    const factor = Math.pow(1 + annualRate, months / 12);
+    projections.push({
+      accountId: account.id,
+      clientId: account.clientId,
+      snapshotDate,
+      monthYear: moment(snapshotDate).format('YYYY-MM'),
+      statementDate: null,
+      totalBalance: roundCents(base.totalBalance * factor),
+      isProjected: true,
+      projectionRate: roundRate(Math.min(annualRate, MAX_STORED_RATE)),
+      sourceStatement: base.sourceStatement,
+      holdings: [],
+      assetAllocation: scaleAllocation(base.assetAllocation, factor)
+    });
+  };
+
+  // Re-based gaps between statements
+  for (let i = 0; i < actuals.length - 1; i++) {
+    const from = actuals[i];
+    const to = actuals[i + 1];
+    const gap = monthEndsBetween(from.monthYear, to.monthYear, options.asOfDate);
+    if (gap.length === 0) continue;
+
+    const spanMonths = moment(to.snapshotDate).diff(moment(from.snapshotDate), 'months', true);
+    const impliedRate = from.totalBalance > 0 && spanMonths > 0
+      ? Math.pow(to.totalBalance / from.totalBalance, 12 / spanMonths) - 1
+      : 0;
+
+    gap.forEach(date => {
+      project(from, date, impliedRate, moment(date).diff(moment(from.snapshotDate), 'months', true));
+    });
+  }
+
+  // Forward from the latest statement
+  const latest = actuals[actuals.length - 1];
+  const rate = options.rate !== undefined && options.rate !== null ? options.rate : projectionRateFor(latest);
+  const capMonth = moment(latest.snapshotDate).add(MAX_PROJECTION_MONTHS, 'months').format('YYYY-MM');
+  const forward = monthEndsBetween(latest.monthYear, moment(options.asOfDate).add(1, 'month').format('YYYY-MM'), options.asOfDate)
+    .filter(date => date.slice(0, 7) <= capMonth);
+
+  forward.forEach(date => {
+    project(latest, date, rate, moment(date).diff(moment(latest.snapshotDate), 'months', true));
+  });
+
+  return projections;
+}
+
+/**
+ * Regenerate one account's projected snapshots
+ *
+ * @param {Object} account - InvestmentAccount
+ * @param {Object} options - { asOfDate: YYYY-MM-DD (default today), rate }
+ * @returns {Promise<Object>} { accountId, projected, removed, rate }
+ */
+async function projectAccount(account, options = {}) {
+  if (options.asOfDate && !moment(options.asOfDate, 'YYYY-MM-DD', true).isValid()) {
+    throw new Error('asOfDate must be YYYY-MM-DD');
+  }
+  const asOfDate = options.asOfDate || moment().format('YYYY-MM-DD');
+  const snapshots = await AccountSnapshot.find({ accountId: account.id });
+  const actuals = snapshots.filter(snapshot => !snapshot.isProjected).reverse();
+  const existing = snapshots.filter(snapshot => snapshot.isProjected);
+
+  const projections = account.isActive !== false && actuals.length > 0
+    ? buildProjections(account, actuals, { ...options, asOfDate })
+    : [];
+
+  // Drop projected rows the new set doesn't cover (months that now have a statement)
+  const keep = new Set(projections.map(projection => projection.snapshotDate));
+  const stale = existing.filter(snapshot => !keep.has(snapshot.snapshotDate));
+  for (const snapshot of stale) {
+    await AccountSnapshot.deleteOne({ id: snapshot.id });
+  }
+
+  for (const projection of projections) {
+    await AccountSnapshot.upsert(projection);
+  }
+
+  const forwardRate = projections.length > 0 ? projections[projections.length - 1].projectionRate : null;
+  return { accountId: account.id, projected: projections.length, removed: stale.length, rate: forwardRate };
+}
+
+/**
+ * Regenerate projected snapshots for all of a client's manual accounts
+ *
+ * @param {string} clientId
+ * @param {Object} options - { asOfDate, rate }
+ * @returns {Promise<Array>} projectAccount results
+ */
+async function projectClientAccounts(clientId, options = {}) {
+  const accounts = await InvestmentAccount.find({ clientId });
+  const results = [];
+  for (const account of accounts) {
+    results.push(await projectAccount(account, options));
+  }
+  return results;
+}
+
+/**
+ * Regenerate projected snapshots for all active clients
+ * Useful for scheduled jobs (monthly, after month end)
+ */
+async function projectAllClientsAccounts(asOfDate = null) {
+  const clients = await Client.find({ isActive: true });
+
+  const results = {
+    success: 0,
+    failed: 0,
+    projected: 0,
+    errors: []
+  };
+
+  for (const client of clients) {
+    try {
+      const accounts = await projectClientAccounts(client.clientId, { asOfDate });
+      results.projected += accounts.reduce((sum, account) => sum + account.projected, 0);
+      results.success++;
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        clientId: client.clientId,
+        error: error.message
+      });
+      console.error(`Failed to project manual accounts for ${client.clientId}:`, error.message);
+    }
+  }
+
+  console.log(`\n📈 Manual Account Projection Summary:`);
+  console.log(`   Success: ${results.success}`);
+  console.log(`   Failed: ${results.failed}`);
+  console.log(`   Projected snapshots: ${results.projected}`);
+
+  return results;
+}
+
+module.exports = {
+  ASSET_CLASS_RETURNS,
+  MAX_PROJECTION_MONTHS,
+  projectionRateFor,
+  buildProjections,
+  projectAccount,
+  projectClientAccounts,
+  projectAllClientsAccounts
+};
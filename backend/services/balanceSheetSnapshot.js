@@ -2,6 +2,7 @@ const moment = require('moment');
 const Client = require('../models-supabase/Client');
 const BalanceSheet = require('../models-supabase/BalanceSheet');
 const TransactionProcessor = require('./transactionProcessor');
+const manualAccounts = require('./manualAccounts');
 const { createPlaidClient } = require('../utils/plaidConfig');
 
 // Initialize Plaid client
@@ -105,6 +106,26 @@ async function getCurrentAccountBalances(client) {
   return netWorth;
 }
 
+/**
+ * Add manually tracked investment accounts to a net worth breakdown. The
+ * amount is also kept as assetBreakdown.manualInvestments, which marks
+ * balance sheets that already include manual accounts, and the part of it
+ * from projected snapshots as assetBreakdown.manualProjected.
+ *
+ * @param {Object} netWorth - getCurrentAccountBalances output
+ * @param {Object} manual - manualAccounts.getManualAccounts totals { total, projectedTotal }
+ */
+function addManualAccountBalances(netWorth, manual) {
+  const manualTotal = manual.total;
+  netWorth.assetBreakdown.manualInvestments = manualTotal;
+  netWorth.assetBreakdown.manualProjected = manual.projectedTotal;
+  netWorth.assetBreakdown.investments += manualTotal;
+  netWorth.assetBreakdown.total += manualTotal;
+  netWorth.assets += manualTotal;
+  netWorth.netWorth = netWorth.assets - netWorth.liabilities;
+  return netWorth;
+}
+
 /**
  * Capture a balance sheet snapshot for a client
  * @param {string} clientId - Client ID
@@ -137,8 +158,10 @@ async function captureBalanceSheetSnapshot(clientId, snapshotDate = null) {
       return existing;
     }
 
-    // Get current account balances
+    // Get current account balances, plus accounts tracked from statements
     const netWorth = await getCurrentAccountBalances(client);
+    const manual = await manualAccounts.getManualAccounts(clientId, { asOfDate: date });
+    addManualAccountBalances(netWorth, manual);
 
     // Create balance sheet snapshot
     const balanceSheet = await BalanceSheet.create({
@@ -224,6 +247,7 @@ module.exports = {
   captureBalanceSheetSnapshot,
   captureAllClientsSnapshots,
   captureMonthlySnapshot,
-  getCurrentAccountBalances
+  getCurrentAccountBalances,
+  addManualAccountBalances
 };
 
@@ -0,0 +1,350 @@
+/**
+ * Bank Statement Parser
+ * Extracts dated, signed transactions from checking/savings and credit card
+ * statement text, plus the opening and closing balances used to check them.
+ *
+ * Amounts follow the same convention as Plaid-synced transactions in this app:
+ *   depository: deposits positive, withdrawals negative
+ *   credit:     charges positive, payments and credits negative
+ * so for both account kinds opening balance + transactions = closing balance.
+ *
+ * The sign of an unsigned amount comes from, in order: the change in the
+ * running balance printed beside it, an explicit -, (), CR or DR marker, the
+ * section heading it sits under ("Deposits and Additions", "Payments and
+ * Other Credits"), and finally the statement's own convention.
+ */
+
+const moment = require('moment');
+const pdfParse = require('pdf-parse');
+const { parseAmount } = require('./paystubParser');
+
+const DOCUMENT_ACCOUNT_KINDS = {
+  bank_statement: 'depository',
+  credit_card: 'credit'
+};
+
+// Opening + transactions may differ from closing by a rounding cent at most
+const RECONCILE_TOLERANCE = 0.01;
+
+const MONTH_DAY = '(\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.?\\s+\\d{1,2})';
+const AMOUNT = '(?:-\\s?)?\\(?\\$?-?[\\d,]*\\d\\.\\d{2}\\)?(?:\\s?(?:CR|DR|-))?';
+
+// "12/03 12/04 AMAZON MKTPLACE 45.23 1,234.56": date, optional post date,
+// description, amount and optional running balance
+const TRANSACTION_ROW = new RegExp(
+  `^\\s*${MONTH_DAY}\\s+(?:${MONTH_DAY}\\s+)?(.+?)\\s+(${AMOUNT})(?:\\s+(${AMOUNT}))?\\s*$`,
+  'i'
+);
+
+const BALANCE_LABELS = {
+  opening: /(?:beginning|opening|previous|starting)\s*(?:statement\s*)?balance/i,
+  closing: /(?:ending|closing|new)\s*(?:statement\s*)?balance/i
+};
+
+// Lines that look like rows but are summaries
+const SKIP_ROW = /\b(?:balance|total|subtotal|minimum payment|payment due|credit limit|available credit)\b/i;
+
+const SECTIONS = {
+  depository: {
+    inflow: /deposits?|additions|\bcredits?\b|interest\s*(?:paid|earned)|incoming/i,
+    outflow: /withdrawals?|debits?|checks?\s*paid|payments?|purchases?|fees?|\batm\b|outgoing/i
+  },
+  credit: {
+    inflow: /payments?|\bcredits?\b|refunds?|returns?/i,
+    outflow: /purchases?|charges?|fees?|interest\s*charged|cash\s*advances?|transactions/i
+  }
+};
+
+const PERIOD_PATTERNS = [
+  /(\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:-|–|to|through)\s*(\d{1,2}\/\d{1,2}\/\d{2,4})/i,
+  /(\w+\s+\d{1,2},?\s+\d{4})\s*(?:-|–|to|through)\s*(\w+\s+\d{1,2},?\s+\d{4})/i
+];
+const DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY', 'MMMM D, YYYY', 'MMMM D YYYY', 'MMM D, YYYY', 'MMM D YYYY'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function parseDate(str) {
+  const date = moment(str.trim(), DATE_FORMATS, true);
+  return date.isValid() ? date : null;
+}
+
+/**
+ * Statement period from "11/01/2025 - 11/30/2025" or "November 1, 2025 through November 30, 2025"
+ *
+ * @returns {Object} { start, end } as YYYY-MM-DD (null when not found)
+ */
+function extractPeriod(text) {
+  for (const pattern of PERIOD_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const start = parseDate(match[1]);
+    const end = parseDate(match[2]);
+    if (start && end && !end.isBefore(start)) {
+      return { start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') };
+    }
+  }
+  return { start: null, end: null };
+}
+
+/**
+ * First amount printed after a balance label ("Ending balance on 11/30/2025 $1,234.56")
+ */
+function extractBalance(text, label, accountKind) {
+  const pattern = new RegExp(`${label.source}[^\\d\\n(-]*(?:\\d{1,2}\\/\\d{1,2}\\/\\d{2,4}[^\\d\\n(-]*)?(${AMOUNT})`, 'i');
+  const match = text.match(pattern);
+  return match ? signedValue(match[1], accountKind) : null;
+}
+
+/**
+ * Amount and explicit sign marker of a printed amount
+ *
+ * @returns {Object} { value (unsigned), marker: 'minus' | 'cr' | 'dr' | null }
+ */
+function signedAmount(str) {
+  const clean = str.replace(/\s/g, '');
+  let marker = null;
+  if (/CR$/i.test(clean)) marker = 'cr';
+  else if (/DR$/i.test(clean)) marker = 'dr';
+  else if (/^-|^\(|-$/.test(clean.replace(/\$/g, ''))) marker = 'minus';
+
+  const value = Math.abs(parseAmount(clean.replace(/(?:CR|DR)$/i, '').replace(/-$/, '')));
+  return { value, marker };
+}
+
+/**
+ * Sign of a marker. CR/DR are from the account holder's view on bank
+ * statements and the issuer's on cards: a card CR is a payment or refund.
+ */
+function markerSign(marker, accountKind) {
+  if (marker === 'minus') return -1;
+  if (marker === 'cr') return accountKind === 'credit' ? -1 : 1;
+  if (marker === 'dr') return accountKind === 'credit' ? 1 : -1;
+  return 0;
+}
+
+/**
+ * Printed balance with its sign applied (overdrawn, or a card in credit)
+ */
+function signedValue(str, accountKind) {
+  const { value, marker } = signedAmount(str);
+  return markerSign(marker, accountKind) === -1 ? -value : value;
+}
+
+/**
+ * Full date for a row date; rows print MM/DD and take the year from the
+ * statement period (December rows on a January statement are last year)
+ */
+function resolveRowDate(str, periodEnd) {
+  if (str.split('/').length === 3) {
+    const withYear = parseDate(str);
+    return withYear ? withYear.format('YYYY-MM-DD') : null;
+  }
+
+  const end = periodEnd ? moment(periodEnd) : moment();
+  const partial = moment(str.trim().replace(/\./g, ''), ['MM/DD', 'M/D', 'MMM D', 'MMMM D'], true);
+  if (!partial.isValid()) return null;
+
+  let date = partial.year(end.year());
+  if (date.isAfter(end, 'day')) date = date.subtract(1, 'year');
+  return date.format('YYYY-MM-DD');
+}
+
+/**
+ * Section a heading line switches to, or null when the line isn't a heading
+ */
+function detectSection(line, accountKind) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 60 || /\d\.\d{2}/.test(trimmed)) return null;
+  const sections = SECTIONS[accountKind];
+  if (sections.inflow.test(trimmed)) return 'inflow';
+  if (sections.outflow.test(trimmed)) return 'outflow';
+  return null;
+}
+
+/**
+ * Transaction rows with the sign evidence for each
+ */
+function collectRows(text, accountKind, periodEnd) {
+  const rows = [];
+  let section = null;
+
+  text.split('\n').forEach(line => {
+    const match = line.match(TRANSACTION_ROW);
+    if (!match) {
+      section = detectSection(line, accountKind) || section;
+      return;
+    }
+
+    const [, date, , description, amountStr, balanceStr] = match;
+    if (SKIP_ROW.test(description)) return;
+
+    const resolved = resolveRowDate(date, periodEnd);
+    if (!resolved) return;
+
+    const { value, marker } = signedAmount(amountStr);
+    if (value === 0) return;
+
+    rows.push({
+      date: resolved,
+      description: description.replace(/\s+/g, ' ').trim(),
+      value,
+      marker,
+      section,
+      runningBalance: balanceStr ? signedValue(balanceStr, accountKind) : null
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Sign each row (see the module comment for the order of evidence)
+ */
+function signRows(rows, accountKind, openingBalance) {
+  // Statements that mark outflows with "-" leave inflows (or card charges) unsigned
+  const signedConvention = rows.some(row => row.marker === 'minus');
+  const sectionSign = (section) => {
+    if (!section) return 0;
+    if (accountKind === 'depository') return section === 'inflow' ? 1 : -1;
+    return section === 'inflow' ? -1 : 1;
+  };
+  let previousBalance = openingBalance;
+  return rows.map(row => {
+    let sign = 0;
+    let source = null;
+
+    if (row.runningBalance !== null && previousBalance !== null) {
+      const delta = round2(row.runningBalance - previousBalance);
+      if (Math.abs(Math.abs(delta) - row.value) <= RECONCILE_TOLERANCE) {
+        sign = delta < 0 ? -1 : 1;
+        source = 'running_balance';
+      }
+    }
+    if (!sign && row.marker) {
+      sign = markerSign(row.marker, accountKind);
+      source = 'marker';
+    }
+    if (!sign && sectionSign(row.section)) {
+      sign = sectionSign(row.section);
+      source = 'section';
+    }
+    if (!sign) {
+      sign = signedConvention || accountKind === 'credit' ? 1 : -1;
+      source = 'default';
+    }
+
+    if (row.runningBalance !== null) previousBalance = row.runningBalance;
+
+    return {
+      date: row.date,
+      description: row.description,
+      amount: round2(sign * row.value),
+      runningBalance: row.runningBalance,
+      signSource: source
+    };
+  });
+}
+
+/**
+ * Opening balance + transactions against the closing balance
+ *
+ * @returns {Object} { openingBalance, closingBalance, transactionsTotal, expectedClosing, difference, balanced }
+ *   balanced is null when either balance is missing
+ */
+function reconcile(openingBalance, closingBalance, transactions) {
+  const transactionsTotal = round2(transactions.reduce((sum, t) => sum + t.amount, 0));
+  if (openingBalance === null || closingBalance === null) {
+    return { openingBalance, closingBalance, transactionsTotal, expectedClosing: null, difference: null, balanced: null };
+  }
+
+  const expectedClosing = round2(openingBalance + transactionsTotal);
+  const difference = round2(closingBalance - expectedClosing);
+  return {
+    openingBalance,
+    closingBalance,
+    transactionsTotal,
+    expectedClosing,
+    difference,
+    balanced: Math.abs(difference) <= RECONCILE_TOLERANCE
+  };
+}
+
+/**
+ * Parse statement text
+ *
+ * @param {string} text - Statement text (PDF text layer or OCR)
+ * @param {Object} options - { accountKind: 'depository' | 'credit', statementDate: fallback period end }
+ * @returns {Object} { accountKind, period, openingBalance, closingBalance, transactions, reconciliation, warnings }
+ */
+function parseBankStatementText(text, options = {}) {
+  const accountKind = options.accountKind || 'depository';
+  if (!SECTIONS[accountKind]) {
+    throw new Error(`Unknown account kind: ${accountKind}. Use depository or credit`);
+  }
+
+  const period = extractPeriod(text);
+  if (!period.end && options.statementDate) {
+    period.end = moment(options.statementDate).endOf('month').format('YYYY-MM-DD');
+  }
+
+  const openingBalance = extractBalance(text, BALANCE_LABELS.opening, accountKind);
+  const closingBalance = extractBalance(text, BALANCE_LABELS.closing, accountKind);
+
+  const rows = collectRows(text, accountKind, period.end);
+  const transactions = signRows(rows, accountKind, openingBalance);
+  const reconciliation = reconcile(openingBalance, closingBalance, transactions);
+
+  const warnings = [];
+  if (transactions.length === 0) warnings.push('No transactions found');
+  if (!period.end) warnings.push('Statement period not found');
+  if (reconciliation.balanced === null) {
+    warnings.push('Opening or closing balance not found; transactions could not be reconciled');
+  } else if (!reconciliation.balanced) {
+    warnings.push(
+      `Transactions don't reconcile: opening $${openingBalance.toLocaleString()} + transactions ` +
+      `$${reconciliation.transactionsTotal.toLocaleString()} = $${reconciliation.expectedClosing.toLocaleString()}, ` +
+      `but the statement closes at $${closingBalance.toLocaleString()}`
+    );
+  }
+  const guessed = transactions.filter(t => t.signSource === 'default').length;
+  if (guessed > 0) {
+    warnings.push(`${guessed} transaction${guessed > 1 ? 's' : ''} had no sign on the statement; check debits and credits`);
+  }
+
+  return { accountKind, period, openingBalance, closingBalance, transactions, reconciliation, warnings };
+}
+
+/**
+ * Parse a statement PDF with a text layer
+ *
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - parseBankStatementText options
+ * @returns {Promise<Object>} parseBankStatementText output plus { pages, text }
+ */
+async function parseBankStatementPdf(buffer, options = {}) {
+  let pdfData;
+  try {
+    pdfData = await pdfParse(buffer);
+  } catch (error) {
+    throw new Error(`Could not read PDF: ${error.message}`);
+  }
+
+  if (!pdfData.text || !pdfData.text.trim()) {
+    throw new Error('No text found in PDF (scanned statements need OCR first)');
+  }
+
+  return {
+    ...parseBankStatementText(pdfData.text, options),
+    pages: pdfData.numpages,
+    text: pdfData.text
+  };
+}
+
+module.exports = {
+  DOCUMENT_ACCOUNT_KINDS,
+  RECONCILE_TOLERANCE,
+  extractPeriod,
+  reconcile,
+  parseBankStatementText,
+  parseBankStatementPdf
+};
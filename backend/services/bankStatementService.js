@@ -0,0 +1,120 @@
+/**
+ * Bank Statement Service
+ * Turns uploaded checking/savings and credit card statements into
+ * documents.ocr_data.transactions for the extract-transactions route, with
+ * the statement's closing balance as an account for balance sheets.
+ * Statements whose transactions don't reconcile to the closing balance are
+ * flagged for review.
+ */
+
+const { downloadStatementFile } = require('./pdfStorageService');
+const { DOCUMENT_ACCOUNT_KINDS, parseBankStatementPdf, parseBankStatementText } = require('./bankStatementParser');
+const { findMaskedAccountRefs } = require('./statementParsers/common');
+
+const BANK_DOCUMENT_TYPES = Object.keys(DOCUMENT_ACCOUNT_KINDS);
+const BANK_STATEMENT_DATA_TYPE = 'bank_statement';
+
+// balance_sheets account types for each account kind
+const BALANCE_SHEET_TYPES = { depository: 'checking', credit: 'credit' };
+const ACCOUNT_LABELS = { depository: 'Checking', credit: 'Credit Card' };
+
+/**
+ * Whether a document can go through the transaction extractor
+ */
+function isBankDocument(document) {
+  return BANK_DOCUMENT_TYPES.includes(document.account_type);
+}
+
+/**
+ * ocr_data for a parsed statement
+ *
+ * @param {Object} document - Row from the documents table
+ * @param {Object} parsed - parseBankStatementText output
+ * @param {string} text - Statement text, for the masked account number
+ * @returns {Object} { documentType: 'bank_statement', accountKind, period, openingBalance,
+ *   closingBalance, reconciliation, flagged, accounts, transactions, warnings }
+ */
+function buildStatementData(document, parsed, text) {
+  const accountMask = findMaskedAccountRefs(text)[0] || null;
+  const accountName = [ACCOUNT_LABELS[parsed.accountKind], accountMask].filter(Boolean).join(' ');
+  const asOfDate = parsed.period.end || document.statement_date;
+
+  const accounts = parsed.closingBalance === null ? [] : [{
+    accountName,
+    accountNumber: accountMask,
+    accountType: BALANCE_SHEET_TYPES[parsed.accountKind],
+    balance: parsed.closingBalance,
+    asOfDate,
+    currency: 'USD'
+  }];
+
+  const transactions = parsed.transactions.map(transaction => ({
+    ...transaction,
+    accountType: parsed.accountKind,
+    accountName,
+    accountMask
+  }));
+
+  return {
+    documentType: BANK_STATEMENT_DATA_TYPE,
+    accountKind: parsed.accountKind,
+    period: parsed.period,
+    openingBalance: parsed.openingBalance,
+    closingBalance: parsed.closingBalance,
+    reconciliation: parsed.reconciliation,
+    // Only statements that add up go through extraction without a second look
+    flagged: parsed.reconciliation.balanced !== true,
+    accounts,
+    transactions,
+    warnings: parsed.warnings
+  };
+}
+
+/**
+ * Extract transactions from statement text (PDF text layer or OCR)
+ *
+ * @param {Object} document - Row from the documents table
+ * @param {string} text - Statement text
+ * @returns {Object} buildStatementData output
+ */
+function extractFromText(document, text) {
+  const parsed = parseBankStatementText(text, {
+    accountKind: DOCUMENT_ACCOUNT_KINDS[document.account_type],
+    statementDate: document.statement_date
+  });
+  return buildStatementData(document, parsed, text);
+}
+
+/**
+ * Parse an uploaded bank or credit card statement PDF
+ *
+ * @param {Object} document - Row from the documents table
+ * @returns {Promise<Object>} ocr_data for the document (buildStatementData plus parsedAt)
+ */
+async function parseBankStatementDocument(document) {
+  if (!isBankDocument(document)) {
+    throw new Error('Document is not a bank or credit card statement');
+  }
+  if (document.file_type !== 'pdf') {
+    throw new Error('Statement parsing needs a PDF; image uploads must go through OCR');
+  }
+
+  const buffer = await downloadStatementFile(document.file_path);
+  const parsed = await parseBankStatementPdf(buffer, {
+    accountKind: DOCUMENT_ACCOUNT_KINDS[document.account_type],
+    statementDate: document.statement_date
+  });
+
+  return {
+    ...buildStatementData(document, parsed, parsed.text),
+    parsedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  BANK_DOCUMENT_TYPES,
+  BANK_STATEMENT_DATA_TYPE,
+  isBankDocument,
+  extractFromText,
+  parseBankStatementDocument
+};
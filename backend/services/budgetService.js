@@ -0,0 +1,187 @@
+/**
+ * Budget Service
+ * Compares advisor-set category budgets with the actual spending recorded in
+ * MonthlySummary, including rollover and annual (lumpy) items.
+ */
+
+const moment = require('moment');
+const Budget = require('../models-supabase/Budget');
+const MonthlySummary = require('../models-supabase/MonthlySummary');
+const { EXPENSE_CATEGORIES } = require('./categorizationRules');
+
+// Share of the available budget at which a category is flagged as nearly spent
+const NEAR_LIMIT_SHARE = 0.9;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a budget definition
+ *
+ * @param {Object} budget - Budget fields
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBudget(budget) {
+  if (!budget.category || !EXPENSE_CATEGORIES.includes(budget.category)) {
+    return `category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`;
+  }
+
+  const amount = Number(budget.amount);
+  if (!Number.isFinite(amount) || amount < 0) {
+    return 'amount must be a non-negative number';
+  }
+
+  const period = budget.period || 'monthly';
+  if (!['monthly', 'annual'].includes(period)) {
+    return 'period must be monthly or annual';
+  }
+
+  if (budget.dueMonth !== undefined && budget.dueMonth !== null) {
+    const dueMonth = Number(budget.dueMonth);
+    if (!Number.isInteger(dueMonth) || dueMonth < 1 || dueMonth > 12) {
+      return 'dueMonth must be a month number from 1 to 12';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Actual spending for a category in a month's cash flow
+ */
+function getActual(cashFlow, category) {
+  if (!cashFlow) return 0;
+  return Math.abs(parseFloat(cashFlow[category]) || 0);
+}
+
+/**
+ * Calculate budget vs actual for one month
+ *
+ * @param {Array} budgets - Budget models
+ * @param {Array} summaries - MonthlySummary models for the same year
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Object} { month, categories, unbudgeted, totals }
+ */
+function calculateVariance(budgets, summaries, month) {
+  const target = moment(month, 'YYYY-MM');
+  const monthNum = target.month() + 1;
+
+  const cashFlowByMonth = new Map();
+  summaries
+    .filter(s => moment(s.monthYear, 'YYYY-MM').year() === target.year())
+    .forEach(s => cashFlowByMonth.set(s.monthYear, s.cashFlow));
+
+  const currentCashFlow = cashFlowByMonth.get(month) || null;
+
+  const categories = budgets
+    .filter(budget => budget.isActive !== false)
+    .map(budget => {
+      const isAnnual = budget.period === 'annual';
+      const monthlyTarget = isAnnual ? budget.amount / 12 : budget.amount;
+      const rollover = isAnnual || budget.rollover;
+
+      // Carry forward what was left (or overspent) in earlier months of the year.
+      // Months without a summary are skipped so missing data doesn't look like savings.
+      let carryover = 0;
+      let ytdActual = 0;
+      let monthsTracked = 0;
+      for (let m = 1; m < monthNum; m++) {
+        const key = target.clone().month(m - 1).format('YYYY-MM');
+        if (!cashFlowByMonth.has(key)) continue;
+
+        const spent = getActual(cashFlowByMonth.get(key), budget.category);
+        ytdActual += spent;
+        monthsTracked++;
+        if (rollover) carryover += monthlyTarget - spent;
+      }
+
+      // In its due month an annual item can use whatever is left of the yearly amount
+      if (isAnnual && budget.dueMonth === monthNum) {
+        carryover = budget.amount - ytdActual - monthlyTarget;
+      }
+
+      const actual = getActual(currentCashFlow, budget.category);
+      const available = monthlyTarget + carryover;
+      const variance = available - actual;
+
+      let status = 'under';
+      if (actual > available) {
+        status = 'over';
+      } else if (available > 0 && actual >= available * NEAR_LIMIT_SHARE) {
+        status = 'near';
+      }
+
+      const result = {
+        budgetId: budget.id,
+        category: budget.category,
+        period: budget.period,
+        rollover,
+        budgeted: roundCents(monthlyTarget),
+        carryover: roundCents(carryover),
+        available: roundCents(available),
+        actual: roundCents(actual),
+        variance: roundCents(variance),
+        percentUsed: available > 0 ? Math.round((actual / available) * 1000) / 10 : null,
+        status,
+        ytdBudgeted: roundCents(monthlyTarget * (monthsTracked + 1)),
+        ytdActual: roundCents(ytdActual + actual)
+      };
+
+      if (isAnnual) {
+        result.annualAmount = roundCents(budget.amount);
+        result.dueMonth = budget.dueMonth || null;
+        result.isDueThisMonth = budget.dueMonth === monthNum;
+        result.remainingForYear = roundCents(budget.amount - result.ytdActual);
+      }
+
+      return result;
+    });
+
+  // Spending in categories without a budget
+  const budgetedCategories = new Set(categories.map(c => c.category));
+  const unbudgeted = EXPENSE_CATEGORIES
+    .filter(category => !budgetedCategories.has(category))
+    .map(category => ({ category, actual: roundCents(getActual(currentCashFlow, category)) }))
+    .filter(item => item.actual > 0)
+    .sort((a, b) => b.actual - a.actual);
+
+  const totals = {
+    budgeted: roundCents(categories.reduce((sum, c) => sum + c.budgeted, 0)),
+    available: roundCents(categories.reduce((sum, c) => sum + c.available, 0)),
+    actual: roundCents(categories.reduce((sum, c) => sum + c.actual, 0)),
+    unbudgetedActual: roundCents(unbudgeted.reduce((sum, u) => sum + u.actual, 0))
+  };
+  totals.variance = roundCents(totals.available - totals.actual);
+
+  return {
+    month,
+    hasActuals: currentCashFlow !== null,
+    categories,
+    unbudgeted,
+    totals
+  };
+}
+
+/**
+ * Get budget vs actual for a client and month
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string} month - Month in YYYY-MM format (default: current month)
+ * @returns {Promise<Object>} Variance result (see calculateVariance)
+ */
+async function getBudgetVariance(clientId, month = null) {
+  const targetMonth = month || moment().format('YYYY-MM');
+  const year = parseInt(targetMonth.split('-')[0]);
+
+  const [budgets, summaries] = await Promise.all([
+    Budget.find({ clientId, isActive: true }),
+    MonthlySummary.find({ clientId, year })
+  ]);
+
+  return calculateVariance(budgets, summaries, targetMonth);
+}
+
+module.exports = {
+  validateBudget,
+  calculateVariance,
+  getBudgetVariance
+};
@@ -0,0 +1,333 @@
+/**
+ * Categorization Rules Service
+ * Ordered, data-driven rules that assign expense categories to transactions.
+ * Used by TransactionProcessor.categorizeTransaction for both the Plaid sync
+ * path and the OCR statement extraction path.
+ */
+
+const moment = require('moment');
+const CategorizationRule = require('../models-supabase/CategorizationRule');
+
+// Expense categories a rule may assign (matches monthly_summaries.cash_flow keys)
+const EXPENSE_CATEGORIES = [
+  'housing',
+  'billAndUtilities',
+  'autoAndTransport',
+  'insurance',
+  'loanPayment',
+  'groceries',
+  'healthAndFitness',
+  'shopping',
+  'diningOut',
+  'entertainment',
+  'travel',
+  'charitableGiving',
+  'business',
+  'kids',
+  'education',
+  'gift',
+  'misc',
+  'feeAndCharges',
+  'uncategorized'
+];
+
+const VALID_SCOPES = ['global', 'advisor', 'client'];
+
+// More specific scopes are evaluated first
+const SCOPE_RANK = { client: 0, advisor: 1, global: 2 };
+
+// Built-in global rules, used when no persisted rule set is available.
+// Kept in sync with the seed data in migrations/012_categorization_rules.sql
+const DEFAULT_RULES = [
+  { name: 'Rent, mortgage & property tax', priority: 200, merchantPattern: 'rent|mortgage|property tax', category: 'housing' },
+  { name: 'Utilities, internet & phone', priority: 190, merchantPattern: 'electric|gas company|water|internet|phone|cable', category: 'billAndUtilities' },
+  { name: 'Rideshare & parking', priority: 180, merchantPattern: 'uber|lyft|parking', category: 'autoAndTransport' },
+  { name: 'Fuel', priority: 170, merchantPattern: 'gas', category: 'autoAndTransport' },
+  { name: 'Insurance carriers', priority: 160, merchantPattern: 'insurance|allstate|geico', category: 'insurance' },
+  { name: 'Credit card payments', priority: 150, merchantPattern: '^(?=.*credit card)(?=.*pay)', category: 'loanPayment' },
+  { name: 'Loan payments', priority: 140, merchantPattern: 'loan|payment -', category: 'loanPayment' },
+  { name: 'Groceries', priority: 130, merchantPattern: 'grocery|supermarket', category: 'groceries' },
+  { name: 'Health & fitness', priority: 120, merchantPattern: 'doctor|pharmacy|gym|fitness', category: 'healthAndFitness' },
+  { name: 'Shopping & retail', priority: 110, merchantPattern: 'amazon|target|sparkfun|shop|bicycle|store', category: 'shopping' },
+  { name: 'Dining out', priority: 100, merchantPattern: 'restaurant|mcdonald|starbucks|kfc|kentucky fried', category: 'diningOut' },
+  { name: 'Streaming & movies', priority: 90, merchantPattern: 'netflix|spotify|movie', category: 'entertainment' },
+  { name: 'Airlines & hotels', priority: 80, merchantPattern: 'airline|hotel', category: 'travel' },
+  { name: 'Recreation & activities', priority: 70, merchantPattern: 'climbing|touchstone', category: 'entertainment' },
+  { name: 'Church & charity', priority: 60, merchantPattern: 'church|charity', category: 'charitableGiving' },
+  { name: 'Bank fees & interest', priority: 50, merchantPattern: 'fee|charge|overdraft|intrst', category: 'feeAndCharges' }
+].map(rule => ({ ...rule, id: null, scope: 'global', isActive: true }));
+
+// Compiled merchant patterns, keyed by pattern source
+const patternCache = new Map();
+
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    try {
+      patternCache.set(pattern, new RegExp(pattern, 'i'));
+    } catch (error) {
+      console.warn(`⚠️  Invalid categorization rule pattern "${pattern}": ${error.message}`);
+      patternCache.set(pattern, null);
+    }
+  }
+  return patternCache.get(pattern);
+}
+
+/**
+ * Read the fields rules match on from either a raw Plaid transaction
+ * (merchant_name, personal_finance_category) or a stored Transaction model
+ * (merchantName, personalFinanceCategory)
+ */
+function getMatchFields(transaction) {
+  const pfc = transaction.personal_finance_category || transaction.personalFinanceCategory || null;
+
+  return {
+    searchName: (transaction.merchant_name || transaction.merchantName || transaction.name || '').toLowerCase(),
+    amount: Math.abs(parseFloat(transaction.amount) || 0),
+    pfcPrimary: pfc?.primary ? pfc.primary.toUpperCase() : null,
+    pfcDetailed: pfc?.detailed ? pfc.detailed.toUpperCase() : null
+  };
+}
+
+/**
+ * Check whether a single rule matches a transaction
+ *
+ * @param {Object} rule - Categorization rule
+ * @param {Object} transaction - Plaid or stored transaction
+ * @param {Object} account - { accountType, accountSubtype }
+ * @returns {boolean} True when every condition set on the rule matches
+ */
+function matchesRule(rule, transaction, { accountType = null, accountSubtype = null } = {}) {
+  if (rule.isActive === false) return false;
+
+  const fields = getMatchFields(transaction);
+
+  if (rule.merchantPattern) {
+    const regex = compilePattern(rule.merchantPattern);
+    if (!regex || !regex.test(fields.searchName)) return false;
+  }
+
+  if (rule.amountMin !== null && rule.amountMin !== undefined && fields.amount < rule.amountMin) return false;
+  if (rule.amountMax !== null && rule.amountMax !== undefined && fields.amount > rule.amountMax) return false;
+
+  if (rule.accountTypes && rule.accountTypes.length > 0 && !rule.accountTypes.includes(accountType)) return false;
+  if (rule.accountSubtypes && rule.accountSubtypes.length > 0 && !rule.accountSubtypes.includes(accountSubtype)) return false;
+
+  if (rule.pfcPrimary && rule.pfcPrimary.toUpperCase() !== fields.pfcPrimary) return false;
+  if (rule.pfcDetailed && rule.pfcDetailed.toUpperCase() !== fields.pfcDetailed) return false;
+
+  return true;
+}
+
+/**
+ * Order rules for evaluation: client rules, then advisor rules, then global
+ * rules; within a scope, higher priority first
+ */
+function sortRules(rules) {
+  return [...rules].sort((a, b) => {
+    const scopeDiff = (SCOPE_RANK[a.scope] ?? 3) - (SCOPE_RANK[b.scope] ?? 3);
+    if (scopeDiff !== 0) return scopeDiff;
+    return (b.priority || 0) - (a.priority || 0);
+  });
+}
+
+/**
+ * Find the first rule that matches a transaction
+ *
+ * @param {Array} rules - Rules already ordered with sortRules
+ * @param {Object} transaction - Plaid or stored transaction
+ * @param {Object} account - { accountType, accountSubtype }
+ * @returns {Object|null} Matching rule or null
+ */
+function findMatchingRule(rules, transaction, account = {}) {
+  for (const rule of rules) {
+    if (matchesRule(rule, transaction, account)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load the ordered rule set for a client (global + advisor + client rules).
+ * Falls back to DEFAULT_RULES if the rules table cannot be read.
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string|null} advisorId - Client's advisor ID (looked up if omitted)
+ * @returns {Promise<Array>} Ordered rules
+ */
+async function getRulesForClient(clientId, advisorId = null) {
+  try {
+    if (!advisorId) {
+      const Client = require('../models-supabase/Client');
+      const client = await Client.findOne({ clientId });
+      advisorId = client ? client.advisorId : null;
+    }
+
+    const rules = await CategorizationRule.findApplicable(clientId, advisorId);
+    return sortRules(rules);
+  } catch (error) {
+    console.error('❌ Error loading categorization rules, using defaults:', error.message);
+    return DEFAULT_RULES;
+  }
+}
+
+/**
+ * Validate rule input from the admin API
+ *
+ * @param {Object} rule - Rule fields (camelCase)
+ * @param {boolean} partial - True for updates, where omitted fields are kept
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRule(rule, partial = false) {
+  if (!partial || rule.name !== undefined) {
+    if (!rule.name || typeof rule.name !== 'string') return 'Rule name is required';
+  }
+
+  if (!partial || rule.category !== undefined) {
+    if (!EXPENSE_CATEGORIES.includes(rule.category)) {
+      return `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`;
+    }
+  }
+
+  if (!partial || rule.scope !== undefined) {
+    const scope = rule.scope || 'global';
+    if (!VALID_SCOPES.includes(scope)) return `Scope must be one of: ${VALID_SCOPES.join(', ')}`;
+    if (scope === 'advisor' && !rule.advisorId) return 'advisorId is required for advisor rules';
+    if (scope === 'client' && !rule.clientId) return 'clientId is required for client rules';
+    if (scope === 'global' && (rule.advisorId || rule.clientId)) {
+      return 'Global rules cannot have an advisorId or clientId';
+    }
+    if (scope === 'advisor' && rule.clientId) return 'Advisor rules cannot have a clientId';
+  }
+
+  if (rule.merchantPattern) {
+    try {
+      new RegExp(rule.merchantPattern, 'i');
+    } catch (error) {
+      return `Invalid merchant pattern: ${error.message}`;
+    }
+  }
+
+  if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+    return 'Priority must be an integer';
+  }
+
+  const min = rule.amountMin;
+  const max = rule.amountMax;
+  if (min !== undefined && min !== null && isNaN(parseFloat(min))) return 'amountMin must be a number';
+  if (max !== undefined && max !== null && isNaN(parseFloat(max))) return 'amountMax must be a number';
+  if (min !== undefined && min !== null && max !== undefined && max !== null && parseFloat(min) > parseFloat(max)) {
+    return 'amountMin cannot be greater than amountMax';
+  }
+
+  for (const key of ['accountTypes', 'accountSubtypes']) {
+    if (rule[key] !== undefined && !Array.isArray(rule[key])) return `${key} must be an array`;
+  }
+
+  if (!partial) {
+    const hasCondition = rule.merchantPattern ||
+      (min !== undefined && min !== null) || (max !== undefined && max !== null) ||
+      (rule.accountTypes && rule.accountTypes.length > 0) ||
+      (rule.accountSubtypes && rule.accountSubtypes.length > 0) ||
+      rule.pfcPrimary || rule.pfcDetailed;
+
+    if (!hasCondition) return 'A rule needs at least one condition';
+  }
+
+  return null;
+}
+
+/**
+ * Dry run a rule against a client's stored transactions for the last N months.
+ * Shows which transactions the rule matches and whether it would win over the
+ * client's existing rule set. Nothing is written.
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} candidate - Rule to test (new or edited)
+ * @param {number} months - Number of months to scan (default: 3)
+ * @returns {Promise<Object>} Preview summary and matched transactions
+ */
+async function previewRule(clientId, candidate, months = 3) {
+  // Required lazily to avoid a circular import with transactionProcessor
+  const TransactionProcessor = require('./transactionProcessor');
+  const Transaction = require('../models-supabase/Transaction');
+
+  const monthList = [];
+  for (let i = 0; i < months; i++) {
+    monthList.push(moment().subtract(i, 'months').format('YYYY-MM'));
+  }
+
+  const [existingRules, transactions] = await Promise.all([
+    getRulesForClient(clientId),
+    Transaction.find({ clientId, monthYear: { $in: monthList } })
+  ]);
+
+  const previewId = candidate.id || 'preview';
+  const previewRuleData = { ...candidate, id: previewId, isActive: true };
+  const rulesWithCandidate = sortRules([
+    ...existingRules.filter(rule => rule.id !== candidate.id),
+    previewRuleData
+  ]);
+
+  const matches = [];
+
+  for (const transaction of transactions) {
+    const account = {
+      accountType: transaction.accountType || null,
+      accountSubtype: transaction.accountSubtype || null
+    };
+
+    if (!matchesRule(previewRuleData, transaction, account)) continue;
+
+    const current = TransactionProcessor.categorizeTransaction(transaction, account.accountType, {
+      rules: existingRules,
+      accountSubtype: account.accountSubtype
+    });
+
+    // Rules only assign expense categories
+    if (current.category === 'income') continue;
+
+    const proposed = TransactionProcessor.categorizeTransaction(transaction, account.accountType, {
+      rules: rulesWithCandidate,
+      accountSubtype: account.accountSubtype
+    });
+
+    matches.push({
+      id: transaction._id,
+      date: moment(transaction.date).format('YYYY-MM-DD'),
+      name: transaction.name,
+      merchantName: transaction.merchantName,
+      amount: transaction.amount,
+      accountName: transaction.accountName,
+      currentCategory: current.subCategory,
+      proposedCategory: proposed.subCategory,
+      userCategory: transaction.userCategory || null,
+      // False when a more specific or higher priority rule still wins
+      ruleApplies: proposed.ruleId === previewId
+    });
+  }
+
+  const applied = matches.filter(m => m.ruleApplies);
+
+  return {
+    months: monthList,
+    transactionsScanned: transactions.length,
+    matched: matches.length,
+    applied: applied.length,
+    changed: applied.filter(m => m.currentCategory !== m.proposedCategory).length,
+    // userCategory always wins over suggestions, so these would not move in reports
+    overriddenByReview: applied.filter(m => m.userCategory).length,
+    matches
+  };
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  DEFAULT_RULES,
+  matchesRule,
+  sortRules,
+  findMatchingRule,
+  getRulesForClient,
+  validateRule,
+  previewRule
+};
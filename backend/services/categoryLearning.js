@@ -0,0 +1,258 @@
+/**
+ * Category Learning Service
+ * Remembers merchant -> category corrections made during transaction review
+ * and uses them to pre-categorize future transactions from transactionsSync.
+ */
+
+const { getDatabase } = require('../database-supabase');
+const { EXPENSE_CATEGORIES } = require('./categorizationRules');
+
+// Minimum confidence before a learned category replaces the rule-based suggestion
+const MIN_CONFIDENCE = 0.5;
+
+// Learned decisions from other clients of the same advisor count for less
+const ADVISOR_BOOK_WEIGHT = 0.8;
+
+// Set CATEGORY_LEARNING_ACROSS_BOOK=true to also learn from the advisor's other clients
+const LEARN_ACROSS_BOOK = process.env.CATEGORY_LEARNING_ACROSS_BOOK === 'true';
+
+// categorySource values set by applyLearning
+const LEARNED_SOURCES = ['learned', 'learned_advisor'];
+
+/**
+ * Normalize a merchant name so "STARBUCKS #1234" and "Starbucks 5678" share a key
+ *
+ * @param {Object} transaction - Plaid or stored transaction
+ * @returns {string} Normalized merchant key ('' if there is no name)
+ */
+function normalizeMerchant(transaction) {
+  const raw = transaction.merchant_name || transaction.merchantName || transaction.name || '';
+
+  return raw
+    .toLowerCase()
+    .replace(/^(sq|tst|pos|sp|pp)\s?\*\s*/, '') // Payment processor prefixes
+    .replace(/#\s*\d+/g, '') // Store numbers
+    .replace(/\d{3,}/g, '') // Reference numbers
+    .replace(/[^a-z0-9& ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Record the categories chosen during a review.
+ * A transaction whose category differs from its suggestion is remembered,
+ * and so is a reviewed one that kept a learned suggestion, which strengthens
+ * that merchant's count and confidence. One set back to a rule-based
+ * suggestion is forgotten.
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Array} transactions - Updated Transaction models (with userCategory)
+ * @param {string|null} advisorId - Client's advisor ID (looked up if omitted)
+ * @returns {Promise<Object>} Counts of remembered and forgotten decisions
+ */
+async function recordReviews(clientId, transactions, advisorId = null) {
+  const supabase = getDatabase();
+
+  if (!advisorId) {
+    const Client = require('../models-supabase/Client');
+    const client = await Client.findOne({ clientId });
+    advisorId = client ? client.advisorId : null;
+  }
+
+  const toRemember = [];
+  const toForget = [];
+
+  for (const transaction of transactions) {
+    if (!transaction || !transaction.plaidTransactionId) continue;
+
+    const merchantKey = normalizeMerchant(transaction);
+    const isCorrection = transaction.userCategory &&
+      transaction.userCategory !== transaction.suggestedCategory &&
+      EXPENSE_CATEGORIES.includes(transaction.userCategory);
+    const acceptsLearned = transaction.isReviewed &&
+      LEARNED_SOURCES.includes(transaction.categorySource) &&
+      (!transaction.userCategory || transaction.userCategory === transaction.suggestedCategory) &&
+      EXPENSE_CATEGORIES.includes(transaction.suggestedCategory);
+
+    if ((isCorrection || acceptsLearned) && merchantKey) {
+      toRemember.push({
+        client_id: clientId,
+        advisor_id: advisorId,
+        plaid_transaction_id: transaction.plaidTransactionId,
+        merchant_key: merchantKey,
+        merchant_name: transaction.merchantName || transaction.name || null,
+        category: transaction.userCategory || transaction.suggestedCategory,
+        previous_category: transaction.suggestedCategory || null
+      });
+    } else {
+      toForget.push(transaction.plaidTransactionId);
+    }
+  }
+
+  if (toRemember.length > 0) {
+    const { error } = await supabase
+      .from('category_feedback')
+      .upsert(toRemember, { onConflict: 'client_id,plaid_transaction_id' });
+
+    if (error) throw error;
+  }
+
+  if (toForget.length > 0) {
+    const { error } = await supabase
+      .from('category_feedback')
+      .delete()
+      .eq('client_id', clientId)
+      .in('plaid_transaction_id', toForget);
+
+    if (error) throw error;
+  }
+
+  return { remembered: toRemember.length, forgotten: toForget.length };
+}
+
+/**
+ * Group feedback rows into merchantKey -> { counts, total, merchantName }
+ */
+function buildMemory(rows) {
+  const memory = new Map();
+
+  for (const row of rows) {
+    if (!memory.has(row.merchant_key)) {
+      memory.set(row.merchant_key, { counts: {}, total: 0, merchantName: row.merchant_name });
+    }
+    const entry = memory.get(row.merchant_key);
+    entry.counts[row.category] = (entry.counts[row.category] || 0) + 1;
+    entry.total++;
+  }
+
+  return memory;
+}
+
+/**
+ * Load the learned merchant -> category memory for a client
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string|null} advisorId - Client's advisor ID (enables advisor-book learning)
+ * @returns {Promise<Object>} { client: Map, advisorBook: Map|null }
+ */
+async function loadMemory(clientId, advisorId = null) {
+  const supabase = getDatabase();
+
+  try {
+    const { data: clientRows, error } = await supabase
+      .from('category_feedback')
+      .select('merchant_key, merchant_name, category')
+      .eq('client_id', clientId);
+
+    if (error) throw error;
+
+    let advisorBook = null;
+    if (LEARN_ACROSS_BOOK && advisorId) {
+      const { data: bookRows, error: bookError } = await supabase
+        .from('category_feedback')
+        .select('merchant_key, merchant_name, category')
+        .eq('advisor_id', advisorId)
+        .neq('client_id', clientId);
+
+      if (bookError) throw bookError;
+      advisorBook = buildMemory(bookRows || []);
+    }
+
+    return { client: buildMemory(clientRows || []), advisorBook };
+  } catch (error) {
+    console.error('❌ Error loading learned categories:', error.message);
+    return { client: new Map(), advisorBook: null };
+  }
+}
+
+/**
+ * Pick the most common category for a merchant entry.
+ * Confidence = top votes / (all votes + 1), so one edit gives 0.5,
+ * three consistent edits 0.75 and disagreement lowers it.
+ */
+function topCategory(entry) {
+  const [category, votes] = Object.entries(entry.counts)
+    .sort((a, b) => b[1] - a[1])[0];
+
+  return { category, votes, confidence: votes / (entry.total + 1) };
+}
+
+/**
+ * Suggest a learned category for a transaction
+ *
+ * @param {Object} memory - Result of loadMemory
+ * @param {Object} transaction - Plaid or stored transaction
+ * @returns {Object|null} { category, confidence, source, explanation } or null
+ */
+function suggestCategory(memory, transaction) {
+  const merchantKey = normalizeMerchant(transaction);
+  if (!merchantKey || !memory) return null;
+
+  const own = memory.client && memory.client.get(merchantKey);
+  if (own) {
+    const { category, votes, confidence } = topCategory(own);
+    return {
+      category,
+      confidence: Math.round(confidence * 1000) / 1000,
+      source: 'learned',
+      explanation: `Learned from your past edits: ${votes} of ${own.total} reviewed "${own.merchantName || merchantKey}" transactions were categorized as ${category}`
+    };
+  }
+
+  const book = memory.advisorBook && memory.advisorBook.get(merchantKey);
+  if (book) {
+    const { category, votes, confidence } = topCategory(book);
+    return {
+      category,
+      confidence: Math.round(confidence * ADVISOR_BOOK_WEIGHT * 1000) / 1000,
+      source: 'learned_advisor',
+      explanation: `Learned from your advisor's edits for other clients: ${votes} of ${book.total} "${book.merchantName || merchantKey}" transactions were categorized as ${category}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Combine the rule-based categorization with learned decisions.
+ * Client-specific rules always win; otherwise a confident learned category
+ * replaces the global/advisor rule result.
+ *
+ * @param {Object} categorized - Result of TransactionProcessor.categorizeTransaction
+ * @param {Object} memory - Result of loadMemory
+ * @param {Object} transaction - Plaid or stored transaction
+ * @returns {Object} Fields for the transaction record
+ */
+function applyLearning(categorized, memory, transaction) {
+  const result = {
+    suggestedCategory: categorized.subCategory,
+    categorySource: categorized.ruleName ? 'rule' : null,
+    categoryConfidence: null,
+    categoryExplanation: categorized.ruleName ? `Matched rule "${categorized.ruleName}"` : null
+  };
+
+  if (categorized.category === 'income' || categorized.ruleScope === 'client') {
+    return result;
+  }
+
+  const learned = suggestCategory(memory, transaction);
+  if (learned && learned.confidence >= MIN_CONFIDENCE * (learned.source === 'learned_advisor' ? ADVISOR_BOOK_WEIGHT : 1)) {
+    return {
+      suggestedCategory: learned.category,
+      categorySource: learned.source,
+      categoryConfidence: learned.confidence,
+      categoryExplanation: learned.explanation
+    };
+  }
+
+  return result;
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  normalizeMerchant,
+  recordReviews,
+  loadMemory,
+  suggestCategory,
+  applyLearning
+};
@@ -5,6 +5,33 @@
 
 const { getDatabase } = require('../database-supabase');
 const moment = require('moment');
+const { getAllocations } = require('./transactionSplits');
+const { isInternalTransfer } = require('./transferMatcher');
+const budgetService = require('./budgetService');
+const manualAccounts = require('./manualAccounts');
+
+// Category name mapping for display
+const CATEGORY_DISPLAY_NAMES = {
+  housing: 'Housing',
+  billAndUtilities: 'Bills & Utilities',
+  autoAndTransport: 'Auto & Transport',
+  insurance: 'Insurance',
+  loanPayment: 'Loan Payment',
+  groceries: 'Groceries',
+  healthAndFitness: 'Health & Fitness',
+  shopping: 'Shopping',
+  diningOut: 'Dining Out',
+  entertainment: 'Entertainment',
+  travel: 'Travel',
+  charitableGiving: 'Charitable Giving',
+  business: 'Business',
+  kids: 'Kids',
+  education: 'Education',
+  gift: 'Gifts',
+  misc: 'Miscellaneous',
+  feeAndCharges: 'Fees & Charges',
+  uncategorized: 'Uncategorized'
+};
 
 /**
  * Get expenses by category for the last N months (stacked bar chart)
@@ -23,7 +50,7 @@ async function getExpensesByCategoryChart(clientId, months = 12) {
   // Query transactions for expenses only
   const { data: transactions, error } = await supabase
     .from('transactions')
-    .select('month_year, user_category, suggested_category, amount, account_type, date')
+    .select('month_year, user_category, suggested_category, splits, transfer_pair_id, transfer_status, amount, account_type, date')
     .eq('client_id', clientId)
     .gte('date', startDate.format('YYYY-MM-DD'))
     .lte('date', endDate.format('YYYY-MM-DD'));
@@ -63,29 +90,6 @@ async function getExpensesByCategoryChart(clientId, months = 12) {
     'uncategorized'
   ];
 
-  // Category name mapping for display
-  const categoryDisplayNames = {
-    housing: 'Housing',
-    billAndUtilities: 'Bills & Utilities',
-    autoAndTransport: 'Auto & Transport',
-    insurance: 'Insurance',
-    loanPayment: 'Loan Payment',
-    groceries: 'Groceries',
-    healthAndFitness: 'Health & Fitness',
-    shopping: 'Shopping',
-    diningOut: 'Dining Out',
-    entertainment: 'Entertainment',
-    travel: 'Travel',
-    charitableGiving: 'Charitable Giving',
-    business: 'Business',
-    kids: 'Kids',
-    education: 'Education',
-    gift: 'Gifts',
-    misc: 'Miscellaneous',
-    feeAndCharges: 'Fees & Charges',
-    uncategorized: 'Uncategorized'
-  };
-
   // Initialize data structure for each category
   const categoryData = {};
   expenseCategories.forEach(cat => {
@@ -97,21 +101,22 @@ async function getExpensesByCategoryChart(clientId, months = 12) {
     // Determine if transaction is an expense
     const isExpense = transaction.account_type === 'credit' || transaction.amount < 0;
     if (!isExpense) return; // Skip income transactions
+    if (isInternalTransfer(transaction)) return; // Skip transfers between own accounts
 
     const txDate = moment(transaction.date);
     const monthIndex = months - 1 - moment().diff(txDate, 'months');
 
     if (monthIndex >= 0 && monthIndex < months) {
-      // Use user_category if available, otherwise use suggested_category
-      let category = transaction.user_category || transaction.suggested_category || 'uncategorized';
-
-      // Ensure category exists in our structure
-      if (!expenseCategories.includes(category)) {
-        category = 'uncategorized';
-      }
-
-      // Add absolute value of transaction amount
-      categoryData[category][monthIndex] += Math.abs(parseFloat(transaction.amount));
+      // Split transactions add each allocation; otherwise user_category,
+      // falling back to suggested_category
+      getAllocations(transaction).forEach(({ category, amount }) => {
+        // Ensure category exists in our structure
+        if (!expenseCategories.includes(category)) {
+          category = 'uncategorized';
+        }
+
+        categoryData[category][monthIndex] += amount;
+      });
     }
   });
 
@@ -119,7 +124,7 @@ async function getExpensesByCategoryChart(clientId, months = 12) {
   const categories = expenseCategories
     .filter(cat => categoryData[cat].some(val => val > 0))
     .map(cat => ({
-      name: categoryDisplayNames[cat],
+      name: CATEGORY_DISPLAY_NAMES[cat],
       data: categoryData[cat].map(val => Math.round(val * 100) / 100) // Round to 2 decimals
     }));
 
@@ -220,7 +225,7 @@ async function getExpenseBreakdownChart(clientId, startDate, endDate) {
   // Query transactions for the date range
   const { data: transactions, error } = await supabase
     .from('transactions')
-    .select('user_category, suggested_category, amount, account_type')
+    .select('user_category, suggested_category, splits, transfer_pair_id, transfer_status, amount, account_type')
     .eq('client_id', clientId)
     .gte('date', startDate)
     .lte('date', endDate);
@@ -230,29 +235,6 @@ async function getExpenseBreakdownChart(clientId, startDate, endDate) {
     throw error;
   }
 
-  // Category name mapping for display
-  const categoryDisplayNames = {
-    housing: 'Housing',
-    billAndUtilities: 'Bills & Utilities',
-    autoAndTransport: 'Auto & Transport',
-    insurance: 'Insurance',
-    loanPayment: 'Loan Payment',
-    groceries: 'Groceries',
-    healthAndFitness: 'Health & Fitness',
-    shopping: 'Shopping',
-    diningOut: 'Dining Out',
-    entertainment: 'Entertainment',
-    travel: 'Travel',
-    charitableGiving: 'Charitable Giving',
-    business: 'Business',
-    kids: 'Kids',
-    education: 'Education',
-    gift: 'Gifts',
-    misc: 'Miscellaneous',
-    feeAndCharges: 'Fees & Charges',
-    uncategorized: 'Uncategorized'
-  };
-
   // Aggregate expenses by category
   const categoryTotals = {};
 
@@ -260,14 +242,15 @@ async function getExpenseBreakdownChart(clientId, startDate, endDate) {
     // Determine if transaction is an expense
     const isExpense = transaction.account_type === 'credit' || transaction.amount < 0;
     if (!isExpense) return;
+    if (isInternalTransfer(transaction)) return; // Skip transfers between own accounts
 
-    const category = transaction.user_category || transaction.suggested_category || 'uncategorized';
-    const amount = Math.abs(parseFloat(transaction.amount));
-
-    if (!categoryTotals[category]) {
-      categoryTotals[category] = 0;
-    }
-    categoryTotals[category] += amount;
+    // Split transactions add each allocation to its own category
+    getAllocations(transaction).forEach(({ category, amount }) => {
+      if (!categoryTotals[category]) {
+        categoryTotals[category] = 0;
+      }
+      categoryTotals[category] += amount;
+    });
   });
 
   // Calculate total expenses
@@ -276,7 +259,7 @@ async function getExpenseBreakdownChart(clientId, startDate, endDate) {
   // Format as array with percentages, sorted by amount descending
   const categories = Object.entries(categoryTotals)
     .map(([cat, amount]) => ({
-      name: categoryDisplayNames[cat] || cat,
+      name: CATEGORY_DISPLAY_NAMES[cat] || cat,
       amount: Math.round(amount * 100) / 100,
       percentage: totalExpenses > 0 ? Math.round((amount / totalExpenses) * 1000) / 10 : 0
     }))
@@ -305,10 +288,18 @@ async function getExpenseBreakdownChart(clientId, startDate, endDate) {
 /**
  * Get net worth history over time (line chart)
  *
+ * Manually tracked investment accounts are valued from their current
+ * snapshots on each date, replacing whatever the balance sheet recorded for
+ * them (assetBreakdown.manualInvestments), so re-based projections show up in
+ * past points too. A client with no balance sheets gets one point per month
+ * with a manual snapshot. Points that include projected balances are flagged
+ * in `projected`.
+ *
  * @param {string} clientId - Client UUID
  * @param {number} months - Number of months (default: 24)
  * @param {boolean} includeSocialSecurity - Include SS present value (default: false)
- * @returns {Promise<Object>} Chart data with net worth, assets, liabilities over time
+ * @returns {Promise<Object>} Chart data with net worth, assets, liabilities,
+ *   manual investments and projected flags over time
  */
 async function getNetWorthHistoryChart(clientId, months = 24, includeSocialSecurity = false) {
   const supabase = getDatabase();
@@ -320,17 +311,46 @@ async function getNetWorthHistoryChart(clientId, months = 24, includeSocialSecur
   // Query balance sheets
   const { data: balanceSheets, error: bsError } = await supabase
     .from('balance_sheets')
-    .select('snapshot_date, assets, liabilities, net_worth')
+    .select('snapshot_date, assets, liabilities, net_worth, asset_breakdown')
     .eq('client_id', clientId)
     .gte('snapshot_date', startDate.format('YYYY-MM-DD'))
     .lte('snapshot_date', endDate.format('YYYY-MM-DD'))
     .order('snapshot_date', { ascending: true });
 
   if (bsError) {
-    console.error('Error fetching balance sheets:', error);
+    console.error('Error fetching balance sheets:', bsError);
     throw bsError;
   }
 
+  let points = balanceSheets.map(bs => ({
+    date: bs.snapshot_date,
+    assets: bs.assets || 0,
+    liabilities: bs.liabilities || 0,
+    netWorth: bs.net_worth || 0,
+    recordedManual: (bs.asset_breakdown && bs.asset_breakdown.manualInvestments) || 0
+  }));
+
+  if (points.length === 0) {
+    const monthEnds = await manualAccounts.getSnapshotMonthEnds(
+      clientId,
+      startDate.format('YYYY-MM-DD'),
+      endDate.format('YYYY-MM-DD')
+    );
+    points = monthEnds.map(date => ({ date, assets: 0, liabilities: 0, netWorth: 0, recordedManual: 0 }));
+  }
+
+  if (points.length > 0) {
+    const history = await manualAccounts.getManualBalanceHistory(clientId, points.map(point => point.date));
+    points.forEach(point => {
+      const manual = history[point.date];
+      const adjustment = manual.total - point.recordedManual;
+      point.manualInvestments = manual.total;
+      point.projected = manual.projectedTotal > 0;
+      point.assets += adjustment;
+      point.netWorth += adjustment;
+    });
+  }
+
   // Query Social Security data if requested
   let socialSecurityPV = null;
   if (includeSocialSecurity) {
@@ -346,16 +366,20 @@ async function getNetWorthHistoryChart(clientId, months = 24, includeSocialSecur
   }
 
   // Format data for chart
-  const years = balanceSheets.map(bs => moment(bs.snapshot_date).format('YYYY'));
-  const netWorth = balanceSheets.map(bs => Math.round((bs.net_worth || 0) * 100) / 100);
-  const assets = balanceSheets.map(bs => Math.round((bs.assets || 0) * 100) / 100);
-  const liabilities = balanceSheets.map(bs => Math.round((bs.liabilities || 0) * 100) / 100);
+  const years = points.map(point => moment(point.date).format('YYYY'));
+  const netWorth = points.map(point => Math.round(point.netWorth * 100) / 100);
+  const assets = points.map(point => Math.round(point.assets * 100) / 100);
+  const liabilities = points.map(point => Math.round(point.liabilities * 100) / 100);
+  const manualInvestments = points.map(point => Math.round(point.manualInvestments * 100) / 100);
+  const projected = points.map(point => point.projected);
 
   const result = {
     years,
     netWorth,
     assets,
-    liabilities
+    liabilities,
+    manualInvestments,
+    projected
   };
 
   if (includeSocialSecurity && socialSecurityPV !== null) {
@@ -365,9 +389,33 @@ async function getNetWorthHistoryChart(clientId, months = 24, includeSocialSecur
   return result;
 }
 
+/**
+ * Get budget vs actual by category for a month (grouped bar chart)
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Promise<Object>} Chart data with categories, available budget, actual and variance
+ */
+async function getBudgetVarianceChart(clientId, month) {
+  const result = await budgetService.getBudgetVariance(clientId, month);
+
+  // Largest budgets first
+  const rows = [...result.categories].sort((a, b) => b.available - a.available);
+
+  return {
+    month: moment(month, 'YYYY-MM').format('MMMM YYYY'),
+    categories: rows.map(row => CATEGORY_DISPLAY_NAMES[row.category] || row.category),
+    available: rows.map(row => row.available),
+    actual: rows.map(row => row.actual),
+    variance: rows.map(row => row.variance),
+    totals: result.totals
+  };
+}
+
 module.exports = {
   getExpensesByCategoryChart,
   getIncomeVsExpensesChart,
   getExpenseBreakdownChart,
-  getNetWorthHistoryChart
+  getNetWorthHistoryChart,
+  getBudgetVarianceChart
 };
@@ -350,6 +350,19 @@ async function renderExpenseBreakdownChart(chartData, width = PIE_SIZE, height =
 async function renderNetWorthHistoryChart(chartData, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
   const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height });
 
+  // Points that include projected manual account balances are hollow, and the
+  // line into them is dashed
+  const projected = chartData.projected || [];
+  const hasProjected = projected.some(Boolean);
+  const projectedStyle = (color) => (hasProjected ? {
+    pointRadius: projected.map(isProjected => (isProjected ? 4 : 3)),
+    pointBackgroundColor: projected.map(isProjected => (isProjected ? 'white' : color)),
+    pointBorderColor: color,
+    segment: {
+      borderDash: (ctx) => (projected[ctx.p1DataIndex] ? [6, 4] : undefined)
+    }
+  } : {});
+
   const datasets = [
     {
       label: 'Assets',
@@ -358,7 +371,8 @@ async function renderNetWorthHistoryChart(chartData, width = DEFAULT_WIDTH, heig
       backgroundColor: COLORS.success + '33', // Very transparent
       fill: true,
       tension: 0.4,
-      borderWidth: 2
+      borderWidth: 2,
+      ...projectedStyle(COLORS.success)
     },
     {
       label: 'Liabilities',
@@ -376,7 +390,8 @@ async function renderNetWorthHistoryChart(chartData, width = DEFAULT_WIDTH, heig
       backgroundColor: COLORS.primary + '55',
       fill: true,
       tension: 0.4,
-      borderWidth: 3
+      borderWidth: 3,
+      ...projectedStyle(COLORS.primary)
     }
   ];
 
@@ -409,6 +424,12 @@ async function renderNetWorthHistoryChart(chartData, width = DEFAULT_WIDTH, heig
           font: { size: 16, weight: 'bold' },
           color: '#333'
         },
+        subtitle: {
+          display: hasProjected,
+          text: 'Hollow points include projected balances for accounts between statements',
+          font: { size: 10, style: 'italic' },
+          color: '#6c757d'
+        },
         legend: {
           position: 'bottom',
           labels: {
@@ -459,9 +480,426 @@ async function renderNetWorthHistoryChart(chartData, width = DEFAULT_WIDTH, heig
   return await chartJSNodeCanvas.renderToBuffer(configuration);
 }
 
+/**
+ * Render budget vs actual as a horizontal grouped bar chart
+ *
+ * @param {Object} chartData - Data from chartDataService.getBudgetVarianceChart
+ * @param {number} width - Chart width in pixels
+ * @param {number} height - Chart height in pixels
+ * @returns {Promise<Buffer>} PNG image buffer
+ */
+async function renderBudgetVarianceChart(chartData, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
+  const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height });
+
+  // Over-budget categories are drawn in red, the rest in green
+  const actualColors = chartData.actual.map((actual, i) =>
+    (actual > chartData.available[i] ? COLORS.danger : COLORS.success) + 'CC'
+  );
+
+  const configuration = {
+    type: 'bar',
+    data: {
+      labels: chartData.categories,
+      datasets: [
+        {
+          label: 'Budget',
+          data: chartData.available,
+          backgroundColor: COLORS.primary + '66', // Light purple
+          borderColor: COLORS.primary,
+          borderWidth: 1
+        },
+        {
+          label: 'Actual',
+          data: chartData.actual,
+          backgroundColor: actualColors,
+          borderColor: actualColors,
+          borderWidth: 1
+        }
+      ]
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: false,
+      plugins: {
+        title: {
+          display: true,
+          text: `Budget vs Actual - ${chartData.month}`,
+          font: { size: 16, weight: 'bold' },
+          color: '#333'
+        },
+        legend: {
+          position: 'bottom',
+          labels: {
+            boxWidth: 12,
+            padding: 10,
+            font: { size: 10 }
+          }
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const label = context.dataset.label || '';
+              const value = context.parsed.x || 0;
+              return `${label}: $${value.toLocaleString()}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          beginAtZero: true,
+          grid: { color: '#e1e5e9' },
+          ticks: {
+            font: { size: 10 },
+            callback: (value) => '$' + value.toLocaleString()
+          }
+        },
+        y: {
+          grid: { display: false },
+          ticks: { font: { size: 10 } }
+        }
+      }
+    },
+    plugins: [{
+      id: 'background',
+      beforeDraw: (chart) => {
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+      }
+    }]
+  };
+
+  return await chartJSNodeCanvas.renderToBuffer(configuration);
+}
+
+/**
+ * Render projected total debt balance per payoff strategy as a line chart
+ *
+ * @param {Object} chartData - Data from debtPlanner.toChartData
+ * @param {number} width - Chart width in pixels
+ * @param {number} height - Chart height in pixels
+ * @returns {Promise<Buffer>} PNG image buffer
+ */
+async function renderDebtPayoffChart(chartData, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
+  const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height });
+
+  const strategyColors = {
+    avalanche: COLORS.primary,
+    snowball: COLORS.orange,
+    custom: COLORS.info,
+    minimum_only: COLORS.gray
+  };
+
+  const datasets = chartData.series.map(series => ({
+    label: series.label,
+    data: series.balances,
+    borderColor: strategyColors[series.strategy] || COLORS.secondary,
+    backgroundColor: 'transparent',
+    borderDash: series.strategy === 'minimum_only' ? [6, 4] : [],
+    fill: false,
+    tension: 0.2,
+    borderWidth: series.strategy === 'minimum_only' ? 2 : 3,
+    pointRadius: 0
+  }));
+
+  const configuration = {
+    type: 'line',
+    data: {
+      labels: chartData.months,
+      datasets: datasets
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: {
+          display: true,
+          text: 'Projected Debt Balance by Strategy',
+          font: { size: 16, weight: 'bold' },
+          color: '#333'
+        },
+        legend: {
+          position: 'bottom',
+          labels: {
+            boxWidth: 12,
+            padding: 10,
+            font: { size: 10 }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { color: '#e1e5e9', display: true },
+          ticks: { font: { size: 10 }, maxTicksLimit: 12 }
+        },
+        y: {
+          beginAtZero: true,
+          grid: { color: '#e1e5e9' },
+          ticks: {
+            font: { size: 10 },
+            callback: (value) => '$' + value.toLocaleString()
+          }
+        }
+      }
+    },
+    plugins: [{
+      id: 'background',
+      beforeDraw: (chart) => {
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+      }
+    }]
+  };
+
+  return await chartJSNodeCanvas.renderToBuffer(configuration);
+}
+
+/**
+ * Render a Monte Carlo retirement projection as a fan chart: shaded 10th-90th
+ * and 25th-75th percentile bands with the median path
+ *
+ * @param {Object} chartData - Result from retirementSimulator.runSimulation
+ * @param {number} width - Chart width in pixels
+ * @param {number} height - Chart height in pixels
+ * @returns {Promise<Buffer>} PNG image buffer
+ */
+async function renderRetirementFanChart(chartData, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
+  const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height });
+
+  const { percentiles } = chartData;
+  const band = (label, data, fill, color) => ({
+    label,
+    data,
+    borderColor: 'transparent',
+    backgroundColor: color,
+    fill,
+    pointRadius: 0,
+    tension: 0.3
+  });
+
+  const datasets = [
+    band('90th percentile', percentiles.p90, false, 'transparent'),
+    band('10th-90th percentile', percentiles.p10, '-1', COLORS.primary + '26'),
+    band('75th percentile', percentiles.p75, false, 'transparent'),
+    band('25th-75th percentile', percentiles.p25, '-1', COLORS.primary + '59'),
+    {
+      label: 'Median',
+      data: percentiles.p50,
+      borderColor: COLORS.secondary,
+      backgroundColor: COLORS.secondary,
+      fill: false,
+      pointRadius: 0,
+      tension: 0.3,
+      borderWidth: 3
+    }
+  ];
+
+  const configuration = {
+    type: 'line',
+    data: {
+      labels: chartData.ages,
+      datasets: datasets
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: {
+          display: true,
+          text: 'Projected Portfolio Value (Today\'s Dollars)',
+          font: { size: 16, weight: 'bold' },
+          color: '#333'
+        },
+        legend: {
+          position: 'bottom',
+          labels: {
+            boxWidth: 12,
+            padding: 10,
+            font: { size: 10 },
+            // Hide the outer edge series that only bound the shaded bands
+            filter: (item) => !['90th percentile', '75th percentile'].includes(item.text)
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: { display: true, text: 'Age', font: { size: 10 } },
+          grid: { color: '#e1e5e9', display: true },
+          ticks: { font: { size: 10 }, maxTicksLimit: 15 }
+        },
+        y: {
+          beginAtZero: true,
+          grid: { color: '#e1e5e9' },
+          ticks: {
+            font: { size: 10 },
+            callback: (value) => '$' + value.toLocaleString()
+          }
+        }
+      }
+    },
+    plugins: [{
+      id: 'background',
+      beforeDraw: (chart) => {
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+      }
+    }]
+  };
+
+  return await chartJSNodeCanvas.renderToBuffer(configuration);
+}
+
+/**
+ * Render the Social Security claiming curve: present value of lifetime
+ * benefits for each claiming month from 62 to 70
+ *
+ * @param {Object} chartData - Data from socialSecurityOptimizer.toChartData
+ * @param {number} width - Chart width in pixels
+ * @param {number} height - Chart height in pixels
+ * @returns {Promise<Buffer>} PNG image buffer
+ */
+async function renderClaimingCurveChart(chartData, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
+  const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height });
+
+  // Mark the optimal month and full retirement age on the curve
+  const markerRadius = chartData.labels.map((_, idx) =>
+    idx === chartData.optimalIndex ? 6 : (idx === chartData.fraIndex ? 4 : 0)
+  );
+  const markerColor = chartData.labels.map((_, idx) =>
+    idx === chartData.optimalIndex ? COLORS.success : COLORS.orange
+  );
+
+  // With after-tax values, the markers go on the after-tax line the recommendation uses
+  const afterTax = Array.isArray(chartData.afterTaxPresentValues);
+  const valueDatasets = [
+    {
+      label: afterTax ? 'Present value before tax' : 'Present value of lifetime benefits',
+      data: chartData.presentValues,
+      borderColor: afterTax ? COLORS.primary + '88' : COLORS.primary,
+      backgroundColor: COLORS.primary + '22',
+      fill: !afterTax,
+      tension: 0.2,
+      borderWidth: afterTax ? 2 : 3,
+      pointRadius: afterTax ? 0 : markerRadius,
+      pointBackgroundColor: markerColor,
+      pointBorderColor: markerColor,
+      yAxisID: 'y'
+    }
+  ];
+  if (afterTax) {
+    valueDatasets.push({
+      label: 'Present value after federal tax',
+      data: chartData.afterTaxPresentValues,
+      borderColor: COLORS.primary,
+      backgroundColor: COLORS.primary + '22',
+      fill: true,
+      tension: 0.2,
+      borderWidth: 3,
+      pointRadius: markerRadius,
+      pointBackgroundColor: markerColor,
+      pointBorderColor: markerColor,
+      yAxisID: 'y'
+    });
+  }
+
+  const configuration = {
+    type: 'line',
+    data: {
+      labels: chartData.labels,
+      datasets: [
+        ...valueDatasets,
+        {
+          label: 'Monthly benefit',
+          data: chartData.monthlyBenefits,
+          borderColor: COLORS.gray,
+          backgroundColor: 'transparent',
+          borderDash: [6, 4],
+          fill: false,
+          borderWidth: 2,
+          pointRadius: 0,
+          yAxisID: 'y1'
+        }
+      ]
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: {
+          display: true,
+          text: 'Social Security Value by Claiming Age',
+          font: { size: 16, weight: 'bold' },
+          color: '#333'
+        },
+        legend: {
+          position: 'bottom',
+          labels: {
+            boxWidth: 12,
+            padding: 10,
+            font: { size: 10 }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: { display: true, text: 'Claiming age', font: { size: 10 } },
+          grid: { color: '#e1e5e9', display: true },
+          ticks: {
+            font: { size: 10 },
+            autoSkip: false,
+            // One tick per whole year
+            callback: function(value) {
+              const label = this.getLabelForValue(value);
+              return /^\d+y$/.test(label) ? label.replace('y', '') : null;
+            }
+          }
+        },
+        y: {
+          position: 'left',
+          grid: { color: '#e1e5e9' },
+          ticks: {
+            font: { size: 10 },
+            callback: (value) => '$' + value.toLocaleString()
+          }
+        },
+        y1: {
+          position: 'right',
+          grid: { display: false },
+          ticks: {
+            font: { size: 10 },
+            callback: (value) => '$' + value.toLocaleString() + '/mo'
+          }
+        }
+      }
+    },
+    plugins: [{
+      id: 'background',
+      beforeDraw: (chart) => {
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+      }
+    }]
+  };
+
+  return await chartJSNodeCanvas.renderToBuffer(configuration);
+}
+
 module.exports = {
   renderExpensesByCategoryChart,
   renderIncomeVsExpensesChart,
   renderExpenseBreakdownChart,
-  renderNetWorthHistoryChart
+  renderNetWorthHistoryChart,
+  renderBudgetVarianceChart,
+  renderDebtPayoffChart,
+  renderRetirementFanChart,
+  renderClaimingCurveChart
 };
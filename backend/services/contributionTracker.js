@@ -0,0 +1,401 @@
+/**
+ * Contribution Tracker
+ * Projects year-end 401(k)/403(b) and HSA contributions from stored paystubs
+ * (YTD amounts plus the current per-paycheck amount for each remaining pay
+ * period) and compares them with the IRS limits for the year, including
+ * age-based catch-up contributions from clients.birth_date.
+ *
+ * Elective deferral and HSA limits are per person, so paystubs from every
+ * employer in the year are combined: the latest paystub of each employer
+ * counts, and an employer whose paystubs stopped well before the most recent
+ * one is treated as a finished job (no further contributions projected).
+ */
+
+const moment = require('moment');
+const Client = require('../models-supabase/Client');
+const Paystub = require('../models-supabase/Paystub');
+const { calculateRemainingPeriods } = require('./paystubParser');
+
+// IRS limits by tax year
+// electiveDeferral: 402(g) limit shared by traditional and Roth 401(k)/403(b)
+// catchUp50: age 50+ catch-up; catchUp60to63: higher catch-up for ages 60-63 (2025+)
+// hsa: self-only / family coverage, hsaCatchUp55: age 55+ HSA catch-up
+// annualAdditions: 415(c) limit on employee + employer contributions
+const IRS_LIMITS = {
+  2024: {
+    electiveDeferral: 23000,
+    catchUp50: 7500,
+    catchUp60to63: null,
+    hsa: { self: 4150, family: 8300 },
+    hsaCatchUp55: 1000,
+    annualAdditions: 69000
+  },
+  2025: {
+    electiveDeferral: 23500,
+    catchUp50: 7500,
+    catchUp60to63: 11250,
+    hsa: { self: 4300, family: 8550 },
+    hsaCatchUp55: 1000,
+    annualAdditions: 70000
+  },
+  2026: {
+    electiveDeferral: 24500,
+    catchUp50: 8000,
+    catchUp60to63: 11250,
+    hsa: { self: 4400, family: 8750 },
+    hsaCatchUp55: 1000,
+    annualAdditions: 72000
+  }
+};
+
+const HSA_COVERAGE_TYPES = ['self', 'family'];
+
+// An employer's latest paystub this much older than the newest paystub
+// means the job ended
+const FINISHED_JOB_DAYS = 45;
+
+const ELECTIVE_PATTERN = /401k|403b|457/;
+// Plan loan repayments (401k_loan) are not deferrals
+const LOAN_PATTERN = /loan/;
+const isElective = (key) => ELECTIVE_PATTERN.test(key) && !LOAN_PATTERN.test(key);
+const HSA_PATTERN = /(^|_)hsa($|_)/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * IRS limits for a tax year (the latest published year when the year is
+ * newer than the table)
+ *
+ * @param {number} taxYear
+ * @returns {Object} { taxYear, electiveDeferral, catchUp50, catchUp60to63, hsa, hsaCatchUp55, annualAdditions }
+ */
+function getLimits(taxYear) {
+  const years = Object.keys(IRS_LIMITS).map(Number).sort((a, b) => a - b);
+  const year = years.filter(y => y <= taxYear).pop() || years[0];
+  return { taxYear: year, ...IRS_LIMITS[year] };
+}
+
+/**
+ * Personal limits for the client's age at the end of the tax year
+ *
+ * @param {Object} limits - Output of getLimits
+ * @param {number|null} ageAtYearEnd - Age on December 31 (null when unknown)
+ * @param {string} hsaCoverage - 'self' or 'family'
+ * @returns {Object} { electiveDeferral, electiveCatchUp, hsa, hsaCatchUp, annualAdditions }
+ */
+function getPersonalLimits(limits, ageAtYearEnd, hsaCoverage = 'self') {
+  let electiveCatchUp = 0;
+  if (ageAtYearEnd !== null && ageAtYearEnd >= 50) {
+    const superCatchUp = limits.catchUp60to63 && ageAtYearEnd >= 60 && ageAtYearEnd <= 63;
+    electiveCatchUp = superCatchUp ? limits.catchUp60to63 : limits.catchUp50;
+  }
+  const hsaCatchUp = ageAtYearEnd !== null && ageAtYearEnd >= 55 ? limits.hsaCatchUp55 : 0;
+
+  return {
+    electiveDeferral: limits.electiveDeferral + electiveCatchUp,
+    electiveCatchUp,
+    hsa: limits.hsa[hsaCoverage] + hsaCatchUp,
+    hsaCatchUp,
+    // Catch-up contributions don't count toward the 415(c) limit
+    annualAdditions: limits.annualAdditions + electiveCatchUp
+  };
+}
+
+/**
+ * Sum the current and YTD amounts of deductions whose key matches a test
+ */
+function sumDeductions(deductions, test) {
+  return Object.entries(deductions || {}).reduce((sum, [key, pair]) => {
+    if (!test(key) || !pair) return sum;
+    return {
+      current: sum.current + (Number(pair.current) || 0),
+      ytd: sum.ytd + (Number(pair.ytd) || 0)
+    };
+  }, { current: 0, ytd: 0 });
+}
+
+/**
+ * Retirement and HSA contributions on a paystub
+ * Pre-tax 401(k)/403(b)/457 lines are traditional deferrals, Roth lines in
+ * after-tax deductions are Roth deferrals; both count toward the same limit.
+ * Plan loan repayments are left out.
+ *
+ * @param {Object} paystub - Paystub model
+ * @returns {Object} { traditional, roth, hsaEmployee, hsaEmployer, employerMatch } each { current, ytd }
+ */
+function extractContributions(paystub) {
+  const employer = paystub.employerContributions || {};
+  return {
+    traditional: sumDeductions(paystub.pretaxDeductions, key => isElective(key) && !key.includes('roth')),
+    roth: sumDeductions(paystub.aftertaxDeductions, key => isElective(key) && key.includes('roth')),
+    hsaEmployee: sumDeductions(paystub.pretaxDeductions, key => HSA_PATTERN.test(key)),
+    hsaEmployer: { current: employer.hsa?.current || 0, ytd: employer.hsa?.ytd || 0 },
+    employerMatch: { current: employer.match401k?.current || 0, ytd: employer.match401k?.ytd || 0 }
+  };
+}
+
+/**
+ * Pay periods left in the year after a paystub
+ */
+function getRemainingPeriods(paystub) {
+  const stored = paystub.projections && paystub.projections.remainingPayPeriods;
+  if (stored !== null && stored !== undefined) return stored;
+  if (!paystub.periodEnding || !paystub.payPeriodsPerYear) return 0;
+  return calculateRemainingPeriods(paystub.periodEnding, paystub.payPeriodsPerYear);
+}
+
+/**
+ * Latest paystub of each employer, flagging employers that stopped paying
+ *
+ * @param {Array} paystubs - Paystubs for one tax year, most recent first
+ * @returns {Array} [{ paystub, active }]
+ */
+function latestByEmployer(paystubs) {
+  const latest = new Map();
+  paystubs.forEach(paystub => {
+    const key = (paystub.employerName || '').trim().toLowerCase() || 'unknown';
+    if (!latest.has(key)) latest.set(key, paystub);
+  });
+
+  const newest = moment(paystubs[0].periodEnding);
+  return [...latest.values()].map(paystub => ({
+    paystub,
+    active: newest.diff(moment(paystub.periodEnding), 'days') <= FINISHED_JOB_DAYS
+  }));
+}
+
+/**
+ * Year-end contribution pacing from a year's paystubs
+ *
+ * @param {Array} paystubs - Paystubs for one tax year, most recent first
+ * @param {Object} options - {
+ *   taxYear, birthDate,
+ *   hsaCoverage: 'self' | 'family' (default self),
+ *   matchLimitPercent: % of pay the employer matches up to (optional)
+ * }
+ * @returns {Object} Pacing for elective deferrals, HSA, employer match and warnings
+ */
+function calculatePacing(paystubs, options = {}) {
+  const taxYear = Number(options.taxYear || paystubs[0].taxYear || moment(paystubs[0].periodEnding).year());
+  const hsaCoverage = options.hsaCoverage || 'self';
+  const ageAtYearEnd = options.birthDate
+    ? moment(`${taxYear}-12-31`).diff(moment(options.birthDate), 'years')
+    : null;
+
+  const limits = getLimits(taxYear);
+  const personal = getPersonalLimits(limits, ageAtYearEnd, hsaCoverage);
+
+  const totals = {
+    traditional: { ytd: 0, projected: 0, current: 0 },
+    roth: { ytd: 0, projected: 0, current: 0 },
+    hsaEmployee: { ytd: 0, projected: 0, current: 0 },
+    hsaEmployer: { ytd: 0, projected: 0, current: 0 },
+    employerMatch: { ytd: 0, projected: 0, current: 0 }
+  };
+  let grossCurrent = 0;
+  let remainingPayPeriods = 0;
+  let matchPerPeriodAtRisk = 0;
+
+  const employers = latestByEmployer(paystubs).map(({ paystub, active }) => {
+    const remaining = active ? getRemainingPeriods(paystub) : 0;
+    const contributions = extractContributions(paystub);
+
+    Object.entries(contributions).forEach(([type, pair]) => {
+      totals[type].ytd += pair.ytd;
+      totals[type].projected += pair.ytd + (active ? pair.current * remaining : 0);
+      if (active) totals[type].current += pair.current;
+    });
+
+    if (active) {
+      grossCurrent += paystub.earnings?.gross?.current || 0;
+      remainingPayPeriods = Math.max(remainingPayPeriods, remaining);
+      matchPerPeriodAtRisk += contributions.employerMatch.current;
+    }
+
+    return {
+      employerName: paystub.employerName,
+      periodEnding: paystub.periodEnding,
+      payFrequency: paystub.payFrequency,
+      remainingPayPeriods: remaining,
+      active
+    };
+  });
+
+  const asOf = paystubs[0].periodEnding;
+  const warnings = [];
+
+  // Elective deferrals (traditional + Roth share one limit)
+  const electiveYtd = totals.traditional.ytd + totals.roth.ytd;
+  const electiveProjected = totals.traditional.projected + totals.roth.projected;
+  const electiveCurrent = totals.traditional.current + totals.roth.current;
+  const electiveRoom = Math.max(0, personal.electiveDeferral - electiveYtd);
+
+  const elective = {
+    ytd: round(electiveYtd),
+    projected: round(electiveProjected),
+    perPaycheck: round(electiveCurrent),
+    traditional: { ytd: round(totals.traditional.ytd), projected: round(totals.traditional.projected) },
+    roth: { ytd: round(totals.roth.ytd), projected: round(totals.roth.projected) },
+    limit: personal.electiveDeferral,
+    catchUp: personal.electiveCatchUp,
+    remainingRoom: round(electiveRoom),
+    percentOfLimit: Math.round(electiveProjected / personal.electiveDeferral * 1000) / 10,
+    perPaycheckToMax: remainingPayPeriods > 0 ? round(electiveRoom / remainingPayPeriods) : null,
+    percentOfPay: grossCurrent > 0 ? Math.round(electiveCurrent / grossCurrent * 1000) / 10 : null
+  };
+
+  if (electiveYtd > personal.electiveDeferral) {
+    warnings.push({
+      type: 'elective_over_limit',
+      severity: 'high',
+      message: `401(k)/403(b) deferrals of $${round(electiveYtd).toLocaleString()} are already over the ` +
+        `$${personal.electiveDeferral.toLocaleString()} limit; the excess must be withdrawn by April 15 to avoid double taxation.`
+    });
+  } else if (electiveProjected > personal.electiveDeferral) {
+    warnings.push({
+      type: 'elective_over_contribution',
+      severity: 'high',
+      message: `At $${elective.perPaycheck.toLocaleString()} per paycheck, 401(k)/403(b) deferrals reach ` +
+        `$${elective.projected.toLocaleString()} – over the $${personal.electiveDeferral.toLocaleString()} limit. ` +
+        (employers.filter(e => e.active).length > 1
+          ? 'Deferrals at all employers share one limit; lower them at one job.'
+          : `Lower deferrals to about $${elective.perPaycheckToMax.toLocaleString()} per paycheck.`)
+    });
+  }
+
+  // Employer match stops when deferrals stop, unless the plan trues up
+  const employerMatch = {
+    ytd: round(totals.employerMatch.ytd),
+    projected: round(totals.employerMatch.projected),
+    perPaycheck: round(totals.employerMatch.current),
+    periodsUntilDeferralLimit: null,
+    matchAtRisk: 0
+  };
+
+  if (electiveCurrent > 0 && electiveProjected > personal.electiveDeferral && matchPerPeriodAtRisk > 0) {
+    const periodsUntilLimit = Math.floor(electiveRoom / electiveCurrent);
+    const periodsWithoutDeferral = Math.max(0, remainingPayPeriods - periodsUntilLimit);
+    employerMatch.periodsUntilDeferralLimit = periodsUntilLimit;
+    employerMatch.matchAtRisk = round(matchPerPeriodAtRisk * periodsWithoutDeferral);
+    employerMatch.projected = round(employerMatch.projected - employerMatch.matchAtRisk);
+
+    if (periodsWithoutDeferral > 0) {
+      warnings.push({
+        type: 'missed_match_early_max',
+        severity: 'medium',
+        message: `Deferrals hit the limit with ${periodsWithoutDeferral} pay period(s) left, which can forfeit about ` +
+          `$${employerMatch.matchAtRisk.toLocaleString()} of employer match unless the plan has a true-up. ` +
+          `Spreading deferrals at $${elective.perPaycheckToMax.toLocaleString()} per paycheck keeps the full match.`
+      });
+    }
+  }
+
+  if (electiveCurrent > 0 && totals.employerMatch.ytd === 0 && totals.employerMatch.current === 0) {
+    warnings.push({
+      type: 'no_employer_match',
+      severity: 'low',
+      message: 'No employer match appears on the paystubs; confirm whether the plan offers one.'
+    });
+  }
+
+  if (options.matchLimitPercent && elective.percentOfPay !== null && elective.percentOfPay < options.matchLimitPercent) {
+    warnings.push({
+      type: 'below_match_percent',
+      severity: 'medium',
+      message: `Deferring ${elective.percentOfPay}% of pay is below the ${options.matchLimitPercent}% the employer ` +
+        'matches; raising deferrals would capture the full match.'
+    });
+  }
+
+  // HSA (employee and employer contributions share one limit)
+  const hsaYtd = totals.hsaEmployee.ytd + totals.hsaEmployer.ytd;
+  const hsaProjected = totals.hsaEmployee.projected + totals.hsaEmployer.projected;
+  const hsaCurrent = totals.hsaEmployee.current + totals.hsaEmployer.current;
+  const hsaRoom = Math.max(0, personal.hsa - hsaYtd);
+
+  const hsa = {
+    coverage: hsaCoverage,
+    ytd: round(hsaYtd),
+    projected: round(hsaProjected),
+    perPaycheck: round(hsaCurrent),
+    employee: { ytd: round(totals.hsaEmployee.ytd), projected: round(totals.hsaEmployee.projected) },
+    employer: { ytd: round(totals.hsaEmployer.ytd), projected: round(totals.hsaEmployer.projected) },
+    limit: personal.hsa,
+    catchUp: personal.hsaCatchUp,
+    remainingRoom: round(hsaRoom),
+    percentOfLimit: Math.round(hsaProjected / personal.hsa * 1000) / 10,
+    perPaycheckToMax: remainingPayPeriods > 0 ? round(hsaRoom / remainingPayPeriods) : null
+  };
+
+  if (hsaProjected > personal.hsa) {
+    warnings.push({
+      type: 'hsa_over_contribution',
+      severity: 'high',
+      message: `HSA contributions (including employer) are on pace for $${hsa.projected.toLocaleString()}, over the ` +
+        `$${personal.hsa.toLocaleString()} ${hsaCoverage}-coverage limit; excess contributions owe a 6% excise tax unless withdrawn.`
+    });
+  }
+
+  // 415(c): employee deferrals plus employer contributions
+  const annualAdditionsProjected = electiveProjected + employerMatch.projected;
+  const annualAdditions = {
+    projected: round(annualAdditionsProjected),
+    limit: personal.annualAdditions
+  };
+
+  if (annualAdditionsProjected > personal.annualAdditions) {
+    warnings.push({
+      type: 'annual_additions_over_limit',
+      severity: 'high',
+      message: `Employee and employer contributions are on pace for $${annualAdditions.projected.toLocaleString()}, ` +
+        `over the $${personal.annualAdditions.toLocaleString()} annual additions limit.`
+    });
+  }
+
+  return {
+    taxYear,
+    limitsYear: limits.taxYear,
+    asOf,
+    ageAtYearEnd,
+    remainingPayPeriods,
+    employers,
+    elective,
+    employerMatch,
+    hsa,
+    annualAdditions,
+    warnings
+  };
+}
+
+/**
+ * Contribution pacing for a client from their stored paystubs
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { taxYear (default current year), hsaCoverage, matchLimitPercent }
+ * @returns {Promise<Object|null>} Pacing, or null when the year has no paystubs
+ */
+async function getContributionPacing(clientId, options = {}) {
+  const taxYear = Number(options.taxYear || moment().year());
+  const paystubs = await Paystub.find({ clientId, taxYear });
+  if (paystubs.length === 0) return null;
+
+  const client = await Client.findOne({ clientId });
+
+  return calculatePacing(paystubs, {
+    ...options,
+    taxYear,
+    birthDate: client && client.birthDate
+  });
+}
+
+module.exports = {
+  IRS_LIMITS,
+  HSA_COVERAGE_TYPES,
+  getLimits,
+  getPersonalLimits,
+  extractContributions,
+  getRemainingPeriods,
+  latestByEmployer,
+  calculatePacing,
+  getContributionPacing
+};
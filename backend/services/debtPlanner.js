@@ -0,0 +1,459 @@
+/**
+ * Debt Payoff Planner
+ * Collects a client's liabilities (balance, APR and minimum payment) from Plaid
+ * liabilities and manual entries, and simulates paying them down month by month
+ * with avalanche, snowball or custom ordering.
+ */
+
+const moment = require('moment');
+const Client = require('../models-supabase/Client');
+const Debt = require('../models-supabase/Debt');
+const { createPlaidClient } = require('../utils/plaidConfig');
+
+// Initialize Plaid client
+const plaidClient = createPlaidClient();
+
+const DEBT_TYPES = ['credit_card', 'student_loan', 'mortgage', 'auto_loan', 'personal_loan', 'other'];
+
+const STRATEGIES = {
+  avalanche: 'Avalanche (highest APR first)',
+  snowball: 'Snowball (smallest balance first)',
+  custom: 'Custom order',
+  minimum_only: 'Minimum payments only'
+};
+
+// Stop simulating after 50 years; anything longer never pays off at this budget
+const MAX_MONTHS = 600;
+
+// Credit card minimum when neither Plaid nor the advisor supplied one
+const DEFAULT_CARD_MIN_PAYMENT = 25;
+const DEFAULT_CARD_MIN_SHARE = 0.02;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a manually entered debt (or an override of a Plaid-linked one)
+ *
+ * @param {Object} debt - Debt fields
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDebt(debt) {
+  if (!debt.name || typeof debt.name !== 'string') {
+    return 'name is required';
+  }
+
+  if (debt.debtType && !DEBT_TYPES.includes(debt.debtType)) {
+    return `debtType must be one of: ${DEBT_TYPES.join(', ')}`;
+  }
+
+  // Overrides of Plaid accounts may leave any of these empty to keep Plaid's value
+  const requireValues = !debt.plaidAccountId;
+  for (const field of ['balance', 'apr', 'minimumPayment']) {
+    const value = debt[field];
+    if (value === undefined || value === null) {
+      if (requireValues && field === 'balance') return 'balance is required';
+      continue;
+    }
+    if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+
+  if (debt.apr !== undefined && debt.apr !== null && Number(debt.apr) > 100) {
+    return 'apr must be an annual percentage, e.g. 22.99';
+  }
+
+  return null;
+}
+
+/**
+ * Map a Plaid loan/credit account to a debt type
+ */
+function getDebtType(account) {
+  if (account.type === 'credit') return 'credit_card';
+
+  const subtype = (account.subtype || '').toLowerCase();
+  if (subtype === 'student' || subtype === 'student loan') return 'student_loan';
+  if (subtype === 'mortgage' || subtype === 'home equity') return 'mortgage';
+  if (subtype === 'auto') return 'auto_loan';
+  if (subtype === 'consumer' || subtype === 'loan' || subtype === 'line of credit') return 'personal_loan';
+  return 'other';
+}
+
+/**
+ * Fetch liabilities for one Plaid item. Falls back to plain balances (without
+ * APR or minimum payment) when the item wasn't linked with the liabilities product.
+ *
+ * @returns {Promise<Array>} Debts with source 'plaid'
+ */
+async function fetchPlaidLiabilities(tokenData) {
+  const details = new Map();
+  let accounts;
+
+  try {
+    const response = await plaidClient.liabilitiesGet({ access_token: tokenData.accessToken });
+    accounts = response.data.accounts || [];
+    const { credit = [], student = [], mortgage = [] } = response.data.liabilities || {};
+
+    credit.forEach(card => {
+      // Prefer the purchase APR; cash advance and balance transfer rates are one-off
+      const aprs = card.aprs || [];
+      const purchase = aprs.find(a => a.apr_type === 'purchase_apr') || aprs[0];
+      details.set(card.account_id, {
+        apr: purchase ? purchase.apr_percentage : null,
+        minimumPayment: card.minimum_payment_amount
+      });
+    });
+    student.forEach(loan => {
+      details.set(loan.account_id, {
+        apr: loan.interest_rate_percentage,
+        minimumPayment: loan.minimum_payment_amount
+      });
+    });
+    mortgage.forEach(loan => {
+      details.set(loan.account_id, {
+        apr: loan.interest_rate ? loan.interest_rate.percentage : null,
+        minimumPayment: loan.next_monthly_payment
+      });
+    });
+  } catch (error) {
+    console.warn(`Liabilities unavailable for item ${tokenData.itemId}, using balances only:`, error.message);
+    const response = await plaidClient.accountsGet({ access_token: tokenData.accessToken });
+    accounts = response.data.accounts || [];
+  }
+
+  return accounts
+    .filter(account => account.type === 'credit' || account.type === 'loan')
+    .map(account => {
+      const detail = details.get(account.account_id) || {};
+      return {
+        id: null,
+        plaidAccountId: account.account_id,
+        name: account.official_name || account.name,
+        institutionName: tokenData.institutionName || null,
+        debtType: getDebtType(account),
+        balance: Math.abs(account.balances.current || 0),
+        apr: detail.apr ?? null,
+        minimumPayment: detail.minimumPayment ?? null,
+        payoffOrder: null,
+        source: 'plaid'
+      };
+    });
+}
+
+/**
+ * Get all active debts for a client: Plaid liabilities merged with manual
+ * entries. A manual entry with a plaidAccountId overrides that account's
+ * non-empty fields; manual entries without one are added as-is.
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { includeMortgage: include mortgages (default true) }
+ * @returns {Promise<Array>} Debts
+ */
+async function getDebtsForClient(clientId, { includeMortgage = true } = {}) {
+  const client = await Client.findOne({ clientId });
+  if (!client) {
+    throw new Error(`Client ${clientId} not found`);
+  }
+
+  const plaidDebts = [];
+  for (const tokenData of client.plaidAccessTokens || []) {
+    if (!tokenData.isActive || !tokenData.accessToken) continue;
+
+    try {
+      plaidDebts.push(...await fetchPlaidLiabilities(tokenData));
+    } catch (error) {
+      console.error(`Error fetching liabilities for item ${tokenData.itemId}:`, error.message);
+      // Continue with other connections
+    }
+  }
+
+  const manualDebts = await Debt.find({ clientId });
+  const overrides = new Map(
+    manualDebts.filter(d => d.plaidAccountId).map(d => [d.plaidAccountId, d])
+  );
+
+  const debts = [];
+
+  plaidDebts.forEach(plaidDebt => {
+    const override = overrides.get(plaidDebt.plaidAccountId);
+    if (!override) {
+      debts.push(plaidDebt);
+      return;
+    }
+    if (override.isActive === false) return;
+
+    const merged = { ...plaidDebt, id: override.id, source: 'plaid_override' };
+    ['name', 'debtType', 'balance', 'apr', 'minimumPayment', 'payoffOrder'].forEach(field => {
+      if (override[field] !== null && override[field] !== undefined) merged[field] = override[field];
+    });
+    debts.push(merged);
+  });
+
+  manualDebts
+    .filter(d => !d.plaidAccountId && d.isActive !== false)
+    .forEach(d => debts.push({
+      id: d.id,
+      plaidAccountId: null,
+      name: d.name,
+      institutionName: null,
+      debtType: d.debtType,
+      balance: d.balance || 0,
+      apr: d.apr,
+      minimumPayment: d.minimumPayment,
+      payoffOrder: d.payoffOrder,
+      source: 'manual'
+    }));
+
+  return debts.filter(d => d.balance > 0 && (includeMortgage || d.debtType !== 'mortgage'));
+}
+
+/**
+ * Fill in a missing minimum payment so the simulation can run. Cards use the
+ * usual greater of $25 or 2% of balance; loans pay this month's interest plus 1%.
+ */
+function estimateMinimumPayment(debt) {
+  const monthlyInterest = debt.balance * (debt.apr || 0) / 1200;
+  if (debt.debtType === 'credit_card') {
+    return roundCents(Math.min(debt.balance, Math.max(DEFAULT_CARD_MIN_PAYMENT, debt.balance * DEFAULT_CARD_MIN_SHARE)));
+  }
+  return roundCents(Math.min(debt.balance, monthlyInterest + debt.balance * 0.01));
+}
+
+/**
+ * Order debts for a strategy. Ties fall back to the other strategy's rule.
+ */
+function orderDebts(debts, strategy, customOrder = []) {
+  const byApr = (a, b) => (b.apr - a.apr) || (a.balance - b.balance);
+  const byBalance = (a, b) => (a.balance - b.balance) || (b.apr - a.apr);
+
+  if (strategy === 'snowball') return [...debts].sort(byBalance);
+  if (strategy !== 'custom') return [...debts].sort(byApr);
+
+  // Custom: explicit list of keys first, then payoffOrder, then avalanche for the rest
+  const rank = (debt) => {
+    const index = customOrder.indexOf(debt.key);
+    if (index !== -1) return index;
+    if (debt.payoffOrder !== null && debt.payoffOrder !== undefined) return customOrder.length + debt.payoffOrder;
+    return Infinity;
+  };
+  return [...debts].sort((a, b) => (rank(a) - rank(b)) || byApr(a, b));
+}
+
+/**
+ * Simulate paying off debts month by month
+ *
+ * Each month interest accrues, every debt gets its minimum payment, and the rest
+ * of the monthly budget (the starting minimums plus extraPayment) goes to the
+ * first unpaid debt in strategy order. Minimums freed up by paid-off debts roll
+ * into the budget, except for the minimum_only baseline.
+ *
+ * @param {Array} debts - Debts from getDebtsForClient
+ * @param {Object} options - { strategy, extraPayment, customOrder: debt keys, startDate }
+ * @returns {Object} Plan with payoff date, total interest, per-debt results and schedule
+ */
+function simulatePayoff(debts, { strategy = 'avalanche', extraPayment = 0, customOrder = [], startDate = new Date() } = {}) {
+  const start = moment(startDate).startOf('month');
+  const extra = strategy === 'minimum_only' ? 0 : Math.max(0, Number(extraPayment) || 0);
+
+  const states = debts.map(debt => {
+    const apr = debt.apr || 0;
+    const minimumPayment = debt.minimumPayment !== null && debt.minimumPayment !== undefined
+      ? debt.minimumPayment
+      : estimateMinimumPayment({ ...debt, apr });
+    return {
+      key: debt.id || debt.plaidAccountId,
+      name: debt.name,
+      debtType: debt.debtType,
+      apr,
+      balance: debt.balance,
+      startingBalance: debt.balance,
+      minimumPayment,
+      payoffOrder: debt.payoffOrder,
+      interestPaid: 0,
+      totalPaid: 0,
+      payoffMonth: null
+    };
+  });
+
+  const ordered = orderDebts(states, strategy, customOrder);
+  const monthlyBudget = states.reduce((sum, d) => sum + d.minimumPayment, 0) + extra;
+
+  const schedule = [];
+  let totalInterest = 0;
+  let month = 0;
+
+  while (month < MAX_MONTHS && states.some(d => d.balance > 0.005)) {
+    month++;
+    let interestThisMonth = 0;
+    let paidThisMonth = 0;
+
+    // Accrue interest
+    states.forEach(d => {
+      if (d.balance <= 0) return;
+      const interest = d.balance * d.apr / 1200;
+      d.balance += interest;
+      d.interestPaid += interest;
+      interestThisMonth += interest;
+    });
+
+    // Minimum payments
+    let available = strategy === 'minimum_only'
+      ? Infinity
+      : monthlyBudget;
+    states.forEach(d => {
+      if (d.balance <= 0) return;
+      const payment = Math.min(d.balance, d.minimumPayment, available);
+      d.balance -= payment;
+      d.totalPaid += payment;
+      paidThisMonth += payment;
+      available -= payment;
+    });
+
+    // Everything left goes to debts in strategy order
+    if (strategy !== 'minimum_only') {
+      for (const d of ordered) {
+        if (available <= 0) break;
+        if (d.balance <= 0) continue;
+        const payment = Math.min(d.balance, available);
+        d.balance -= payment;
+        d.totalPaid += payment;
+        paidThisMonth += payment;
+        available -= payment;
+      }
+    }
+
+    states.forEach(d => {
+      if (d.balance <= 0.005 && d.payoffMonth === null) {
+        d.balance = 0;
+        d.payoffMonth = month;
+      }
+    });
+
+    totalInterest += interestThisMonth;
+    schedule.push({
+      month: start.clone().add(month, 'months').format('YYYY-MM'),
+      payment: roundCents(paidThisMonth),
+      interest: roundCents(interestThisMonth),
+      totalBalance: roundCents(states.reduce((sum, d) => sum + d.balance, 0)),
+      balances: Object.fromEntries(states.map(d => [d.key, roundCents(d.balance)]))
+    });
+  }
+
+  const paidOff = states.every(d => d.payoffMonth !== null);
+  const totalPaid = states.reduce((sum, d) => sum + d.totalPaid, 0);
+
+  return {
+    strategy,
+    label: STRATEGIES[strategy] || strategy,
+    extraPayment: extra,
+    monthlyBudget: roundCents(monthlyBudget),
+    paidOff,
+    months: paidOff ? month : null,
+    payoffDate: paidOff ? start.clone().add(month, 'months').format('YYYY-MM') : null,
+    totalInterest: roundCents(totalInterest),
+    totalPaid: roundCents(totalPaid),
+    payoffOrder: ordered.map(d => d.key),
+    debts: ordered.map(d => ({
+      key: d.key,
+      name: d.name,
+      debtType: d.debtType,
+      apr: d.apr,
+      startingBalance: roundCents(d.startingBalance),
+      minimumPayment: roundCents(d.minimumPayment),
+      payoffMonth: d.payoffMonth,
+      payoffDate: d.payoffMonth ? start.clone().add(d.payoffMonth, 'months').format('YYYY-MM') : null,
+      interestPaid: roundCents(d.interestPaid),
+      totalPaid: roundCents(d.totalPaid)
+    })),
+    schedule
+  };
+}
+
+/**
+ * Build a debt plan for a client, comparing strategies against a
+ * minimum-payments-only baseline
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { strategy, extraPayment, customOrder, includeMortgage }
+ * @returns {Promise<Object>} { debts, warnings, plans, selected, recommended }
+ */
+async function getDebtPlan(clientId, { strategy = 'avalanche', extraPayment = 0, customOrder = [], includeMortgage = true } = {}) {
+  const debts = await getDebtsForClient(clientId, { includeMortgage });
+
+  const warnings = [];
+  debts.forEach(debt => {
+    if (debt.apr === null || debt.apr === undefined) {
+      warnings.push(`${debt.name}: no APR available, simulated at 0% – enter it manually for an accurate plan`);
+    }
+    if (debt.minimumPayment === null || debt.minimumPayment === undefined) {
+      warnings.push(`${debt.name}: no minimum payment available, using an estimate`);
+    }
+  });
+
+  const simulate = (name) => simulatePayoff(debts, { strategy: name, extraPayment, customOrder });
+
+  const plans = {
+    avalanche: simulate('avalanche'),
+    snowball: simulate('snowball'),
+    minimum_only: simulate('minimum_only')
+  };
+  if (strategy === 'custom') plans.custom = simulate('custom');
+
+  // Interest saved compared with paying only the minimums
+  Object.values(plans).forEach(plan => {
+    plan.interestSaved = plans.minimum_only.paidOff
+      ? roundCents(plans.minimum_only.totalInterest - plan.totalInterest)
+      : null;
+  });
+
+  const candidates = ['avalanche', 'snowball', 'custom']
+    .map(name => plans[name])
+    .filter(plan => plan && plan.paidOff)
+    .sort((a, b) => (a.totalInterest - b.totalInterest) || (a.months - b.months));
+
+  return {
+    asOf: moment().format('YYYY-MM-DD'),
+    debts,
+    totalBalance: roundCents(debts.reduce((sum, d) => sum + d.balance, 0)),
+    warnings,
+    plans,
+    selected: plans[strategy] || plans.avalanche,
+    recommended: candidates.length > 0 ? candidates[0].strategy : null
+  };
+}
+
+/**
+ * Shape a debt plan as chart data: total balance per month for each strategy
+ *
+ * @param {Object} debtPlan - Output of getDebtPlan
+ * @returns {Object} { months, series: [{ strategy, label, balances }] }
+ */
+function toChartData(debtPlan) {
+  const plans = Object.values(debtPlan.plans);
+  const longest = plans.reduce((max, plan) => Math.max(max, plan.schedule.length), 0);
+  const firstPlan = plans.find(plan => plan.schedule.length === longest);
+
+  const months = [moment(debtPlan.asOf).format('YYYY-MM'), ...(firstPlan ? firstPlan.schedule.map(s => s.month) : [])];
+
+  const series = plans.map(plan => ({
+    strategy: plan.strategy,
+    label: plan.label,
+    balances: [
+      debtPlan.totalBalance,
+      ...months.slice(1).map((_, i) => (plan.schedule[i] ? plan.schedule[i].totalBalance : 0))
+    ]
+  }));
+
+  return { months, series };
+}
+
+module.exports = {
+  DEBT_TYPES,
+  STRATEGIES,
+  validateDebt,
+  getDebtsForClient,
+  simulatePayoff,
+  getDebtPlan,
+  toChartData
+};
@@ -362,7 +362,8 @@ async function sendReportEmail(clientName, email, reportType, reportUrl, expiryH
     'monthly_cash_flow': 'Monthly Cash Flow Report',
     'net_worth': 'Net Worth Statement',
     'annual_summary': 'Annual Summary Report',
-    'retirement_projection': 'Retirement Projection Report'
+    'retirement_projection': 'Retirement Projection Report',
+    'debt_payoff': 'Debt Payoff Plan'
   };
 
   const reportName = reportTypeNames[reportType] || 'Financial Report';
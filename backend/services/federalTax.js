@@ -0,0 +1,225 @@
+/**
+ * Federal Tax Service
+ * Federal income tax brackets, standard deductions, long-term capital gains
+ * rates, taxation of Social Security benefits and required minimum
+ * distributions, for planning projections (not return preparation).
+ * Amounts are for the 2025 tax year; projections treat them as indexed to
+ * inflation, i.e. constant in today's dollars.
+ */
+
+const { getTaxTables } = require('./taxTables');
+
+const TAX_YEAR = 2025;
+
+const FILING_STATUSES = ['single', 'married_filing_jointly', 'head_of_household'];
+
+// Brackets and standard deductions come from data/tax-tables/<TAX_YEAR>.json
+const TABLES = getTaxTables(TAX_YEAR);
+const ORDINARY_BRACKETS = TABLES.ordinaryBrackets;
+const CAPITAL_GAINS_BRACKETS = TABLES.capitalGainsBrackets;
+const STANDARD_DEDUCTION = TABLES.standardDeduction;
+// Extra standard deduction per taxpayer aged 65 or older
+const ADDITIONAL_DEDUCTION_65 = TABLES.additionalDeduction65;
+
+// Provisional income thresholds where 50% / 85% of benefits become taxable
+const SOCIAL_SECURITY_THRESHOLDS = {
+  single: [25000, 34000],
+  married_filing_jointly: [32000, 44000],
+  head_of_household: [25000, 34000]
+};
+
+// IRS Uniform Lifetime Table (2022 and later): age -> distribution period
+const UNIFORM_LIFETIME_TABLE = {
+  72: 27.4, 73: 26.5, 74: 25.5, 75: 24.6, 76: 23.7, 77: 22.9, 78: 22.0, 79: 21.1,
+  80: 20.2, 81: 19.4, 82: 18.5, 83: 17.7, 84: 16.8, 85: 16.0, 86: 15.2, 87: 14.4,
+  88: 13.7, 89: 12.9, 90: 12.2, 91: 11.5, 92: 10.8, 93: 10.1, 94: 9.5, 95: 8.9,
+  96: 8.4, 97: 7.8, 98: 7.3, 99: 6.8, 100: 6.4, 101: 6.0, 102: 5.6, 103: 5.2,
+  104: 4.9, 105: 4.6, 106: 4.3, 107: 4.1, 108: 3.9, 109: 3.7, 110: 3.5
+};
+
+function getStatus(filingStatus) {
+  return FILING_STATUSES.includes(filingStatus) ? filingStatus : 'single';
+}
+
+/**
+ * Standard deduction for a filing status
+ *
+ * @param {string} filingStatus - single | married_filing_jointly | head_of_household
+ * @param {number} taxpayers65OrOlder - Number of filers aged 65+ (0-2)
+ * @returns {number} Deduction
+ */
+function getStandardDeduction(filingStatus, taxpayers65OrOlder = 0) {
+  const status = getStatus(filingStatus);
+  return STANDARD_DEDUCTION[status] + ADDITIONAL_DEDUCTION_65[status] * taxpayers65OrOlder;
+}
+
+/**
+ * Tax on ordinary taxable income
+ */
+function calculateOrdinaryTax(taxableIncome, filingStatus) {
+  return calculateBracketTax(taxableIncome, ORDINARY_BRACKETS[getStatus(filingStatus)]);
+}
+
+/**
+ * Tax on taxable income from a bracket table
+ *
+ * @param {number} taxableIncome
+ * @param {Array} brackets - [[upper bound, rate], ...], last bound Infinity
+ * @returns {number} Tax
+ */
+function calculateBracketTax(taxableIncome, brackets) {
+  let tax = 0;
+  let lower = 0;
+  for (const [upper, rate] of brackets) {
+    if (taxableIncome <= lower) break;
+    tax += (Math.min(taxableIncome, upper) - lower) * rate;
+    lower = upper;
+  }
+  return tax;
+}
+
+/**
+ * Marginal ordinary rate at a level of taxable income
+ */
+function getMarginalRate(taxableIncome, filingStatus) {
+  const bracket = ORDINARY_BRACKETS[getStatus(filingStatus)].find(([upper]) => taxableIncome < upper);
+  return bracket[1];
+}
+
+/**
+ * Top of an ordinary bracket, as taxable income
+ *
+ * @param {number} rate - Bracket rate, e.g. 0.22
+ * @param {string} filingStatus
+ * @returns {number} Upper bound of taxable income taxed at that rate
+ */
+function getBracketCeiling(rate, filingStatus) {
+  const bracket = ORDINARY_BRACKETS[getStatus(filingStatus)].find(([, r]) => r === rate);
+  if (!bracket) {
+    throw new Error(`No ${rate * 100}% bracket for ${filingStatus}`);
+  }
+  return bracket[0];
+}
+
+/**
+ * Taxable portion of Social Security benefits (provisional income test)
+ *
+ * @param {number} benefits - Annual benefits
+ * @param {number} otherIncome - All other income, including capital gains and tax-exempt interest
+ * @param {string} filingStatus
+ * @returns {number} Taxable amount (0 to 85% of benefits)
+ */
+function calculateTaxableSocialSecurity(benefits, otherIncome, filingStatus) {
+  if (benefits <= 0) return 0;
+
+  const [base, adjusted] = SOCIAL_SECURITY_THRESHOLDS[getStatus(filingStatus)];
+  const provisional = otherIncome + benefits / 2;
+
+  if (provisional <= base) return 0;
+  if (provisional <= adjusted) {
+    return Math.min(0.5 * (provisional - base), 0.5 * benefits);
+  }
+  return Math.min(
+    0.85 * benefits,
+    0.85 * (provisional - adjusted) + Math.min(0.5 * benefits, 0.5 * (adjusted - base))
+  );
+}
+
+/**
+ * Federal income tax for a year
+ *
+ * @param {Object} income - {
+ *   ordinaryIncome: wages, tax-deferred withdrawals, Roth conversions, interest,
+ *   capitalGains: long-term gains and qualified dividends,
+ *   socialSecurity: gross benefits,
+ *   filingStatus, taxpayers65OrOlder
+ * }
+ * @returns {Object} Breakdown with totalTax, marginalRate and effectiveRate
+ */
+function calculateFederalTax({
+  ordinaryIncome = 0,
+  capitalGains = 0,
+  socialSecurity = 0,
+  filingStatus = 'single',
+  taxpayers65OrOlder = 0
+} = {}) {
+  const status = getStatus(filingStatus);
+
+  const taxableSocialSecurity = calculateTaxableSocialSecurity(socialSecurity, ordinaryIncome + capitalGains, status);
+  const deduction = getStandardDeduction(status, taxpayers65OrOlder);
+  const grossIncome = ordinaryIncome + capitalGains + taxableSocialSecurity;
+
+  // Deduction offsets ordinary income first; gains sit on top of ordinary income
+  const ordinaryTaxable = Math.max(0, ordinaryIncome + taxableSocialSecurity - deduction);
+  const leftoverDeduction = Math.max(0, deduction - ordinaryIncome - taxableSocialSecurity);
+  const gainsTaxable = Math.max(0, capitalGains - leftoverDeduction);
+  const taxableIncome = ordinaryTaxable + gainsTaxable;
+
+  const ordinaryTax = calculateOrdinaryTax(ordinaryTaxable, status);
+
+  let capitalGainsTax = 0;
+  let lower = ordinaryTaxable;
+  for (const [upper, rate] of CAPITAL_GAINS_BRACKETS[status]) {
+    if (lower >= taxableIncome) break;
+    if (lower >= upper) continue;
+    const top = Math.min(taxableIncome, upper);
+    capitalGainsTax += (top - lower) * rate;
+    lower = top;
+  }
+
+  const totalTax = ordinaryTax + capitalGainsTax;
+
+  return {
+    taxYear: TAX_YEAR,
+    filingStatus: status,
+    grossIncome,
+    taxableSocialSecurity,
+    deduction,
+    taxableIncome,
+    ordinaryTax,
+    capitalGainsTax,
+    totalTax,
+    marginalRate: getMarginalRate(ordinaryTaxable, status),
+    effectiveRate: grossIncome > 0 ? totalTax / (grossIncome + socialSecurity - taxableSocialSecurity) : 0
+  };
+}
+
+/**
+ * Age RMDs begin under SECURE 2.0: 73 for those born 1951-1959, 75 from 1960
+ *
+ * @param {number} birthYear
+ * @returns {number} Starting age
+ */
+function getRmdStartAge(birthYear) {
+  if (birthYear >= 1960) return 75;
+  if (birthYear >= 1951) return 73;
+  return 72;
+}
+
+/**
+ * Required minimum distribution for a year
+ *
+ * @param {number} priorYearEndBalance - Tax-deferred balance at the end of the prior year
+ * @param {number} age - Age reached during the distribution year
+ * @param {number} birthYear
+ * @returns {number} Required distribution (0 before the starting age)
+ */
+function calculateRmd(priorYearEndBalance, age, birthYear) {
+  if (age < getRmdStartAge(birthYear) || priorYearEndBalance <= 0) return 0;
+  const period = UNIFORM_LIFETIME_TABLE[Math.min(age, 110)] || UNIFORM_LIFETIME_TABLE[72];
+  return priorYearEndBalance / period;
+}
+
+module.exports = {
+  TAX_YEAR,
+  FILING_STATUSES,
+  getStandardDeduction,
+  calculateOrdinaryTax,
+  calculateBracketTax,
+  getMarginalRate,
+  getBracketCeiling,
+  calculateTaxableSocialSecurity,
+  calculateFederalTax,
+  getRmdStartAge,
+  calculateRmd
+};
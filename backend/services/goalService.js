@@ -0,0 +1,263 @@
+/**
+ * Goal Service
+ * Tracks progress toward client financial goals using balance_sheets and
+ * investment_snapshots history, projects a completion date at the current
+ * savings rate and works out the monthly contribution needed to hit the target date.
+ */
+
+const moment = require('moment');
+const Goal = require('../models-supabase/Goal');
+const BalanceSheet = require('../models-supabase/BalanceSheet');
+const InvestmentSnapshot = require('../models-supabase/InvestmentSnapshot');
+
+const GOAL_TYPES = [
+  'emergency_fund', 'down_payment', 'debt_payoff', 'retirement', 'education', 'major_purchase', 'custom'
+];
+
+const GOAL_STATUSES = ['active', 'paused', 'achieved'];
+
+// Months of history used to measure the current savings (or paydown) rate
+const RATE_LOOKBACK_MONTHS = 6;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a goal definition
+ *
+ * @param {Object} goal - Goal fields
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateGoal(goal) {
+  if (!goal.name || typeof goal.name !== 'string') {
+    return 'name is required';
+  }
+
+  if (goal.goalType && !GOAL_TYPES.includes(goal.goalType)) {
+    return `goalType must be one of: ${GOAL_TYPES.join(', ')}`;
+  }
+
+  const targetAmount = Number(goal.targetAmount);
+  if (!Number.isFinite(targetAmount) || targetAmount < 0) {
+    return 'targetAmount must be a non-negative number';
+  }
+
+  if (goal.targetDate && !moment(goal.targetDate, 'YYYY-MM-DD', true).isValid()) {
+    return 'targetDate must be in YYYY-MM-DD format';
+  }
+
+  if (goal.priority !== undefined) {
+    const priority = Number(goal.priority);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+      return 'priority must be a whole number from 1 (highest) to 5';
+    }
+  }
+
+  if (goal.status !== undefined && !GOAL_STATUSES.includes(goal.status)) {
+    return `status must be one of: ${GOAL_STATUSES.join(', ')}`;
+  }
+
+  if (goal.currentAmount !== undefined && goal.currentAmount !== null) {
+    const currentAmount = Number(goal.currentAmount);
+    if (goal.currentAmount === '' || !Number.isFinite(currentAmount) || currentAmount < 0) {
+      return 'currentAmount must be a non-negative number';
+    }
+  }
+
+  if (goal.linkedAccounts !== undefined) {
+    if (!Array.isArray(goal.linkedAccounts)) {
+      return 'linkedAccounts must be an array';
+    }
+    for (const link of goal.linkedAccounts) {
+      if (link.source === 'balance_sheet' && link.key) continue;
+      if (link.source === 'investment' && link.accountId) continue;
+      return 'Each linked account needs { source: "balance_sheet", key } or { source: "investment", accountId }';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Value of a goal's linked accounts at one point in time
+ *
+ * @returns {number|null} Summed value, or null if none of the sources were available
+ */
+function getLinkedValue(linkedAccounts, balanceSheet, investmentSnapshot) {
+  let total = 0;
+  let found = false;
+
+  for (const link of linkedAccounts) {
+    if (link.source === 'balance_sheet' && balanceSheet) {
+      const { assetBreakdown = {}, liabilityBreakdown = {} } = balanceSheet;
+      let value;
+      if (assetBreakdown[link.key] !== undefined) {
+        value = assetBreakdown[link.key];
+      } else if (liabilityBreakdown[link.key] !== undefined) {
+        value = Math.abs(liabilityBreakdown[link.key]);
+      } else if (['assets', 'liabilities', 'netWorth'].includes(link.key)) {
+        value = balanceSheet[link.key];
+      }
+      if (value !== undefined && value !== null) {
+        total += parseFloat(value) || 0;
+        found = true;
+      }
+    } else if (link.source === 'investment' && investmentSnapshot) {
+      const account = (investmentSnapshot.holdingsByAccount || [])
+        .find(a => a.accountId === link.accountId);
+      if (account) {
+        total += parseFloat(account.totalValue) || 0;
+        found = true;
+      }
+    }
+  }
+
+  return found ? total : null;
+}
+
+/**
+ * Build a month-by-month value history for a goal (latest snapshot per month)
+ *
+ * @param {Object} goal - Goal model
+ * @param {Array} balanceSheets - BalanceSheet models
+ * @param {Array} investmentSnapshots - InvestmentSnapshot models
+ * @returns {Array} [{ month, value }] oldest first
+ */
+function buildHistory(goal, balanceSheets, investmentSnapshots) {
+  if (!goal.linkedAccounts || goal.linkedAccounts.length === 0) return [];
+
+  const latestByMonth = (snapshots) => {
+    const byMonth = new Map();
+    snapshots.forEach(snapshot => {
+      const month = snapshot.monthYear || moment(snapshot.snapshotDate).format('YYYY-MM');
+      const existing = byMonth.get(month);
+      if (!existing || new Date(snapshot.snapshotDate) > new Date(existing.snapshotDate)) {
+        byMonth.set(month, snapshot);
+      }
+    });
+    return byMonth;
+  };
+
+  const sheetsByMonth = latestByMonth(balanceSheets);
+  const investmentsByMonth = latestByMonth(investmentSnapshots);
+  const months = Array.from(new Set([...sheetsByMonth.keys(), ...investmentsByMonth.keys()])).sort();
+
+  return months
+    .map(month => ({
+      month,
+      value: getLinkedValue(goal.linkedAccounts, sheetsByMonth.get(month), investmentsByMonth.get(month))
+    }))
+    .filter(point => point.value !== null)
+    .map(point => ({ month: point.month, value: roundCents(point.value) }));
+}
+
+/**
+ * Compute progress, projected completion and required contribution for a goal
+ *
+ * @param {Object} goal - Goal model
+ * @param {Array} history - Output of buildHistory
+ * @param {Date} asOf - Date progress is measured at (default today)
+ * @returns {Object} Progress details
+ */
+function calculateProgress(goal, history, asOf = new Date()) {
+  const now = moment(asOf);
+  const isDebt = goal.goalType === 'debt_payoff';
+  const target = goal.targetAmount;
+
+  // Without history or a tracked balance, nothing has been saved yet (or,
+  // for a debt, nothing has been paid off)
+  let current = isDebt ? target : 0;
+  if (history.length > 0) {
+    current = history[history.length - 1].value;
+  } else if (goal.currentAmount !== null && goal.currentAmount !== undefined) {
+    current = goal.currentAmount;
+  }
+
+  // Debt goals count down to zero; savings goals count up to the target
+  const achievedAmount = isDebt ? Math.max(0, target - current) : current;
+  const remaining = isDebt ? Math.max(0, current) : Math.max(0, target - current);
+  const percentComplete = target > 0
+    ? Math.min(100, Math.round((achievedAmount / target) * 1000) / 10)
+    : 100;
+
+  // Current rate of progress per month over the recent history
+  let monthlyRate = null;
+  if (history.length >= 2) {
+    const recent = history.slice(-(RATE_LOOKBACK_MONTHS + 1));
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const months = moment(last.month, 'YYYY-MM').diff(moment(first.month, 'YYYY-MM'), 'months');
+    if (months > 0) {
+      const change = (last.value - first.value) / months;
+      monthlyRate = roundCents(isDebt ? -change : change);
+    }
+  }
+
+  let projectedCompletionDate = null;
+  if (remaining <= 0) {
+    projectedCompletionDate = now.format('YYYY-MM-DD');
+  } else if (monthlyRate && monthlyRate > 0) {
+    projectedCompletionDate = now.clone().add(Math.ceil(remaining / monthlyRate), 'months').format('YYYY-MM-DD');
+  }
+
+  let monthsToTarget = null;
+  let requiredMonthlyContribution = null;
+  if (goal.targetDate) {
+    monthsToTarget = Math.max(0, moment(goal.targetDate).diff(now, 'months'));
+    requiredMonthlyContribution = monthsToTarget > 0
+      ? roundCents(remaining / monthsToTarget)
+      : roundCents(remaining);
+  }
+
+  let onTrack = null;
+  if (remaining <= 0) {
+    onTrack = true;
+  } else if (goal.targetDate) {
+    onTrack = !!projectedCompletionDate && !moment(projectedCompletionDate).isAfter(moment(goal.targetDate));
+  }
+
+  return {
+    currentAmount: roundCents(current),
+    achievedAmount: roundCents(achievedAmount),
+    remainingAmount: roundCents(remaining),
+    percentComplete,
+    monthlyRate,
+    projectedCompletionDate,
+    monthsToTarget,
+    requiredMonthlyContribution,
+    onTrack,
+    isAchieved: remaining <= 0,
+    source: history.length > 0 ? 'linked_accounts' : 'manual',
+    history
+  };
+}
+
+/**
+ * Get a client's goals with progress
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { includeInactive: also return paused/achieved goals }
+ * @returns {Promise<Array>} Goals ordered by priority, each with a progress object
+ */
+async function getGoalsWithProgress(clientId, { includeInactive = false } = {}) {
+  const query = { clientId };
+  if (!includeInactive) query.status = 'active';
+
+  const [goals, balanceSheets, investmentSnapshots] = await Promise.all([
+    Goal.find(query),
+    BalanceSheet.find({ clientId }),
+    InvestmentSnapshot.find({ clientId })
+  ]);
+
+  return goals.map(goal => ({
+    ...goal,
+    progress: calculateProgress(goal, buildHistory(goal, balanceSheets, investmentSnapshots))
+  }));
+}
+
+module.exports = {
+  GOAL_TYPES,
+  validateGoal,
+  buildHistory,
+  calculateProgress,
+  getGoalsWithProgress
+};
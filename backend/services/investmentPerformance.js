@@ -0,0 +1,399 @@
+/**
+ * Investment Performance
+ * Time-weighted (TWR) and money-weighted (IRR) returns per account, per tax
+ * bucket and for the household over any period.
+ *
+ * Valuations come from investment_snapshots (Plaid accounts, plus today's
+ * holdings) and actual account_snapshots (manual accounts; projections are
+ * estimates and are left out). Contributions and withdrawals come from
+ * transfer transactions on Plaid investment accounts and from
+ * account_snapshots.net_flow; without them the return includes deposits, and
+ * the account is flagged.
+ *
+ * TWR chains Modified Dietz returns between valuation dates. Groups of
+ * accounts are valued on every date any of them has a valuation, linearly
+ * interpolating the others; an account whose first valuation falls inside the
+ * period joins its group as a contribution on that date, and a closed account
+ * (inactive, or gone from Plaid's current holdings) leaves it as a withdrawal
+ * of its last valuation, so a rollover isn't counted in both accounts.
+ */
+
+const moment = require('moment');
+const { getDatabase } = require('../database-supabase');
+const Investment = require('../models-supabase/Investment');
+const InvestmentSnapshot = require('../models-supabase/InvestmentSnapshot');
+const { organizeInvestmentsByTaxType } = require('./investmentSnapshot');
+const { isInternalTransfer } = require('./transferMatcher');
+const manualAccounts = require('./manualAccounts');
+
+const TAX_BUCKETS = ['taxable', 'tax-deferred', 'tax-free'];
+const TRANSFER_PFC_PRIMARY = ['TRANSFER_IN', 'TRANSFER_OUT'];
+const DAYS_PER_YEAR = 365;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+const roundReturn = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+const daysBetween = (from, to) => moment(to).diff(moment(from), 'days');
+
+/**
+ * Annualized internal rate of return of dated cash flows (XIRR)
+ *
+ * @param {Array} cashFlows - [{ date, amount }] from the investor's side:
+ *   money put in is negative, money taken out (and the ending value) positive
+ * @returns {number|null} Annual rate, or null when it can't be solved
+ */
+function xirr(cashFlows) {
+  const flows = cashFlows.filter(flow => flow.amount !== 0);
+  if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) return null;
+
+  const first = flows.reduce((min, flow) => (flow.date < min ? flow.date : min), flows[0].date);
+  const timed = flows.map(flow => ({ amount: flow.amount, years: daysBetween(first, flow.date) / DAYS_PER_YEAR }));
+  const npv = (rate) => timed.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+
+  // Bisection: robust for the alternating-sign flows of a contribution schedule
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low);
+  if (npvLow * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-7 || high - low < 1e-9) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Modified Dietz return for one sub-period
+ *
+ * @returns {number|null} Period return, or null when nothing was invested
+ */
+function modifiedDietz(startValue, endValue, flows, startDate, endDate) {
+  const span = daysBetween(startDate, endDate);
+  const netFlow = flows.reduce((sum, flow) => sum + flow.amount, 0);
+  const weighted = flows.reduce((sum, flow) => {
+    const weight = span > 0 ? daysBetween(flow.date, endDate) / span : 0;
+    return sum + flow.amount * weight;
+  }, 0);
+
+  const base = startValue + weighted;
+  if (base <= 0) return null;
+  return (endValue - startValue - netFlow) / base;
+}
+
+/**
+ * An account's value on a date: linear between its valuations, the last
+ * valuation after it, and 0 before its first or from its exit date on (the
+ * exit withdrawal is dated then, and valuations include same-day flows)
+ */
+function valueAt(series, date) {
+  const { points } = series;
+  if (points.length === 0 || date < points[0].date) return 0;
+  if (series.exitDate && date >= series.exitDate) return 0;
+
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (points[i].date === date) return points[i].value;
+    if (points[i].date < date) {
+      const next = points[i + 1];
+      if (!next) return points[i].value;
+      const share = daysBetween(points[i].date, date) / daysBetween(points[i].date, next.date);
+      return points[i].value + (next.value - points[i].value) * share;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Measure a group of account series over a period
+ *
+ * @param {Array} seriesList - [{ points: [{ date, value }] oldest first, flows: [{ date, amount }], closed }]
+ *   (flow amounts: contributions positive, withdrawals negative; a valuation
+ *   includes flows dated the same day; closed accounts exit at their last valuation)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Object|null} { startDate, endDate, startValue, endValue, netFlows, gain,
+ *   twr, twrAnnualized, irr }, or null when no account has a valuation by endDate
+ */
+function measure(seriesList, startDate, endDate) {
+  const active = seriesList
+    .filter(series => series.points.length > 0 && series.points[0].date <= endDate)
+    .filter(series => !series.closed || series.points[series.points.length - 1].date > startDate)
+    .map(series => {
+      const last = series.points[series.points.length - 1];
+      return { ...series, exitDate: series.closed && last.date < endDate ? last.date : null };
+    });
+  if (active.length === 0) return null;
+
+  // Accounts first valued inside the period join as a contribution, and closed
+  // accounts leave as a withdrawal of their last valuation
+  const flows = [];
+  active.forEach(series => {
+    const firstDate = series.points[0].date;
+    const entryDate = firstDate > startDate ? firstDate : null;
+    if (entryDate) flows.push({ date: entryDate, amount: series.points[0].value });
+    series.flows
+      .filter(flow => flow.date > startDate && flow.date <= endDate && (!entryDate || flow.date > entryDate))
+      .filter(flow => !series.exitDate || flow.date <= series.exitDate)
+      .forEach(flow => flows.push(flow));
+    if (series.exitDate) {
+      flows.push({ date: series.exitDate, amount: -series.points[series.points.length - 1].value });
+    }
+  });
+
+  const groupValue = (date) => active.reduce((sum, series) => sum + valueAt(series, date), 0);
+
+  const dates = new Set([startDate, endDate]);
+  active.forEach(series => {
+    series.points.forEach(point => {
+      if (point.date > startDate && point.date < endDate) dates.add(point.date);
+    });
+  });
+  const timeline = [...dates].sort();
+
+  let growth = 1;
+  for (let i = 1; i < timeline.length; i++) {
+    const from = timeline[i - 1];
+    const to = timeline[i];
+    const periodFlows = flows.filter(flow => flow.date > from && flow.date <= to);
+    const periodReturn = modifiedDietz(groupValue(from), groupValue(to), periodFlows, from, to);
+    if (periodReturn !== null) growth *= 1 + periodReturn;
+  }
+
+  const startValue = groupValue(startDate);
+  const endValue = groupValue(endDate);
+  const netFlows = flows.reduce((sum, flow) => sum + flow.amount, 0);
+  const twr = growth - 1;
+  const years = daysBetween(startDate, endDate) / DAYS_PER_YEAR;
+
+  const cashFlows = [
+    { date: startDate, amount: -startValue },
+    ...flows.map(flow => ({ date: flow.date, amount: -flow.amount })),
+    { date: endDate, amount: endValue }
+  ];
+
+  return {
+    startDate,
+    endDate,
+    startValue: roundCents(startValue),
+    endValue: roundCents(endValue),
+    netFlows: roundCents(netFlows),
+    gain: roundCents(endValue - startValue - netFlows),
+    twr: roundReturn(twr),
+    twrAnnualized: years >= 1 ? roundReturn(Math.pow(1 + twr, 1 / years) - 1) : null,
+    irr: roundReturn(xirr(cashFlows))
+  };
+}
+
+/**
+ * Plaid investment accounts as valuation series (snapshots plus today's holdings)
+ */
+async function loadPlaidSeries(clientId) {
+  const [snapshots, investments] = await Promise.all([
+    InvestmentSnapshot.find({ clientId }),
+    Investment.find({ clientId })
+  ]);
+
+  const byAccount = {};
+  const addPoint = (account, date) => {
+    if (!account.accountId) return;
+    if (!byAccount[account.accountId]) {
+      byAccount[account.accountId] = {
+        key: `plaid:${account.accountId}`,
+        accountId: account.accountId,
+        accountName: account.accountName,
+        source: 'plaid',
+        taxBucket: account.accountTaxType || 'taxable',
+        owner: null,
+        points: {},
+        flows: [],
+        flowSource: 'none'
+      };
+    }
+    byAccount[account.accountId].points[date] = account.totalValue || 0;
+  };
+
+  snapshots.forEach(snapshot => {
+    const date = moment(snapshot.snapshotDate).format('YYYY-MM-DD');
+    Object.values(snapshot.holdingsByAccount || {}).forEach(account => addPoint(account, date));
+  });
+
+  const current = new Set();
+  if (investments.length > 0) {
+    const today = moment().format('YYYY-MM-DD');
+    organizeInvestmentsByTaxType(investments).holdingsByAccount.forEach(account => {
+      addPoint(account, today);
+      current.add(account.accountId);
+    });
+  }
+
+  // Accounts gone from today's holdings were closed, rolled over or unlinked
+  return Object.values(byAccount).map(series => ({
+    ...series,
+    closed: !current.has(series.accountId),
+    points: Object.entries(series.points)
+      .map(([date, value]) => ({ date, value }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+  }));
+}
+
+/**
+ * Contributions and withdrawals on Plaid investment accounts: transfer
+ * transactions only, so dividends and fees stay part of the return
+ */
+async function loadPlaidFlows(clientId, startDate, endDate) {
+  const supabase = getDatabase();
+
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('account_id, date, amount, personal_finance_category, transfer_pair_id, transfer_status')
+    .eq('client_id', clientId)
+    .eq('account_type', 'investment')
+    .gte('date', startDate)
+    .lte('date', endDate);
+
+  if (error) throw error;
+
+  const flows = {};
+  (data || []).forEach(row => {
+    const pfc = row.personal_finance_category;
+    const isTransfer = isInternalTransfer(row) || (pfc && TRANSFER_PFC_PRIMARY.includes(pfc.primary));
+    if (!isTransfer) return;
+
+    // Plaid amounts are positive when money leaves the account
+    if (!flows[row.account_id]) flows[row.account_id] = [];
+    flows[row.account_id].push({
+      date: moment(row.date).format('YYYY-MM-DD'),
+      amount: -(parseFloat(row.amount) || 0)
+    });
+  });
+  return flows;
+}
+
+/**
+ * Manual accounts as valuation series from their actual snapshots. A
+ * snapshot's net_flow is spread over the time since the previous one, so it
+ * is dated at the midpoint.
+ */
+async function loadManualSeries(clientId) {
+  const accounts = await manualAccounts.loadAccountsWithSnapshots(clientId, { includeInactive: true });
+
+  return accounts.map(account => {
+    const actuals = account.snapshots.filter(snapshot => !snapshot.isProjected).reverse();
+    const flows = [];
+    let hasFlows = false;
+
+    actuals.forEach((snapshot, index) => {
+      if (snapshot.netFlow === null || index === 0) return;
+      hasFlows = true;
+      const previous = actuals[index - 1].snapshotDate;
+      const midpoint = moment(previous).add(Math.floor(daysBetween(previous, snapshot.snapshotDate) / 2), 'days');
+      flows.push({ date: midpoint.format('YYYY-MM-DD'), amount: snapshot.netFlow });
+    });
+
+    return {
+      key: `manual:${account.id}`,
+      accountId: account.id,
+      accountName: account.accountNickname,
+      source: 'manual',
+      // investment_accounts uses underscores (tax_free); investments use hyphens (tax-free)
+      taxBucket: account.taxTreatment.replace('_', '-'),
+      owner: account.owner,
+      points: actuals.map(snapshot => ({ date: snapshot.snapshotDate, value: snapshot.totalBalance })),
+      flows,
+      flowSource: hasFlows ? 'statements' : 'none',
+      closed: account.isActive === false
+    };
+  });
+}
+
+/**
+ * Investment performance for a client
+ *
+ * @param {string} clientId
+ * @param {Object} options - { startDate, endDate } (YYYY-MM-DD; default year to date,
+ *   or last year on January 1)
+ * @returns {Promise<Object>} { period, household, byTaxBucket, accounts, warnings }
+ */
+async function getInvestmentPerformance(clientId, options = {}) {
+  const endDate = moment(options.endDate || undefined).format('YYYY-MM-DD');
+  const startDate = options.startDate
+    ? moment(options.startDate).format('YYYY-MM-DD')
+    : moment(endDate).subtract(1, 'day').startOf('year').format('YYYY-MM-DD');
+  if (startDate >= endDate) throw new Error('startDate must be before endDate');
+
+  const [plaidSeries, plaidFlows, manualSeries] = await Promise.all([
+    loadPlaidSeries(clientId),
+    loadPlaidFlows(clientId, startDate, endDate),
+    loadManualSeries(clientId)
+  ]);
+
+  plaidSeries.forEach(series => {
+    const flows = plaidFlows[series.accountId];
+    if (flows) {
+      series.flows = flows;
+      series.flowSource = 'transactions';
+    }
+  });
+
+  const allSeries = [...plaidSeries, ...manualSeries];
+  const warnings = [];
+
+  const accounts = allSeries
+    .map(series => {
+      // Accounts first valued inside the period are measured from that valuation
+      const accountStart = series.points.length > 0 && series.points[0].date > startDate ? series.points[0].date : startDate;
+      const performance = accountStart < endDate ? measure([series], accountStart, endDate) : null;
+      if (!performance) return null;
+      if (series.flowSource === 'none') {
+        warnings.push(`${series.accountName}: no contribution or withdrawal data; returns include any deposits`);
+      }
+      if (accountStart > startDate) {
+        warnings.push(`${series.accountName}: measured from its first valuation on ${accountStart}`);
+      }
+      const lastDate = series.points[series.points.length - 1].date;
+      const closedDate = series.closed && lastDate < endDate ? lastDate : null;
+      if (closedDate) {
+        warnings.push(`${series.accountName}: closed; its last valuation on ${closedDate} counts as a withdrawal`);
+      }
+      return {
+        accountId: series.accountId,
+        accountName: series.accountName,
+        source: series.source,
+        taxBucket: series.taxBucket,
+        owner: series.owner,
+        flowSource: series.flowSource,
+        closedDate,
+        ...performance
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.endValue - a.endValue);
+
+  const measured = allSeries.filter(series => accounts.some(account => account.accountId === series.accountId));
+  const byTaxBucket = Object.fromEntries(TAX_BUCKETS.map(bucket => [
+    bucket,
+    measure(measured.filter(series => series.taxBucket === bucket), startDate, endDate)
+  ]));
+
+  return {
+    period: { startDate, endDate },
+    household: measure(measured, startDate, endDate),
+    byTaxBucket,
+    accounts,
+    warnings
+  };
+}
+
+module.exports = {
+  TAX_BUCKETS,
+  xirr,
+  modifiedDietz,
+  measure,
+  getInvestmentPerformance
+};
@@ -401,6 +401,7 @@ module.exports = {
   captureInvestmentSnapshot,
   captureAllClientsInvestmentSnapshots,
   getInvestmentsForDisplay,
+  organizeInvestmentsByTaxType,
   calculateAssetClassBreakdown,
   mapSecurityToAssetClass
 };
@@ -0,0 +1,145 @@
+/**
+ * Investment Statement Service
+ * Turns uploaded investment statements into account_snapshots rows: parses
+ * the PDF with the custodian parser registry into documents.ocr_data for
+ * admin review, then writes the reviewed snapshot (creating the
+ * investment_accounts row on first sight) on approval.
+ */
+
+const moment = require('moment');
+const InvestmentAccount = require('../models-supabase/InvestmentAccount');
+const AccountSnapshot = require('../models-supabase/AccountSnapshot');
+const { downloadStatementFile } = require('./pdfStorageService');
+const { parseStatementPdf, listParsers } = require('./statementParsers');
+const manualAccounts = require('./manualAccounts');
+const accountProjections = require('./accountProjections');
+
+const INVESTMENT_DOCUMENT_TYPE = 'investment';
+const INVESTMENT_STATEMENT_DATA_TYPE = 'investment_statement';
+
+/**
+ * Parse an uploaded investment statement
+ *
+ * @param {Object} document - Row from the documents table
+ * @param {Object} options - { parser: force a custodian parser }
+ * @returns {Promise<Object>} ocr_data for the document:
+ *   { documentType: 'investment_statement', parser, custodian, accountType,
+ *     taxTreatment, snapshot, details, maskedAccountRefs, warnings, pages, parsedAt }
+ */
+async function parseInvestmentDocument(document, options = {}) {
+  if (document.file_type !== 'pdf') {
+    throw new Error('Statement parsing needs a PDF; image uploads must go through OCR');
+  }
+
+  const buffer = await downloadStatementFile(document.file_path);
+  // The raw text stays out of ocr_data; it can hold unmasked account numbers
+  const { text, ...parsed } = await parseStatementPdf(buffer, options);
+
+  return {
+    documentType: INVESTMENT_STATEMENT_DATA_TYPE,
+    ...parsed,
+    parsedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate a reviewed statement before its snapshot is saved
+ *
+ * @param {Object} ocrData - Parsed statement from documents.ocr_data
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateStatement(ocrData) {
+  if (!ocrData || ocrData.documentType !== INVESTMENT_STATEMENT_DATA_TYPE) {
+    return 'Document has no parsed investment statement';
+  }
+  if (!ocrData.custodian || !ocrData.accountType) return 'custodian and accountType are required';
+  if (!manualAccounts.TAX_TREATMENTS.includes(ocrData.taxTreatment)) {
+    return `taxTreatment must be one of: ${manualAccounts.TAX_TREATMENTS.join(', ')}`;
+  }
+
+  const snapshot = ocrData.snapshot || {};
+  if (!snapshot.statementDate || !moment(snapshot.statementDate, 'YYYY-MM-DD', true).isValid()) {
+    return 'snapshot.statementDate (YYYY-MM-DD) is required';
+  }
+  const balance = Number(snapshot.totalBalance);
+  if (!Number.isFinite(balance) || balance < 0) {
+    return 'snapshot.totalBalance must be a non-negative number';
+  }
+  if (snapshot.holdings && !Array.isArray(snapshot.holdings)) return 'snapshot.holdings must be an array';
+
+  return null;
+}
+
+/**
+ * Default nickname for an account first seen on a statement, e.g.
+ * "Schwab brokerage ****2290" (only the masked reference is kept)
+ */
+function defaultNickname(ocrData) {
+  const ref = (ocrData.maskedAccountRefs || [])[0];
+  return [ocrData.custodian, ocrData.accountType.replace(/_/g, ' '), ref].filter(Boolean).join(' ');
+}
+
+/**
+ * The investment_accounts row for a statement: ocr_data.accountId when the
+ * admin picked one, otherwise matched (or created) by nickname
+ */
+async function findOrCreateAccount(clientId, ocrData) {
+  if (ocrData.accountId) {
+    const account = await InvestmentAccount.findOne({ id: ocrData.accountId, clientId });
+    if (!account) throw new Error('Investment account not found for this client');
+    return account;
+  }
+
+  const accountNickname = ocrData.accountNickname || defaultNickname(ocrData);
+  const existing = await InvestmentAccount.findOne({ clientId, accountNickname });
+  if (existing) return existing;
+
+  return InvestmentAccount.create({
+    clientId,
+    accountNickname,
+    custodian: ocrData.custodian,
+    accountType: ocrData.accountType,
+    taxTreatment: ocrData.taxTreatment,
+    owner: ocrData.owner || 'client'
+  });
+}
+
+/**
+ * Write the reviewed snapshot from a statement to account_snapshots
+ * (replacing any snapshot for the same account and date) and re-project the
+ * account's months without statements
+ *
+ * @param {Object} document - Row from the documents table with a parsed statement in ocr_data
+ * @returns {Promise<Object>} { account, snapshot }
+ */
+async function saveSnapshotFromDocument(document) {
+  const ocrData = document.ocr_data || {};
+  const validationError = validateStatement(ocrData);
+  if (validationError) throw new Error(validationError);
+
+  const account = await findOrCreateAccount(document.client_id, ocrData);
+  const { snapshot } = ocrData;
+
+  const saved = await AccountSnapshot.upsert(manualAccounts.buildSnapshot(account, {
+    snapshotDate: snapshot.statementDate,
+    totalBalance: snapshot.totalBalance,
+    netFlow: snapshot.netFlow,
+    sourceStatement: document.filename,
+    holdings: snapshot.holdings || [],
+    assetAllocation: snapshot.assetAllocation || {}
+  }));
+
+  // The statement replaces any projection for its month and re-bases the months around it
+  await accountProjections.projectAccount(account);
+
+  return { account, snapshot: saved };
+}
+
+module.exports = {
+  INVESTMENT_DOCUMENT_TYPE,
+  INVESTMENT_STATEMENT_DATA_TYPE,
+  listParsers,
+  parseInvestmentDocument,
+  validateStatement,
+  saveSnapshotFromDocument
+};
@@ -0,0 +1,277 @@
+/**
+ * Manual Investment Accounts
+ * Accounts tracked from statements instead of Plaid (investment_accounts) and
+ * their monthly balances (account_snapshots). Balances as of a date come from
+ * each active account's latest snapshot on or before that date, so they can
+ * sit next to Plaid balances in balance sheets, net worth history and reports.
+ * Balances taken from projected snapshots (see accountProjections) are
+ * flagged so reports can mark them as estimates. Deactivated (closed) accounts
+ * keep counting on dates up to their last snapshot, so history doesn't change
+ * when an account is closed.
+ */
+
+const moment = require('moment');
+const InvestmentAccount = require('../models-supabase/InvestmentAccount');
+const AccountSnapshot = require('../models-supabase/AccountSnapshot');
+
+const TAX_TREATMENTS = ['taxable', 'tax_free', 'tax_deferred'];
+const OWNERS = ['client', 'partner', 'joint'];
+const ASSET_CLASSES = ['stocks', 'bonds', 'cash', 'other'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a manual account
+ *
+ * @param {Object} account - InvestmentAccount fields
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAccount(account) {
+  for (const field of ['accountNickname', 'custodian', 'accountType']) {
+    if (!account[field] || typeof account[field] !== 'string') return `${field} is required`;
+  }
+  if (!TAX_TREATMENTS.includes(account.taxTreatment)) {
+    return `taxTreatment must be one of: ${TAX_TREATMENTS.join(', ')}`;
+  }
+  if (account.owner && !OWNERS.includes(account.owner)) {
+    return `owner must be one of: ${OWNERS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate an account snapshot
+ *
+ * @param {Object} snapshot - AccountSnapshot fields
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSnapshot(snapshot) {
+  if (!snapshot.snapshotDate || !moment(snapshot.snapshotDate, 'YYYY-MM-DD', true).isValid()) {
+    return 'snapshotDate (YYYY-MM-DD) is required';
+  }
+  const balance = Number(snapshot.totalBalance);
+  if (snapshot.totalBalance === null || snapshot.totalBalance === undefined || !Number.isFinite(balance) || balance < 0) {
+    return 'totalBalance must be a non-negative number';
+  }
+  if (snapshot.holdings !== undefined && !Array.isArray(snapshot.holdings)) {
+    return 'holdings must be an array';
+  }
+  if (snapshot.assetAllocation !== undefined &&
+      (typeof snapshot.assetAllocation !== 'object' || Array.isArray(snapshot.assetAllocation))) {
+    return 'assetAllocation must be an object';
+  }
+  if (snapshot.projectionRate !== undefined && snapshot.projectionRate !== null &&
+      !Number.isFinite(Number(snapshot.projectionRate))) {
+    return 'projectionRate must be a number';
+  }
+  if (snapshot.netFlow !== undefined && snapshot.netFlow !== null && !Number.isFinite(Number(snapshot.netFlow))) {
+    return 'netFlow must be a number (contributions minus withdrawals)';
+  }
+  return null;
+}
+
+/**
+ * Asset allocation from holdings tagged with an assetClass (statement parser
+ * output); untagged holdings count as other
+ */
+function allocationFromHoldings(holdings) {
+  const allocation = Object.fromEntries(ASSET_CLASSES.map(assetClass => [assetClass, 0]));
+  holdings.forEach(holding => {
+    const assetClass = ASSET_CLASSES.includes(holding.assetClass) ? holding.assetClass : 'other';
+    allocation[assetClass] = roundCents(allocation[assetClass] + (Number(holding.value) || 0));
+  });
+  return allocation;
+}
+
+/**
+ * Snapshot row for an account from API fields (fills client, month and
+ * allocation)
+ *
+ * @param {Object} account - InvestmentAccount
+ * @param {Object} fields - Snapshot fields (already validated)
+ * @returns {Object} AccountSnapshot fields
+ */
+function buildSnapshot(account, fields) {
+  const holdings = fields.holdings || [];
+  const assetAllocation = fields.assetAllocation ||
+    (holdings.length > 0 ? allocationFromHoldings(holdings) : {});
+
+  return {
+    accountId: account.id,
+    clientId: account.clientId,
+    snapshotDate: fields.snapshotDate,
+    monthYear: moment(fields.snapshotDate).format('YYYY-MM'),
+    statementDate: fields.statementDate !== undefined ? fields.statementDate : fields.snapshotDate,
+    totalBalance: Number(fields.totalBalance),
+    isProjected: Boolean(fields.isProjected),
+    projectionRate: fields.isProjected && fields.projectionRate !== undefined ? Number(fields.projectionRate) : null,
+    sourceStatement: fields.sourceStatement || null,
+    netFlow: fields.netFlow !== undefined && fields.netFlow !== null ? Number(fields.netFlow) : null,
+    holdings,
+    assetAllocation
+  };
+}
+
+/**
+ * Latest snapshot on or before a date
+ *
+ * @param {Array} snapshots - One account's snapshots, most recent first
+ * @param {string|null} asOfDate - YYYY-MM-DD, or null for the latest
+ * @returns {Object|null}
+ */
+function snapshotAsOf(snapshots, asOfDate) {
+  if (!asOfDate) return snapshots[0] || null;
+  return snapshots.find(snapshot => snapshot.snapshotDate <= asOfDate) || null;
+}
+
+/**
+ * Whether an account counts toward totals on a date (null = today): active
+ * accounts always do, closed ones only through their last snapshot
+ *
+ * @param {Object} account - Account with snapshots (most recent first)
+ * @param {string|null} asOfDate - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function countsOn(account, asOfDate) {
+  if (account.isActive !== false) return true;
+  const last = account.snapshots[0];
+  return Boolean(asOfDate && last && asOfDate <= last.snapshotDate);
+}
+
+/**
+ * Load a client's manual accounts with their snapshots
+ *
+ * @param {string} clientId
+ * @param {Object} options - { includeInactive }
+ * @returns {Promise<Array>} Accounts, each with snapshots (most recent first)
+ */
+async function loadAccountsWithSnapshots(clientId, options = {}) {
+  const [accounts, snapshots] = await Promise.all([
+    InvestmentAccount.find(options.includeInactive ? { clientId } : { clientId, isActive: true }),
+    AccountSnapshot.find({ clientId })
+  ]);
+
+  return accounts.map(account => ({
+    ...account,
+    snapshots: snapshots.filter(snapshot => snapshot.accountId === account.id)
+  }));
+}
+
+/**
+ * Totals of a set of accounts' balances
+ *
+ * @param {Array} accounts - [{ taxTreatment, owner, balance, isProjected }]
+ * @returns {Object} { total, projectedTotal (the part from projected snapshots), byTaxTreatment, byOwner }
+ */
+function summarizeBalances(accounts) {
+  const byTaxTreatment = Object.fromEntries(TAX_TREATMENTS.map(treatment => [treatment, 0]));
+  const byOwner = Object.fromEntries(OWNERS.map(owner => [owner, 0]));
+  let total = 0;
+  let projectedTotal = 0;
+
+  accounts.forEach(account => {
+    if (account.balance === null) return;
+    total += account.balance;
+    if (account.isProjected) projectedTotal += account.balance;
+    byTaxTreatment[account.taxTreatment] = roundCents((byTaxTreatment[account.taxTreatment] || 0) + account.balance);
+    const owner = account.owner || 'client';
+    byOwner[owner] = roundCents((byOwner[owner] || 0) + account.balance);
+  });
+
+  return { total: roundCents(total), projectedTotal: roundCents(projectedTotal), byTaxTreatment, byOwner };
+}
+
+/**
+ * A client's manual accounts with their balances as of a date
+ *
+ * @param {string} clientId
+ * @param {Object} options - { asOfDate: YYYY-MM-DD (default latest), includeInactive }
+ * @returns {Promise<Object>} { asOfDate, accounts: [account + latestSnapshot, balance, balanceDate,
+ *   isProjected], total, projectedTotal, byTaxTreatment, byOwner }
+ *   Closed accounts that still count on asOfDate are listed without includeInactive
+ */
+async function getManualAccounts(clientId, options = {}) {
+  const asOfDate = options.asOfDate ? moment(options.asOfDate).format('YYYY-MM-DD') : null;
+  const loaded = await loadAccountsWithSnapshots(clientId, { includeInactive: true });
+
+  const accounts = [];
+  const counted = [];
+  loaded.forEach(({ snapshots, ...account }) => {
+    const counts = countsOn({ ...account, snapshots }, asOfDate);
+    if (!counts && !options.includeInactive) return;
+
+    const latestSnapshot = snapshotAsOf(snapshots, asOfDate);
+    const entry = {
+      ...account,
+      latestSnapshot,
+      balance: latestSnapshot ? latestSnapshot.totalBalance : null,
+      balanceDate: latestSnapshot ? latestSnapshot.snapshotDate : null,
+      isProjected: latestSnapshot ? Boolean(latestSnapshot.isProjected) : false
+    };
+    accounts.push(entry);
+    if (counts) counted.push(entry);
+  });
+
+  return {
+    asOfDate,
+    accounts,
+    ...summarizeBalances(counted)
+  };
+}
+
+/**
+ * Total manual account balance on each of a list of dates
+ *
+ * @param {string} clientId
+ * @param {Array<string>} dates - YYYY-MM-DD
+ * @returns {Promise<Object>} { [date]: { total, projectedTotal, byTaxTreatment, byOwner } }
+ */
+async function getManualBalanceHistory(clientId, dates) {
+  const accounts = await loadAccountsWithSnapshots(clientId, { includeInactive: true });
+
+  return Object.fromEntries(dates.map(date => {
+    const balances = accounts.map(account => {
+      const snapshot = countsOn(account, date) ? snapshotAsOf(account.snapshots, date) : null;
+      return {
+        ...account,
+        balance: snapshot ? snapshot.totalBalance : null,
+        isProjected: snapshot ? Boolean(snapshot.isProjected) : false
+      };
+    });
+    return [date, summarizeBalances(balances)];
+  }));
+}
+
+/**
+ * Month-end dates that have at least one manual snapshot, oldest first
+ *
+ * @param {string} clientId
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Array<string>>}
+ */
+async function getSnapshotMonthEnds(clientId, startDate, endDate) {
+  const snapshots = await AccountSnapshot.find({ clientId });
+  const months = new Set(
+    snapshots
+      .filter(snapshot => snapshot.snapshotDate >= startDate && snapshot.snapshotDate <= endDate)
+      .map(snapshot => snapshot.monthYear)
+  );
+
+  return [...months].sort().map(month => {
+    const monthEnd = moment(month, 'YYYY-MM').endOf('month').format('YYYY-MM-DD');
+    return monthEnd > endDate ? endDate : monthEnd;
+  });
+}
+
+module.exports = {
+  TAX_TREATMENTS,
+  OWNERS,
+  validateAccount,
+  validateSnapshot,
+  buildSnapshot,
+  loadAccountsWithSnapshots,
+  getManualAccounts,
+  getManualBalanceHistory,
+  getSnapshotMonthEnds
+};
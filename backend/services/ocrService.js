@@ -0,0 +1,306 @@
+/**
+ * OCR Service
+ * Local OCR for uploaded statements: pdftoppm renders PDF pages to images and
+ * Tesseract.js reads them. Documents are processed one at a time from an
+ * in-process queue so the request that queues them returns immediately.
+ *
+ * Status flow on the documents row:
+ *   pending -> processing (queued or running) -> processed | failed
+ * Failures keep their message in documents.processing_error.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const Tesseract = require('tesseract.js');
+const { getDatabase } = require('../database-supabase');
+const { downloadStatementFile } = require('./pdfStorageService');
+const { parseStatementText } = require('./statementParsers');
+const bankStatementService = require('./bankStatementService');
+
+const execFileAsync = promisify(execFile);
+
+// 300 DPI is the sweet spot for Tesseract on statement-sized text
+const OCR_DPI = 300;
+// Pages below this confidence (0-1) are flagged for a closer look
+const LOW_CONFIDENCE = 0.7;
+const MAX_QUEUE_LENGTH = 20;
+const IMAGE_TYPES = ['jpg', 'jpeg', 'png'];
+const INVESTMENT_DOCUMENT_TYPE = 'investment';
+
+const queue = [];
+let activeJob = null;
+
+/**
+ * Render each page of a PDF to a PNG with pdftoppm (poppler)
+ *
+ * @param {string} pdfPath - PDF on disk
+ * @returns {Promise<Object>} { images: [{ pageNum, buffer, path }], tempDir }
+ *   The caller removes tempDir when done
+ */
+async function pdfToImages(pdfPath) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-ocr-'));
+  const outputPrefix = path.join(tempDir, 'page');
+
+  try {
+    await execFileAsync('pdftoppm', ['-png', '-r', String(OCR_DPI), pdfPath, outputPrefix]);
+
+    const files = fs.readdirSync(tempDir)
+      .filter(f => f.endsWith('.png'))
+      .sort();
+
+    const images = files.map((file, index) => {
+      const imagePath = path.join(tempDir, file);
+      return {
+        pageNum: index + 1,
+        buffer: fs.readFileSync(imagePath),
+        path: imagePath
+      };
+    });
+
+    return { images, tempDir };
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    const reason = error.code === 'ENOENT' ? 'pdftoppm is not installed (install poppler-utils)' : error.message;
+    throw new Error(`PDF conversion failed: ${reason}`);
+  }
+}
+
+/**
+ * OCR a list of page images with one Tesseract worker
+ *
+ * @param {Array} images - [{ pageNum, buffer }]
+ * @param {Object} options - { onPage(pageNum, pageCount) progress callback }
+ * @returns {Promise<Array>} [{ pageNum, text, confidence }], confidence 0-1
+ */
+async function runOCR(images, options = {}) {
+  const worker = await Tesseract.createWorker('eng');
+  const results = [];
+
+  try {
+    for (const image of images) {
+      const { data } = await worker.recognize(image.buffer);
+      results.push({
+        pageNum: image.pageNum,
+        text: data.text,
+        confidence: Math.round(data.confidence * 10) / 1000
+      });
+      if (options.onPage) options.onPage(image.pageNum, images.length);
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return results;
+}
+
+/**
+ * OCR an uploaded file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - documents.file_type
+ * @returns {Promise<Array>} runOCR pages
+ */
+async function recognizeFile(buffer, fileType) {
+  if (IMAGE_TYPES.includes(fileType)) {
+    return runOCR([{ pageNum: 1, buffer }]);
+  }
+  if (fileType !== 'pdf') {
+    throw new Error(`Cannot OCR a ${fileType} file`);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'statement-ocr-'));
+  try {
+    const pdfPath = path.join(workDir, 'statement.pdf');
+    fs.writeFileSync(pdfPath, buffer);
+
+    const { images, tempDir } = await pdfToImages(pdfPath);
+    try {
+      if (images.length === 0) throw new Error('PDF has no pages');
+      return await runOCR(images);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build documents.ocr_data from OCR pages. Investment statements also go
+ * through the custodian parsers and bank/card statements through the
+ * transaction extractor; everything keeps the raw text except investment
+ * statements, whose parsed result is all the review needs.
+ *
+ * @param {Object} document - Row from the documents table
+ * @param {Array} pages - runOCR output
+ * @returns {Object} ocr_data
+ */
+function buildOcrData(document, pages) {
+  const confidence = pages.length > 0
+    ? Math.round(pages.reduce((sum, p) => sum + p.confidence, 0) / pages.length * 1000) / 1000
+    : 0;
+  const lowConfidencePages = pages.filter(p => p.confidence < LOW_CONFIDENCE).map(p => p.pageNum);
+  const rawText = pages.map(p => p.text).join('\n\n');
+
+  const warnings = [];
+  if (lowConfidencePages.length > 0) {
+    warnings.push(`Low OCR confidence on page${lowConfidencePages.length > 1 ? 's' : ''} ${lowConfidencePages.join(', ')}`);
+  }
+  if (!rawText.trim()) warnings.push('OCR found no text');
+
+  const ocr = {
+    engine: 'tesseract',
+    extractedDate: new Date().toISOString(),
+    confidence,
+    pages: pages.map(p => ({ pageNum: p.pageNum, confidence: p.confidence, characters: p.text.trim().length })),
+    lowConfidencePages
+  };
+
+  if (document.account_type === INVESTMENT_DOCUMENT_TYPE) {
+    const parsed = parseStatementText(rawText);
+    return {
+      documentType: 'investment_statement',
+      ...parsed,
+      ...ocr,
+      warnings: [...warnings, ...parsed.warnings],
+      parsedAt: ocr.extractedDate
+    };
+  }
+
+  if (bankStatementService.isBankDocument(document)) {
+    const extracted = bankStatementService.extractFromText(document, rawText);
+    return {
+      ...extracted,
+      ...ocr,
+      warnings: [...warnings, ...extracted.warnings],
+      rawText
+    };
+  }
+
+  return {
+    documentType: 'ocr',
+    ...ocr,
+    accounts: [],
+    transactions: [],
+    warnings,
+    rawText
+  };
+}
+
+/**
+ * OCR one queued document and record the outcome on its row
+ */
+async function processDocument({ documentId, processedBy }) {
+  const supabase = getDatabase();
+
+  const { data: document, error: fetchError } = await supabase
+    .from('documents')
+    .select('*')
+    .eq('id', documentId)
+    .single();
+  if (fetchError || !document) throw new Error(`Document ${documentId} not found`);
+
+  let update;
+  try {
+    const buffer = await downloadStatementFile(document.file_path);
+    const pages = await recognizeFile(buffer, document.file_type);
+    update = {
+      status: 'processed',
+      ocr_data: buildOcrData(document, pages),
+      processing_error: null
+    };
+  } catch (error) {
+    console.error(`OCR failed for document ${documentId}:`, error.message);
+    update = { status: 'failed', processing_error: error.message };
+  }
+
+  const { error: updateError } = await supabase
+    .from('documents')
+    .update({ ...update, processed_at: new Date().toISOString(), processed_by: processedBy })
+    .eq('id', documentId);
+  if (updateError) throw updateError;
+}
+
+async function drainQueue() {
+  if (activeJob || queue.length === 0) return;
+
+  activeJob = queue.shift();
+  try {
+    await processDocument(activeJob);
+  } catch (error) {
+    console.error('OCR queue error:', error.message);
+  } finally {
+    activeJob = null;
+    setImmediate(drainQueue);
+  }
+}
+
+/**
+ * Whether a document is waiting in or being worked by the queue
+ *
+ * @param {string} documentId
+ * @returns {boolean}
+ */
+function isQueued(documentId) {
+  return (activeJob && activeJob.documentId === documentId) || queue.some(job => job.documentId === documentId);
+}
+
+/**
+ * Current queue contents (for the admin UI)
+ *
+ * @returns {Object} { active: documentId|null, queued: [documentId] }
+ */
+function getQueueStatus() {
+  return {
+    active: activeJob ? activeJob.documentId : null,
+    queued: queue.map(job => job.documentId)
+  };
+}
+
+/**
+ * Documents ahead of a queued one (0 when it is running or next)
+ */
+function queuePosition(documentId) {
+  if (activeJob && activeJob.documentId === documentId) return 0;
+  return queue.findIndex(job => job.documentId === documentId) + (activeJob ? 1 : 0);
+}
+
+/**
+ * Mark a document processing and queue it for OCR
+ *
+ * @param {Object} document - Row from the documents table
+ * @param {string} processedBy - Admin user id
+ * @returns {Promise<number>} Documents ahead of it in the queue
+ */
+async function queueDocumentOcr(document, processedBy) {
+  if (isQueued(document.id)) return queuePosition(document.id);
+  if (queue.length >= MAX_QUEUE_LENGTH) {
+    throw new Error('OCR queue is full; try again in a few minutes');
+  }
+
+  const supabase = getDatabase();
+  const { error } = await supabase
+    .from('documents')
+    .update({ status: 'processing', processing_error: null })
+    .eq('id', document.id);
+  if (error) throw error;
+
+  queue.push({ documentId: document.id, processedBy });
+  setImmediate(drainQueue);
+  return queuePosition(document.id);
+}
+
+module.exports = {
+  LOW_CONFIDENCE,
+  MAX_QUEUE_LENGTH,
+  pdfToImages,
+  runOCR,
+  recognizeFile,
+  buildOcrData,
+  isQueued,
+  getQueueStatus,
+  queueDocumentOcr
+};
@@ -0,0 +1,679 @@
+/**
+ * Paystub Parser
+ * Extracts the pay period, earnings, statutory taxes, pre/after-tax
+ * deductions, employer contributions and net pay (this period and YTD) from
+ * paystub PDFs, in the shape stored in the paystubs table.
+ *
+ * Each payroll layout has a detector and a parser. The first layout whose
+ * detector matches the PDF text is used; the line-item layout (description
+ * followed by current and YTD amounts, as on Paychex, Gusto and Workday
+ * stubs) is the fallback.
+ */
+
+const moment = require('moment');
+const pdfParse = require('pdf-parse');
+
+const DATE_FORMATS = ['MM/DD/YYYY', 'MM-DD-YYYY', 'MM/DD/YY', 'YYYY-MM-DD'];
+const DATE_PATTERN = '(\\d{1,2}[\\/\\-]\\d{1,2}[\\/\\-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2})';
+
+const EARNING_TYPES = ['regular', 'overtime', 'holiday', 'vacation', 'sick', 'bonus', 'commission', 'fringe', 'other', 'gross'];
+const STATUTORY_TYPES = ['federal', 'socialSecurity', 'medicare', 'state', 'local'];
+const EMPLOYER_TYPES = ['match401k', 'hsa', 'healthInsurance'];
+
+// Gross - taxes - deductions may differ from net pay by rounding
+const NET_PAY_TOLERANCE = 1;
+
+const amountPair = () => ({ current: 0, ytd: 0 });
+
+/**
+ * Empty paystub with every amount at zero
+ */
+function emptyPaystub() {
+  const pairs = (types) => Object.fromEntries(types.map(type => [type, amountPair()]));
+
+  return {
+    employerName: null,
+    periodBeginning: null,
+    periodEnding: null,
+    payDate: null,
+    payFrequency: null,
+    payPeriodsPerYear: null,
+    taxYear: null,
+    state: null,
+    earnings: pairs(EARNING_TYPES),
+    statutory: pairs(STATUTORY_TYPES),
+    pretaxDeductions: {},
+    aftertaxDeductions: {},
+    employerContributions: pairs(EMPLOYER_TYPES),
+    netPay: amountPair()
+  };
+}
+
+/**
+ * Parse a printed amount ("1,234.56", "$1,234.56", "(12.00)", "-12.00")
+ */
+function parseAmount(str) {
+  if (!str) return 0;
+  const clean = String(str).replace(/[,$\s]/g, '');
+  const isNegative = clean.includes('(') || clean.startsWith('-');
+  const value = parseFloat(clean.replace(/[()-]/g, '')) || 0;
+  return isNegative ? -value : value;
+}
+
+/**
+ * Amount printed without a decimal point (ADP text extraction): the last two
+ * digits are cents
+ */
+function extractConcatenatedAmount(numStr) {
+  if (!numStr) return 0;
+  const clean = numStr.replace(/[^0-9-]/g, '');
+  if (!clean) return 0;
+
+  const isNegative = clean.startsWith('-');
+  const absStr = clean.replace('-', '');
+
+  const value = absStr.length > 2
+    ? parseFloat(absStr.slice(0, -2) + '.' + absStr.slice(-2))
+    : parseFloat('0.' + absStr.padStart(2, '0'));
+
+  return isNegative ? -value : value;
+}
+
+/**
+ * Pay frequency from the period dates
+ */
+function determinePayFrequency(periodStart, periodEnd) {
+  if (!periodStart || !periodEnd) return { frequency: 'unknown', periodsPerYear: 24 };
+
+  const days = moment(periodEnd).diff(moment(periodStart), 'days') + 1;
+
+  if (days >= 28 && days <= 31) return { frequency: 'monthly', periodsPerYear: 12 };
+  if (days === 14) return { frequency: 'biweekly', periodsPerYear: 26 };
+  if (days >= 13 && days <= 16) return { frequency: 'semimonthly', periodsPerYear: 24 };
+  if (days >= 6 && days <= 8) return { frequency: 'weekly', periodsPerYear: 52 };
+
+  return { frequency: 'biweekly', periodsPerYear: 26 };
+}
+
+/**
+ * Pay periods left in the calendar year after the period ending date
+ */
+function calculateRemainingPeriods(periodEnd, periodsPerYear) {
+  const endDate = moment(periodEnd);
+  const daysRemaining = moment(endDate).endOf('year').diff(endDate, 'days');
+  return Math.round(daysRemaining / (365 / periodsPerYear));
+}
+
+/**
+ * Pre-tax, after-tax or statutory, from the deduction name
+ */
+function categorizeDeduction(name) {
+  const nameLower = name.toLowerCase();
+
+  // Plan loan repayments ("401(k) Loan") come out of after-tax pay
+  if (nameLower.includes('loan')) return 'after-tax';
+
+  const afterTaxPatterns = [
+    'roth', 'after-tax', 'aftertax', 'post-tax', 'posttax',
+    'vol term', 'voluntary life', 'supp life',
+    'disability', 'ltd', 'std'
+  ];
+  const preTaxPatterns = [
+    '401k', '401(k)', '403b', '403(b)', '457', 'hsa', 'fsa',
+    'health', 'medical', 'dental', 'vision',
+    'pretax', 'pre-tax', 'prtx',
+    'flex', 'cafeteria', 'section 125', 'commuter', 'transit', 'parking'
+  ];
+  const statutoryPatterns = ['federal', 'state', 'social security', 'medicare', 'fica', 'oasdi', 'income tax'];
+
+  if (afterTaxPatterns.some(p => nameLower.includes(p))) return 'after-tax';
+  if (preTaxPatterns.some(p => nameLower.includes(p))) return 'pre-tax';
+  if (statutoryPatterns.some(p => nameLower.includes(p))) return 'statutory';
+  return 'other';
+}
+
+/**
+ * Key for a deduction name in pretax/aftertax deductions ("Roth 401(k)" -> "roth_401k")
+ */
+function toDeductionKey(name) {
+  return name
+    .toLowerCase()
+    .replace(/[()*]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+const toDate = (text) => {
+  const date = moment(text, DATE_FORMATS, true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+};
+
+/**
+ * Period beginning/ending and pay date
+ */
+function extractDates(text) {
+  const find = (label) => {
+    const match = text.match(new RegExp(`${label}[:\\s]*${DATE_PATTERN}`, 'i'));
+    return match ? toDate(match[1]) : null;
+  };
+
+  const dates = {
+    periodBeginning: find('period\\s*(?:begin(?:ning)?|start(?:ing)?)(?:\\s*date)?'),
+    periodEnding: find('period\\s*end(?:ing)?(?:\\s*date)?'),
+    payDate: find('(?:pay|check|advice)\\s*date')
+  };
+
+  // "Pay Period: 01/01/2025 - 01/14/2025"
+  if (!dates.periodBeginning || !dates.periodEnding) {
+    const range = text.match(new RegExp(`(?:pay\\s*)?period[:\\s]*${DATE_PATTERN}\\s*(?:-|to|through)\\s*${DATE_PATTERN}`, 'i'));
+    if (range) {
+      dates.periodBeginning = dates.periodBeginning || toDate(range[1]);
+      dates.periodEnding = dates.periodEnding || toDate(range[2]);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Two-letter state from the state income tax line ("MD State Income Tax", "CA SIT")
+ */
+function extractState(text) {
+  const match = text.match(/\b([A-Z]{2})\s*(?:State\s*Income\s*Tax|StateIncomeTax|SIT|State\s*W\/H|Withholding)\b/);
+  return match && match[1] !== 'US' ? match[1] : null;
+}
+
+// ----------------------------------------------------------------------------
+// ADP layout
+// ----------------------------------------------------------------------------
+//
+// pdf-parse runs ADP's columns together without decimal points, e.g.
+// "Regular46153946153910801185" is Regular + rate 4615.39 + this period
+// 4615.39 + YTD 108011.85. Deduction labels and their "-current*ytd" amount
+// runs come out in the same order, but each run lands one row above its
+// label (Federal Income Tax's run sits above the "Statutory" header).
+
+function parseAdpEarnings(text, paystub) {
+  const { earnings } = paystub;
+
+  let match = text.match(/Regular(\d{6})(\d{6})(\d{8})/i);
+  if (match) {
+    earnings.regular.current = extractConcatenatedAmount(match[2]);
+    earnings.regular.ytd = extractConcatenatedAmount(match[3]);
+  }
+
+  match = text.match(/Overtime\d{4,6}(\d{5,6})(\d{6,8})/i);
+  if (match) {
+    earnings.overtime.current = extractConcatenatedAmount(match[1]);
+    earnings.overtime.ytd = extractConcatenatedAmount(match[2]);
+  }
+
+  match = text.match(/Holiday(\d{4})/i);
+  if (match) earnings.holiday.current = extractConcatenatedAmount(match[1]);
+
+  match = text.match(/Vacation(\d{4})/i);
+  if (match) earnings.vacation.current = extractConcatenatedAmount(match[1]);
+
+  match = text.match(/Fringe(\d{5})/i);
+  if (match) earnings.fringe.ytd = extractConcatenatedAmount(match[1]);
+
+  match = text.match(/GrossPay\$(\d{3,})/i);
+  if (match) earnings.gross.current = extractConcatenatedAmount(match[1]);
+
+  // YTD gross stands alone ahead of the "Excluded from federal taxable wages" / "Filing Status" block
+  match = text.match(/(\d{8})[\s\n]*(?:Excluded|Filing)/i);
+  if (match) earnings.gross.ytd = extractConcatenatedAmount(match[1]);
+}
+
+// Voluntary deductions by label; statutory taxes go through STATUTORY_LABELS
+const ADP_DEDUCTION_LABELS = [
+  { key: '401k_loan', group: 'aftertaxDeductions', pattern: /loan/i },
+  { key: 'roth_401k', group: 'aftertaxDeductions', pattern: /roth/i },
+  { key: '401k', group: 'pretaxDeductions', pattern: /401\s*\(?k\)?/i },
+  { key: '403b', group: 'pretaxDeductions', pattern: /403\s*\(?b\)?/i },
+  { key: 'hsa', group: 'pretaxDeductions', pattern: /\bhsa\b|health savings/i },
+  { key: 'fsa', group: 'pretaxDeductions', pattern: /\bfsa\b|flex/i },
+  { key: 'dental', group: 'pretaxDeductions', pattern: /dental|\bden\b/i },
+  { key: 'vision', group: 'pretaxDeductions', pattern: /vision|\bvis\b/i },
+  { key: 'medical', group: 'pretaxDeductions', pattern: /medical|\bmed\b|health/i },
+  { key: 'life_insurance', group: 'aftertaxDeductions', pattern: /life/i },
+  { key: 'disability', group: 'aftertaxDeductions', pattern: /disability|\b[ls]td\b/i }
+];
+
+const ADP_AMOUNT_RUN = /^-[\d*]+$/;
+const ADP_LABEL = /^[A-Za-z0-9][A-Za-z0-9$&/() ]*[A-Za-z$)]$/;
+
+// "MDStateIncomeTax" -> "MD State Income Tax", "PrtxFsa" -> "Prtx Fsa"
+const spaceAdpLabel = (label) => label
+  .replace(/([a-z$])([A-Z0-9])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2');
+
+/**
+ * Split a "-current*ytd" run. ADP marks pre-tax amounts with "*" between the
+ * columns; unmarked runs are split where YTD / this period is closest to
+ * gross pay's ratio, each column being at least "0.00" wide.
+ *
+ * @returns {Object|null} { current, ytd, pretax }, or null when no split fits
+ */
+function splitAdpAmounts(run, gross) {
+  const digits = run.replace(/^-/, '');
+  if (digits.includes('*')) {
+    const [current, ytd] = digits.split('*');
+    return { current: extractConcatenatedAmount(current), ytd: extractConcatenatedAmount(ytd), pretax: true };
+  }
+
+  // A single column is this period's amount
+  if (digits.length < 6) {
+    const current = extractConcatenatedAmount(digits);
+    return current <= gross.current ? { current, ytd: 0, pretax: false } : null;
+  }
+  if (!gross.current || !gross.ytd) return null;
+
+  const grossRatio = gross.ytd / gross.current;
+  let best = null;
+  for (let i = 3; i <= digits.length - 3; i++) {
+    const [currentDigits, ytdDigits] = [digits.slice(0, i), digits.slice(i)];
+    if (/^0\d{3,}/.test(currentDigits) || /^0\d{3,}/.test(ytdDigits)) continue;
+
+    const current = extractConcatenatedAmount(currentDigits);
+    const ytd = extractConcatenatedAmount(ytdDigits);
+    if (!current || ytd < current || current > gross.current || ytd > gross.ytd) continue;
+
+    const distance = Math.abs(Math.log((ytd / current) / grossRatio));
+    if (!best || distance < best.distance) best = { current, ytd, pretax: false, distance };
+  }
+
+  return best && { current: best.current, ytd: best.ytd, pretax: false };
+}
+
+function parseAdpDeductions(text, paystub, issues) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const start = lines.findIndex(line => /^Statutory$/i.test(line));
+  // The deduction block ends at the net pay amount or label
+  const end = lines.findIndex((line, i) => i > start && /^\$|^Net\s*Pay/i.test(line));
+
+  if (start < 0 || end < 0) {
+    issues.push('ADP deduction block not found; enter taxes and deductions in review');
+    return;
+  }
+
+  const runs = lines.slice(0, end).filter(line => ADP_AMOUNT_RUN.test(line));
+  const labels = lines.slice(start + 1, end)
+    .filter(line => ADP_LABEL.test(line) && /[A-Za-z]/.test(line) && !/^x+$/i.test(line));
+
+  if (runs.length !== labels.length) {
+    issues.push(`ADP deduction labels (${labels.length}) and amounts (${runs.length}) don't line up; enter taxes and deductions in review`);
+    return;
+  }
+
+  labels.forEach((rawLabel, i) => {
+    const label = spaceAdpLabel(rawLabel);
+    const amounts = splitAdpAmounts(runs[i], paystub.earnings.gross);
+    if (!amounts) {
+      issues.push(`Could not split the amounts for "${label}" (${runs[i]}); enter them in review`);
+      return;
+    }
+
+    const statutoryType = /tax|withholding/i.test(label) ? matchType(label, STATUTORY_LABELS) : null;
+    if (statutoryType) {
+      addPair(paystub.statutory[statutoryType], amounts.current, amounts.ytd);
+      return;
+    }
+
+    const known = ADP_DEDUCTION_LABELS.find(entry => entry.pattern.test(label));
+    if (!known) {
+      issues.push(`Unrecognized ADP deduction "${label}" filed under "${toDeductionKey(label)}"; check it in review`);
+    }
+
+    // "*" marks amounts excluded from federal taxable wages; Roth and loan
+    // repayments are after-tax whatever the stub marks
+    const pretax = !/roth|loan/i.test(label) && (amounts.pretax ||
+      (known ? known.group === 'pretaxDeductions' : categorizeDeduction(label) === 'pre-tax'));
+    const group = pretax ? 'pretaxDeductions' : 'aftertaxDeductions';
+    const key = known ? known.key : toDeductionKey(label);
+
+    paystub[group][key] = paystub[group][key] || amountPair();
+    addPair(paystub[group][key], amounts.current, amounts.ytd);
+  });
+}
+
+function parseAdp(text, issues) {
+  const paystub = emptyPaystub();
+
+  parseAdpEarnings(text, paystub);
+  parseAdpDeductions(text, paystub, issues);
+
+  const employer = text.match(/(\d{5})(\d{7})[\s\n]*(?:Other|5450)/i);
+  if (employer) {
+    paystub.employerContributions.match401k = {
+      current: extractConcatenatedAmount(employer[1]),
+      ytd: extractConcatenatedAmount(employer[2])
+    };
+  }
+
+  // The first "$amount" on the stub is the net pay on the check/advice
+  const netPay = text.match(/\$(\d{3,})[\s\n]/);
+  if (netPay) paystub.netPay.current = extractConcatenatedAmount(netPay[1]);
+
+  return paystub;
+}
+
+// ----------------------------------------------------------------------------
+// Line-item layout
+// ----------------------------------------------------------------------------
+//
+// One line per item: "Regular  80.00  45.0000  3,600.00  43,200.00". Rates and
+// hours come first, so the last two amounts are this period and YTD.
+
+const AMOUNT = '-?\\(?\\$?-?[\\d,]*\\d\\.\\d{2,4}\\)?';
+const LINE_ITEM = new RegExp(`^\\s*([A-Za-z0-9][A-Za-z0-9 .&/()%*'#:-]*?)\\s*:?\\s+((?:${AMOUNT}\\s*)+)$`);
+
+const SECTION_HEADERS = [
+  { section: 'earnings', pattern: /^(?:earnings|hours and earnings|pay)\b/i },
+  { section: 'statutory', pattern: /^(?:taxes|statutory|withholdings?|employee taxes|tax deductions)\b/i },
+  { section: 'pretax', pattern: /^(?:pre-?tax deductions|before-?tax deductions)\b/i },
+  { section: 'aftertax', pattern: /^(?:post-?tax deductions|after-?tax deductions)\b/i },
+  { section: 'deductions', pattern: /^(?:deductions|other deductions|benefits)\b/i },
+  { section: 'employer', pattern: /^(?:employer (?:paid )?(?:benefits|contributions)|company contributions|employer)\b/i }
+];
+
+const EARNING_LABELS = [
+  { type: 'gross', pattern: /gross pay|total (?:gross|earnings)|^gross\b|^current gross/i },
+  { type: 'overtime', pattern: /overtime|^ot\b|double time/i },
+  { type: 'holiday', pattern: /holiday/i },
+  { type: 'vacation', pattern: /vacation|\bpto\b|paid time off/i },
+  { type: 'sick', pattern: /\bsick/i },
+  { type: 'bonus', pattern: /bonus/i },
+  { type: 'commission', pattern: /commission/i },
+  { type: 'fringe', pattern: /fringe|imputed|group term life|\bgtl\b/i },
+  { type: 'regular', pattern: /^regular|^salary|^base pay|^hourly|^reg\b/i }
+];
+
+const STATUTORY_LABELS = [
+  { type: 'socialSecurity', pattern: /social security|oasdi|fica[\s-]*(?:ss|oasdi)|\bss tax/i },
+  { type: 'medicare', pattern: /medicare|fica[\s-]*med|\bmed tax/i },
+  { type: 'federal', pattern: /federal|\bfed\b|\bfit\b|fitw|\bfwt\b/i },
+  { type: 'local', pattern: /\blocal\b|\bcity\b|county|school district|\blit\b/i },
+  { type: 'state', pattern: /state|\bsit\b|\bswt\b|\b[A-Z]{2} (?:income tax|withholding|w\/h)\b/i }
+];
+
+const EMPLOYER_LABELS = [
+  { type: 'match401k', pattern: /401\(?k\)?|403\(?b\)?|match|retirement|er contribution/i },
+  { type: 'hsa', pattern: /\bhsa\b|health savings/i },
+  { type: 'healthInsurance', pattern: /health|medical|dental|vision|insurance/i }
+];
+
+const NET_PAY = /^(?:net pay|net check|take[\s-]*home|net amount|net)\b/i;
+const SKIP = /^(?:total (?:deductions|taxes|pre-?tax|post-?tax|after-?tax)|rate|hours|current|ytd|year to date|description|check amount)/i;
+const EMPLOYER_LINE = /\b(?:employer|er|company)\b/i;
+
+const matchType = (label, table) => {
+  const hit = table.find(entry => entry.pattern.test(label));
+  return hit ? hit.type : null;
+};
+
+const addPair = (pair, current, ytd) => {
+  pair.current = Math.round((pair.current + current) * 100) / 100;
+  pair.ytd = Math.round((pair.ytd + ytd) * 100) / 100;
+};
+
+function parseLineItems(text) {
+  const paystub = emptyPaystub();
+  let section = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line) return;
+
+    const header = SECTION_HEADERS.find(h => h.pattern.test(line) && !/\d\.\d{2}/.test(line));
+    if (header) {
+      section = header.section;
+      return;
+    }
+
+    const match = line.match(LINE_ITEM);
+    if (!match) return;
+
+    const label = match[1].replace(/[:*]+$/, '').trim();
+    if (!/[A-Za-z]/.test(label) || SKIP.test(label)) return;
+
+    const amounts = match[2].trim().split(/\s+/).map(parseAmount);
+    // Deductions are often printed negative
+    const current = Math.abs(amounts.length >= 2 ? amounts[amounts.length - 2] : amounts[0]);
+    const ytd = Math.abs(amounts.length >= 2 ? amounts[amounts.length - 1] : 0);
+
+    if (NET_PAY.test(label)) {
+      paystub.netPay = { current, ytd };
+      return;
+    }
+
+    if (section === 'employer' || EMPLOYER_LINE.test(label)) {
+      const type = matchType(label, EMPLOYER_LABELS);
+      if (type) {
+        addPair(paystub.employerContributions[type], current, ytd);
+        return;
+      }
+    }
+
+    if (section === 'earnings' || (!section && matchType(label, EARNING_LABELS))) {
+      const type = matchType(label, EARNING_LABELS) || 'other';
+      if (type === 'gross') paystub.earnings.gross = { current, ytd };
+      else addPair(paystub.earnings[type], current, ytd);
+      return;
+    }
+
+    const category = categorizeDeduction(label);
+    const statutoryType = matchType(label, STATUTORY_LABELS);
+
+    if (statutoryType && (section === 'statutory' || category === 'statutory' || /tax|withholding|w\/h/i.test(label))) {
+      addPair(paystub.statutory[statutoryType], current, ytd);
+      return;
+    }
+
+    // Section headers win over the name for pre/after-tax, except that loan
+    // repayments are always after-tax
+    const isLoan = /loan/i.test(label);
+    const target = !isLoan && (section === 'pretax' || (section !== 'aftertax' && category === 'pre-tax'))
+      ? paystub.pretaxDeductions
+      : paystub.aftertaxDeductions;
+    const key = toDeductionKey(label);
+    if (!key) return;
+
+    target[key] = target[key] || amountPair();
+    addPair(target[key], current, ytd);
+  });
+
+  return paystub;
+}
+
+// ----------------------------------------------------------------------------
+// Layout registry
+// ----------------------------------------------------------------------------
+
+const LAYOUTS = [
+  {
+    id: 'adp',
+    name: 'ADP earnings statement',
+    detect: (text) => /Regular\d{6}\d{6}\d{8}/i.test(text) || /GrossPay\$\d{6}/i.test(text),
+    parse: parseAdp
+  },
+  {
+    id: 'line_items',
+    name: 'Line items with current and YTD columns (Paychex, Gusto, Workday and similar)',
+    detect: () => true,
+    parse: parseLineItems
+  }
+];
+
+/**
+ * Employer name: the line before "Earnings Statement"/"Pay Statement" or a "Company:" field
+ */
+function extractEmployerName(text) {
+  const labeled = text.match(/(?:company|employer)(?:\s*name)?\s*:\s*([^\n]+)/i);
+  if (labeled) return labeled[1].trim().slice(0, 255);
+
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const idx = lines.findIndex(l => /(?:earnings|pay) statement|pay stub|paystub|advice of deposit/i.test(l));
+  if (idx > 0 && !/\d{2}[/-]\d{2}/.test(lines[idx - 1])) return lines[idx - 1].slice(0, 255);
+
+  return null;
+}
+
+const sumPairs = (pairs) => Object.values(pairs).reduce((total, pair) => ({
+  current: Math.round((total.current + (pair.current || 0)) * 100) / 100,
+  ytd: Math.round((total.ytd + (pair.ytd || 0)) * 100) / 100
+}), amountPair());
+
+/**
+ * Fill derived fields (frequency, tax year, gross and totals, projections)
+ * and collect review warnings
+ *
+ * @param {Object} paystub - Parsed or admin-corrected paystub
+ * @returns {Object} { paystub, warnings }
+ */
+function finalizePaystub(paystub) {
+  const empty = emptyPaystub();
+  const copy = JSON.parse(JSON.stringify(paystub));
+  const result = {
+    ...empty,
+    ...copy,
+    earnings: { ...empty.earnings, ...copy.earnings },
+    statutory: { ...empty.statutory, ...copy.statutory },
+    employerContributions: { ...empty.employerContributions, ...copy.employerContributions },
+    pretaxDeductions: copy.pretaxDeductions || {},
+    aftertaxDeductions: copy.aftertaxDeductions || {},
+    netPay: { ...empty.netPay, ...copy.netPay }
+  };
+  const warnings = [];
+
+  if (!result.payFrequency || !result.payPeriodsPerYear) {
+    const { frequency, periodsPerYear } = determinePayFrequency(result.periodBeginning, result.periodEnding);
+    result.payFrequency = result.payFrequency || frequency;
+    result.payPeriodsPerYear = result.payPeriodsPerYear || periodsPerYear;
+  }
+
+  const reference = result.periodEnding || result.payDate;
+  if (!result.taxYear && reference) result.taxYear = moment(reference).year();
+
+  // Gross is the sum of the earnings lines when the stub doesn't print it
+  const { gross, ...lines } = result.earnings;
+  const earningsTotal = sumPairs(lines);
+  if (!gross.current) gross.current = earningsTotal.current;
+  if (!gross.ytd) gross.ytd = earningsTotal.ytd;
+
+  const statutoryTotal = sumPairs(result.statutory);
+  result.statutoryTotal = statutoryTotal;
+  result.pretaxTotal = sumPairs(result.pretaxDeductions);
+  result.aftertaxTotal = sumPairs(result.aftertaxDeductions);
+
+  if (!result.periodEnding) warnings.push('Period ending date not found');
+  if (!gross.current) warnings.push('Gross pay not found');
+  if (gross.ytd && gross.ytd < gross.current) warnings.push('YTD gross pay is less than this period');
+
+  const expectedNet = gross.current - statutoryTotal.current - result.pretaxTotal.current - result.aftertaxTotal.current;
+  if (!result.netPay.current) {
+    warnings.push('Net pay not found');
+  } else if (Math.abs(expectedNet - result.netPay.current) > NET_PAY_TOLERANCE) {
+    warnings.push(`Gross less taxes and deductions (${expectedNet.toFixed(2)}) does not match net pay (${result.netPay.current.toFixed(2)})`);
+  }
+
+  result.projections = result.periodEnding ? buildProjections(result) : null;
+
+  return { paystub: result, warnings };
+}
+
+/**
+ * Year-end estimates: YTD plus the current period for each remaining pay period
+ */
+function buildProjections(paystub) {
+  const remaining = calculateRemainingPeriods(paystub.periodEnding, paystub.payPeriodsPerYear);
+  const project = (pair) => Math.round((pair.ytd + remaining * pair.current) * 100) / 100;
+  const { socialSecurity, medicare } = paystub.statutory;
+
+  return {
+    remainingPayPeriods: remaining,
+    estimatedAnnualGross: project(paystub.earnings.gross),
+    estimatedAnnualFederalTax: project(paystub.statutory.federal),
+    estimatedAnnualStateTax: project(paystub.statutory.state),
+    estimatedAnnualFica: project({
+      current: socialSecurity.current + medicare.current,
+      ytd: socialSecurity.ytd + medicare.ytd
+    })
+  };
+}
+
+/**
+ * Parse paystub text
+ *
+ * @param {string} text - Text extracted from the PDF
+ * @param {Object} options - { layout: force a layout id }
+ * @returns {Object} { layout, paystub, warnings, confidence }: confidence is
+ *   'low' when the layout parser left amounts unassigned or the totals
+ *   don't check out, so the reviewer re-enters them
+ */
+function parsePaystubText(text, options = {}) {
+  const layout = options.layout
+    ? LAYOUTS.find(l => l.id === options.layout)
+    : LAYOUTS.find(l => l.detect(text));
+
+  if (!layout) {
+    throw new Error(`Unknown paystub layout: ${options.layout}. Use one of: ${LAYOUTS.map(l => l.id).join(', ')}`);
+  }
+
+  // Amounts the layout parser could not place
+  const issues = [];
+  const parsed = layout.parse(text, issues);
+  Object.assign(parsed, extractDates(text));
+  parsed.employerName = extractEmployerName(text);
+  parsed.state = extractState(text);
+
+  const { paystub, warnings } = finalizePaystub(parsed);
+  const allWarnings = [...issues, ...warnings];
+
+  return {
+    layout: layout.id,
+    paystub,
+    warnings: allWarnings,
+    confidence: allWarnings.length ? 'low' : 'high'
+  };
+}
+
+/**
+ * Parse a paystub PDF
+ *
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - { layout }
+ * @returns {Promise<Object>} { layout, paystub, warnings, confidence, pages, text }
+ */
+async function parsePaystubPdf(buffer, options = {}) {
+  let pdfData;
+  try {
+    pdfData = await pdfParse(buffer);
+  } catch (error) {
+    throw new Error(`Could not read PDF: ${error.message}`);
+  }
+
+  if (!pdfData.text || !pdfData.text.trim()) {
+    throw new Error('No text found in PDF (scanned paystubs need OCR first)');
+  }
+
+  return {
+    ...parsePaystubText(pdfData.text, options),
+    pages: pdfData.numpages,
+    text: pdfData.text
+  };
+}
+
+module.exports = {
+  LAYOUTS: LAYOUTS.map(({ id, name }) => ({ id, name })),
+  emptyPaystub,
+  parseAmount,
+  extractConcatenatedAmount,
+  determinePayFrequency,
+  calculateRemainingPeriods,
+  categorizeDeduction,
+  extractDates,
+  finalizePaystub,
+  parsePaystubText,
+  parsePaystubPdf
+};
@@ -0,0 +1,129 @@
+/**
+ * Paystub Service
+ * Turns uploaded paystub documents into paystubs rows: parses the PDF into
+ * documents.ocr_data for admin review and correction, then writes the
+ * reviewed paystub (with totals and year-end projections) on approval.
+ */
+
+const moment = require('moment');
+const Paystub = require('../models-supabase/Paystub');
+const { downloadStatementFile } = require('./pdfStorageService');
+const { parsePaystubPdf, finalizePaystub, LAYOUTS } = require('./paystubParser');
+
+const PAYSTUB_DOCUMENT_TYPE = 'paystub';
+
+/**
+ * Parse an uploaded paystub document
+ *
+ * @param {Object} document - Row from the documents table
+ * @param {Object} options - { layout: force a parser layout }
+ * @returns {Promise<Object>} ocr_data for the document:
+ *   { documentType: 'paystub', layout, paystub, warnings, confidence, parsedAt }
+ */
+async function parsePaystubDocument(document, options = {}) {
+  if (document.file_type !== 'pdf') {
+    throw new Error('Paystub parsing needs a PDF; image uploads must go through OCR');
+  }
+
+  const buffer = await downloadStatementFile(document.file_path);
+  const { layout, paystub, warnings, confidence } = await parsePaystubPdf(buffer, options);
+
+  return {
+    documentType: PAYSTUB_DOCUMENT_TYPE,
+    layout,
+    paystub,
+    warnings,
+    confidence,
+    parsedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate a reviewed paystub before it is saved
+ *
+ * @param {Object} paystub - Paystub from ocr_data
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePaystub(paystub) {
+  if (!paystub || typeof paystub !== 'object') return 'Paystub data is required';
+  if (!paystub.periodEnding || !moment(paystub.periodEnding, 'YYYY-MM-DD', true).isValid()) {
+    return 'periodEnding (YYYY-MM-DD) is required';
+  }
+  if (paystub.periodBeginning && !moment(paystub.periodBeginning, 'YYYY-MM-DD', true).isValid()) {
+    return 'periodBeginning must be a YYYY-MM-DD date';
+  }
+  if (paystub.payDate && !moment(paystub.payDate, 'YYYY-MM-DD', true).isValid()) {
+    return 'payDate must be a YYYY-MM-DD date';
+  }
+  if (paystub.state && !/^[A-Z]{2}$/.test(paystub.state)) {
+    return 'state must be a two-letter code';
+  }
+
+  const groups = ['earnings', 'statutory', 'employerContributions', 'pretaxDeductions', 'aftertaxDeductions'];
+  for (const group of groups) {
+    const pairs = paystub[group] || {};
+    for (const [key, pair] of Object.entries(pairs)) {
+      const values = [pair && pair.current, pair && pair.ytd];
+      if (values.some(v => v !== undefined && v !== null && (!Number.isFinite(Number(v)) || Number(v) < 0))) {
+        return `${group}.${key} amounts must be non-negative numbers`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Write the reviewed paystub from a document to the paystubs table
+ * (updating the row if the document was approved before)
+ *
+ * @param {Object} document - Row from the documents table with ocr_data.paystub
+ * @param {string} reviewedBy - Admin user id
+ * @returns {Promise<Object>} { paystub, warnings }
+ */
+async function savePaystubFromDocument(document, reviewedBy) {
+  const ocrData = document.ocr_data || {};
+  const validationError = validatePaystub(ocrData.paystub);
+  if (validationError) throw new Error(validationError);
+
+  // Totals and projections follow the admin's corrections
+  const { paystub, warnings } = finalizePaystub(ocrData.paystub);
+
+  const record = {
+    ...paystub,
+    clientId: document.client_id,
+    documentId: document.id,
+    parserLayout: ocrData.layout || 'manual',
+    reviewedBy,
+    reviewedAt: new Date().toISOString()
+  };
+
+  const existing = await Paystub.findOne({ documentId: document.id });
+  const saved = existing
+    ? await Paystub.update(existing.id, record)
+    : await Paystub.create(record);
+
+  return { paystub: saved, warnings };
+}
+
+/**
+ * Paystubs for a client, most recent first
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { taxYear }
+ * @returns {Promise<Array>}
+ */
+async function getPaystubs(clientId, options = {}) {
+  const query = { clientId };
+  if (options.taxYear) query.taxYear = options.taxYear;
+  return Paystub.find(query);
+}
+
+module.exports = {
+  PAYSTUB_DOCUMENT_TYPE,
+  LAYOUTS,
+  parsePaystubDocument,
+  validatePaystub,
+  savePaystubFromDocument,
+  getPaystubs
+};
@@ -6,6 +6,15 @@
 const PDFDocument = require('pdfkit');
 const chartRenderer = require('./chartRenderer');
 const chartDataService = require('./chartDataService');
+const recurringDetector = require('./recurringDetector');
+const goalService = require('./goalService');
+const debtPlanner = require('./debtPlanner');
+const retirementSimulator = require('./retirementSimulator');
+const withdrawalPlanner = require('./withdrawalPlanner');
+const contributionTracker = require('./contributionTracker');
+const withholdingProjection = require('./withholdingProjection');
+const manualAccounts = require('./manualAccounts');
+const investmentPerformance = require('./investmentPerformance');
 const moment = require('moment');
 
 // PDF Constants
@@ -58,6 +67,9 @@ class ReportGenerator {
       case 'retirement_projection':
         await this._generateRetirementProjectionReport();
         break;
+      case 'debt_payoff':
+        await this._generateDebtPayoffReport();
+        break;
       default:
         throw new Error(`Unknown report type: ${this.reportType}`);
     }
@@ -324,9 +336,158 @@ class ReportGenerator {
       this._addTable(tableData, ['Category', 'Amount', 'Percentage'], 'Expense Details');
     }
 
+    // Page 3: Budget vs actual (only when the advisor has set budgets)
+    await this._addBudgetSection(month);
+
+    // Page 4: Recurring charges and subscriptions
+    await this._addRecurringChargesSection(month);
+
     console.log('✅ Monthly Cash Flow Report generated');
   }
 
+  /**
+   * Add budget vs actual section with variance chart and table
+   */
+  async _addBudgetSection(month) {
+    console.log('📊 Generating budget variance chart...');
+    const budgetData = await chartDataService.getBudgetVarianceChart(this.client.clientId, month);
+    if (budgetData.categories.length === 0) return;
+
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    this.doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('Budget vs Actual', { underline: true })
+      .moveDown();
+
+    const { totals } = budgetData;
+    this.doc
+      .fontSize(11)
+      .font('Helvetica')
+      .text(
+        `Budgeted: $${totals.available.toLocaleString()} | Spent: $${totals.actual.toLocaleString()} | ` +
+        `${totals.variance >= 0 ? 'Under' : 'Over'} budget by $${Math.abs(totals.variance).toLocaleString()}`
+      );
+
+    if (totals.unbudgetedActual > 0) {
+      this.doc.text(`Spending in categories without a budget: $${totals.unbudgetedActual.toLocaleString()}`);
+    }
+    this.doc.moveDown();
+
+    const chart = await chartRenderer.renderBudgetVarianceChart(budgetData);
+    await this._addChart(chart, null, {
+      width: 468,
+      height: 234
+    });
+
+    const tableData = budgetData.categories.map((name, i) => [
+      name,
+      `$${budgetData.available[i].toLocaleString()}`,
+      `$${budgetData.actual[i].toLocaleString()}`,
+      `${budgetData.variance[i] < 0 ? '-' : ''}$${Math.abs(budgetData.variance[i]).toLocaleString()}`
+    ]);
+
+    // Start the table on a new page if it won't fit below the chart
+    if (this.doc.y + 60 + tableData.length * 20 > 720) {
+      this.doc.addPage();
+      this.doc.y = 72;
+    }
+
+    this._addTable(tableData, ['Category', 'Budget', 'Actual', 'Remaining'], 'Budget Details');
+  }
+
+  /**
+   * Add recurring charges section (subscriptions, premiums, loan payments)
+   * evaluated as of the end of the report month
+   */
+  async _addRecurringChargesSection(month) {
+    console.log('🔁 Detecting recurring charges...');
+    const monthEnd = moment(month).endOf('month');
+    const asOf = monthEnd.isAfter(moment()) ? moment() : monthEnd;
+    const recurring = await recurringDetector.getRecurringForClient(this.client.clientId, {
+      asOf: asOf.toDate()
+    });
+
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    this.doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('Recurring Charges', { underline: true })
+      .moveDown();
+
+    if (recurring.active.length === 0 && recurring.stopped.length === 0) {
+      this.doc
+        .fontSize(11)
+        .font('Helvetica')
+        .text('No recurring charges were found in the last 13 months of transactions.')
+        .moveDown();
+      return;
+    }
+
+    this.doc
+      .fontSize(11)
+      .font('Helvetica')
+      .text(
+        `${recurring.active.length} active recurring charges totalling about ` +
+        `$${recurring.monthlyTotal.toLocaleString()} per month ($${recurring.annualTotal.toLocaleString()} per year).`
+      )
+      .moveDown();
+
+    // Keep the table on one page
+    if (recurring.active.length > 0) {
+      const tableData = recurring.active.slice(0, 15).map(series => [
+        series.merchantName,
+        series.cadence.charAt(0).toUpperCase() + series.cadence.slice(1),
+        `$${series.typicalAmount.toLocaleString()}`,
+        series.nextExpectedDate ? moment(series.nextExpectedDate).format('MMM D') : '-',
+        `$${series.annualCost.toLocaleString()}`
+      ]);
+
+      this._addTable(tableData, ['Merchant', 'Frequency', 'Amount', 'Next Charge', 'Per Year'], 'Active Recurring Charges');
+    }
+
+    if (recurring.priceIncreases.length > 0) {
+      this.doc
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .text('Price Increases')
+        .moveDown(0.3)
+        .fontSize(10)
+        .font('Helvetica');
+
+      recurring.priceIncreases.forEach(series => {
+        const { previousAmount, newAmount, percentIncrease, date } = series.priceIncrease;
+        this.doc.text(
+          `• ${series.merchantName}: $${previousAmount.toLocaleString()} → $${newAmount.toLocaleString()} ` +
+          `(+${percentIncrease}%) on ${moment(date).format('MMM D, YYYY')}`
+        );
+      });
+      this.doc.moveDown();
+    }
+
+    if (recurring.stopped.length > 0) {
+      this.doc
+        .fontSize(12)
+        .font('Helvetica-Bold')
+        .text('No Longer Charging')
+        .moveDown(0.3)
+        .fontSize(10)
+        .font('Helvetica');
+
+      recurring.stopped.slice(0, 10).forEach(series => {
+        this.doc.text(
+          `• ${series.merchantName} (${series.cadence}, $${series.typicalAmount.toLocaleString()}) – ` +
+          `last charged ${moment(series.lastDate).format('MMM D, YYYY')}`
+        );
+      });
+      this.doc.moveDown();
+    }
+  }
+
   /**
    * Generate Net Worth Statement
    */
@@ -356,6 +517,7 @@ class ReportGenerator {
     const latestNetWorth = netWorthData.netWorth[netWorthData.netWorth.length - 1] || 0;
     const latestAssets = netWorthData.assets[netWorthData.assets.length - 1] || 0;
     const latestLiabilities = netWorthData.liabilities[netWorthData.liabilities.length - 1] || 0;
+    const latestProjected = (netWorthData.projected || [])[netWorthData.netWorth.length - 1] || false;
 
     this.doc
       .fontSize(12)
@@ -364,7 +526,7 @@ class ReportGenerator {
       .moveDown(0.5)
       .font('Helvetica')
       .fontSize(10)
-      .text(`Total Assets: $${latestAssets.toLocaleString()}`)
+      .text(`Total Assets: $${latestAssets.toLocaleString()}${latestProjected ? '*' : ''}`)
       .text(`Total Liabilities: $${latestLiabilities.toLocaleString()}`)
       .text(`Net Worth: $${latestNetWorth.toLocaleString()}`, {
         color: latestNetWorth >= 0 ? '#28a745' : '#dc3545'
@@ -372,9 +534,72 @@ class ReportGenerator {
       .fillColor(COLORS.text)
       .moveDown();
 
+    if (latestProjected) {
+      this.doc
+        .fontSize(9)
+        .fillColor(COLORS.lightGray)
+        .text('* Includes projected balances for accounts without a recent statement.')
+        .fillColor(COLORS.text)
+        .moveDown();
+    }
+
+    await this._addManualAccountsSection();
+
+    const today = moment().format('YYYY-MM-DD');
+    const yearStart = moment().startOf('year').format('YYYY-MM-DD');
+    if (yearStart < today) {
+      await this._addPerformanceSection(yearStart, today, 'Investment Performance (Year to Date)');
+    }
+
     console.log('✅ Net Worth Statement generated');
   }
 
+  /**
+   * Add investment accounts tracked from statements (not Plaid)
+   */
+  async _addManualAccountsSection() {
+    const manual = await manualAccounts.getManualAccounts(this.client.clientId);
+    const accounts = manual.accounts.filter(account => account.isActive !== false && account.balance !== null);
+    if (accounts.length === 0) return;
+
+    const money = (value) => `$${Math.round(value).toLocaleString()}`;
+    const label = (value) => value.replace(/_/g, '-');
+    // Projected balances are estimates grown from the last statement
+    const tableData = accounts.map(account => [
+      account.accountNickname,
+      account.owner || 'client',
+      label(account.taxTreatment),
+      moment(account.balanceDate).format('MMM D, YYYY'),
+      `${money(account.balance)}${account.isProjected ? '*' : ''}`
+    ]);
+
+    this._addTable(tableData, ['Account', 'Owner', 'Tax Treatment', 'As Of', 'Balance'], 'Accounts from Statements');
+
+    const byTax = manual.byTaxTreatment;
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(
+        `Total ${money(manual.total)}: taxable ${money(byTax.taxable)}, ` +
+        `tax-deferred ${money(byTax.tax_deferred)}, tax-free ${money(byTax.tax_free)}. ` +
+        'Included in total assets above.',
+        72
+      );
+
+    const projectedAccounts = accounts.filter(account => account.isProjected);
+    if (projectedAccounts.length > 0) {
+      const rates = projectedAccounts
+        .map(account => `${account.accountNickname} ${(account.latestSnapshot.projectionRate * 100).toFixed(1)}%/yr`)
+        .join(', ');
+      this.doc
+        .fontSize(9)
+        .fillColor(COLORS.lightGray)
+        .text(`* Projected from the last statement (${rates}); replaced when the next statement arrives.`, 72)
+        .fillColor(COLORS.text);
+    }
+    this.doc.moveDown();
+  }
+
   /**
    * Generate Annual Summary Report
    */
@@ -408,30 +633,272 @@ class ReportGenerator {
       .text('This annual summary provides insights into your spending patterns and financial progress.')
       .moveDown();
 
+    await this._addGoalsSection();
+    await this._addContributionPacingSection(Number(year));
+    await this._addWithholdingProjectionSection(Number(year));
+
+    const yearStart = moment(year, 'YYYY').startOf('year').format('YYYY-MM-DD');
+    const yearEnd = moment.min(moment(year, 'YYYY').endOf('year'), moment()).format('YYYY-MM-DD');
+    if (yearStart < yearEnd) {
+      await this._addPerformanceSection(yearStart, yearEnd, `${year} Investment Performance`);
+    }
+
     console.log('✅ Annual Summary Report generated');
   }
 
   /**
-   * Generate Retirement Projection Report
+   * Add investment performance section: time- and money-weighted returns for
+   * the household, each tax bucket and each account
+   */
+  async _addPerformanceSection(startDate, endDate, title) {
+    const performance = await investmentPerformance.getInvestmentPerformance(this.client.clientId, { startDate, endDate });
+    if (!performance.household) return;
+
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    this.doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text(title, { underline: true })
+      .moveDown();
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(
+        `${moment(startDate).format('MMM D, YYYY')} to ${moment(endDate).format('MMM D, YYYY')}. ` +
+        'Time-weighted return (TWR) measures the investments; money-weighted return (IRR, annualized) ' +
+        'also reflects the timing of contributions and withdrawals.'
+      )
+      .moveDown();
+
+    const money = (value) => `$${Math.round(value).toLocaleString()}`;
+    const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+    const row = (label, result) => [
+      label,
+      money(result.startValue),
+      money(result.endValue),
+      money(result.netFlows),
+      percent(result.twr),
+      percent(result.irr)
+    ];
+
+    const bucketLabels = { taxable: 'Taxable', 'tax-deferred': 'Tax-Deferred', 'tax-free': 'Tax-Free' };
+    const tableData = [row('Household', performance.household)];
+    investmentPerformance.TAX_BUCKETS.forEach(bucket => {
+      if (performance.byTaxBucket[bucket]) tableData.push(row(bucketLabels[bucket], performance.byTaxBucket[bucket]));
+    });
+    // Accounts without flow data are marked; their returns include deposits
+    performance.accounts.forEach(account => {
+      tableData.push(row(`${account.accountName}${account.flowSource === 'none' ? '*' : ''}`, account));
+    });
+
+    this._addTable(tableData, ['', 'Start', 'End', 'Net Flows', 'TWR', 'IRR']);
+
+    if (performance.accounts.some(account => account.flowSource === 'none')) {
+      this.doc
+        .fontSize(9)
+        .fillColor(COLORS.lightGray)
+        .text('* No contribution or withdrawal data for this account; its returns include any deposits.', 72)
+        .fillColor(COLORS.text);
+    }
+    performance.accounts
+      .filter(account => account.startDate > startDate)
+      .forEach(account => {
+        this.doc
+          .fontSize(9)
+          .fillColor(COLORS.lightGray)
+          .text(`${account.accountName} is measured from its first valuation on ${moment(account.startDate).format('MMM D, YYYY')}.`, 72)
+          .fillColor(COLORS.text);
+      });
+    this.doc.moveDown();
+  }
+
+  /**
+   * Add year-end tax withholding projection section (from paystubs)
+   */
+  async _addWithholdingProjectionSection(taxYear) {
+    const projection = await withholdingProjection.getWithholdingProjection(this.client.clientId, { taxYear });
+    if (!projection) return;
+
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    this.doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('Tax Withholding Projection', { underline: true })
+      .moveDown();
+
+    const money = (value) => `$${Math.round(value).toLocaleString()}`;
+    const { income, federal, payments, w4 } = projection;
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(
+        `Projected from paystubs through ${moment(projection.asOf).format('MMM D, YYYY')} ` +
+        `(${projection.filingStatus.replace(/_/g, ' ')}, ${projection.tables.taxYear} tax tables).`
+      )
+      .moveDown();
+
+    const tableData = [
+      ['Federal wages', money(income.federalWages)],
+      ['Other income', money(income.otherIncome)],
+      ['Standard deduction', money(income.deduction)],
+      ['Taxable income', money(income.taxableIncome)],
+      ['Federal income tax (after credits)', money(federal.incomeTax)],
+      ['Additional Medicare Tax', money(federal.additionalMedicareTax)],
+      ['Federal withholding and payments', money(payments.total)],
+      [projection.refundOrBalanceDue >= 0 ? 'Projected refund' : 'Projected balance due',
+        money(Math.abs(projection.refundOrBalanceDue))]
+    ];
+
+    this._addTable(tableData, ['Item', 'Amount'], `${projection.taxYear} Federal Tax`);
+
+    this.doc.fontSize(10).font('Helvetica');
+    if (w4.extraWithholdingPerPaycheck > 0) {
+      this.doc.text(
+        `• W-4: adding ${money(w4.extraWithholdingPerPaycheck)} of extra withholding per paycheck (Step 4(c)) ` +
+        `for the ${w4.remainingPayPeriods} remaining pay period(s) would cover the balance due.`
+      );
+    } else if (w4.reduceWithholdingPerPaycheck > 0) {
+      this.doc.text(
+        `• W-4: withholding about ${money(w4.reduceWithholdingPerPaycheck)} less per paycheck would bring the refund close to zero.`
+      );
+    } else {
+      this.doc.text('• Withholding is on track; no W-4 change needed.');
+    }
+    if (projection.state.withheld > 0) {
+      this.doc.text(`• State withholding is on pace for ${money(projection.state.withheld)} (state tax not estimated).`);
+    }
+    projection.warnings
+      .filter(warning => warning.type !== 'underpayment' && warning.type !== 'large_refund')
+      .forEach(warning => this.doc.text(`• ${warning.message}`));
+    this.doc.moveDown();
+  }
+
+  /**
+   * Add retirement contribution pacing section (from paystubs)
+   */
+  async _addContributionPacingSection(taxYear) {
+    const pacing = await contributionTracker.getContributionPacing(this.client.clientId, { taxYear });
+    if (!pacing) return;
+
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    this.doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('Contribution Pacing', { underline: true })
+      .moveDown();
+
+    this.doc
+      .fontSize(10)
+      .font('Helvetica')
+      .text(
+        `Projected from paystubs through ${moment(pacing.asOf).format('MMM D, YYYY')} with ` +
+        `${pacing.remainingPayPeriods} pay period(s) left in ${pacing.taxYear}.`
+      )
+      .moveDown();
+
+    const money = (value) => `$${Math.round(value).toLocaleString()}`;
+    const tableData = [
+      ['401(k)/403(b) deferrals', money(pacing.elective.ytd), money(pacing.elective.projected),
+        money(pacing.elective.limit), `${pacing.elective.percentOfLimit}%`],
+      ['HSA (incl. employer)', money(pacing.hsa.ytd), money(pacing.hsa.projected),
+        money(pacing.hsa.limit), `${pacing.hsa.percentOfLimit}%`],
+      ['Employer match', money(pacing.employerMatch.ytd), money(pacing.employerMatch.projected), '-', '-']
+    ];
+
+    this._addTable(tableData, ['Contribution', 'YTD', 'Projected', 'Limit', 'Of Limit'], `${pacing.taxYear} Contributions`);
+
+    this.doc.fontSize(10).font('Helvetica');
+    if (pacing.elective.catchUp > 0) {
+      this.doc.text(`• 401(k)/403(b) limit includes a $${pacing.elective.catchUp.toLocaleString()} catch-up contribution.`);
+    }
+    if (pacing.warnings.length === 0) {
+      this.doc.text('• Contributions are on pace and within IRS limits.');
+    }
+    pacing.warnings.forEach(warning => {
+      this.doc.text(`• ${warning.message}`);
+    });
+    this.doc.moveDown();
+  }
+
+  /**
+   * Add financial goals progress section
+   */
+  async _addGoalsSection() {
+    const goals = await goalService.getGoalsWithProgress(this.client.clientId);
+    if (goals.length === 0) return;
+
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    this.doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('Financial Goals', { underline: true })
+      .moveDown();
+
+    const tableData = goals.map(goal => [
+      goal.name,
+      `$${goal.targetAmount.toLocaleString()}`,
+      `${goal.progress.percentComplete}%`,
+      goal.progress.projectedCompletionDate
+        ? moment(goal.progress.projectedCompletionDate).format('MMM YYYY')
+        : '-',
+      goal.progress.requiredMonthlyContribution !== null
+        ? `$${goal.progress.requiredMonthlyContribution.toLocaleString()}`
+        : '-'
+    ]);
+
+    this._addTable(tableData, ['Goal', 'Target', 'Progress', 'Projected', 'Needed / Month'], 'Progress Toward Goals');
+
+    // One line per goal explaining whether it is on track
+    this.doc.fontSize(10).font('Helvetica');
+    goals.forEach(goal => {
+      const { progress } = goal;
+      let line;
+      if (progress.isAchieved) {
+        line = `${goal.name}: achieved.`;
+      } else if (!goal.targetDate) {
+        line = `${goal.name}: $${progress.remainingAmount.toLocaleString()} to go (no target date set).`;
+      } else if (progress.onTrack) {
+        line = `${goal.name}: on track for ${moment(goal.targetDate).format('MMM YYYY')}.`;
+      } else {
+        line = `${goal.name}: behind schedule – about $${progress.requiredMonthlyContribution.toLocaleString()} per month ` +
+          `is needed to reach it by ${moment(goal.targetDate).format('MMM YYYY')}.`;
+      }
+      this.doc.text(`• ${line}`);
+    });
+    this.doc.moveDown();
+  }
+
+  /**
+   * Generate Retirement Projection Report (Monte Carlo)
    */
   async _generateRetirementProjectionReport() {
-    this._addHeader('Retirement Projection Report', 'Financial Planning Analysis');
+    this._addHeader('Retirement Projection Report', 'Monte Carlo Analysis');
+
+    console.log('📊 Running retirement simulation...');
+    const projection = await retirementSimulator.projectRetirement(this.client.clientId, this.params);
+    const { inputs, assumptions } = projection;
 
     this.doc
       .fontSize(11)
-      .text('This report provides general retirement guidance based on your current financial position and Social Security benefits.')
+      .text(
+        `This report tests your retirement plan against ${projection.simulations.toLocaleString()} simulated ` +
+        'market and inflation paths. All amounts are in today\'s dollars.'
+      )
       .moveDown();
 
-    // Fetch net worth data with Social Security
-    console.log('📊 Generating retirement projection chart...');
-    const retirementData = await chartDataService.getNetWorthHistoryChart(
-      this.client.clientId,
-      24,
-      true // Include Social Security
-    );
-    const retirementChart = await chartRenderer.renderNetWorthHistoryChart(retirementData);
+    const fanChart = await chartRenderer.renderRetirementFanChart(projection);
 
-    await this._addChart(retirementChart, 'Net Worth Projection with Social Security', {
+    await this._addChart(fanChart, 'Range of Portfolio Outcomes', {
       width: 468,
       height: 234
     });
@@ -439,20 +906,245 @@ class ReportGenerator {
     this.doc
       .fontSize(12)
       .font('Helvetica-Bold')
-      .text('Retirement Readiness', { underline: true })
+      .text('Probability of Success', { underline: true })
       .moveDown(0.5)
+      .fontSize(20)
+      .fillColor(projection.successProbability >= 80 ? '#28a745' : projection.successProbability >= 60 ? '#ff6b35' : '#dc3545')
+      .text(`${projection.successProbability}%`)
+      .fillColor(COLORS.text)
       .font('Helvetica')
       .fontSize(10)
-      .text('Based on your current financial position and Social Security benefits, here are general recommendations for retirement planning.')
-      .moveDown();
+      .text(
+        `Share of simulations in which savings last to age ${assumptions.endAge} while spending ` +
+        `$${inputs.annualSpending.toLocaleString()} per year from age ${assumptions.retirementAge + 1}.`
+      );
 
-    if (retirementData.socialSecurityPV) {
-      this.doc.text(`Social Security Present Value: $${retirementData.socialSecurityPV.toLocaleString()}`);
-      this.doc.text('This represents the estimated lifetime value of your Social Security benefits.');
+    if (projection.medianDepletionAge) {
+      this.doc.text(`In the simulations that ran short, savings typically ran out around age ${projection.medianDepletionAge}.`);
     }
+    this.doc.moveDown();
+
+    // Percentile bands at key ages
+    const keyAges = [assumptions.retirementAge, assumptions.retirementAge + 10, assumptions.retirementAge + 20, assumptions.endAge]
+      .filter((age, i, list) => age > projection.ages[0] && age <= assumptions.endAge && list.indexOf(age) === i);
+    const bandRows = keyAges.map(age => {
+      const index = projection.ages.indexOf(age);
+      return [
+        `Age ${age}`,
+        ...retirementSimulator.PERCENTILES.map(p => `$${projection.percentiles[`p${p}`][index].toLocaleString()}`)
+      ];
+    });
+    this._addTable(bandRows, ['', '10th', '25th', 'Median', '75th', '90th'], 'Portfolio Value by Percentile');
+
+    // Inputs and assumptions
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    const pct = (value) => `${Math.round(value * 1000) / 10}%`;
+    const inputRows = [
+      ['Current age', `${Math.floor(inputs.currentAge)}`],
+      ['Taxable investments', `$${Math.round(inputs.startingBalances.taxable).toLocaleString()}`],
+      ['Tax-deferred investments', `$${Math.round(inputs.startingBalances['tax-deferred']).toLocaleString()}`],
+      ['Tax-free investments', `$${Math.round(inputs.startingBalances['tax-free']).toLocaleString()}`],
+      ['Annual contributions (tax-deferred)', `$${Math.round(inputs.annualContributions['tax-deferred'] || 0).toLocaleString()}`],
+      ['Annual contributions (tax-free)', `$${Math.round(inputs.annualContributions['tax-free'] || 0).toLocaleString()}`],
+      ['Annual spending target', `$${inputs.annualSpending.toLocaleString()}`],
+      ['Social Security (monthly)', `$${Math.round(inputs.socialSecurityMonthly).toLocaleString()} from age ${assumptions.socialSecurityClaimAge}`]
+    ];
+    this._addTable(inputRows, ['Input', 'Value'], 'Projection Inputs');
+
+    const assumptionRows = [
+      ['Retirement age', `${assumptions.retirementAge}`],
+      ['Plan through age', `${assumptions.endAge}`],
+      ['Average annual return', pct(assumptions.meanReturn)],
+      ['Return volatility', pct(assumptions.returnVolatility)],
+      ['Average inflation', pct(assumptions.meanInflation)],
+      ['Tax rate on tax-deferred withdrawals', pct(assumptions.effectiveTaxRate)],
+      ['Simulations / seed', `${projection.simulations.toLocaleString()} / ${projection.seed}`]
+    ];
+    this._addTable(assumptionRows, ['Assumption', 'Value'], 'Assumptions');
+
+    this.doc
+      .fontSize(8)
+      .fillColor(COLORS.lightGray)
+      .text(
+        'Projections are hypothetical, based on randomly generated returns, and are not guarantees of future results. ' +
+        'Withdrawals are taken from taxable accounts first, then tax-deferred, then tax-free.',
+        72,
+        this.doc.y,
+        { width: 468 }
+      )
+      .fillColor(COLORS.text);
+
+    await this._addWithdrawalStrategySection(projection);
 
     console.log('✅ Retirement Projection Report generated');
   }
+
+  /**
+   * Add tax-aware withdrawal strategy comparison to the retirement report
+   */
+  async _addWithdrawalStrategySection(projection) {
+    const filingStatus = this.params.filingStatus ||
+      await withdrawalPlanner.getFilingStatus(this.client.clientId);
+
+    const comparison = withdrawalPlanner.compareStrategies(projection.inputs, projection.assumptions, {
+      filingStatus,
+      ...(this.params.targetBracket ? { targetBracket: Number(this.params.targetBracket) } : {})
+    });
+
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    this.doc
+      .fontSize(16)
+      .font('Helvetica-Bold')
+      .text('Withdrawal Strategy Comparison', { underline: true })
+      .moveDown(0.5)
+      .fontSize(10)
+      .font('Helvetica')
+      .text(
+        `Average-return projection from age ${comparison.startAge} to ${comparison.endAge} in today's dollars, ` +
+        `using ${comparison.taxYear} federal brackets (${filingStatus.replace(/_/g, ' ')}) and ` +
+        `required minimum distributions from age ${comparison.strategies.taxable_first.rmdStartAge}.`
+      )
+      .moveDown();
+
+    const rows = Object.values(comparison.strategies).map(plan => [
+      plan.label,
+      `$${plan.lifetimeTaxes.toLocaleString()}`,
+      `$${plan.endingBalances.total.toLocaleString()}`,
+      `$${plan.endingAfterTax.toLocaleString()}`,
+      plan.depletedAge ? `Age ${plan.depletedAge}` : 'Lasts'
+    ]);
+    this._addTable(rows, ['Strategy', 'Lifetime Tax', 'Ending Balance', 'After Tax', 'Savings'], 'Lifetime Taxes and Ending Balances');
+
+    const recommended = comparison.strategies[comparison.recommended];
+    this.doc
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .text(`Suggested approach: ${recommended.label}`, 72, this.doc.y)
+      .font('Helvetica');
+
+    if (recommended.totalRothConversions > 0) {
+      this.doc.text(
+        `Converts about $${recommended.totalRothConversions.toLocaleString()} to Roth in total, filling the ` +
+        `${Math.round(comparison.options.targetBracket * 100)}% bracket each year before RMDs begin.`
+      );
+    }
+
+    this.doc
+      .moveDown()
+      .fontSize(8)
+      .fillColor(COLORS.lightGray)
+      .text(
+        `Ending after-tax values assume ${Math.round(comparison.options.deferredLiquidationTaxRate * 100)}% tax on ` +
+        'remaining tax-deferred balances. State taxes and IRMAA surcharges are not included.',
+        { width: 468 }
+      )
+      .fillColor(COLORS.text);
+  }
+
+  /**
+   * Generate Debt Payoff Plan Report
+   */
+  async _generateDebtPayoffReport() {
+    const {
+      strategy = 'avalanche',
+      extraPayment = 0,
+      customOrder = [],
+      includeMortgage = true
+    } = this.params;
+
+    this._addHeader('Debt Payoff Plan', moment().format('MMMM YYYY'));
+
+    console.log('📊 Building debt payoff plan...');
+    const debtPlan = await debtPlanner.getDebtPlan(this.client.clientId, {
+      strategy,
+      extraPayment,
+      customOrder,
+      includeMortgage
+    });
+
+    if (debtPlan.debts.length === 0) {
+      this.doc
+        .fontSize(11)
+        .text('No outstanding debts were found on linked or manually entered accounts.')
+        .moveDown();
+      console.log('✅ Debt Payoff Plan generated');
+      return;
+    }
+
+    const plan = debtPlan.selected;
+
+    this.doc
+      .fontSize(11)
+      .text(
+        `This plan shows how your debts are paid down using the ${plan.label.toLowerCase()} strategy ` +
+        `with $${plan.monthlyBudget.toLocaleString()} per month toward debt` +
+        (plan.extraPayment > 0 ? `, including $${plan.extraPayment.toLocaleString()} above the minimums.` : '.')
+      )
+      .moveDown();
+
+    const chartData = debtPlanner.toChartData(debtPlan);
+    const payoffChart = await chartRenderer.renderDebtPayoffChart(chartData);
+
+    await this._addChart(payoffChart, 'Projected Debt Balance', {
+      width: 468,
+      height: 234
+    });
+
+    this.doc
+      .fontSize(12)
+      .font('Helvetica-Bold')
+      .text('Plan Summary', { underline: true })
+      .moveDown(0.5)
+      .font('Helvetica')
+      .fontSize(10)
+      .text(`Total Debt Today: $${debtPlan.totalBalance.toLocaleString()}`)
+      .text(`Debt-Free Date: ${plan.payoffDate ? moment(plan.payoffDate, 'YYYY-MM').format('MMMM YYYY') : 'Not paid off within 50 years at this payment'}`)
+      .text(`Total Interest: $${plan.totalInterest.toLocaleString()}`);
+
+    if (plan.interestSaved !== null && plan.strategy !== 'minimum_only') {
+      this.doc.text(`Interest Saved vs Minimum Payments: $${plan.interestSaved.toLocaleString()}`);
+    }
+    this.doc.moveDown();
+
+    // Strategy comparison
+    const comparisonRows = Object.values(debtPlan.plans).map(p => [
+      p.label,
+      p.payoffDate ? moment(p.payoffDate, 'YYYY-MM').format('MMM YYYY') : 'Never',
+      p.months ? `${p.months}` : '-',
+      `$${p.totalInterest.toLocaleString()}`
+    ]);
+    this._addTable(comparisonRows, ['Strategy', 'Debt-Free', 'Months', 'Total Interest'], 'Strategy Comparison');
+
+    // Payoff order for the selected strategy
+    this.doc.addPage();
+    this.doc.y = 72;
+
+    const debtRows = plan.debts.map(d => [
+      d.name,
+      `$${d.startingBalance.toLocaleString()}`,
+      `${d.apr}%`,
+      `$${d.minimumPayment.toLocaleString()}`,
+      d.payoffDate ? moment(d.payoffDate, 'YYYY-MM').format('MMM YYYY') : 'Never',
+      `$${d.interestPaid.toLocaleString()}`
+    ]);
+    this._addTable(debtRows, ['Debt', 'Balance', 'APR', 'Minimum', 'Paid Off', 'Interest'], `Payoff Order – ${plan.label}`);
+
+    if (debtPlan.warnings.length > 0) {
+      this.doc
+        .fontSize(10)
+        .font('Helvetica-Bold')
+        .text('Notes', 72, this.doc.y)
+        .font('Helvetica')
+        .fontSize(9);
+      debtPlan.warnings.forEach(warning => this.doc.text(`• ${warning}`));
+    }
+
+    console.log('✅ Debt Payoff Plan generated');
+  }
 }
 
 module.exports = { ReportGenerator };
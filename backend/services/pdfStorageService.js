@@ -1,6 +1,6 @@
 /**
  * PDF Storage Service
- * Handles Supabase Storage operations for PDF reports
+ * Handles Supabase Storage operations for PDF reports and client-uploaded statements
  */
 
 const { getDatabase } = require('../database-supabase');
@@ -161,11 +161,35 @@ async function downloadPDF(filePath) {
   return Buffer.from(arrayBuffer);
 }
 
+/**
+ * Download a client-uploaded file (statements, paystubs) from the
+ * client-statements bucket
+ *
+ * @param {string} filePath - documents.file_path
+ * @returns {Promise<Buffer>} File buffer
+ */
+async function downloadStatementFile(filePath) {
+  const supabase = getDatabase();
+
+  const { data, error } = await supabase.storage
+    .from('client-statements')
+    .download(filePath);
+
+  if (error) {
+    console.error('❌ Error downloading statement from storage:', error);
+    throw new Error(`Failed to download statement: ${error.message}`);
+  }
+
+  const arrayBuffer = await data.arrayBuffer();
+  return Buffer.from(arrayBuffer);
+}
+
 module.exports = {
   uploadPDF,
   getSignedURL,
   deletePDF,
   listClientReports,
   getPublicURL,
-  downloadPDF
+  downloadPDF,
+  downloadStatementFile
 };
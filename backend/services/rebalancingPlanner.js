@@ -0,0 +1,463 @@
+/**
+ * Rebalancing Planner
+ * Per-client target allocation models (chosen by the advisor or scored from a
+ * risk questionnaire), drift of the household's asset class breakdown from
+ * the target, and the trades that bring it back.
+ *
+ * Trades respect asset location: the household target is placed into the tax
+ * buckets from organizeInvestmentsByTaxType, bonds first in tax-deferred
+ * accounts and growth first in Roth (tax-free) accounts, with the rest in
+ * taxable accounts. Each bucket keeps its current total, so no money moves
+ * between buckets; every trade is a sell and buy inside one bucket.
+ */
+
+const moment = require('moment');
+const TargetAllocation = require('../models-supabase/TargetAllocation');
+const Investment = require('../models-supabase/Investment');
+const {
+  organizeInvestmentsByTaxType,
+  calculateAssetClassBreakdown,
+  mapSecurityToAssetClass
+} = require('./investmentSnapshot');
+const manualAccounts = require('./manualAccounts');
+
+const ASSET_CLASSES = Object.keys(calculateAssetClassBreakdown([]));
+const TAX_BUCKETS = ['tax-deferred', 'tax-free', 'taxable'];
+const DEFAULT_DRIFT_THRESHOLD = 5;
+// Differences smaller than this aren't worth a trade
+const MIN_TRADE = 100;
+
+// Percent per asset class; every model sums to 100
+const MODEL_PORTFOLIOS = {
+  conservative: {
+    'US Equities': 14, 'International': 6, 'Emerging Markets': 0, 'Real Estate': 0,
+    'US Bonds': 55, 'International Bonds': 10, 'Cash': 15, 'Other': 0
+  },
+  moderately_conservative: {
+    'US Equities': 25, 'International': 10, 'Emerging Markets': 2, 'Real Estate': 3,
+    'US Bonds': 45, 'International Bonds': 8, 'Cash': 7, 'Other': 0
+  },
+  moderate: {
+    'US Equities': 35, 'International': 15, 'Emerging Markets': 3, 'Real Estate': 5,
+    'US Bonds': 32, 'International Bonds': 6, 'Cash': 4, 'Other': 0
+  },
+  growth: {
+    'US Equities': 45, 'International': 18, 'Emerging Markets': 5, 'Real Estate': 5,
+    'US Bonds': 20, 'International Bonds': 4, 'Cash': 3, 'Other': 0
+  },
+  aggressive: {
+    'US Equities': 55, 'International': 22, 'Emerging Markets': 8, 'Real Estate': 5,
+    'US Bonds': 7, 'International Bonds': 0, 'Cash': 3, 'Other': 0
+  }
+};
+
+// Each answer scores 1 (most cautious) to 5
+const RISK_QUESTIONNAIRE = [
+  {
+    id: 'timeHorizon',
+    question: 'When do you expect to start withdrawing from these investments?',
+    options: [
+      { score: 1, label: 'Within 3 years' },
+      { score: 2, label: 'In 3-5 years' },
+      { score: 3, label: 'In 6-10 years' },
+      { score: 4, label: 'In 11-20 years' },
+      { score: 5, label: 'More than 20 years from now' }
+    ]
+  },
+  {
+    id: 'drawdownReaction',
+    question: 'If your portfolio lost 20% in a year, what would you do?',
+    options: [
+      { score: 1, label: 'Sell everything' },
+      { score: 2, label: 'Sell some' },
+      { score: 3, label: 'Hold' },
+      { score: 4, label: 'Buy a little more' },
+      { score: 5, label: 'Buy significantly more' }
+    ]
+  },
+  {
+    id: 'primaryGoal',
+    question: 'What is your main goal for this money?',
+    options: [
+      { score: 1, label: 'Preserve what I have' },
+      { score: 2, label: 'Generate income' },
+      { score: 3, label: 'Balance income and growth' },
+      { score: 4, label: 'Grow over time' },
+      { score: 5, label: 'Grow as much as possible' }
+    ]
+  },
+  {
+    id: 'experience',
+    question: 'How much investing experience do you have?',
+    options: [
+      { score: 1, label: 'None' },
+      { score: 2, label: 'Savings accounts and CDs' },
+      { score: 3, label: 'Mutual funds or a retirement plan' },
+      { score: 4, label: 'Individual stocks and bonds' },
+      { score: 5, label: 'Extensive, including options or alternatives' }
+    ]
+  },
+  {
+    id: 'incomeStability',
+    question: 'How secure are your income and emergency savings?',
+    options: [
+      { score: 1, label: 'Very insecure' },
+      { score: 2, label: 'Somewhat insecure' },
+      { score: 3, label: 'Average' },
+      { score: 4, label: 'Secure' },
+      { score: 5, label: 'Very secure' }
+    ]
+  }
+];
+
+// Highest total score for each model, most cautious first
+const RISK_SCORE_MODELS = [
+  { maxScore: 9, modelName: 'conservative' },
+  { maxScore: 13, modelName: 'moderately_conservative' },
+  { maxScore: 17, modelName: 'moderate' },
+  { maxScore: 21, modelName: 'growth' },
+  { maxScore: 25, modelName: 'aggressive' }
+];
+
+// Asset location: the order each bucket is filled in. Tax-deferred takes the
+// least tax-efficient classes (bond interest is taxed as income), Roth takes
+// the highest expected growth, and taxable keeps cash and foreign stock
+// (foreign tax credit).
+const LOCATION_PREFERENCES = {
+  'tax-deferred': ['US Bonds', 'International Bonds', 'Real Estate', 'Other', 'US Equities', 'International', 'Emerging Markets', 'Cash'],
+  'tax-free': ['Emerging Markets', 'US Equities', 'Real Estate', 'Other', 'International', 'US Bonds', 'International Bonds', 'Cash']
+};
+
+// account_snapshots.asset_allocation classes as Plaid security types, so
+// manual accounts go through the same asset class mapping
+const MANUAL_SECURITY_TYPES = {
+  stocks: 'equity',
+  bonds: 'bond',
+  cash: 'cash',
+  other: 'other'
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+const roundPercent = (value) => Math.round(value * 100) / 100;
+const emptyBreakdown = () => Object.fromEntries(ASSET_CLASSES.map(assetClass => [assetClass, 0]));
+
+/**
+ * Model for a questionnaire score; horizons under 3 years are capped at
+ * moderately conservative whatever the other answers
+ *
+ * @param {Object} answers - { [question id]: score 1-5 }
+ * @returns {Object} { riskScore, modelName }
+ */
+function scoreQuestionnaire(answers) {
+  const riskScore = RISK_QUESTIONNAIRE.reduce((sum, question) => sum + Number(answers[question.id]), 0);
+  let { modelName } = RISK_SCORE_MODELS.find(model => riskScore <= model.maxScore);
+  if (Number(answers.timeHorizon) === 1 && !['conservative', 'moderately_conservative'].includes(modelName)) {
+    modelName = 'moderately_conservative';
+  }
+  return { riskScore, modelName };
+}
+
+/**
+ * Validate a target allocation request
+ *
+ * @param {Object} fields - { modelName, allocation, questionnaire, driftThreshold, notes }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTargetAllocation(fields) {
+  if (fields.questionnaire !== undefined) {
+    if (!fields.questionnaire || typeof fields.questionnaire !== 'object' || Array.isArray(fields.questionnaire)) {
+      return 'questionnaire must be an object of answers';
+    }
+    for (const question of RISK_QUESTIONNAIRE) {
+      const score = Number(fields.questionnaire[question.id]);
+      if (!Number.isInteger(score) || score < 1 || score > 5) {
+        return `questionnaire.${question.id} must be a score from 1 to 5`;
+      }
+    }
+  } else if (fields.allocation !== undefined) {
+    if (!fields.allocation || typeof fields.allocation !== 'object' || Array.isArray(fields.allocation)) {
+      return 'allocation must be an object of asset class percentages';
+    }
+    for (const [assetClass, percent] of Object.entries(fields.allocation)) {
+      if (!ASSET_CLASSES.includes(assetClass)) {
+        return `allocation keys must be among: ${ASSET_CLASSES.join(', ')}`;
+      }
+      if (!Number.isFinite(Number(percent)) || Number(percent) < 0) {
+        return `allocation.${assetClass} must be a non-negative percentage`;
+      }
+    }
+    const total = Object.values(fields.allocation).reduce((sum, percent) => sum + Number(percent), 0);
+    if (Math.abs(total - 100) > 0.01) {
+      return `allocation percentages must add up to 100 (got ${roundPercent(total)})`;
+    }
+  } else if (!MODEL_PORTFOLIOS[fields.modelName]) {
+    return `modelName must be one of: ${Object.keys(MODEL_PORTFOLIOS).join(', ')} (or send allocation or questionnaire)`;
+  }
+
+  if (fields.driftThreshold !== undefined && fields.driftThreshold !== null) {
+    const threshold = Number(fields.driftThreshold);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 50) {
+      return 'driftThreshold must be between 0 and 50 percentage points';
+    }
+  }
+  return null;
+}
+
+/**
+ * target_allocations row from a validated request: questionnaire answers pick
+ * a model, a model name alone uses that model, and an allocation is custom
+ * unless it names a model
+ *
+ * @param {Object} fields - Validated request fields
+ * @returns {Object} TargetAllocation fields (without clientId)
+ */
+function buildTargetAllocation(fields) {
+  const common = {
+    driftThreshold: fields.driftThreshold !== undefined && fields.driftThreshold !== null
+      ? Number(fields.driftThreshold)
+      : DEFAULT_DRIFT_THRESHOLD,
+    notes: fields.notes !== undefined ? fields.notes : null
+  };
+
+  if (fields.questionnaire !== undefined) {
+    const { riskScore, modelName } = scoreQuestionnaire(fields.questionnaire);
+    return {
+      ...common,
+      modelName,
+      source: 'questionnaire',
+      allocation: MODEL_PORTFOLIOS[modelName],
+      questionnaire: Object.fromEntries(RISK_QUESTIONNAIRE.map(question => [question.id, Number(fields.questionnaire[question.id])])),
+      riskScore
+    };
+  }
+
+  const allocation = fields.allocation !== undefined
+    ? Object.fromEntries(ASSET_CLASSES.map(assetClass => [assetClass, Number(fields.allocation[assetClass]) || 0]))
+    : MODEL_PORTFOLIOS[fields.modelName];
+
+  return {
+    ...common,
+    modelName: fields.allocation !== undefined ? (fields.modelName || 'custom') : fields.modelName,
+    source: 'advisor',
+    allocation,
+    questionnaire: null,
+    riskScore: null
+  };
+}
+
+/**
+ * Manual accounts as investment rows (one per asset class of the latest
+ * snapshot) that organizeInvestmentsByTaxType and calculateAssetClassBreakdown
+ * understand
+ */
+function manualAccountRows(manual) {
+  const rows = [];
+  const warnings = [];
+
+  manual.accounts
+    .filter(account => account.isActive !== false && account.balance)
+    .forEach(account => {
+      const allocation = account.latestSnapshot.assetAllocation || {};
+      const allocated = Object.values(allocation).reduce((sum, value) => sum + (Number(value) || 0), 0);
+      // Allocations are only as fresh as the snapshot; scale them to its balance
+      const entries = allocated > 0
+        ? Object.entries(allocation).map(([assetClass, value]) => [assetClass, (Number(value) || 0) * account.balance / allocated])
+        : [['other', account.balance]];
+      if (allocated <= 0) {
+        warnings.push(`${account.accountNickname}: no asset allocation on its latest statement; counted as Other`);
+      }
+
+      entries.forEach(([assetClass, value]) => {
+        rows.push({
+          accountId: account.id,
+          accountName: account.accountNickname,
+          // investment_accounts uses underscores (tax_free); investments use hyphens (tax-free)
+          accountTaxType: account.taxTreatment.replace('_', '-'),
+          securityName: assetClass,
+          securityType: MANUAL_SECURITY_TYPES[assetClass] || 'other',
+          value: roundCents(value),
+          costBasis: null
+        });
+      });
+    });
+
+  return { rows, warnings };
+}
+
+/**
+ * Place the household's target dollars into tax buckets by asset location
+ *
+ * @param {Object} targetValues - { [assetClass]: dollars } for the household
+ * @param {Object} capacity - { [bucket]: current bucket total }
+ * @returns {Object} { [bucket]: { [assetClass]: dollars } }
+ */
+function locateAssets(targetValues, capacity) {
+  const remaining = { ...targetValues };
+  const located = {};
+
+  ['tax-deferred', 'tax-free'].forEach(bucket => {
+    let room = capacity[bucket] || 0;
+    located[bucket] = emptyBreakdown();
+    LOCATION_PREFERENCES[bucket].forEach(assetClass => {
+      const placed = Math.min(room, remaining[assetClass]);
+      if (placed <= 0) return;
+      located[bucket][assetClass] = roundCents(placed);
+      remaining[assetClass] -= placed;
+      room -= placed;
+    });
+  });
+
+  located.taxable = Object.fromEntries(
+    ASSET_CLASSES.map(assetClass => [assetClass, roundCents(Math.max(remaining[assetClass], 0))])
+  );
+  return located;
+}
+
+/**
+ * Unrealized gain on a share of a class's taxable holdings (null without cost basis)
+ */
+function estimateGain(holdings, amount) {
+  const withBasis = holdings.filter(holding => Number.isFinite(holding.costBasis) && holding.costBasis > 0);
+  const value = withBasis.reduce((sum, holding) => sum + holding.value, 0);
+  if (value <= 0) return null;
+  const gain = withBasis.reduce((sum, holding) => sum + holding.value - holding.costBasis, 0);
+  return roundCents(Math.max(gain, 0) * Math.min(amount / value, 1));
+}
+
+/**
+ * Drift from a client's target allocation and the trades that fix it. Trades
+ * are listed even when no class is out of band, since asset location alone
+ * can call for them; needsRebalancing says whether drift does.
+ *
+ * @param {string} clientId
+ * @returns {Promise<Object|null>} null when the client has no target allocation; otherwise
+ *   { asOfDate, target, totalValue, totalByTaxType, assetClassBreakdown,
+ *     drift: [{ assetClass, currentValue, currentPercent, targetPercent, drift, targetValue, difference, outOfBand }],
+ *     maxDrift, needsRebalancing, location: { [bucket]: { total, current, target } },
+ *     trades: [{ taxBucket, assetClass, action, amount, accounts, estimatedGain }], warnings }
+ */
+async function getRebalancingPlan(clientId) {
+  const [target, investments, manual] = await Promise.all([
+    TargetAllocation.findOne({ clientId }),
+    Investment.find({ clientId }),
+    manualAccounts.getManualAccounts(clientId)
+  ]);
+  if (!target) return null;
+
+  const manualRows = manualAccountRows(manual);
+  const warnings = [...manualRows.warnings];
+  const rows = [...investments, ...manualRows.rows].map(row => ({
+    ...row,
+    accountTaxType: TAX_BUCKETS.includes(row.accountTaxType) ? row.accountTaxType : 'taxable'
+  }));
+
+  const organized = organizeInvestmentsByTaxType(rows);
+  const assetClassBreakdown = calculateAssetClassBreakdown(rows);
+  const totalValue = organized.totalValue;
+  const driftThreshold = target.driftThreshold || DEFAULT_DRIFT_THRESHOLD;
+
+  const drift = ASSET_CLASSES.map(assetClass => {
+    const currentValue = roundCents(assetClassBreakdown[assetClass] || 0);
+    const currentPercent = totalValue > 0 ? roundPercent(currentValue / totalValue * 100) : 0;
+    const targetPercent = Number(target.allocation[assetClass]) || 0;
+    const targetValue = roundCents(totalValue * targetPercent / 100);
+    return {
+      assetClass,
+      currentValue,
+      currentPercent,
+      targetPercent,
+      drift: roundPercent(currentPercent - targetPercent),
+      targetValue,
+      difference: roundCents(targetValue - currentValue),
+      outOfBand: Math.abs(currentPercent - targetPercent) > driftThreshold
+    };
+  });
+  const maxDrift = drift.reduce((max, row) => Math.max(max, Math.abs(row.drift)), 0);
+
+  const targetValues = Object.fromEntries(drift.map(row => [row.assetClass, row.targetValue]));
+  const located = locateAssets(targetValues, organized.totalByTaxType);
+
+  const location = {};
+  const trades = [];
+  TAX_BUCKETS.forEach(bucket => {
+    const bucketRows = rows.filter(row => row.accountTaxType === bucket);
+    const current = calculateAssetClassBreakdown(bucketRows);
+    location[bucket] = {
+      total: roundCents(organized.totalByTaxType[bucket] || 0),
+      current: Object.fromEntries(ASSET_CLASSES.map(assetClass => [assetClass, roundCents(current[assetClass] || 0)])),
+      target: located[bucket]
+    };
+
+    const bucketAccounts = organized.holdingsByAccount
+      .filter(account => account.accountTaxType === bucket)
+      .map(account => account.accountName);
+
+    ASSET_CLASSES.forEach(assetClass => {
+      const difference = roundCents(located[bucket][assetClass] - location[bucket].current[assetClass]);
+      if (Math.abs(difference) < MIN_TRADE) return;
+
+      const action = difference > 0 ? 'buy' : 'sell';
+      const amount = Math.abs(difference);
+      // Sell from the accounts holding the class; buy in any account in the bucket
+      const holdingAccounts = organized.holdingsByAccount
+        .filter(account => account.accountTaxType === bucket &&
+          account.holdings.some(holding => mapSecurityToAssetClass(holding) === assetClass))
+        .map(account => account.accountName);
+
+      const trade = {
+        taxBucket: bucket,
+        assetClass,
+        action,
+        amount,
+        accounts: action === 'sell' ? holdingAccounts : bucketAccounts,
+        estimatedGain: null
+      };
+      if (bucket === 'taxable' && action === 'sell') {
+        const classHoldings = bucketRows.filter(row => mapSecurityToAssetClass(row) === assetClass);
+        trade.estimatedGain = estimateGain(classHoldings, amount);
+        if (trade.estimatedGain > 0) {
+          warnings.push(`Selling ${assetClass} in taxable accounts may realize about $${Math.round(trade.estimatedGain).toLocaleString()} of gains`);
+        }
+      }
+      trades.push(trade);
+    });
+  });
+
+  // Sells fund the buys, so list them first within each bucket
+  trades.sort((a, b) => TAX_BUCKETS.indexOf(a.taxBucket) - TAX_BUCKETS.indexOf(b.taxBucket) ||
+    (a.action === b.action ? b.amount - a.amount : a.action === 'sell' ? -1 : 1));
+
+  if (totalValue <= 0) warnings.push('No investment holdings to rebalance');
+
+  return {
+    asOfDate: moment().format('YYYY-MM-DD'),
+    target: {
+      modelName: target.modelName,
+      source: target.source,
+      riskScore: target.riskScore,
+      allocation: target.allocation,
+      driftThreshold
+    },
+    totalValue: roundCents(totalValue),
+    totalByTaxType: Object.fromEntries(TAX_BUCKETS.map(bucket => [bucket, location[bucket].total])),
+    assetClassBreakdown: Object.fromEntries(drift.map(row => [row.assetClass, row.currentValue])),
+    drift,
+    maxDrift: roundPercent(maxDrift),
+    needsRebalancing: drift.some(row => row.outOfBand),
+    location,
+    trades,
+    warnings
+  };
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  MODEL_PORTFOLIOS,
+  RISK_QUESTIONNAIRE,
+  DEFAULT_DRIFT_THRESHOLD,
+  scoreQuestionnaire,
+  validateTargetAllocation,
+  buildTargetAllocation,
+  locateAssets,
+  getRebalancingPlan
+};
@@ -0,0 +1,213 @@
+/**
+ * Recurring Transaction Detector
+ * Finds recurring charges (subscriptions, gym, insurance premiums, loan payments)
+ * in a client's stored transaction history, predicts the next charge date and
+ * flags price increases and series the client has stopped paying.
+ */
+
+const moment = require('moment');
+const { getTransactionsFromDatabase } = require('./transactionsSync');
+const { normalizeMerchant } = require('./categoryLearning');
+const { isInternalTransfer } = require('./transferMatcher');
+
+// Supported cadences: typical interval and how far an interval may drift
+const CADENCES = [
+  { name: 'weekly', days: 7, tolerance: 2, unit: 'weeks', step: 1, perYear: 52 },
+  { name: 'biweekly', days: 14, tolerance: 3, unit: 'weeks', step: 2, perYear: 26 },
+  { name: 'monthly', days: 30, tolerance: 5, unit: 'months', step: 1, perYear: 12 },
+  { name: 'quarterly', days: 91, tolerance: 10, unit: 'months', step: 3, perYear: 4 },
+  { name: 'annual', days: 365, tolerance: 20, unit: 'years', step: 1, perYear: 1 }
+];
+
+// Charges in one series may differ by this share of the typical amount
+const AMOUNT_TOLERANCE = 0.3;
+
+// Share of intervals that must fit the cadence
+const MIN_REGULAR_SHARE = 0.75;
+
+// A stable series is one whose earlier charges varied less than this (coefficient of variation)
+const STABLE_AMOUNT_CV = 0.05;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Is this transaction money going out? Same rule as chartDataService.
+ */
+function isOutflow(transaction) {
+  return transaction.accountType === 'credit' || transaction.amount < 0;
+}
+
+/**
+ * Group a merchant's charges into amount bands so two different
+ * subscriptions from one merchant (e.g. two app store plans) stay separate
+ */
+function clusterByAmount(transactions) {
+  const sorted = [...transactions].sort((a, b) => Math.abs(a.amount) - Math.abs(b.amount));
+  const clusters = [];
+
+  for (const transaction of sorted) {
+    const amount = Math.abs(transaction.amount);
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && amount <= cluster.base * (1 + AMOUNT_TOLERANCE)) {
+      cluster.transactions.push(transaction);
+    } else {
+      clusters.push({ base: amount, transactions: [transaction] });
+    }
+  }
+
+  return clusters.map(cluster =>
+    cluster.transactions.sort((a, b) => new Date(a.date) - new Date(b.date))
+  );
+}
+
+/**
+ * Pick the cadence that fits the intervals between charges, if any
+ */
+function detectCadence(intervals) {
+  if (intervals.length === 0) return null;
+
+  const typical = median(intervals);
+  const cadence = CADENCES.find(c => Math.abs(typical - c.days) <= c.tolerance);
+  if (!cadence) return null;
+
+  const regular = intervals.filter(days => Math.abs(days - cadence.days) <= cadence.tolerance).length;
+  if (regular / intervals.length < MIN_REGULAR_SHARE) return null;
+
+  return cadence;
+}
+
+/**
+ * Compare the latest charge with the earlier ones of a stable series
+ */
+function detectPriceIncrease(amounts, dates) {
+  if (amounts.length < 3) return null;
+
+  const earlier = amounts.slice(0, -1);
+  const typical = median(earlier);
+  const mean = earlier.reduce((sum, a) => sum + a, 0) / earlier.length;
+  const variance = earlier.reduce((sum, a) => sum + Math.pow(a - mean, 2), 0) / earlier.length;
+  const cv = mean > 0 ? Math.sqrt(variance) / mean : 0;
+
+  // Variable bills (utilities, groceries) change every month; only flag stable series
+  if (cv > STABLE_AMOUNT_CV) return null;
+
+  const latest = amounts[amounts.length - 1];
+  if (latest - typical < 0.5 || latest <= typical * 1.01) return null;
+
+  return {
+    previousAmount: roundCents(typical),
+    newAmount: roundCents(latest),
+    increase: roundCents(latest - typical),
+    percentIncrease: Math.round(((latest - typical) / typical) * 1000) / 10,
+    date: moment(dates[dates.length - 1]).format('YYYY-MM-DD')
+  };
+}
+
+/**
+ * Find recurring series in a list of transactions
+ *
+ * @param {Array} transactions - Transaction models
+ * @param {Object} options - { asOf: date the status is evaluated at (default today) }
+ * @returns {Array} Recurring series sorted by annual cost (highest first)
+ */
+function detectRecurring(transactions, { asOf = new Date() } = {}) {
+  const today = moment(asOf).endOf('day');
+
+  // Group outgoing charges by merchant
+  const byMerchant = new Map();
+  for (const transaction of transactions) {
+    if (!isOutflow(transaction) || isInternalTransfer(transaction)) continue;
+    if (moment(transaction.date).isAfter(today)) continue;
+
+    const key = normalizeMerchant(transaction);
+    if (!key) continue;
+
+    if (!byMerchant.has(key)) byMerchant.set(key, []);
+    byMerchant.get(key).push(transaction);
+  }
+
+  const series = [];
+
+  for (const [merchantKey, merchantTransactions] of byMerchant) {
+    for (const cluster of clusterByAmount(merchantTransactions)) {
+      const dates = cluster.map(t => moment(t.date).startOf('day'));
+      const intervals = dates.slice(1).map((date, i) => date.diff(dates[i], 'days'));
+
+      const cadence = detectCadence(intervals);
+      if (!cadence) continue;
+
+      // Annual series need two charges, everything else three
+      const minOccurrences = cadence.name === 'annual' ? 2 : 3;
+      if (cluster.length < minOccurrences) continue;
+
+      const amounts = cluster.map(t => Math.abs(t.amount));
+      const last = cluster[cluster.length - 1];
+      const lastDate = dates[dates.length - 1];
+      const nextExpectedDate = lastDate.clone().add(cadence.step, cadence.unit);
+      const typicalAmount = median(amounts.slice(-3));
+
+      // Stopped: the next charge is overdue by more than the cadence allows
+      const daysOverdue = today.diff(nextExpectedDate, 'days');
+      const status = daysOverdue > cadence.tolerance ? 'stopped' : 'active';
+
+      series.push({
+        merchantKey,
+        merchantName: last.merchantName || last.name,
+        category: last.userCategory || last.suggestedCategory || 'uncategorized',
+        accountName: last.accountName || null,
+        cadence: cadence.name,
+        intervalDays: Math.round(median(intervals)),
+        occurrences: cluster.length,
+        firstDate: dates[0].format('YYYY-MM-DD'),
+        lastDate: lastDate.format('YYYY-MM-DD'),
+        lastAmount: roundCents(Math.abs(last.amount)),
+        typicalAmount: roundCents(typicalAmount),
+        annualCost: roundCents(typicalAmount * cadence.perYear),
+        nextExpectedDate: status === 'active' ? nextExpectedDate.format('YYYY-MM-DD') : null,
+        status,
+        daysOverdue: status === 'stopped' ? daysOverdue : 0,
+        priceIncrease: detectPriceIncrease(amounts, dates),
+        transactionIds: cluster.map(t => t.plaidTransactionId)
+      });
+    }
+  }
+
+  return series.sort((a, b) => b.annualCost - a.annualCost);
+}
+
+/**
+ * Detect recurring charges for a client from the stored transaction history
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { months: history to scan (default 13), asOf }
+ * @returns {Promise<Object>} { active, stopped, priceIncreases, monthlyTotal, annualTotal }
+ */
+async function getRecurringForClient(clientId, { months = 13, asOf = new Date() } = {}) {
+  const transactions = await getTransactionsFromDatabase(clientId, { months, limit: 10000 });
+
+  const series = detectRecurring(transactions, { asOf });
+  const active = series.filter(s => s.status === 'active');
+  const annualTotal = active.reduce((sum, s) => sum + s.annualCost, 0);
+
+  return {
+    asOf: moment(asOf).format('YYYY-MM-DD'),
+    monthsScanned: months,
+    active,
+    stopped: series.filter(s => s.status === 'stopped'),
+    priceIncreases: active.filter(s => s.priceIncrease),
+    annualTotal: roundCents(annualTotal),
+    monthlyTotal: roundCents(annualTotal / 12)
+  };
+}
+
+module.exports = {
+  CADENCES,
+  detectRecurring,
+  getRecurringForClient
+};
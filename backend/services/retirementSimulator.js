@@ -0,0 +1,485 @@
+/**
+ * Retirement Simulator
+ * Monte Carlo retirement projection. Starts from the client's investments by tax
+ * type, adds paystub retirement contributions until retirement, then draws a
+ * spending target (less Social Security) from the portfolio across thousands of
+ * random return and inflation paths. Paths come from a seeded generator, so the
+ * same inputs and seed always give the same result.
+ */
+
+const moment = require('moment');
+const { getDatabase } = require('../database-supabase');
+const Client = require('../models-supabase/Client');
+const Investment = require('../models-supabase/Investment');
+const InvestmentSnapshot = require('../models-supabase/InvestmentSnapshot');
+const MonthlySummary = require('../models-supabase/MonthlySummary');
+const { organizeInvestmentsByTaxType } = require('./investmentSnapshot');
+const manualAccounts = require('./manualAccounts');
+
+// Nominal annual assumptions; overridable per projection
+const DEFAULT_ASSUMPTIONS = {
+  meanReturn: 0.07,
+  returnVolatility: 0.15,
+  meanInflation: 0.025,
+  inflationVolatility: 0.01,
+  effectiveTaxRate: 0.15, // applied to tax-deferred withdrawals
+  retirementAge: 65,
+  socialSecurityClaimAge: 67,
+  endAge: 95,
+  simulations: 5000,
+  seed: 20240101
+};
+
+const MAX_SIMULATIONS = 20000;
+
+// Oldest age a projection runs to; bounds the per-year arrays and loops
+const MAX_AGE = 120;
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+const PAY_PERIODS_BY_FREQUENCY = {
+  weekly: 52,
+  biweekly: 26,
+  semimonthly: 24,
+  monthly: 12
+};
+
+const roundDollars = (value) => Math.round(value);
+
+/**
+ * Error for a projection the client's data can't support; statusCode is the
+ * HTTP status routes answer with instead of 500
+ */
+function inputError(message, statusCode = 422) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draws from a uniform generator (Box-Muller)
+ */
+function createNormal(random) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/**
+ * Which bucket a paystub deduction feeds, or null if it isn't a retirement/HSA contribution
+ */
+function getContributionBucket(deductionName) {
+  const name = deductionName.toLowerCase();
+  // Plan loan repayments aren't contributions
+  if (name.includes('loan')) return null;
+  if (name.includes('roth')) return 'tax-free';
+  if (name.includes('hsa')) return 'tax-free';
+  if (/401\s?k|403\s?b|457|tsp|ira|retire|pension/.test(name)) return 'tax-deferred';
+  return null;
+}
+
+/**
+ * Annual retirement contributions by tax type from the latest paystub
+ *
+ * @param {Object} paystub - Row from the paystubs table
+ * @returns {Object} { 'tax-deferred', 'tax-free', taxable, annualGross, source }
+ */
+function getContributionsFromPaystub(paystub) {
+  const contributions = { 'tax-deferred': 0, 'tax-free': 0, taxable: 0 };
+  if (!paystub) return { ...contributions, annualGross: null, source: null };
+
+  const periods = paystub.pay_periods_per_year ||
+    PAY_PERIODS_BY_FREQUENCY[(paystub.pay_frequency || '').toLowerCase()] ||
+    26;
+
+  const addDeductions = (deductions) => {
+    Object.entries(deductions || {}).forEach(([name, amounts]) => {
+      const bucket = getContributionBucket(name);
+      if (!bucket) return;
+      const current = parseFloat(amounts && amounts.current) || 0;
+      contributions[bucket] += current * periods;
+    });
+  };
+
+  addDeductions(paystub.pretax_deductions);
+  addDeductions(paystub.aftertax_deductions);
+
+  contributions['tax-deferred'] += (parseFloat(paystub.employer_401k_match) || 0) * periods;
+  contributions['tax-free'] += (parseFloat(paystub.employer_hsa) || 0) * periods;
+
+  return {
+    'tax-deferred': roundDollars(contributions['tax-deferred']),
+    'tax-free': roundDollars(contributions['tax-free']),
+    taxable: 0,
+    annualGross: roundDollars((parseFloat(paystub.gross_pay) || 0) * periods),
+    source: { paystubId: paystub.id, periodEnding: paystub.period_ending, payPeriodsPerYear: periods }
+  };
+}
+
+/**
+ * Monthly Social Security benefit (today's dollars) for a claiming age
+ *
+ * @param {Object} socialSecurity - Row from the social_security table
+ * @param {number} claimAge - Whole years, 62-70
+ * @returns {number} Monthly benefit, 0 if unknown
+ */
+function getSocialSecurityBenefit(socialSecurity, claimAge) {
+  if (!socialSecurity) return 0;
+  const age = Math.min(70, Math.max(62, Math.round(claimAge)));
+  const benefit = parseFloat(socialSecurity[`benefit_age_${age}`]);
+  if (Number.isFinite(benefit) && benefit > 0) return benefit;
+  return parseFloat(socialSecurity.primary_insurance_amount) || 0;
+}
+
+/**
+ * Withdraw an after-tax amount from the buckets: taxable first, then
+ * tax-deferred (grossed up for tax), then tax-free
+ *
+ * @returns {number} Shortfall that could not be covered (0 when fully funded)
+ */
+function withdraw(balances, amount, effectiveTaxRate) {
+  let needed = amount;
+
+  const fromTaxable = Math.min(balances.taxable, needed);
+  balances.taxable -= fromTaxable;
+  needed -= fromTaxable;
+
+  if (needed > 0 && balances['tax-deferred'] > 0) {
+    const gross = needed / (1 - effectiveTaxRate);
+    const fromDeferred = Math.min(balances['tax-deferred'], gross);
+    balances['tax-deferred'] -= fromDeferred;
+    needed -= fromDeferred * (1 - effectiveTaxRate);
+  }
+
+  if (needed > 0) {
+    const fromFree = Math.min(balances['tax-free'], needed);
+    balances['tax-free'] -= fromFree;
+    needed -= fromFree;
+  }
+
+  return needed > 0.01 ? needed : 0;
+}
+
+/**
+ * Value at a percentile of a sorted array (linear interpolation)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Run the Monte Carlo simulation
+ *
+ * @param {Object} inputs - {
+ *   currentAge, startingBalances: { taxable, 'tax-deferred', 'tax-free' },
+ *   annualContributions: { taxable, 'tax-deferred', 'tax-free' },
+ *   annualSpending (today's dollars), socialSecurityMonthly (today's dollars)
+ * }
+ * @param {Object} assumptions - Overrides for DEFAULT_ASSUMPTIONS
+ * @returns {Object} Success probability, percentile bands (today's dollars) and summary
+ */
+function runSimulation(inputs, assumptions = {}) {
+  const a = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+  const simulations = Math.min(MAX_SIMULATIONS, Math.max(1, Math.round(a.simulations)));
+  const startAge = Math.floor(inputs.currentAge);
+  if (!(a.endAge <= MAX_AGE)) {
+    throw inputError(`endAge must be at most ${MAX_AGE}`, 400);
+  }
+  const years = Math.max(1, a.endAge - startAge);
+
+  const random = createRandom(a.seed);
+  const normal = createNormal(random);
+
+  // realBalances[year * simulations + path] = total portfolio in today's dollars
+  const realBalances = new Float64Array((years + 1) * simulations);
+  const depletionAges = [];
+  let successes = 0;
+
+  const startingTotal = ['taxable', 'tax-deferred', 'tax-free']
+    .reduce((sum, key) => sum + (inputs.startingBalances[key] || 0), 0);
+
+  for (let path = 0; path < simulations; path++) {
+    const balances = {
+      taxable: inputs.startingBalances.taxable || 0,
+      'tax-deferred': inputs.startingBalances['tax-deferred'] || 0,
+      'tax-free': inputs.startingBalances['tax-free'] || 0
+    };
+    let priceLevel = 1;
+    let depleted = false;
+
+    realBalances[path] = startingTotal;
+
+    for (let year = 1; year <= years; year++) {
+      const age = startAge + year;
+      const annualReturn = Math.max(-0.95, a.meanReturn + a.returnVolatility * normal());
+      const inflation = a.meanInflation + a.inflationVolatility * normal();
+      priceLevel *= 1 + inflation;
+
+      Object.keys(balances).forEach(key => { balances[key] *= 1 + annualReturn; });
+
+      if (age <= a.retirementAge) {
+        // Contributions keep pace with wage inflation
+        Object.keys(balances).forEach(key => {
+          balances[key] += (inputs.annualContributions[key] || 0) * priceLevel;
+        });
+      } else if (!depleted) {
+        const socialSecurity = age >= a.socialSecurityClaimAge ? inputs.socialSecurityMonthly * 12 : 0;
+        const need = Math.max(0, inputs.annualSpending - socialSecurity) * priceLevel;
+        const shortfall = withdraw(balances, need, a.effectiveTaxRate);
+        if (shortfall > 0) {
+          depleted = true;
+          depletionAges.push(age);
+        }
+      }
+
+      const total = depleted ? 0 : balances.taxable + balances['tax-deferred'] + balances['tax-free'];
+      realBalances[year * simulations + path] = total / priceLevel;
+    }
+
+    if (!depleted) successes++;
+  }
+
+  // Percentile bands per year
+  const ages = [];
+  const bands = Object.fromEntries(PERCENTILES.map(p => [`p${p}`, []]));
+  const column = new Float64Array(simulations);
+
+  for (let year = 0; year <= years; year++) {
+    for (let path = 0; path < simulations; path++) {
+      column[path] = realBalances[year * simulations + path];
+    }
+    column.sort();
+    ages.push(startAge + year);
+    PERCENTILES.forEach(p => bands[`p${p}`].push(roundDollars(percentile(column, p))));
+  }
+
+  const retirementIndex = Math.min(years, Math.max(0, a.retirementAge - startAge));
+  const sortedDepletion = depletionAges.sort((x, y) => x - y);
+
+  return {
+    seed: a.seed,
+    simulations,
+    assumptions: { ...a, simulations },
+    successProbability: Math.round((successes / simulations) * 1000) / 10,
+    ages,
+    years: ages.map(age => moment().year() + (age - startAge)),
+    percentiles: bands,
+    atRetirement: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, bands[`p${p}`][retirementIndex]])),
+    atEnd: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, bands[`p${p}`][years]])),
+    medianDepletionAge: sortedDepletion.length > 0 ? sortedDepletion[Math.floor(sortedDepletion.length / 2)] : null
+  };
+}
+
+/**
+ * Latest balances of manually tracked investment_accounts, by tax treatment
+ */
+async function getManualAccountBalances(clientId) {
+  const { accounts, byTaxTreatment } = await manualAccounts.getManualAccounts(clientId);
+  if (!accounts.some(account => account.balance !== null)) return null;
+
+  // investment_accounts uses underscores (tax_free); investments use hyphens (tax-free)
+  return Object.fromEntries(
+    Object.entries(byTaxTreatment).map(([treatment, total]) => [treatment.replace('_', '-'), total])
+  );
+}
+
+/**
+ * Starting balances by tax type: current investments (falling back to the latest
+ * snapshot) plus manually tracked investment accounts
+ */
+async function getStartingBalances(clientId) {
+  const balances = { taxable: 0, 'tax-deferred': 0, 'tax-free': 0 };
+  const sources = [];
+
+  const addBalances = (totals) => {
+    Object.keys(balances).forEach(key => { balances[key] += totals[key] || 0; });
+  };
+
+  const investments = await Investment.find({ clientId });
+  if (investments.length > 0) {
+    addBalances(organizeInvestmentsByTaxType(investments).totalByTaxType);
+    sources.push('investments');
+  } else {
+    const snapshots = await InvestmentSnapshot.find({ clientId });
+    const latest = snapshots.sort((x, y) => new Date(y.snapshotDate) - new Date(x.snapshotDate))[0];
+    if (latest && latest.totalByTaxType) {
+      addBalances(latest.totalByTaxType);
+      sources.push('investment_snapshot');
+    }
+  }
+
+  const manual = await getManualAccountBalances(clientId);
+  if (manual) {
+    addBalances(manual);
+    sources.push('investment_accounts');
+  }
+
+  return { balances, source: sources.length > 0 ? sources.join('+') : null };
+}
+
+/**
+ * Average annual spending over the last 12 processed months
+ */
+async function getAnnualSpending(clientId) {
+  const summaries = (await MonthlySummary.find({ clientId }))
+    .sort((x, y) => y.monthYear.localeCompare(x.monthYear))
+    .slice(0, 12)
+    .filter(s => s.cashFlow && s.cashFlow.totalExpenses);
+
+  if (summaries.length === 0) return null;
+
+  const monthlyAverage = summaries.reduce((sum, s) => sum + Math.abs(s.cashFlow.totalExpenses), 0) / summaries.length;
+  return roundDollars(monthlyAverage * 12);
+}
+
+/**
+ * Gather a client's projection inputs from investments, paystubs, Social Security
+ * and spending history. Any field in overrides replaces the stored value.
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} overrides - { currentAge, annualSpending, retirementAge, socialSecurityClaimAge, ... }
+ * @returns {Promise<Object>} { inputs, assumptions, sources }
+ */
+async function buildInputs(clientId, overrides = {}) {
+  const supabase = getDatabase();
+
+  const client = await Client.findOne({ clientId });
+  if (!client) {
+    throw inputError(`Client ${clientId} not found`, 404);
+  }
+
+  const [{ balances, source: balanceSource }, paystubResult, ssResult, historicalSpending] = await Promise.all([
+    getStartingBalances(clientId),
+    supabase.from('paystubs').select('*').eq('client_id', clientId)
+      .order('period_ending', { ascending: false }).limit(1),
+    supabase.from('social_security').select('*').eq('client_id', clientId).limit(1),
+    getAnnualSpending(clientId)
+  ]);
+
+  if (paystubResult.error) throw paystubResult.error;
+  if (ssResult.error) throw ssResult.error;
+
+  const paystub = paystubResult.data[0] || null;
+  const socialSecurity = ssResult.data[0] || null;
+
+  const birthDate = client.birthDate || (socialSecurity && socialSecurity.birth_date);
+  const currentAge = overrides.currentAge !== undefined
+    ? Number(overrides.currentAge)
+    : (birthDate ? moment().diff(moment(birthDate), 'years', true) : null);
+  if (currentAge === null || !Number.isFinite(currentAge)) {
+    throw inputError('Client birth date is required for a retirement projection (or pass currentAge)');
+  }
+
+  const annualSpending = overrides.annualSpending !== undefined
+    ? Number(overrides.annualSpending)
+    : historicalSpending;
+  if (annualSpending === null || !Number.isFinite(annualSpending)) {
+    throw inputError('No spending history found; pass annualSpending for the retirement projection');
+  }
+
+  const contributions = getContributionsFromPaystub(paystub);
+  const annualContributions = overrides.annualContributions || {
+    taxable: contributions.taxable,
+    'tax-deferred': contributions['tax-deferred'],
+    'tax-free': contributions['tax-free']
+  };
+
+  const assumptions = { ...DEFAULT_ASSUMPTIONS };
+  if (client.retirementAge) assumptions.retirementAge = client.retirementAge;
+  Object.keys(DEFAULT_ASSUMPTIONS).forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+      assumptions[key] = Number(overrides[key]);
+    }
+  });
+
+  // The stored birth date or retirement age may not fit the requested endAge
+  // (clients already past retirement age are fine)
+  if (!(currentAge < assumptions.endAge && assumptions.retirementAge <= assumptions.endAge)) {
+    throw inputError(
+      `currentAge (${Math.floor(currentAge)}) and retirementAge (${assumptions.retirementAge}) must be before endAge (${assumptions.endAge})`
+    );
+  }
+
+  const socialSecurityMonthly = overrides.socialSecurityMonthly !== undefined
+    ? Number(overrides.socialSecurityMonthly)
+    : getSocialSecurityBenefit(socialSecurity, assumptions.socialSecurityClaimAge);
+
+  return {
+    inputs: {
+      currentAge,
+      startingBalances: {
+        taxable: balances.taxable || 0,
+        'tax-deferred': balances['tax-deferred'] || 0,
+        'tax-free': balances['tax-free'] || 0
+      },
+      annualContributions,
+      annualSpending,
+      socialSecurityMonthly
+    },
+    assumptions,
+    sources: {
+      balances: balanceSource,
+      contributions: contributions.source,
+      socialSecurity: socialSecurity ? socialSecurity.data_source || 'manual' : null,
+      spending: overrides.annualSpending !== undefined ? 'override' : 'monthly_summaries'
+    }
+  };
+}
+
+/**
+ * Build inputs for a client and run the projection
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} overrides - See buildInputs; also seed and simulations
+ * @returns {Promise<Object>} Simulation result with inputs and sources
+ */
+async function projectRetirement(clientId, overrides = {}) {
+  const { inputs, assumptions, sources } = await buildInputs(clientId, overrides);
+  const result = runSimulation(inputs, assumptions);
+  return { ...result, inputs, sources };
+}
+
+module.exports = {
+  DEFAULT_ASSUMPTIONS,
+  MAX_SIMULATIONS,
+  MAX_AGE,
+  PERCENTILES,
+  createRandom,
+  getContributionsFromPaystub,
+  getSocialSecurityBenefit,
+  runSimulation,
+  buildInputs,
+  projectRetirement
+};
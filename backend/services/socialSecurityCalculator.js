@@ -0,0 +1,608 @@
+/**
+ * Social Security Calculator
+ * Benefit formula shared by the Social Security CLI and the API: full
+ * retirement age, wage-indexed AIME, PIA with the bend points for the
+ * eligibility year, benefits by claiming age, credits, projected future
+ * earnings, and the totals and estimates stored on the social_security record.
+ *
+ * Like the SSA statement, estimates are in today's dollars: average wages
+ * after the last published year are held flat and COLAs are not applied.
+ */
+
+const moment = require('moment');
+const { getDatabase } = require('../database-supabase');
+
+const SS_CONSTANTS = {
+  // Tax rates
+  SS_TAX_RATE: 0.062,           // 6.2% employee, 6.2% employer
+  MEDICARE_TAX_RATE: 0.0145,    // 1.45% employee, 1.45% employer
+
+  // Credits
+  MAX_CREDITS_PER_YEAR: 4,
+  CREDITS_FOR_MEDICARE: 40,     // 10 years of work
+
+  // PIA formula: bend points are these 1979 amounts scaled by average wages
+  BASE_BEND_POINT_1: 180,
+  BASE_BEND_POINT_2: 1085,
+  BASE_WAGE_INDEX_YEAR: 1977,
+  PIA_FACTORS: [0.90, 0.32, 0.15],
+
+  COMPUTATION_YEARS: 35,
+
+  // Early/delayed retirement factors
+  EARLY_REDUCTION_PER_MONTH: 5 / 900,   // 5/9 of 1% for first 36 months
+  EARLY_REDUCTION_AFTER_36: 5 / 1200,   // 5/12 of 1% after 36 months
+  DELAYED_CREDIT_PER_MONTH: 2 / 300     // 2/3 of 1% (8% per year)
+};
+
+// National average wage index by year (SSA)
+const AVERAGE_WAGE_INDEX = {
+  1951: 2799.16, 1952: 2973.32, 1953: 3139.44, 1954: 3155.64, 1955: 3301.44,
+  1956: 3532.36, 1957: 3641.72, 1958: 3673.80, 1959: 3855.80, 1960: 4007.12,
+  1961: 4086.76, 1962: 4291.40, 1963: 4396.64, 1964: 4576.32, 1965: 4658.72,
+  1966: 4938.36, 1967: 5213.44, 1968: 5571.76, 1969: 5893.76, 1970: 6186.24,
+  1971: 6497.08, 1972: 7133.80, 1973: 7580.16, 1974: 8030.76, 1975: 8630.92,
+  1976: 9226.48, 1977: 9779.44, 1978: 10556.03, 1979: 11479.46, 1980: 12513.46,
+  1981: 13773.10, 1982: 14531.34, 1983: 15239.24, 1984: 16135.07, 1985: 16822.51,
+  1986: 17321.82, 1987: 18426.51, 1988: 19334.04, 1989: 20099.55, 1990: 21027.98,
+  1991: 21811.60, 1992: 22935.42, 1993: 23132.67, 1994: 23753.53, 1995: 24705.66,
+  1996: 25913.90, 1997: 27426.00, 1998: 28861.44, 1999: 30469.84, 2000: 32154.82,
+  2001: 32921.92, 2002: 33252.09, 2003: 34064.95, 2004: 35648.55, 2005: 36952.94,
+  2006: 38651.41, 2007: 40405.48, 2008: 41334.97, 2009: 40711.61, 2010: 41673.83,
+  2011: 42979.61, 2012: 44321.67, 2013: 44888.16, 2014: 46481.52, 2015: 48098.63,
+  2016: 48642.15, 2017: 50321.89, 2018: 52145.80, 2019: 54099.99, 2020: 55628.60,
+  2021: 60575.07, 2022: 63795.13, 2023: 66621.80, 2024: 69846.57
+};
+
+// Contribution and benefit base (maximum taxable earnings) by year
+const WAGE_BASE = {
+  1951: 3600, 1955: 4200, 1959: 4800, 1966: 6600, 1968: 7800, 1972: 9000,
+  1973: 10800, 1974: 13200, 1975: 14100, 1976: 15300, 1977: 16500, 1978: 17700,
+  1979: 22900, 1980: 25900, 1981: 29700, 1982: 32400, 1983: 35700, 1984: 37800,
+  1985: 39600, 1986: 42000, 1987: 43800, 1988: 45000, 1989: 48000, 1990: 51300,
+  1991: 53400, 1992: 55500, 1993: 57600, 1994: 60600, 1995: 61200, 1996: 62700,
+  1997: 65400, 1998: 68400, 1999: 72600, 2000: 76200, 2001: 80400, 2002: 84900,
+  2003: 87000, 2004: 87900, 2005: 90000, 2006: 94200, 2007: 97500, 2008: 102000,
+  2009: 106800, 2012: 110100, 2013: 113700, 2014: 117000, 2015: 118500,
+  2017: 127200, 2018: 128400, 2019: 132900, 2020: 137700, 2021: 142800,
+  2022: 147000, 2023: 160200, 2024: 168600, 2025: 176100, 2026: 184500
+};
+
+// Earnings needed for one credit (quarter of coverage); before 1978, $50 a quarter
+const CREDIT_AMOUNT = {
+  1978: 250, 1979: 260, 1980: 290, 1981: 310, 1982: 340, 1983: 370, 1984: 390,
+  1985: 410, 1986: 440, 1987: 460, 1988: 470, 1989: 500, 1990: 520, 1991: 540,
+  1992: 570, 1993: 590, 1994: 620, 1995: 630, 1996: 640, 1997: 670, 1998: 700,
+  1999: 740, 2000: 780, 2001: 830, 2002: 870, 2003: 890, 2004: 900, 2005: 920,
+  2006: 970, 2007: 1000, 2008: 1050, 2009: 1090, 2010: 1120, 2011: 1120,
+  2012: 1130, 2013: 1160, 2014: 1200, 2015: 1220, 2016: 1260, 2017: 1300,
+  2018: 1320, 2019: 1360, 2020: 1410, 2021: 1470, 2022: 1510, 2023: 1640,
+  2024: 1730, 2025: 1810, 2026: 1890
+};
+
+const LAST_WAGE_INDEX_YEAR = Math.max(...Object.keys(AVERAGE_WAGE_INDEX).map(Number));
+const LAST_WAGE_BASE_YEAR = Math.max(...Object.keys(WAGE_BASE).map(Number));
+
+/**
+ * Value for a year from a table keyed by the year it took effect, holding the
+ * latest value flat for later years
+ */
+function lookupByYear(table, year) {
+  const years = Object.keys(table).map(Number).sort((a, b) => a - b);
+  let value = table[years[0]];
+  for (const y of years) {
+    if (y > year) break;
+    value = table[y];
+  }
+  return value;
+}
+
+/**
+ * Average wage index for a year (flat after the last published year)
+ */
+function getAverageWageIndex(year) {
+  return AVERAGE_WAGE_INDEX[Math.min(Math.max(year, 1951), LAST_WAGE_INDEX_YEAR)];
+}
+
+/**
+ * Maximum earnings taxed for Social Security in a year
+ */
+function getWageBase(year) {
+  return lookupByYear(WAGE_BASE, Math.min(year, LAST_WAGE_BASE_YEAR));
+}
+
+/**
+ * Year used for SSA age rules: people born on January 1 attain each age
+ * the day before their birthday, so they count as born the previous year
+ *
+ * @param {string|Date} birthDate
+ * @returns {number} Birth year
+ */
+function getSsaBirthYear(birthDate) {
+  const date = moment(birthDate);
+  return date.month() === 0 && date.date() === 1 ? date.year() - 1 : date.year();
+}
+
+/**
+ * Full retirement age by birth year
+ *
+ * @param {number} birthYear
+ * @returns {Object} { years, months }
+ */
+function getFullRetirementAge(birthYear) {
+  if (birthYear <= 1937) return { years: 65, months: 0 };
+  if (birthYear <= 1942) return { years: 65, months: (birthYear - 1937) * 2 };
+  if (birthYear <= 1954) return { years: 66, months: 0 };
+  if (birthYear <= 1959) return { years: 66, months: (birthYear - 1954) * 2 };
+  return { years: 67, months: 0 }; // 1960 and later
+}
+
+/**
+ * Full retirement age in months for a birth date
+ */
+function getFullRetirementAgeMonths(birthDate) {
+  const fra = getFullRetirementAge(getSsaBirthYear(birthDate));
+  return fra.years * 12 + fra.months;
+}
+
+/**
+ * PIA bend points for the year a worker turns 62
+ *
+ * @param {number} eligibilityYear - Birth year + 62
+ * @returns {Array<number>} [first, second] bend points
+ */
+function getBendPoints(eligibilityYear) {
+  const ratio = getAverageWageIndex(eligibilityYear - 2) / AVERAGE_WAGE_INDEX[SS_CONSTANTS.BASE_WAGE_INDEX_YEAR];
+  return [
+    Math.round(SS_CONSTANTS.BASE_BEND_POINT_1 * ratio),
+    Math.round(SS_CONSTANTS.BASE_BEND_POINT_2 * ratio)
+  ];
+}
+
+/**
+ * Index each year's taxed earnings to the worker's indexing year (age 60);
+ * earnings at or after 60 count at face value
+ *
+ * @param {Array} earningsHistory - social_security_earnings rows
+ * @param {number} birthYear
+ * @returns {Array} [{ year, earnings, indexFactor, indexedEarnings, projected }]
+ */
+function indexEarnings(earningsHistory, birthYear) {
+  const indexingYear = birthYear + 60;
+  const indexingAwi = getAverageWageIndex(indexingYear);
+
+  return earningsHistory.map(row => {
+    const year = row.work_year;
+    const earnings = parseFloat(row.taxed_social_security_earnings) || 0;
+    const indexFactor = year < indexingYear ? indexingAwi / getAverageWageIndex(year) : 1;
+
+    return {
+      year,
+      earnings,
+      indexFactor: Math.round(indexFactor * 1000000) / 1000000,
+      indexedEarnings: Math.round(earnings * indexFactor * 100) / 100,
+      projected: Boolean(row.projected)
+    };
+  }).sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Calculate Average Indexed Monthly Earnings (AIME)
+ * Uses the top 35 years of earnings, wage-indexed when the birth year is known
+ *
+ * @param {Array} earningsHistory - social_security_earnings rows
+ * @param {number} [birthYear] - Enables wage indexing
+ * @returns {number} AIME, rounded down to the dollar
+ */
+function calculateAIME(earningsHistory, birthYear = null) {
+  const amounts = birthYear
+    ? indexEarnings(earningsHistory, birthYear).map(e => e.indexedEarnings)
+    : earningsHistory.map(e => parseFloat(e.taxed_social_security_earnings) || 0);
+
+  const topEarnings = amounts
+    .sort((a, b) => b - a)
+    .slice(0, SS_CONSTANTS.COMPUTATION_YEARS);
+
+  const totalEarnings = topEarnings.reduce((sum, e) => sum + e, 0);
+  const aime = totalEarnings / (SS_CONSTANTS.COMPUTATION_YEARS * 12);
+
+  return Math.floor(aime);
+}
+
+/**
+ * Calculate Primary Insurance Amount (PIA) from AIME
+ * 90% up to the first bend point, 32% to the second, 15% above
+ *
+ * @param {number} aime - Average indexed monthly earnings
+ * @param {number} [eligibilityYear] - Year turning 62; defaults to the latest bend points
+ * @returns {number} PIA, rounded down to the dime
+ */
+function calculatePIA(aime, eligibilityYear = LAST_WAGE_INDEX_YEAR + 2) {
+  const [bendPoint1, bendPoint2] = getBendPoints(eligibilityYear);
+  const [factor1, factor2, factor3] = SS_CONSTANTS.PIA_FACTORS;
+
+  let pia = Math.min(aime, bendPoint1) * factor1;
+  if (aime > bendPoint1) pia += (Math.min(aime, bendPoint2) - bendPoint1) * factor2;
+  if (aime > bendPoint2) pia += (aime - bendPoint2) * factor3;
+
+  return Math.floor(pia * 10) / 10;
+}
+
+/**
+ * Monthly benefit for claiming at an age, from PIA and full retirement age
+ *
+ * @param {number} pia - Primary insurance amount (benefit at FRA)
+ * @param {number} fraMonths - Full retirement age in months
+ * @param {number} claimAgeMonths - Claiming age in months
+ * @returns {number} Monthly benefit, rounded down to the cent
+ */
+function calculateBenefitAtAge(pia, fraMonths, claimAgeMonths) {
+  const monthsDiff = claimAgeMonths - fraMonths;
+
+  if (monthsDiff === 0) {
+    return pia;
+  } else if (monthsDiff < 0) {
+    const monthsEarly = Math.abs(monthsDiff);
+    const reduction = Math.min(monthsEarly, 36) * SS_CONSTANTS.EARLY_REDUCTION_PER_MONTH +
+      Math.max(0, monthsEarly - 36) * SS_CONSTANTS.EARLY_REDUCTION_AFTER_36;
+
+    return Math.floor(pia * (1 - reduction) * 100) / 100;
+  } else {
+    const monthsDelayed = Math.min(monthsDiff, 70 * 12 - fraMonths);
+    const increase = monthsDelayed * SS_CONSTANTS.DELAYED_CREDIT_PER_MONTH;
+
+    return Math.floor(pia * (1 + increase) * 100) / 100;
+  }
+}
+
+/**
+ * Calculate credits earned from earnings in a year
+ *
+ * @param {number} earnings - Covered earnings
+ * @param {number} [year] - Work year; defaults to the current year
+ * @returns {number} Credits (0-4)
+ */
+function calculateCredits(earnings, year = new Date().getFullYear()) {
+  const perCredit = year < 1978 ? 50 : lookupByYear(CREDIT_AMOUNT, year);
+  return Math.min(
+    Math.floor(earnings / perCredit),
+    SS_CONSTANTS.MAX_CREDITS_PER_YEAR
+  );
+}
+
+/**
+ * Estimate PIA from current income (simplified projection)
+ * Assumes the same capped earnings, in today's dollars, for every work year
+ *
+ * @param {number} annualIncome - Current annual earnings
+ * @param {number} currentAge - Unused; kept for existing callers
+ * @param {number} workYears - Years of earnings (default 35)
+ * @param {number} [eligibilityYear] - Year turning 62, for its bend points
+ * @returns {number} Estimated PIA
+ */
+function estimatePIAFromIncome(annualIncome, currentAge, workYears = 35, eligibilityYear = undefined) {
+  const cappedIncome = Math.min(annualIncome, getWageBase(new Date().getFullYear()));
+  const years = Math.min(workYears, SS_CONSTANTS.COMPUTATION_YEARS);
+  const estimatedAIME = Math.floor((cappedIncome * years) / (SS_CONSTANTS.COMPUTATION_YEARS * 12));
+
+  return calculatePIA(estimatedAIME, eligibilityYear);
+}
+
+/**
+ * Add projected earnings, in today's dollars, from the year after the last
+ * posted year (or this year) through the year before the retirement age
+ *
+ * @param {Array} earningsHistory - social_security_earnings rows
+ * @param {Object} options - { birthYear, annualEarnings, retirementAge, currentYear }
+ * @returns {Array} History plus rows flagged projected: true
+ */
+function projectEarnings(earningsHistory, { birthYear, annualEarnings, retirementAge, currentYear = new Date().getFullYear() }) {
+  if (!annualEarnings || annualEarnings <= 0 || !retirementAge) return earningsHistory;
+
+  const posted = new Set(earningsHistory.map(row => row.work_year));
+  const lastPosted = earningsHistory.reduce((max, row) => Math.max(max, row.work_year), 0);
+  const firstYear = Math.max(currentYear, lastPosted + 1);
+  const lastYear = birthYear + retirementAge - 1;
+  const capped = Math.min(annualEarnings, getWageBase(currentYear));
+
+  const projected = [];
+  for (let year = firstYear; year <= lastYear; year++) {
+    if (posted.has(year)) continue;
+    projected.push({
+      work_year: year,
+      taxed_social_security_earnings: capped,
+      taxed_medicare_earnings: annualEarnings,
+      projected: true
+    });
+  }
+
+  return [...earningsHistory, ...projected];
+}
+
+/**
+ * Full benefit calculation from an earnings record
+ *
+ * @param {Array} earningsHistory - social_security_earnings rows
+ * @param {Object} options - { birthDate, projectedAnnualEarnings, retirementAge }
+ * @returns {Object} AIME, PIA, bend points, FRA, benefits at 62-70 and indexed earnings
+ */
+function calculateBenefits(earningsHistory, { birthDate, projectedAnnualEarnings = null, retirementAge = null } = {}) {
+  const birthYear = getSsaBirthYear(birthDate);
+  const eligibilityYear = birthYear + 62;
+  const fraMonths = getFullRetirementAgeMonths(birthDate);
+
+  const history = projectEarnings(earningsHistory, {
+    birthYear,
+    annualEarnings: projectedAnnualEarnings,
+    retirementAge
+  });
+
+  const aime = calculateAIME(history, birthYear);
+  const pia = calculatePIA(aime, eligibilityYear);
+
+  const benefitsByAge = {};
+  for (let age = 62; age <= 70; age++) {
+    benefitsByAge[age] = calculateBenefitAtAge(pia, fraMonths, age * 12);
+  }
+
+  const indexed = indexEarnings(history, birthYear);
+  const counted = new Set(
+    [...indexed]
+      .sort((a, b) => b.indexedEarnings - a.indexedEarnings)
+      .slice(0, SS_CONSTANTS.COMPUTATION_YEARS)
+      .map(e => e.year)
+  );
+
+  return {
+    aime,
+    pia,
+    eligibilityYear,
+    indexingYear: birthYear + 60,
+    bendPoints: getBendPoints(eligibilityYear),
+    fullRetirementAgeMonths: fraMonths,
+    benefitsByAge,
+    yearsOfEarnings: indexed.filter(e => e.earnings > 0).length,
+    projectedYears: indexed.filter(e => e.projected).length,
+    earnings: indexed.map(e => ({ ...e, countedInAime: counted.has(e.year) && e.indexedEarnings > 0 }))
+  };
+}
+
+/**
+ * Build a social_security_earnings row from taxed earnings for a year
+ *
+ * @param {string} clientId - Client UUID
+ * @param {number} year - Work year
+ * @param {number} ssEarnings - Earnings taxed for Social Security
+ * @param {number} medicareEarnings - Earnings taxed for Medicare
+ * @returns {Object} Row with employee and employer taxes and credits
+ */
+function buildEarningsRow(clientId, year, ssEarnings, medicareEarnings) {
+  const ssTax = ssEarnings * SS_CONSTANTS.SS_TAX_RATE;
+  const medicareTax = medicareEarnings * SS_CONSTANTS.MEDICARE_TAX_RATE;
+
+  return {
+    client_id: clientId,
+    work_year: year,
+    taxed_social_security_earnings: ssEarnings,
+    taxed_medicare_earnings: medicareEarnings,
+    social_security_tax_paid: ssTax,
+    medicare_tax_paid: medicareTax,
+    employer_ss_paid: ssTax,  // Employer matches
+    employer_medicare_paid: medicareTax,
+    credits_earned: calculateCredits(ssEarnings, year)
+  };
+}
+
+/**
+ * Get a client's earnings record, oldest year first
+ *
+ * @param {string} clientId - Client UUID
+ * @returns {Promise<Array>} social_security_earnings rows
+ */
+async function getEarnings(clientId) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('social_security_earnings')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('work_year', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Get a client's social_security record (benefit estimates and totals)
+ *
+ * @param {string} clientId - Client UUID
+ * @returns {Promise<Object|null>} Row or null
+ */
+async function getSocialSecurityRecord(clientId) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('social_security')
+    .select('*')
+    .eq('client_id', clientId)
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+/**
+ * Add or replace earnings for a year (Social Security earnings capped at
+ * that year's wage base; Medicare earnings uncapped) and update totals
+ *
+ * @param {string} clientId - Client UUID
+ * @param {number} year - Work year
+ * @param {number} earnings - Total covered earnings
+ * @param {Object} options - { medicareEarnings, source }
+ * @returns {Promise<Object>} Saved row
+ */
+async function addEarnings(clientId, year, earnings, options = {}) {
+  const supabase = getDatabase();
+
+  const ssEarnings = Math.min(earnings, getWageBase(year));
+  const medicareEarnings = options.medicareEarnings ?? earnings;
+
+  const { data, error } = await supabase
+    .from('social_security_earnings')
+    .upsert(
+      { ...buildEarningsRow(clientId, year, ssEarnings, medicareEarnings), source: options.source || 'manual' },
+      { onConflict: 'client_id,work_year' }
+    )
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await updateTotals(clientId);
+
+  return data;
+}
+
+/**
+ * Delete earnings for a year and update totals
+ *
+ * @param {string} clientId - Client UUID
+ * @param {number} year - Work year
+ * @returns {Promise<boolean>} True if a row was deleted
+ */
+async function deleteEarnings(clientId, year) {
+  const supabase = getDatabase();
+
+  const { data, error } = await supabase
+    .from('social_security_earnings')
+    .delete()
+    .eq('client_id', clientId)
+    .eq('work_year', year)
+    .select();
+
+  if (error) throw error;
+
+  await updateTotals(clientId);
+
+  return data.length > 0;
+}
+
+/**
+ * Update totals paid and Medicare credits from earnings history
+ *
+ * @param {string} clientId - Client UUID
+ */
+async function updateTotals(clientId) {
+  const supabase = getDatabase();
+
+  const earnings = await getEarnings(clientId);
+
+  const totals = earnings.reduce((acc, e) => ({
+    total_social_security_paid: acc.total_social_security_paid + parseFloat(e.social_security_tax_paid || 0),
+    total_medicare_paid: acc.total_medicare_paid + parseFloat(e.medicare_tax_paid || 0),
+    total_employer_ss_paid: acc.total_employer_ss_paid + parseFloat(e.employer_ss_paid || 0),
+    total_employer_medicare_paid: acc.total_employer_medicare_paid + parseFloat(e.employer_medicare_paid || 0),
+    medicare_credits: acc.medicare_credits + (e.credits_earned || 0)
+  }), {
+    total_social_security_paid: 0,
+    total_medicare_paid: 0,
+    total_employer_ss_paid: 0,
+    total_employer_medicare_paid: 0,
+    medicare_credits: 0
+  });
+
+  totals.medicare_eligible = totals.medicare_credits >= SS_CONSTANTS.CREDITS_FOR_MEDICARE;
+
+  const { error: updateError } = await supabase
+    .from('social_security')
+    .update(totals)
+    .eq('client_id', clientId);
+
+  if (updateError) throw updateError;
+}
+
+/**
+ * Recompute AIME, PIA and benefit estimates at 62-70 from the earnings record
+ * and save them (with totals) on the client's social_security record, creating
+ * it when a birth date is available
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { birthDate, dataSource, statementDate, projectedAnnualEarnings, retirementAge }
+ * @returns {Promise<Object>} { aime, pia, previousPia, calculation, record } - record null without a birth date
+ */
+async function recomputeBenefits(clientId, options = {}) {
+  const supabase = getDatabase();
+
+  const earnings = await getEarnings(clientId);
+  const existing = await getSocialSecurityRecord(clientId);
+  const previousPia = existing ? parseFloat(existing.primary_insurance_amount) || null : null;
+
+  const birthDate = (existing && existing.birth_date) || options.birthDate;
+  if (!birthDate) {
+    const aime = calculateAIME(earnings);
+    return { aime, pia: calculatePIA(aime), previousPia, calculation: null, record: null };
+  }
+
+  const calculation = calculateBenefits(earnings, {
+    birthDate,
+    projectedAnnualEarnings: options.projectedAnnualEarnings,
+    retirementAge: options.retirementAge
+  });
+
+  const updates = {
+    client_id: clientId,
+    birth_date: birthDate,
+    full_retirement_age: calculation.fullRetirementAgeMonths,
+    average_indexed_monthly_earnings: calculation.aime,
+    primary_insurance_amount: calculation.pia,
+    earnings_imported_at: new Date().toISOString()
+  };
+  const dataSource = options.dataSource || (calculation.projectedYears > 0 ? 'projection' : null);
+  if (dataSource) updates.data_source = dataSource;
+  if (options.statementDate) updates.statement_date = options.statementDate;
+
+  Object.entries(calculation.benefitsByAge).forEach(([age, benefit]) => {
+    updates[`benefit_age_${age}`] = benefit;
+  });
+
+  const { error: upsertError } = await supabase
+    .from('social_security')
+    .upsert(updates, { onConflict: 'client_id' });
+
+  if (upsertError) throw upsertError;
+
+  await updateTotals(clientId);
+
+  const { data: record, error: recordError } = await supabase
+    .from('social_security')
+    .select('*')
+    .eq('client_id', clientId)
+    .single();
+
+  if (recordError) throw recordError;
+
+  return { aime: calculation.aime, pia: calculation.pia, previousPia, calculation, record };
+}
+
+module.exports = {
+  SS_CONSTANTS,
+  getAverageWageIndex,
+  getWageBase,
+  getSsaBirthYear,
+  getFullRetirementAge,
+  getFullRetirementAgeMonths,
+  getBendPoints,
+  indexEarnings,
+  calculateAIME,
+  calculatePIA,
+  calculateBenefitAtAge,
+  calculateCredits,
+  estimatePIAFromIncome,
+  projectEarnings,
+  calculateBenefits,
+  buildEarningsRow,
+  getEarnings,
+  getSocialSecurityRecord,
+  addEarnings,
+  deleteEarnings,
+  updateTotals,
+  recomputeBenefits
+};
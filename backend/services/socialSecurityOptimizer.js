@@ -0,0 +1,646 @@
+/**
+ * Social Security Claiming Optimizer
+ * Values Social Security benefits for every claiming month from 62 to 70
+ * using the SSA early-retirement reduction and delayed retirement credits
+ * (socialSecurityCalculator.calculateBenefitAtAge),
+ * with break-even ages and sensitivity to life expectancy and discount rate.
+ * When tax inputs are given, benefits are also valued after federal tax
+ * (socialSecurityTax) and the recommendation uses the after-tax value.
+ * Also optimizes both spouses' claiming ages jointly, including spousal and
+ * survivor benefits.
+ */
+
+const moment = require('moment');
+const SocialSecurity = require('../models-supabase/SocialSecurity');
+const {
+  SS_CONSTANTS,
+  getFullRetirementAgeMonths,
+  calculateBenefitAtAge
+} = require('./socialSecurityCalculator');
+const { getAfterTaxShare, getTaxInputs } = require('./socialSecurityTax');
+
+const EARLIEST_CLAIM_MONTHS = 62 * 12;
+const LATEST_CLAIM_MONTHS = 70 * 12;
+
+// Spousal benefit: 25/36 of 1% per month for the first 36 months, 5/12 of 1% beyond
+const SPOUSAL_REDUCTION_PER_MONTH = 25 / 3600;
+
+// Survivor benefit floor when the deceased claimed early (RIB-LIM)
+const SURVIVOR_MINIMUM_SHARE = 0.825;
+
+// Survivor benefits can start at 60, reduced by up to 28.5% before full retirement age
+const SURVIVOR_EARLIEST_MONTHS = 60 * 12;
+const SURVIVOR_MAX_REDUCTION = 0.285;
+
+const DEFAULT_ASSUMPTIONS = {
+  lifeExpectancy: 90,
+  discountRate: 0.03,
+  inflationRate: 0.025 // COLA
+};
+
+/**
+ * Share of the spousal benefit kept when it starts at an age (no delayed credits)
+ */
+function getSpousalFactor(fraMonths, startAgeMonths) {
+  const monthsEarly = Math.max(0, fraMonths - startAgeMonths);
+  return 1 - (Math.min(monthsEarly, 36) * SPOUSAL_REDUCTION_PER_MONTH +
+    Math.max(0, monthsEarly - 36) * SS_CONSTANTS.EARLY_REDUCTION_AFTER_36);
+}
+
+/**
+ * Share of the survivor benefit kept when it starts at an age: the reduction
+ * runs evenly from 28.5% at 60 to none at full retirement age
+ */
+function getSurvivorFactor(fraMonths, startAgeMonths) {
+  const span = fraMonths - SURVIVOR_EARLIEST_MONTHS;
+  const monthsEarly = Math.max(0, fraMonths - startAgeMonths);
+  return span > 0 ? 1 - SURVIVOR_MAX_REDUCTION * Math.min(monthsEarly, span) / span : 1;
+}
+
+/**
+ * Monthly survivor benefit for a widow(er) whose survivor benefit starts at an age
+ *
+ * The base is what the deceased actually received when they had claimed, or
+ * their PIA plus delayed retirement credits earned up to death when they
+ * hadn't. The survivor's own age reduction applies to that base; when the
+ * deceased claimed early, the result is limited to the larger of their reduced
+ * benefit and 82.5% of PIA (RIB-LIM).
+ *
+ * @param {Object} deceased - Benefit profile with deathAge
+ * @param {number} deceasedClaimAge - Claiming age (years) in the scenario
+ * @param {Object} survivor - Benefit profile
+ * @param {number} startAgeMonths - Survivor's age when the survivor benefit starts
+ * @returns {number}
+ */
+function getSurvivorBenefit(deceased, deceasedClaimAge, survivor, startAgeMonths) {
+  const factor = getSurvivorFactor(survivor.fraMonths, startAgeMonths);
+
+  if (deceasedClaimAge < deceased.deathAge) {
+    const received = deceased.benefitAt(deceasedClaimAge);
+    if (deceasedClaimAge * 12 >= deceased.fraMonths) return received * factor;
+    return Math.min(deceased.pia * factor, Math.max(received, deceased.pia * SURVIVOR_MINIMUM_SHARE));
+  }
+
+  const creditedMonths = Math.max(deceased.fraMonths, Math.min(LATEST_CLAIM_MONTHS, deceased.deathAge * 12));
+  return calculateBenefitAtAge(deceased.pia, deceased.fraMonths, creditedMonths) * factor;
+}
+
+/**
+ * Format an age in months as "64y 5m"
+ */
+function formatAge(ageMonths) {
+  const years = Math.floor(ageMonths / 12);
+  const months = ageMonths % 12;
+  return months ? `${years}y ${months}m` : `${years}y`;
+}
+
+const toYears = (ageMonths) => Math.round(ageMonths / 12 * 100) / 100;
+
+/**
+ * Build a claiming profile from a social_security_data record (model form)
+ * or a social_security row (statement/CLI form)
+ *
+ * @param {Object} record - SocialSecurity model record or social_security row
+ * @returns {Object|null} { birthDate, pia, fraMonths, source } or null without enough data
+ */
+function toClaimingProfile(record) {
+  if (!record) return null;
+
+  const birthDate = record.dateOfBirth || record.birth_date;
+  if (!birthDate) return null;
+
+  // social_security stores FRA in months; social_security_data only whole years
+  const fraMonths = record.full_retirement_age > 100
+    ? record.full_retirement_age
+    : getFullRetirementAgeMonths(birthDate);
+
+  let pia = parseFloat(record.primary_insurance_amount) || parseFloat(record.benefitAtFra) || 0;
+
+  // Back the PIA out of a statement estimate at 62 or 70 when FRA is missing
+  if (!pia) {
+    const at62 = parseFloat(record.benefitAt62 || record.benefit_age_62);
+    const at70 = parseFloat(record.benefitAt70 || record.benefit_age_70);
+    if (at62 > 0) {
+      pia = at62 / (calculateBenefitAtAge(1000, fraMonths, EARLIEST_CLAIM_MONTHS) / 1000);
+    } else if (at70 > 0) {
+      pia = at70 / (calculateBenefitAtAge(1000, fraMonths, LATEST_CLAIM_MONTHS) / 1000);
+    }
+  }
+
+  if (!pia) return null;
+
+  return {
+    birthDate,
+    pia: Math.round(pia * 100) / 100,
+    fraMonths,
+    source: record.dateOfBirth ? 'social_security_data' : 'social_security'
+  };
+}
+
+/**
+ * Present value and nominal total of claiming at each month
+ *
+ * Benefits are paid monthly from the claiming month until the life expectancy
+ * age, grow with COLA and are discounted to today. With tax inputs, each
+ * year's benefits are also reduced by the federal tax they add.
+ *
+ * @param {Object} profile - { pia, fraMonths }
+ * @param {number} currentAgeMonths
+ * @param {Object} assumptions - { lifeExpectancy, discountRate, inflationRate }
+ * @param {Object|null} taxInputs - { otherIncome, taxExemptInterest, filingStatus }
+ * @returns {Array} [{ claimAgeMonths, monthlyBenefit, presentValue, totalNominalBenefits, afterTaxPresentValue? }]
+ */
+function valueClaimingMonths(profile, currentAgeMonths, assumptions, taxInputs = null) {
+  const deathMonths = Math.round(assumptions.lifeExpectancy * 12);
+  const monthlyGrowth = Math.pow(1 + assumptions.inflationRate, 1 / 12);
+  const monthlyDiscount = Math.pow(1 + assumptions.discountRate, 1 / 12);
+  const spouses = taxInputs && taxInputs.filingStatus === 'married_filing_jointly' ? 2 : 1;
+
+  const points = [];
+  const firstMonth = Math.max(EARLIEST_CLAIM_MONTHS, currentAgeMonths);
+
+  for (let claimAgeMonths = firstMonth; claimAgeMonths <= LATEST_CLAIM_MONTHS; claimAgeMonths++) {
+    const monthlyBenefit = calculateBenefitAtAge(profile.pia, profile.fraMonths, claimAgeMonths);
+
+    let presentValue = 0;
+    let afterTaxPresentValue = 0;
+    let totalNominal = 0;
+    const shares = new Map();
+
+    for (let t = claimAgeMonths - currentAgeMonths; t < deathMonths - currentAgeMonths; t++) {
+      const payment = monthlyBenefit * Math.pow(monthlyGrowth, t);
+      totalNominal += payment;
+      presentValue += payment / Math.pow(monthlyDiscount, t);
+
+      if (taxInputs) {
+        // Tax is figured per year on that year's benefits at the year's opening rate
+        const year = Math.floor(t / 12);
+        if (!shares.has(year)) {
+          const age65 = currentAgeMonths + t >= 65 * 12;
+          shares.set(year, getAfterTaxShare(payment * 12, taxInputs, year, assumptions.inflationRate, age65 ? spouses : 0));
+        }
+        afterTaxPresentValue += payment * shares.get(year) / Math.pow(monthlyDiscount, t);
+      }
+    }
+
+    points.push({
+      claimAgeMonths,
+      monthlyBenefit,
+      presentValue: Math.round(presentValue),
+      totalNominalBenefits: Math.round(totalNominal),
+      ...(taxInputs && { afterTaxPresentValue: Math.round(afterTaxPresentValue) })
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Age at which claiming later has paid out as much as claiming earlier
+ * (cumulative benefits with COLA, not discounted)
+ *
+ * @returns {number|null} Age in years, or null if not reached by 100
+ */
+function findBreakEvenAge(earlier, later, currentAgeMonths, inflationRate) {
+  if (later.claimAgeMonths <= earlier.claimAgeMonths) return null;
+
+  const monthlyGrowth = Math.pow(1 + inflationRate, 1 / 12);
+  let earlierTotal = 0;
+  let laterTotal = 0;
+
+  for (let age = earlier.claimAgeMonths; age < 100 * 12; age++) {
+    const cola = Math.pow(monthlyGrowth, age - currentAgeMonths);
+    earlierTotal += earlier.monthlyBenefit * cola;
+    if (age >= later.claimAgeMonths) laterTotal += later.monthlyBenefit * cola;
+    if (age >= later.claimAgeMonths && laterTotal >= earlierTotal) return toYears(age + 1);
+  }
+
+  return null;
+}
+
+// Value the recommendation is based on: after tax when tax inputs were given
+const pointValue = (point) => point.afterTaxPresentValue ?? point.presentValue;
+const bestPoint = (points) => points.reduce((best, p) => (pointValue(p) > pointValue(best) ? p : best), points[0]);
+
+/**
+ * Full claiming curve for one person
+ *
+ * Break-evens compare each month with claiming at 62 and at 70; if the client
+ * is already past 62, the earliest comparison is claiming now.
+ *
+ * @param {Object} profile - From toClaimingProfile
+ * @param {Object} options - lifeExpectancy, discountRate, inflationRate, asOf,
+ *   taxInputs ({ otherIncome, taxExemptInterest, filingStatus } to value benefits after tax)
+ * @returns {Object} { curve, optimal, breakEven, sensitivity, profile, assumptions, taxAssumptions }
+ */
+function optimizeClaimingAge(profile, options = {}) {
+  const assumptions = {
+    lifeExpectancy: options.lifeExpectancy ?? DEFAULT_ASSUMPTIONS.lifeExpectancy,
+    discountRate: options.discountRate ?? DEFAULT_ASSUMPTIONS.discountRate,
+    inflationRate: options.inflationRate ?? DEFAULT_ASSUMPTIONS.inflationRate
+  };
+
+  const currentAgeMonths = moment(options.asOf || undefined).diff(moment(profile.birthDate), 'months');
+
+  if (currentAgeMonths > LATEST_CLAIM_MONTHS) {
+    throw new Error('Client is past age 70; there is no claiming decision left');
+  }
+  if (assumptions.lifeExpectancy * 12 <= Math.max(currentAgeMonths, EARLIEST_CLAIM_MONTHS)) {
+    throw new Error('Life expectancy must be later than the earliest claiming age');
+  }
+
+  const taxInputs = options.taxInputs || null;
+  const points = valueClaimingMonths(profile, currentAgeMonths, assumptions, taxInputs);
+  const earliest = points[0];
+  const latest = points[points.length - 1];
+
+  const curve = points.map(point => ({
+    claimAgeMonths: point.claimAgeMonths,
+    claimAge: toYears(point.claimAgeMonths),
+    claimAgeLabel: formatAge(point.claimAgeMonths),
+    monthlyBenefit: point.monthlyBenefit,
+    percentOfPia: Math.round(point.monthlyBenefit / profile.pia * 1000) / 10,
+    presentValue: point.presentValue,
+    totalNominalBenefits: point.totalNominalBenefits,
+    ...(taxInputs && { afterTaxPresentValue: point.afterTaxPresentValue }),
+    breakEvenVs62: findBreakEvenAge(earliest, point, currentAgeMonths, assumptions.inflationRate),
+    breakEvenVs70: findBreakEvenAge(point, latest, currentAgeMonths, assumptions.inflationRate)
+  }));
+
+  const optimal = curve.find(p => p.claimAgeMonths === bestPoint(points).claimAgeMonths);
+  const atFra = curve.find(p => p.claimAgeMonths === profile.fraMonths);
+
+  return {
+    optimal: {
+      claimAgeMonths: optimal.claimAgeMonths,
+      claimAge: optimal.claimAge,
+      claimAgeLabel: optimal.claimAgeLabel,
+      monthlyBenefit: optimal.monthlyBenefit,
+      presentValue: optimal.presentValue,
+      ...(taxInputs && { afterTaxPresentValue: optimal.afterTaxPresentValue }),
+      basis: taxInputs ? 'after_tax' : 'gross',
+      gainVersusFra: atFra ? pointValue(optimal) - pointValue(atFra) : null
+    },
+    ...(taxInputs && { grossOptimal: grossOptimal(curve) }),
+    breakEven: {
+      fraVs62: atFra ? atFra.breakEvenVs62 : null,
+      seventyVs62: latest.claimAgeMonths > earliest.claimAgeMonths
+        ? findBreakEvenAge(earliest, latest, currentAgeMonths, assumptions.inflationRate)
+        : null,
+      seventyVsFra: atFra ? atFra.breakEvenVs70 : null
+    },
+    curve,
+    sensitivity: buildSensitivity(profile, currentAgeMonths, assumptions, taxInputs),
+    profile: {
+      currentAge: toYears(currentAgeMonths),
+      primaryInsuranceAmount: profile.pia,
+      fullRetirementAgeMonths: profile.fraMonths,
+      fullRetirementAgeLabel: formatAge(profile.fraMonths),
+      source: profile.source
+    },
+    assumptions: {
+      ...assumptions,
+      discountRateLabel: (assumptions.discountRate * 100).toFixed(1) + '%',
+      inflationRateLabel: (assumptions.inflationRate * 100).toFixed(1) + '%'
+    },
+    taxAssumptions: taxInputs
+      ? {
+        filingStatus: taxInputs.filingStatus,
+        otherIncome: taxInputs.otherIncome,
+        taxExemptInterest: taxInputs.taxExemptInterest || 0,
+        otherIncomeSource: taxInputs.source || 'override'
+      }
+      : null
+  };
+}
+
+/**
+ * Claiming month with the highest gross present value
+ */
+function grossOptimal(curve) {
+  const best = curve.reduce((max, p) => (p.presentValue > max.presentValue ? p : max), curve[0]);
+  return {
+    claimAgeMonths: best.claimAgeMonths,
+    claimAgeLabel: best.claimAgeLabel,
+    presentValue: best.presentValue,
+    afterTaxPresentValue: best.afterTaxPresentValue
+  };
+}
+
+/**
+ * Optimal claiming month as life expectancy and discount rate move around the inputs
+ */
+function buildSensitivity(profile, currentAgeMonths, assumptions, taxInputs = null) {
+  const minLife = Math.max(currentAgeMonths, EARLIEST_CLAIM_MONTHS) / 12;
+  const lifeExpectancies = [-10, -5, 0, 5, 10]
+    .map(delta => assumptions.lifeExpectancy + delta)
+    .filter(age => age > minLife && age <= 110);
+  const discountRates = [-0.02, -0.01, 0, 0.01, 0.02]
+    .map(delta => Math.round((assumptions.discountRate + delta) * 1000) / 1000)
+    .filter(rate => rate >= 0);
+
+  const solve = (lifeExpectancy, discountRate) => {
+    const best = bestPoint(valueClaimingMonths(profile, currentAgeMonths, { ...assumptions, lifeExpectancy, discountRate }, taxInputs));
+    return {
+      optimalClaimAgeMonths: best.claimAgeMonths,
+      optimalClaimAgeLabel: formatAge(best.claimAgeMonths),
+      presentValue: best.presentValue,
+      ...(taxInputs && { afterTaxPresentValue: best.afterTaxPresentValue })
+    };
+  };
+
+  return {
+    lifeExpectancy: lifeExpectancies.map(lifeExpectancy => ({
+      lifeExpectancy,
+      ...solve(lifeExpectancy, assumptions.discountRate)
+    })),
+    discountRate: discountRates.map(discountRate => ({
+      discountRate,
+      ...solve(assumptions.lifeExpectancy, discountRate)
+    })),
+    // Optimal claiming age for each life expectancy (rows) and discount rate (columns)
+    matrix: {
+      lifeExpectancies,
+      discountRates,
+      optimalClaimAgeMonths: lifeExpectancies.map(lifeExpectancy =>
+        discountRates.map(discountRate => solve(lifeExpectancy, discountRate).optimalClaimAgeMonths)
+      )
+    }
+  };
+}
+
+/**
+ * Load a client's claiming profile: the social_security_data estimates used by
+ * the admin Social Security screens, else the statement-based social_security row
+ *
+ * @param {string} clientId - Client UUID
+ * @returns {Promise<Object|null>} Profile (see toClaimingProfile)
+ */
+async function getClaimingProfile(clientId) {
+  const ssData = await SocialSecurity.findOne({ clientId });
+  const profile = toClaimingProfile(ssData);
+  if (profile) return profile;
+
+  const { client } = await SocialSecurity.findHouseholdRecords(clientId);
+  return toClaimingProfile(client);
+}
+
+/**
+ * Claiming curve for a client
+ *
+ * Benefits are valued after tax using the client's filing status and
+ * expected retirement income unless afterTax is false.
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - lifeExpectancy, discountRate, inflationRate,
+ *   afterTax, otherIncome, taxExemptInterest, filingStatus
+ * @returns {Promise<Object|null>} See optimizeClaimingAge; null without benefit data
+ */
+async function getClaimingCurve(clientId, options = {}) {
+  const profile = await getClaimingProfile(clientId);
+  if (!profile) return null;
+
+  const { afterTax = true, otherIncome, taxExemptInterest, filingStatus, ...assumptions } = options;
+  const taxInputs = afterTax
+    ? await getTaxInputs(clientId, { otherIncome, taxExemptInterest, filingStatus })
+    : null;
+
+  return optimizeClaimingAge(profile, { ...assumptions, taxInputs });
+}
+
+/**
+ * Chart data for the claiming curve: present value by claiming month
+ */
+function toChartData(result) {
+  return {
+    labels: result.curve.map(p => p.claimAgeLabel),
+    presentValues: result.curve.map(p => p.presentValue),
+    afterTaxPresentValues: result.taxAssumptions ? result.curve.map(p => p.afterTaxPresentValue) : null,
+    monthlyBenefits: result.curve.map(p => p.monthlyBenefit),
+    optimalIndex: result.curve.findIndex(p => p.claimAgeMonths === result.optimal.claimAgeMonths),
+    fraIndex: result.curve.findIndex(p => p.claimAgeMonths === result.profile.fullRetirementAgeMonths)
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Joint (married couple) optimization
+// ----------------------------------------------------------------------------
+
+/**
+ * Normalize a social_security row into the fields the joint optimizer needs
+ *
+ * @param {Object} record - Row from the social_security table
+ * @returns {Object} { birthDate, pia, fraMonths, benefitAt(age) }
+ */
+function toBenefitProfile(record) {
+  const fraMonths = record.full_retirement_age || 67 * 12;
+  const fraYears = Math.floor(fraMonths / 12);
+  const pia = parseFloat(record.primary_insurance_amount) ||
+    parseFloat(record[`benefit_age_${fraYears}`]) ||
+    0;
+
+  return {
+    birthDate: record.birth_date,
+    pia,
+    fraMonths,
+    // Statement estimates win over the formula when present
+    benefitAt: (age) => {
+      const stated = parseFloat(record[`benefit_age_${age}`]);
+      return Number.isFinite(stated) && stated > 0 ? stated : calculateBenefitAtAge(pia, fraMonths, age * 12);
+    }
+  };
+}
+
+/**
+ * Household monthly benefits in a year, given both spouses' ages and claiming ages.
+ * Includes the spousal top-up (up to 50% of the other's PIA, once both have filed)
+ * and the survivor step-up after the first death.
+ */
+function householdBenefit(people, ages, claimAges, alive) {
+  let total = 0;
+
+  for (let i = 0; i < 2; i++) {
+    if (!alive[i]) continue;
+    const j = 1 - i;
+    const me = people[i];
+    const other = people[j];
+    const claimed = ages[i] >= claimAges[i];
+
+    if (alive[j]) {
+      if (!claimed) continue;
+      let benefit = me.benefitAt(claimAges[i]);
+
+      // Spousal top-up starts when both have filed
+      const excess = other.pia / 2 - me.pia;
+      if (excess > 0 && ages[j] >= claimAges[j]) {
+        const startAge = Math.max(claimAges[i], ages[i] - (ages[j] - claimAges[j]));
+        benefit += excess * getSpousalFactor(me.fraMonths, startAge * 12);
+      }
+      total += benefit;
+    } else {
+      // Survivor: keep the larger of own benefit and the survivor benefit, which
+      // starts when widowed (not before 60) with the reduction for that age
+      const widowedAge = ages[i] - (ages[j] - other.deathAge);
+      const startAge = Math.max(widowedAge * 12, SURVIVOR_EARLIEST_MONTHS);
+      const survivor = ages[i] * 12 >= startAge ? getSurvivorBenefit(other, claimAges[j], me, startAge) : 0;
+      const own = claimed ? me.benefitAt(claimAges[i]) : 0;
+      total += Math.max(own, survivor);
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Joint claiming-age optimization for a married couple
+ *
+ * Evaluates every pair of whole-year claiming ages from 62 (or current age) to 70,
+ * valuing household benefits (own, spousal and survivor) year by year until both
+ * have died at their life expectancies, with COLA and discounting. With
+ * taxInputs each year's household benefits are valued after federal tax (the
+ * survivor files single) and the recommendation uses that value, as
+ * optimizeClaimingAge does for one person.
+ *
+ * @param {Object} clientRecord - Client's social_security row
+ * @param {Object} spouseRecord - Spouse's social_security row
+ * @param {Object} options - { lifeExpectancy, spouseLifeExpectancy, discountRate, inflationRate, asOf,
+ *   taxInputs ({ otherIncome, taxExemptInterest, filingStatus }) }
+ * @returns {Object} { recommendation, grossRecommendation?, grid, people, assumptions, taxAssumptions }
+ */
+function calculateJointClaimingStrategy(clientRecord, spouseRecord, options = {}) {
+  const {
+    lifeExpectancy = 90,
+    spouseLifeExpectancy = 90,
+    discountRate = 0.03,
+    inflationRate = 0.025,
+    asOf = new Date()
+  } = options;
+  const taxInputs = options.taxInputs || null;
+
+  const people = [clientRecord, spouseRecord].map((record, i) => {
+    const profile = toBenefitProfile(record);
+    const currentAge = Math.floor(moment(asOf).diff(moment(profile.birthDate), 'years', true));
+    return { ...profile, currentAge, deathAge: i === 0 ? lifeExpectancy : spouseLifeExpectancy };
+  });
+
+  const claimOptions = people.map(p => {
+    const ages = [];
+    for (let age = Math.max(62, Math.min(70, p.currentAge)); age <= 70; age++) ages.push(age);
+    return ages;
+  });
+
+  const horizon = Math.max(...people.map(p => p.deathAge - p.currentAge));
+
+  // Tax on a year's household benefits; the survivor files single
+  const afterTaxShare = (annual, ages, alive, year) => {
+    const yearTaxInputs = alive[0] && alive[1] ? taxInputs : { ...taxInputs, filingStatus: 'single' };
+    const over65 = ages.filter((age, i) => alive[i] && age >= 65).length;
+    const taxpayers65OrOlder = yearTaxInputs.filingStatus === 'married_filing_jointly' ? over65 : Math.min(1, over65);
+    return getAfterTaxShare(annual, yearTaxInputs, year, inflationRate, taxpayers65OrOlder);
+  };
+
+  const evaluate = (claimAges) => {
+    let presentValue = 0;
+    let afterTaxPresentValue = 0;
+    let nominal = 0;
+    for (let year = 0; year < horizon; year++) {
+      const ages = people.map(p => p.currentAge + year);
+      const alive = people.map((p, i) => ages[i] < p.deathAge);
+      if (!alive[0] && !alive[1]) break;
+
+      const annual = householdBenefit(people, ages, claimAges, alive) * 12 * Math.pow(1 + inflationRate, year);
+      const discount = Math.pow(1 + discountRate, year);
+      nominal += annual;
+      presentValue += annual / discount;
+      if (taxInputs) afterTaxPresentValue += annual * afterTaxShare(annual, ages, alive, year) / discount;
+    }
+    return {
+      presentValue: Math.round(presentValue),
+      afterTaxPresentValue: Math.round(afterTaxPresentValue),
+      nominal: Math.round(nominal)
+    };
+  };
+
+  const grid = [];
+  claimOptions[0].forEach(clientAge => {
+    claimOptions[1].forEach(spouseAge => {
+      const { presentValue, afterTaxPresentValue, nominal } = evaluate([clientAge, spouseAge]);
+      grid.push({
+        clientClaimAge: clientAge,
+        spouseClaimAge: spouseAge,
+        clientMonthlyBenefit: Math.round(people[0].benefitAt(clientAge) * 100) / 100,
+        spouseMonthlyBenefit: Math.round(people[1].benefitAt(spouseAge) * 100) / 100,
+        jointPresentValue: presentValue,
+        ...(taxInputs && { jointAfterTaxPresentValue: afterTaxPresentValue }),
+        totalNominalBenefits: nominal
+      });
+    });
+  });
+
+  // Ranked after tax when tax inputs were given
+  const jointValue = (g) => g.jointAfterTaxPresentValue ?? g.jointPresentValue;
+  grid.sort((a, b) => jointValue(b) - jointValue(a));
+  const best = grid[0];
+  const grossBest = grid.reduce((max, g) => (g.jointPresentValue > max.jointPresentValue ? g : max), grid[0]);
+
+  // Compare with both claiming at full retirement age (or the nearest option)
+  const fraPair = people.map((p, i) => {
+    const fra = Math.round(p.fraMonths / 12);
+    return claimOptions[i].includes(fra) ? fra : claimOptions[i][0];
+  });
+  const atFra = grid.find(g => g.clientClaimAge === fraPair[0] && g.spouseClaimAge === fraPair[1]);
+
+  return {
+    recommendation: {
+      clientClaimAge: best.clientClaimAge,
+      spouseClaimAge: best.spouseClaimAge,
+      jointPresentValue: best.jointPresentValue,
+      ...(taxInputs && { jointAfterTaxPresentValue: best.jointAfterTaxPresentValue }),
+      basis: taxInputs ? 'after_tax' : 'gross',
+      gainVersusBothAtFra: atFra ? jointValue(best) - jointValue(atFra) : null
+    },
+    ...(taxInputs && {
+      grossRecommendation: {
+        clientClaimAge: grossBest.clientClaimAge,
+        spouseClaimAge: grossBest.spouseClaimAge,
+        jointPresentValue: grossBest.jointPresentValue,
+        jointAfterTaxPresentValue: grossBest.jointAfterTaxPresentValue
+      }
+    }),
+    grid,
+    people: people.map(p => ({
+      currentAge: p.currentAge,
+      primaryInsuranceAmount: p.pia,
+      fullRetirementAgeMonths: p.fraMonths,
+      lifeExpectancy: p.deathAge
+    })),
+    assumptions: {
+      lifeExpectancy,
+      spouseLifeExpectancy,
+      discountRate: (discountRate * 100).toFixed(1) + '%',
+      inflationRate: (inflationRate * 100).toFixed(1) + '%'
+    },
+    taxAssumptions: taxInputs
+      ? {
+        filingStatus: taxInputs.filingStatus,
+        otherIncome: taxInputs.otherIncome,
+        taxExemptInterest: taxInputs.taxExemptInterest || 0,
+        otherIncomeSource: taxInputs.source || 'override'
+      }
+      : null
+  };
+}
+
+module.exports = {
+  DEFAULT_ASSUMPTIONS,
+  getSpousalFactor,
+  getSurvivorFactor,
+  getSurvivorBenefit,
+  formatAge,
+  toClaimingProfile,
+  optimizeClaimingAge,
+  getClaimingProfile,
+  getClaimingCurve,
+  toChartData,
+  calculateJointClaimingStrategy
+};
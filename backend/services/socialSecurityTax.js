@@ -0,0 +1,227 @@
+/**
+ * Social Security Tax Estimator
+ * Provisional income and the taxable share of Social Security benefits
+ * (0%, 50% or up to 85%), the federal tax the benefits add on top of other
+ * retirement income, and after-tax present values of benefits.
+ *
+ * Other income is in today's dollars and assumed to grow with inflation, as
+ * do the brackets; the provisional income thresholds ($25,000/$34,000 single,
+ * $32,000/$44,000 joint) are fixed in law, so a growing share of benefits
+ * becomes taxable over time.
+ */
+
+const federalTax = require('./federalTax');
+const { buildInputs } = require('./retirementSimulator');
+const { getFilingStatus, DEFAULT_OPTIONS: WITHDRAWAL_DEFAULTS } = require('./withdrawalPlanner');
+
+// Share of the tax-deferred balance at retirement assumed withdrawn each year
+const DEFAULT_WITHDRAWAL_RATE = 0.04;
+
+/**
+ * Tax on a year of Social Security benefits
+ *
+ * @param {Object} params - {
+ *   annualBenefit: gross benefits for the year (nominal),
+ *   otherIncome: ordinary income such as tax-deferred withdrawals (today's dollars),
+ *   taxExemptInterest: municipal bond interest (today's dollars; counts toward provisional income),
+ *   filingStatus, taxpayers65OrOlder,
+ *   yearsFromNow, inflationRate
+ * }
+ * @returns {Object} Provisional income, taxable benefits and the tax the benefits add (nominal)
+ */
+function estimateBenefitTaxation({
+  annualBenefit,
+  otherIncome = 0,
+  taxExemptInterest = 0,
+  filingStatus = 'single',
+  taxpayers65OrOlder = 0,
+  yearsFromNow = 0,
+  inflationRate = 0
+}) {
+  const inflation = Math.pow(1 + inflationRate, yearsFromNow);
+  const otherNominal = otherIncome * inflation;
+  const exemptNominal = taxExemptInterest * inflation;
+
+  const provisionalIncome = otherNominal + exemptNominal + annualBenefit / 2;
+  const taxableBenefits = federalTax.calculateTaxableSocialSecurity(
+    annualBenefit,
+    otherNominal + exemptNominal,
+    filingStatus
+  );
+
+  // Brackets and deduction are indexed, so compare in today's dollars
+  const deduction = federalTax.getStandardDeduction(filingStatus, taxpayers65OrOlder);
+  const taxWithout = federalTax.calculateOrdinaryTax(Math.max(0, otherIncome - deduction), filingStatus);
+  const taxableWith = Math.max(0, otherIncome + taxableBenefits / inflation - deduction);
+  const taxWith = federalTax.calculateOrdinaryTax(taxableWith, filingStatus);
+  const taxOnBenefits = (taxWith - taxWithout) * inflation;
+
+  return {
+    provisionalIncome: Math.round(provisionalIncome),
+    taxableBenefits: Math.round(taxableBenefits),
+    taxablePercent: annualBenefit > 0 ? Math.round(taxableBenefits / annualBenefit * 1000) / 10 : 0,
+    taxOnBenefits: Math.round(taxOnBenefits),
+    marginalRate: federalTax.getMarginalRate(taxableWith, filingStatus),
+    afterTaxBenefit: Math.round(annualBenefit - taxOnBenefits)
+  };
+}
+
+/**
+ * Share of a year's benefits kept after federal tax
+ *
+ * @returns {number} 0-1
+ */
+function getAfterTaxShare(annualBenefit, taxInputs, yearsFromNow, inflationRate, taxpayers65OrOlder) {
+  if (annualBenefit <= 0) return 1;
+  const { taxOnBenefits } = estimateBenefitTaxation({
+    ...taxInputs,
+    annualBenefit,
+    taxpayers65OrOlder,
+    yearsFromNow,
+    inflationRate
+  });
+  return 1 - taxOnBenefits / annualBenefit;
+}
+
+/**
+ * Present value of benefits after federal tax
+ * Mirrors SocialSecurity.calculatePresentValue (annual payments from the
+ * claiming age to life expectancy, COLA, discounting) and taxes each year.
+ *
+ * @param {number} monthlyBenefit - Benefit at the claiming age, today's dollars
+ * @param {number} claimingAge - Age benefits start
+ * @param {number} currentAge - Current age
+ * @param {Object} assumptions - { lifeExpectancy, discountRate, inflationRate }
+ * @param {Object} taxInputs - { otherIncome, taxExemptInterest, filingStatus }
+ * @returns {Object} { presentValue, afterTaxPresentValue, lifetimeTax }
+ */
+function calculateAfterTaxPresentValue(monthlyBenefit, claimingAge, currentAge, assumptions, taxInputs) {
+  const { lifeExpectancy = 90, discountRate = 0.03, inflationRate = 0.025 } = assumptions;
+  const spouses = taxInputs.filingStatus === 'married_filing_jointly' ? 2 : 1;
+
+  let presentValue = 0;
+  let afterTaxPresentValue = 0;
+  let lifetimeTax = 0;
+  const yearsUntilClaiming = Math.max(0, claimingAge - currentAge);
+
+  for (let year = 0; year < lifeExpectancy - claimingAge; year++) {
+    const yearsFromNow = yearsUntilClaiming + year;
+    const annual = monthlyBenefit * 12 * Math.pow(1 + inflationRate, year);
+    const share = getAfterTaxShare(annual, taxInputs, yearsFromNow, inflationRate, claimingAge + year >= 65 ? spouses : 0);
+    const discount = Math.pow(1 + discountRate, yearsFromNow);
+
+    presentValue += annual / discount;
+    afterTaxPresentValue += annual * share / discount;
+    lifetimeTax += annual * (1 - share);
+  }
+
+  return {
+    presentValue: Math.round(presentValue),
+    afterTaxPresentValue: Math.round(afterTaxPresentValue),
+    lifetimeTax: Math.round(lifetimeTax)
+  };
+}
+
+/**
+ * Add after-tax values to SocialSecurity.calculateOptimalClaimingAge output and
+ * base the recommendation on after-tax present value
+ *
+ * @param {Object} result - Output of calculateOptimalClaimingAge
+ * @param {Object} assumptions - { currentAge, lifeExpectancy, discountRate, inflationRate }
+ * @param {Object} taxInputs - { otherIncome, taxExemptInterest, filingStatus }
+ * @returns {Object} Result with afterTaxPresentValue per age and grossRecommendation
+ */
+function addAfterTaxValues(result, assumptions, taxInputs) {
+  const analysis = result.analysis.map(entry => {
+    const values = calculateAfterTaxPresentValue(
+      entry.monthlyBenefit,
+      entry.claimingAge,
+      assumptions.currentAge,
+      assumptions,
+      taxInputs
+    );
+    return { ...entry, afterTaxPresentValue: values.afterTaxPresentValue, lifetimeTax: values.lifetimeTax };
+  });
+
+  const optimal = analysis.reduce((max, item) =>
+    item.afterTaxPresentValue > max.afterTaxPresentValue ? item : max
+  , analysis[0]);
+
+  return {
+    ...result,
+    analysis,
+    grossRecommendation: result.recommendation,
+    recommendation: optimal.claimingAge,
+    maxAfterTaxPresentValue: optimal.afterTaxPresentValue,
+    taxAssumptions: {
+      filingStatus: taxInputs.filingStatus,
+      otherIncome: taxInputs.otherIncome,
+      taxExemptInterest: taxInputs.taxExemptInterest || 0,
+      otherIncomeSource: taxInputs.source || 'override',
+      taxYear: federalTax.TAX_YEAR
+    }
+  };
+}
+
+/**
+ * Expected other retirement income: the tax-deferred balance grown to the
+ * retirement age (with contributions) times a withdrawal rate
+ *
+ * @param {string} clientId - Client UUID
+ * @returns {Promise<Object>} { otherIncome, source }
+ */
+async function estimateRetirementIncome(clientId) {
+  let built;
+  try {
+    built = await buildInputs(clientId);
+  } catch (error) {
+    // No balances or spending history yet; assume no other income
+    return { otherIncome: 0, source: 'none' };
+  }
+
+  const { inputs, assumptions } = built;
+  const years = Math.max(0, assumptions.retirementAge - Math.floor(inputs.currentAge));
+  const growth = Math.pow(1 + WITHDRAWAL_DEFAULTS.realReturn, years);
+  const contribution = inputs.annualContributions['tax-deferred'] || 0;
+  const deferredAtRetirement = inputs.startingBalances['tax-deferred'] * growth +
+    (WITHDRAWAL_DEFAULTS.realReturn > 0 ? contribution * (growth - 1) / WITHDRAWAL_DEFAULTS.realReturn : contribution * years);
+
+  return {
+    otherIncome: Math.round(deferredAtRetirement * DEFAULT_WITHDRAWAL_RATE),
+    source: 'tax_deferred_balances'
+  };
+}
+
+/**
+ * Tax inputs for a client, with request overrides
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} overrides - { otherIncome, taxExemptInterest, filingStatus }
+ * @returns {Promise<Object>} { otherIncome, taxExemptInterest, filingStatus, source }
+ */
+async function getTaxInputs(clientId, overrides = {}) {
+  const filingStatus = overrides.filingStatus || await getFilingStatus(clientId);
+
+  let otherIncome = overrides.otherIncome;
+  let source = 'override';
+  if (otherIncome === undefined) {
+    ({ otherIncome, source } = await estimateRetirementIncome(clientId));
+  }
+
+  return {
+    otherIncome,
+    taxExemptInterest: overrides.taxExemptInterest || 0,
+    filingStatus,
+    source
+  };
+}
+
+module.exports = {
+  DEFAULT_WITHDRAWAL_RATE,
+  estimateBenefitTaxation,
+  getAfterTaxShare,
+  calculateAfterTaxPresentValue,
+  addAfterTaxValues,
+  estimateRetirementIncome,
+  getTaxInputs
+};
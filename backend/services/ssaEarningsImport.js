@@ -0,0 +1,242 @@
+/**
+ * SSA Earnings Record Import
+ * Parses the earnings record XML downloaded from "my Social Security"
+ * (Earnings elements with FicaEarnings / MedicareEarnings per year), diffs it
+ * against the client's social_security_earnings rows, and on confirmation
+ * writes the rows and recomputes AIME, PIA and benefit estimates.
+ */
+
+const moment = require('moment');
+const { getDatabase } = require('../database-supabase');
+const socialSecurityCalculator = require('./socialSecurityCalculator');
+
+// SSA uses -1 for years that have not been posted yet
+const NOT_POSTED = -1;
+
+const decodeText = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&')
+  .trim();
+
+/**
+ * Text of the first element with a local name (namespace prefix ignored)
+ */
+function getElementText(xml, localName) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${localName}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`));
+  return match ? decodeText(match[1]) : null;
+}
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+const parseAmount = (text) => {
+  if (text === null || text === '') return null;
+  const value = parseFloat(String(text).replace(/[$,\s]/g, ''));
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Parse an SSA earnings record XML file
+ *
+ * @param {string} xml - File contents
+ * @returns {Object} { fileCreationDate, name, birthDate, earnings: [{ year, ssEarnings, medicareEarnings }], skipped }
+ * @throws {Error} When the file has no SSA earnings record
+ */
+function parseEarningsXml(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw new Error('XML content is required');
+  }
+  if (!/<(?:[\w-]+:)?Earnings\s/.test(xml) && !/<(?:[\w-]+:)?EarningsRecord[\s>]/.test(xml)) {
+    throw new Error('Not an SSA earnings record: no Earnings elements found');
+  }
+
+  const earnings = [];
+  const skipped = [];
+  const pattern = /<(?:[\w-]+:)?Earnings(\s[^>]*)?>([\s\S]*?)<\/(?:[\w-]+:)?Earnings>/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const attributes = match[1] || '';
+    const body = match[2];
+    const startYear = parseInt(getAttribute(attributes, 'startYear'));
+    const endYear = parseInt(getAttribute(attributes, 'endYear') || startYear);
+    const ssEarnings = parseAmount(getElementText(body, 'FicaEarnings'));
+    const medicareEarnings = parseAmount(getElementText(body, 'MedicareEarnings'));
+
+    if (!Number.isInteger(startYear)) {
+      skipped.push({ startYear: null, endYear: null, reason: 'Missing startYear' });
+      continue;
+    }
+    // Multi-year totals (e.g. 1937-1950) can't be attributed to single years
+    if (endYear !== startYear) {
+      skipped.push({ startYear, endYear, reason: 'Multi-year total' });
+      continue;
+    }
+    if (ssEarnings === null || ssEarnings === NOT_POSTED) {
+      skipped.push({ startYear, endYear, reason: 'Not yet posted' });
+      continue;
+    }
+
+    earnings.push({
+      year: startYear,
+      ssEarnings,
+      medicareEarnings: medicareEarnings === null || medicareEarnings === NOT_POSTED ? ssEarnings : medicareEarnings
+    });
+  }
+
+  if (earnings.length === 0 && skipped.length === 0) {
+    throw new Error('Not an SSA earnings record: no Earnings elements found');
+  }
+
+  const birthDate = getElementText(xml, 'DateOfBirth');
+  const fileCreationDate = getElementText(xml, 'FileCreationDate');
+
+  return {
+    fileCreationDate: fileCreationDate && moment(fileCreationDate).isValid()
+      ? moment(fileCreationDate).format('YYYY-MM-DD')
+      : null,
+    name: getElementText(xml, 'Name'),
+    birthDate: birthDate && moment(birthDate).isValid() ? moment(birthDate).format('YYYY-MM-DD') : null,
+    earnings: earnings.sort((a, b) => a.year - b.year),
+    skipped
+  };
+}
+
+/**
+ * Compare parsed earnings with existing social_security_earnings rows
+ *
+ * @param {Array} existingRows - Current rows for the client
+ * @param {Array} incoming - Parsed earnings ({ year, ssEarnings, medicareEarnings })
+ * @returns {Object} { rows: [{ year, status, existing, incoming }], summary }
+ *   status: added | changed | unchanged | not_in_file (kept as is)
+ */
+function diffEarnings(existingRows, incoming) {
+  const existingByYear = new Map(existingRows.map(row => [row.work_year, row]));
+  const incomingYears = new Set(incoming.map(e => e.year));
+  const rows = [];
+
+  incoming.forEach(entry => {
+    const row = existingByYear.get(entry.year);
+    const next = { ssEarnings: entry.ssEarnings, medicareEarnings: entry.medicareEarnings };
+
+    if (!row) {
+      rows.push({ year: entry.year, status: 'added', existing: null, incoming: next });
+      return;
+    }
+
+    const current = {
+      ssEarnings: parseFloat(row.taxed_social_security_earnings) || 0,
+      medicareEarnings: parseFloat(row.taxed_medicare_earnings) || 0
+    };
+    const changed = Math.abs(current.ssEarnings - next.ssEarnings) >= 0.01 ||
+      Math.abs(current.medicareEarnings - next.medicareEarnings) >= 0.01;
+
+    rows.push({ year: entry.year, status: changed ? 'changed' : 'unchanged', existing: current, incoming: next });
+  });
+
+  existingRows
+    .filter(row => !incomingYears.has(row.work_year))
+    .forEach(row => rows.push({
+      year: row.work_year,
+      status: 'not_in_file',
+      existing: {
+        ssEarnings: parseFloat(row.taxed_social_security_earnings) || 0,
+        medicareEarnings: parseFloat(row.taxed_medicare_earnings) || 0
+      },
+      incoming: null
+    }));
+
+  rows.sort((a, b) => a.year - b.year);
+
+  const summary = { added: 0, changed: 0, unchanged: 0, notInFile: 0 };
+  rows.forEach(row => {
+    if (row.status === 'not_in_file') summary.notInFile++;
+    else summary[row.status]++;
+  });
+
+  return { rows, summary };
+}
+
+/**
+ * Parse an earnings record and diff it against stored rows without writing
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string} xml - File contents
+ * @returns {Promise<Object>} { record: parsed file details, diff }
+ */
+async function previewEarningsImport(clientId, xml) {
+  const parsed = parseEarningsXml(xml);
+  const existing = await socialSecurityCalculator.getEarnings(clientId);
+
+  return {
+    record: {
+      name: parsed.name,
+      birthDate: parsed.birthDate,
+      fileCreationDate: parsed.fileCreationDate,
+      years: parsed.earnings.length,
+      skipped: parsed.skipped
+    },
+    diff: diffEarnings(existing, parsed.earnings)
+  };
+}
+
+/**
+ * Write an earnings record (added and changed years) and recompute AIME/PIA
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string} xml - File contents
+ * @returns {Promise<Object>} Preview fields plus { written, benefits }
+ */
+async function importEarnings(clientId, xml) {
+  const parsed = parseEarningsXml(xml);
+  const existing = await socialSecurityCalculator.getEarnings(clientId);
+  const diff = diffEarnings(existing, parsed.earnings);
+
+  const toWrite = diff.rows.filter(row => row.status === 'added' || row.status === 'changed');
+
+  if (toWrite.length > 0) {
+    const supabase = getDatabase();
+    const rows = toWrite.map(row => ({
+      ...socialSecurityCalculator.buildEarningsRow(clientId, row.year, row.incoming.ssEarnings, row.incoming.medicareEarnings),
+      source: 'earnings_xml'
+    }));
+
+    const { error } = await supabase
+      .from('social_security_earnings')
+      .upsert(rows, { onConflict: 'client_id,work_year' });
+
+    if (error) throw error;
+  }
+
+  const benefits = await socialSecurityCalculator.recomputeBenefits(clientId, {
+    birthDate: parsed.birthDate,
+    dataSource: 'earnings_xml',
+    statementDate: parsed.fileCreationDate
+  });
+
+  return {
+    record: {
+      name: parsed.name,
+      birthDate: parsed.birthDate,
+      fileCreationDate: parsed.fileCreationDate,
+      years: parsed.earnings.length,
+      skipped: parsed.skipped
+    },
+    diff,
+    written: toWrite.length,
+    benefits
+  };
+}
+
+module.exports = {
+  parseEarningsXml,
+  diffEarnings,
+  previewEarningsImport,
+  importEarnings
+};
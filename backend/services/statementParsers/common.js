@@ -0,0 +1,151 @@
+/**
+ * Shared helpers for custodian statement parsers
+ */
+
+const moment = require('moment');
+
+const DATE_FORMATS = ['MM/DD/YYYY', 'M/D/YYYY', 'MMMM D, YYYY', 'MMMM D YYYY', 'MMM D, YYYY', 'MMM D YYYY', 'YYYY-MM-DD'];
+
+// Tickers whose asset class can't be told from the name
+const BOND_TICKERS = [
+  'BND', 'BNDX', 'AGG', 'LQD', 'SCHP', 'SCHZ', 'TIP', 'VTIP', 'IGIB', 'MUB', 'VTEB',
+  'VBTLX', 'VBMFX', 'VGIT', 'FXNAX', 'VTABX'
+];
+const CASH_TICKERS = ['VMFXX', 'SPAXX', 'FDRXX', 'FZFXX', 'SWVXX', 'TIMXX', 'SNVXX'];
+
+/**
+ * Parse a currency string ("$1,234.56", "(12.00)") to a number
+ */
+function parseCurrency(str) {
+  if (!str) return 0;
+  const cleaned = str.toString().replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '-$1');
+  const num = parseFloat(cleaned);
+  return isNaN(num) ? 0 : num;
+}
+
+/**
+ * Mask an account number, keeping the last 4 digits
+ */
+function maskAccountNumber(accountNum) {
+  if (!accountNum) return null;
+  const cleaned = accountNum.toString().replace(/\D/g, '');
+  if (cleaned.length <= 4) return '****';
+  return '****' + cleaned.slice(-4);
+}
+
+/**
+ * Masked references to every account number in the text
+ */
+function findMaskedAccountRefs(text) {
+  const pattern = /account\s*(?:#|number|no\.?)?[:\s]*([A-Z0-9-]*\d[A-Z0-9-]{5,})/gi;
+  const refs = new Set();
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const masked = maskAccountNumber(match[1]);
+    if (masked) refs.add(masked);
+  }
+  return [...refs];
+}
+
+/**
+ * YYYY-MM-DD from a statement date string, or null
+ */
+function toIsoDate(str) {
+  if (!str) return null;
+  const date = moment(str.trim().replace(/\s+/g, ' '), DATE_FORMATS, true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+}
+
+/**
+ * First pattern match converted to a date; group 1 holds the date
+ */
+function extractDate(text, patterns) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    const date = match && toIsoDate(match[1]);
+    if (date) return date;
+  }
+  return null;
+}
+
+/**
+ * First pattern match converted to an amount; group 1 holds the amount
+ */
+function extractAmount(text, patterns) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    const amount = match ? parseCurrency(match[1]) : 0;
+    if (amount > 0) return amount;
+  }
+  return 0;
+}
+
+/**
+ * Holdings from table rows; the pattern's named groups are name/ticker,
+ * shares, price and value
+ *
+ * @param {string} text
+ * @param {RegExp} pattern - Global regex with named groups
+ * @param {Object} defaults - Fields for every holding (e.g. { type: 'etf' })
+ * @returns {Array} Holdings, first occurrence of each ticker/name only
+ */
+function parseHoldingRows(text, pattern, defaults = {}) {
+  const holdings = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const groups = match.groups || {};
+    const ticker = groups.ticker || null;
+    const name = (groups.name || ticker || '').trim().replace(/\s+/g, ' ');
+    const shares = groups.shares ? parseCurrency(groups.shares) : 0;
+    const price = groups.price ? parseCurrency(groups.price) : 0;
+    const value = parseCurrency(groups.value);
+
+    if (!name || value <= 0) continue;
+    if (holdings.some(h => (ticker && h.ticker === ticker) || h.name === name)) continue;
+
+    holdings.push({ name, ticker, shares, price, value, ...defaults });
+  }
+  return holdings;
+}
+
+/**
+ * stocks / bonds / cash / other for a holding
+ */
+function classifyHolding(holding) {
+  const ticker = (holding.ticker || '').toUpperCase();
+  const name = (holding.name || '').toLowerCase();
+  const type = (holding.type || '').toLowerCase();
+
+  if (type === 'cash' || CASH_TICKERS.includes(ticker) || /money\s*market|cash|sweep/.test(name)) return 'cash';
+  if (type === 'bond' || BOND_TICKERS.includes(ticker) || /bond|treasury|fixed\s*income|aggregate/.test(name)) return 'bonds';
+  if (['stock', 'etf', 'mutual_fund'].includes(type)) return 'stocks';
+  return 'other';
+}
+
+/**
+ * Asset allocation ({ stocks, bonds, cash, other }) from holdings plus
+ * uninvested cash
+ */
+function calculateAllocation(holdings, cashBalance = 0) {
+  const allocation = { stocks: 0, bonds: 0, cash: 0, other: 0 };
+  holdings.forEach(holding => {
+    allocation[classifyHolding(holding)] += holding.value;
+  });
+  allocation.cash += cashBalance;
+  Object.keys(allocation).forEach(key => {
+    allocation[key] = Math.round(allocation[key] * 100) / 100;
+  });
+  return allocation;
+}
+
+module.exports = {
+  parseCurrency,
+  maskAccountNumber,
+  findMaskedAccountRefs,
+  toIsoDate,
+  extractDate,
+  extractAmount,
+  parseHoldingRows,
+  classifyHolding,
+  calculateAllocation
+};
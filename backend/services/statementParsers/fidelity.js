@@ -0,0 +1,110 @@
+/**
+ * Fidelity statements: NetBenefits 401(k)/403(b) quarterly statements (often
+ * scanned, so the patterns tolerate OCR line breaks) and IRA/brokerage
+ * statements
+ */
+
+const { parseCurrency, extractDate, extractAmount, parseHoldingRows } = require('./common');
+
+const AMOUNT = '\\$?([\\d,]+\\.?\\d*)';
+
+// Contribution sources: the 4th amount on the row is the total account balance
+const SOURCE_ROW = `[^$]*${AMOUNT}\\s*${AMOUNT}\\s*\\d+%?\\s*${AMOUNT}\\s*${AMOUNT}`;
+const SOURCES = [
+  { pattern: new RegExp(`Employee\\s*(?:0\\s*)?Deferral\\s*${SOURCE_ROW}`, 'i'), name: 'Employee Deferral', taxTreatment: 'tax_deferred' },
+  { pattern: new RegExp(`Profit\\s*(?:Sharing)?${SOURCE_ROW}`, 'i'), name: 'Profit Sharing', taxTreatment: 'tax_deferred' },
+  { pattern: new RegExp(`Roth\\s*Rollover${SOURCE_ROW}`, 'i'), name: 'Roth Rollover', taxTreatment: 'tax_free' },
+  { pattern: new RegExp(`(?<!Your\\s)(?<!Roth\\s)Rollover${SOURCE_ROW}`, 'i'), name: 'Rollover', taxTreatment: 'tax_deferred' },
+  { pattern: new RegExp(`Roth\\s*(?:Deferral)?${SOURCE_ROW}`, 'i'), name: 'Roth Deferral', taxTreatment: 'tax_free' },
+  { pattern: new RegExp(`(?:Employer|Company)\\s*Match${SOURCE_ROW}`, 'i'), name: 'Employer Match', taxTreatment: 'tax_deferred' },
+  { pattern: new RegExp(`Safe\\s*Harbor${SOURCE_ROW}`, 'i'), name: 'Safe Harbor', taxTreatment: 'tax_deferred' },
+  { pattern: new RegExp(`After[\\s-]*Tax${SOURCE_ROW}`, 'i'), name: 'After-Tax', taxTreatment: 'taxable' }
+];
+
+// Plan fund rows: "FID 500 INDEX 100.000 110.000 180.00 200.00 18,000.00 22,000.00"
+// (shares and prices at the start and end of the period, then the two values)
+const PLAN_FUND_ROW = /(?<name>FID\s+[A-Za-z0-9 ]+?(?:K6|K|INDEX|FUND))\s+[\d,.]+\s+(?<shares>[\d,.]+)\s+[\d,.]+\s+(?<price>[\d,.]+)\s+\$?[\d,.]+\s+\$?(?<value>[\d,]+\.\d{2})/gi;
+
+// IRA/brokerage rows: "FXAIX FIDELITY 500 INDEX FUND 150.500 $185.50 $27,917.75"
+const POSITION_ROW = /(?<ticker>[A-Z]{1,5})\s+(?<name>[A-Z][A-Z0-9 &.-]+?)\s+(?<shares>[\d,]+\.\d+)\s+\$?(?<price>[\d,]+\.\d{2})\s+\$?(?<value>[\d,]+\.\d{2})/g;
+
+function parseWorkplacePlan(text) {
+  const statementDate = extractDate(text, [
+    /Statement\s*Period[:\s]*\d{1,2}\/\d{1,2}\/\d{4}\s*to\s*(\d{1,2}\/\d{1,2}\/\d{4})/i,
+    /(?:as of|through)\s*[:\s]*(\w+\s+\d{1,2},?\s*\d{4})/i
+  ]);
+
+  const totalBalance = extractAmount(text, [
+    new RegExp(`Ending\\s*Balance[:\\s]*${AMOUNT}`, 'i'),
+    new RegExp(`Total\\s*Account\\s*Balance[:\\s]*${AMOUNT}`, 'i')
+  ]);
+
+  const details = { contributions: {}, vesting: {}, sources: [] };
+
+  const vested = extractAmount(text, [new RegExp(`Vested\\s*Balance[:\\s]*${AMOUNT}`, 'i')]);
+  if (vested) {
+    details.vesting.vestedBalance = vested;
+    if (totalBalance > 0) details.vesting.percentage = Math.round(vested / totalBalance * 100);
+  }
+
+  [
+    ['employee', `Your\\s*Contributions[:\\s]*${AMOUNT}`],
+    ['employer', `Employer\\s*Contributions[:\\s]*${AMOUNT}`],
+    ['rollover', `(?:Your\\s*)?Rollover\\s*Contributions[:\\s]*${AMOUNT}`]
+  ].forEach(([key, source]) => {
+    const amount = extractAmount(text, [new RegExp(source, 'i')]);
+    if (amount) details.contributions[key] = amount;
+  });
+
+  // OCR splits the contribution summary across lines; flatten it first
+  const summary = text.match(/Your\s*Contribution\s*Summary[\s\S]*?(?=Your\s*Account\s*Activity|$)/i);
+  const summaryText = summary ? summary[0].replace(/\s+/g, ' ') : text;
+  SOURCES.forEach(source => {
+    const match = summaryText.match(source.pattern);
+    const balance = match ? parseCurrency(match[4]) : 0;
+    if (balance > 0 && !details.sources.some(s => s.name === source.name)) {
+      details.sources.push({ name: source.name, balance, taxTreatment: source.taxTreatment });
+    }
+  });
+
+  const market = text.match(/Market\s*Value\s*of\s*Your\s*Account[\s\S]*?(?=Your\s*Contribution\s*Elections|$)/i);
+  const holdingsText = market ? market[0].replace(/\s+/g, ' ') : text.replace(/\s+/g, ' ');
+  const holdings = parseHoldingRows(holdingsText, PLAN_FUND_ROW, { type: 'mutual_fund' });
+
+  return { statementDate, totalBalance, holdings, cashBalance: 0, details };
+}
+
+function parseBrokerage(text) {
+  const statementDate = extractDate(text, [
+    /Statement\s*Period[:\s]*\w+\s+\d{1,2},?\s*\d{4}\s*[-–]\s*(\w+\s+\d{1,2},?\s*\d{4})/i,
+    /(?:as of|through)\s*[:\s]*(\w+\s+\d{1,2},?\s*\d{4})/i
+  ]);
+
+  const totalBalance = extractAmount(text, [
+    new RegExp(`Ending\\s*(?:Account\\s*)?Value[:\\s]*${AMOUNT}`, 'i'),
+    new RegExp(`Total\\s*Account\\s*Value[:\\s]*${AMOUNT}`, 'i')
+  ]);
+
+  const cashBalance = extractAmount(text, [new RegExp(`Core\\s*Account[^$\\n]*${AMOUNT}`, 'i')]);
+  const holdings = parseHoldingRows(text, POSITION_ROW, { type: 'mutual_fund' })
+    .map(holding => (/ETF/i.test(holding.name) ? { ...holding, type: 'etf' } : holding));
+
+  return { statementDate, totalBalance, holdings, cashBalance, details: {} };
+}
+
+module.exports = {
+  id: 'fidelity',
+  custodian: 'Fidelity',
+  fingerprints: [/fidelity\s*(?:investments|brokerage\s*services|management\s*trust)|netbenefits/i],
+  accountTypes: [
+    { accountType: '401k', taxTreatment: 'tax_deferred', patterns: [/401\s*\(?\s*k\s*\)?/i] },
+    { accountType: '403b', taxTreatment: 'tax_deferred', patterns: [/403\s*\(?\s*b\s*\)?/i] },
+    { accountType: 'Roth_IRA', taxTreatment: 'tax_free', patterns: [/roth\s*ira/i] },
+    { accountType: 'Traditional_IRA', taxTreatment: 'tax_deferred', patterns: [/(?:traditional|rollover)\s*ira/i] },
+    { accountType: 'HSA', taxTreatment: 'tax_free', patterns: [/health\s*savings\s*account/i] },
+    { accountType: 'brokerage', taxTreatment: 'taxable', patterns: [] }
+  ],
+  parse(text, { accountType }) {
+    return ['401k', '403b'].includes(accountType) ? parseWorkplacePlan(text) : parseBrokerage(text);
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Fallback for statements no custodian parser recognizes: a statement date
+ * and ending balance from common wording, no holdings
+ */
+
+const { extractDate, extractAmount } = require('./common');
+
+const AMOUNT = '\\$?([\\d,]+\\.\\d{2})';
+
+module.exports = {
+  id: 'generic',
+  custodian: 'Unknown',
+  fingerprints: [],
+  accountTypes: [
+    { accountType: '401k', taxTreatment: 'tax_deferred', patterns: [/401\s*\(?\s*k\s*\)?/i] },
+    { accountType: 'Roth_IRA', taxTreatment: 'tax_free', patterns: [/roth\s*ira/i] },
+    { accountType: 'Traditional_IRA', taxTreatment: 'tax_deferred', patterns: [/\bira\b/i] },
+    { accountType: 'brokerage', taxTreatment: 'taxable', patterns: [] }
+  ],
+  parse(text) {
+    const statementDate = extractDate(text, [
+      /\b(?:as of|ending|through|to)\b\s*[:\s]*(\w+\s+\d{1,2},?\s*\d{4})/i,
+      /\b(?:as of|ending|through|to)\b\s*[:\s]*(\d{1,2}\/\d{1,2}\/\d{4})/i
+    ]);
+
+    const totalBalance = extractAmount(text, [
+      new RegExp(`total\\s*(?:account\\s*)?(?:balance|value)[:\\s]*${AMOUNT}`, 'i'),
+      new RegExp(`(?:ending|closing|current)\\s*(?:account\\s*)?(?:balance|value)[:\\s]*${AMOUNT}`, 'i')
+    ]);
+
+    return { statementDate, totalBalance, holdings: [], cashBalance: 0, details: {} };
+  }
+};
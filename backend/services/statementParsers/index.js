@@ -0,0 +1,209 @@
+/**
+ * Investment Statement Parser Registry
+ * Picks the custodian parser for a statement's text and normalizes its output
+ * into the holdings/balance shape stored in account_snapshots.
+ *
+ * A parser is a module exporting:
+ *   id            - unique key, e.g. 'schwab'
+ *   custodian     - name stored on investment_accounts.custodian
+ *   fingerprints  - regexes that must all match the text for the parser to apply
+ *   accountTypes  - [{ accountType, taxTreatment, patterns }], first entry whose
+ *                   patterns all match wins; the last entry (no patterns) is the default
+ *   parse(text, { accountType }) -> { statementDate, totalBalance, holdings, cashBalance, details }
+ *
+ * When several parsers match, the one with the most fingerprints wins (ties go
+ * to registration order). Statements no parser recognizes use the generic
+ * parser. Add a parser with a fixture in fixtures/statements and run
+ * `npm run test-statement-parsers`.
+ */
+
+const moment = require('moment');
+const pdfParse = require('pdf-parse');
+const { findMaskedAccountRefs, classifyHolding, calculateAllocation } = require('./common');
+const generic = require('./generic');
+
+const parsers = [];
+
+// A parsed total that differs from holdings plus cash by more than this is flagged
+const BALANCE_TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Add a custodian parser to the registry
+ *
+ * @param {Object} parser - See the module comment for the shape
+ */
+function registerParser(parser) {
+  if (!parser || !parser.id || !parser.custodian || typeof parser.parse !== 'function') {
+    throw new Error('Statement parser needs an id, custodian and parse function');
+  }
+  if (!Array.isArray(parser.fingerprints) || parser.fingerprints.length === 0) {
+    throw new Error(`Statement parser ${parser.id} needs at least one fingerprint`);
+  }
+  if (!Array.isArray(parser.accountTypes) || parser.accountTypes.length === 0) {
+    throw new Error(`Statement parser ${parser.id} needs at least one account type`);
+  }
+  if (parser.id === generic.id || parsers.some(p => p.id === parser.id)) {
+    throw new Error(`Statement parser ${parser.id} is already registered`);
+  }
+  parsers.push(parser);
+}
+
+/**
+ * Registered parsers (for the admin parser picker)
+ *
+ * @returns {Array} [{ id, custodian, accountTypes }]
+ */
+function listParsers() {
+  return [...parsers, generic].map(parser => ({
+    id: parser.id,
+    custodian: parser.custodian,
+    accountTypes: parser.accountTypes.map(type => type.accountType)
+  }));
+}
+
+/**
+ * The parser for a statement's text
+ *
+ * @param {string} text - Statement text
+ * @returns {Object} Parser module (generic when nothing matches)
+ */
+function detectParser(text) {
+  let best = null;
+  parsers.forEach(parser => {
+    if (!parser.fingerprints.every(pattern => pattern.test(text))) return;
+    if (!best || parser.fingerprints.length > best.fingerprints.length) best = parser;
+  });
+  return best || generic;
+}
+
+/**
+ * Account type and tax treatment of a statement
+ */
+function detectAccountType(parser, text) {
+  const match = parser.accountTypes.find(type => type.patterns.every(pattern => pattern.test(text)));
+  const { accountType, taxTreatment } = match || parser.accountTypes[parser.accountTypes.length - 1];
+  return { accountType, taxTreatment };
+}
+
+/**
+ * Normalize raw parser output for account_snapshots
+ */
+function normalize(raw, { parser, accountType, taxTreatment, text }) {
+  const warnings = [];
+
+  const holdings = (raw.holdings || []).map(holding => {
+    const shares = holding.shares || 0;
+    const value = round2(holding.value || 0);
+    const normalized = {
+      name: holding.name,
+      ticker: holding.ticker || null,
+      shares: Math.round(shares * 1000000) / 1000000,
+      price: holding.price || (shares > 0 ? round2(value / shares) : 0),
+      value,
+      type: holding.type || 'other'
+    };
+    return { ...normalized, assetClass: classifyHolding(normalized) };
+  });
+
+  const cashBalance = round2(raw.cashBalance || 0);
+  const holdingsTotal = round2(holdings.reduce((sum, h) => sum + h.value, 0) + cashBalance);
+  const totalBalance = round2(raw.totalBalance || holdingsTotal);
+
+  const assetAllocation = calculateAllocation(holdings, cashBalance);
+  if (holdings.length === 0 && totalBalance > holdingsTotal) {
+    // Balance without a holdings breakdown (e.g. a 401(k) summary page)
+    assetAllocation.other = round2(assetAllocation.other + totalBalance - holdingsTotal);
+  }
+
+  if (parser.id === generic.id) warnings.push('Custodian not recognized; only the date and balance were read');
+  if (!raw.statementDate) warnings.push('Statement date not found');
+  if (!totalBalance) warnings.push('Account balance not found');
+  if (holdings.length > 0 && Math.abs(totalBalance - holdingsTotal) > totalBalance * BALANCE_TOLERANCE) {
+    warnings.push(`Holdings and cash ($${holdingsTotal.toLocaleString()}) don't add up to the balance ($${totalBalance.toLocaleString()})`);
+  }
+
+  return {
+    parser: parser.id,
+    custodian: parser.custodian,
+    accountType,
+    taxTreatment,
+    snapshot: {
+      statementDate: raw.statementDate || null,
+      monthYear: raw.statementDate ? moment(raw.statementDate).format('YYYY-MM') : null,
+      totalBalance,
+      cashBalance,
+      holdings,
+      assetAllocation
+    },
+    details: raw.details || {},
+    maskedAccountRefs: findMaskedAccountRefs(text),
+    warnings
+  };
+}
+
+/**
+ * Parse statement text with the detected (or a forced) parser
+ *
+ * @param {string} text - Statement text
+ * @param {Object} options - { parser: parser id to force }
+ * @returns {Object} { parser, custodian, accountType, taxTreatment, snapshot, details, maskedAccountRefs, warnings }
+ */
+function parseStatementText(text, options = {}) {
+  let parser;
+  if (options.parser) {
+    parser = [...parsers, generic].find(p => p.id === options.parser);
+    if (!parser) throw new Error(`Unknown statement parser: ${options.parser}`);
+  } else {
+    parser = detectParser(text);
+  }
+
+  const { accountType, taxTreatment } = detectAccountType(parser, text);
+  const raw = parser.parse(text, { accountType });
+
+  return normalize(raw, { parser, accountType, taxTreatment, text });
+}
+
+/**
+ * Parse a statement PDF with a text layer
+ *
+ * @param {Buffer} buffer - PDF file
+ * @param {Object} options - { parser }
+ * @returns {Promise<Object>} parseStatementText output plus { pages, text }
+ */
+async function parseStatementPdf(buffer, options = {}) {
+  let pdfData;
+  try {
+    pdfData = await pdfParse(buffer);
+  } catch (error) {
+    throw new Error(`Could not read PDF: ${error.message}`);
+  }
+
+  if (!pdfData.text || !pdfData.text.trim()) {
+    throw new Error('No text found in PDF (scanned statements need OCR first)');
+  }
+
+  return {
+    ...parseStatementText(pdfData.text, options),
+    pages: pdfData.numpages,
+    text: pdfData.text
+  };
+}
+
+[
+  require('./fidelity'),
+  require('./vanguard'),
+  require('./schwab'),
+  require('./robinhood'),
+  require('./wealthfront')
+].forEach(registerParser);
+
+module.exports = {
+  registerParser,
+  listParsers,
+  detectParser,
+  detectAccountType,
+  parseStatementText,
+  parseStatementPdf
+};
@@ -0,0 +1,42 @@
+/**
+ * Robinhood brokerage monthly statements
+ * pdf-parse runs the portfolio summary columns together, e.g.
+ * "AMZNMargin0.332299$233.2200$77.50" (symbol, account type, qty, price, value)
+ */
+
+const { parseCurrency, extractDate, parseHoldingRows } = require('./common');
+
+const POSITION_ROW = /(?<ticker>[A-Z]{1,5})\s*(?:Margin|Cash)\s*(?<shares>[\d.]+)\s*\$(?<price>[\d,]+\.\d+)\s*\$(?<value>[\d,]+\.\d{2})/g;
+
+module.exports = {
+  id: 'robinhood',
+  custodian: 'Robinhood',
+  fingerprints: [/robinhood\s*(?:securities|markets|financial)/i],
+  accountTypes: [
+    { accountType: 'Roth_IRA', taxTreatment: 'tax_free', patterns: [/roth\s*ira/i] },
+    { accountType: 'Traditional_IRA', taxTreatment: 'tax_deferred', patterns: [/traditional\s*ira/i] },
+    { accountType: 'brokerage', taxTreatment: 'taxable', patterns: [] }
+  ],
+  parse(text) {
+    const statementDate = extractDate(text, [/\d{2}\/\d{2}\/\d{4}\s*to\s*(\d{2}\/\d{2}\/\d{4})/]);
+
+    // "Portfolio Value $1,724.37 $1,733.35" is opening then closing
+    let totalBalance = 0;
+    const portfolio = text.match(/Portfolio\s*Value\s*\$([\d,]+\.?\d*)\s*\$([\d,]+\.?\d*)/i);
+    if (portfolio) {
+      totalBalance = parseCurrency(portfolio[2]);
+    } else {
+      const priced = text.match(/Total\s*Priced\s*Portfolio\s*\$([\d,]+\.?\d*)/i);
+      if (priced) totalBalance = parseCurrency(priced[1]);
+    }
+
+    // Opening then closing when both columns are present
+    const cash = text.match(/Brokerage\s*Cash\s*Balance\s*\$([\d,]+\.?\d*)(?:\s*\$([\d,]+\.?\d*))?/i);
+    const cashBalance = cash ? parseCurrency(cash[2] || cash[1]) : 0;
+
+    const holdings = parseHoldingRows(text, POSITION_ROW, { type: 'stock' })
+      .map(holding => ({ ...holding, shares: Math.round(holding.shares * 1000000) / 1000000 }));
+
+    return { statementDate, totalBalance, holdings, cashBalance, details: {} };
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Charles Schwab brokerage and IRA statements
+ */
+
+const { toIsoDate, extractDate, extractAmount, parseHoldingRows } = require('./common');
+
+const AMOUNT = '\\$?([\\d,]+\\.\\d{2})';
+
+// Positions: "SCHB SCHWAB US BROAD MARKET ETF 100.0000 24.5100 2,451.00"
+const POSITION_ROW = /^(?<ticker>[A-Z]{1,5})\s+(?<name>[A-Z][A-Z0-9 &.,'-]+?)\s+(?<shares>[\d,]+\.\d{3,4})\s+\$?(?<price>[\d,]+\.\d{2,4})\s+\$?(?<value>[\d,]+\.\d{2})/gm;
+
+/**
+ * "Statement Period: November 1-30, 2025" names the year only once, after the range
+ */
+function extractStatementDate(text) {
+  const range = text.match(/Statement\s*Period[:\s]*(\w+)\s+\d{1,2}\s*[-–]\s*(\d{1,2}),\s*(\d{4})/i);
+  if (range) return toIsoDate(`${range[1]} ${range[2]}, ${range[3]}`);
+
+  return extractDate(text, [
+    /Statement\s*Period[:\s]*\w+\s+\d{1,2},?\s*\d{4}\s*(?:[-–]|to)\s*(\w+\s+\d{1,2},?\s*\d{4})/i,
+    /(?:as of|through)\s*[:\s]*(\w+\s+\d{1,2},?\s*\d{4})/i
+  ]);
+}
+
+module.exports = {
+  id: 'schwab',
+  custodian: 'Schwab',
+  fingerprints: [/charles\s*schwab|schwab\s*(?:one|brokerage|ira)/i],
+  accountTypes: [
+    { accountType: 'Roth_IRA', taxTreatment: 'tax_free', patterns: [/roth\s*(?:contributory\s*)?ira/i] },
+    { accountType: 'Traditional_IRA', taxTreatment: 'tax_deferred', patterns: [/(?:traditional|rollover|contributory)\s*ira/i] },
+    { accountType: 'brokerage', taxTreatment: 'taxable', patterns: [] }
+  ],
+  parse(text) {
+    const totalBalance = extractAmount(text, [
+      new RegExp(`Ending\\s*Account\\s*Value[:\\s]*${AMOUNT}`, 'i'),
+      new RegExp(`Total\\s*Account\\s*Value[:\\s]*${AMOUNT}`, 'i')
+    ]);
+
+    const cashBalance = extractAmount(text, [
+      new RegExp(`(?:Total\\s*)?Cash\\s*and\\s*Cash\\s*Investments[:\\s]*${AMOUNT}`, 'i')
+    ]);
+
+    const holdings = parseHoldingRows(text, POSITION_ROW, { type: 'stock' })
+      .map(holding => (/ETF|FUND|TRUST/i.test(holding.name) ? { ...holding, type: 'etf' } : holding));
+
+    return { statementDate: extractStatementDate(text), totalBalance, holdings, cashBalance, details: {} };
+  }
+};
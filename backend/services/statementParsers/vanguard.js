@@ -0,0 +1,49 @@
+/**
+ * Vanguard statements: brokerage/IRA quarterly statements and 401(k)
+ * participant statements
+ */
+
+const { extractDate, extractAmount, parseHoldingRows } = require('./common');
+
+const AMOUNT = '\\$?([\\d,]+\\.\\d{2})';
+
+// "Total Stock Market Index Admiral VTSAX 123.456 $140.25 $17,314.21"
+const FUND_ROW = /(?<name>[A-Z][A-Za-z0-9 &.-]+?)\s+(?<ticker>[A-Z]{2,5})\s+(?<shares>[\d,]+\.\d{3,4})\s+\$?(?<price>[\d,]+\.\d{2,4})\s+\$?(?<value>[\d,]+\.\d{2})/g;
+
+module.exports = {
+  id: 'vanguard',
+  custodian: 'Vanguard',
+  // Fund names ("Vanguard S&P 500 ETF") show up on other custodians' statements
+  fingerprints: [/vanguard\s*(?:brokerage\s*services|marketing\s*corporation|group)|vanguard\.com/i],
+  accountTypes: [
+    { accountType: '401k', taxTreatment: 'tax_deferred', patterns: [/401\s*\(?\s*k\s*\)?/i] },
+    { accountType: 'Roth_IRA', taxTreatment: 'tax_free', patterns: [/roth\s*ira/i] },
+    { accountType: 'Traditional_IRA', taxTreatment: 'tax_deferred', patterns: [/(?:traditional|rollover)\s*ira/i] },
+    { accountType: 'brokerage', taxTreatment: 'taxable', patterns: [] }
+  ],
+  parse(text) {
+    const statementDate = extractDate(text, [
+      /(?:statement\s*period|period)[:\s]*\w+\s+\d{1,2},?\s*\d{4}\s*(?:[-–]|through|to)\s*(\w+\s+\d{1,2},?\s*\d{4})/i,
+      /(?:as of|through)\s*[:\s]*(\w+\s+\d{1,2},?\s*\d{4})/i,
+      /(?:as of|through)\s*[:\s]*(\d{1,2}\/\d{1,2}\/\d{4})/i
+    ]);
+
+    const totalBalance = extractAmount(text, [
+      new RegExp(`Total\\s*account\\s*value[:\\s]*${AMOUNT}`, 'i'),
+      new RegExp(`Ending\\s*balance[:\\s]*${AMOUNT}`, 'i'),
+      new RegExp(`Total\\s*value[:\\s]*${AMOUNT}`, 'i')
+    ]);
+
+    const holdings = parseHoldingRows(text, FUND_ROW, { type: 'mutual_fund' })
+      .map(holding => (/ETF/i.test(holding.name) ? { ...holding, type: 'etf' } : holding));
+
+    const details = {};
+    const contributions = extractAmount(text, [
+      new RegExp(`(?:year[\\s-]*to[\\s-]*date|ytd)\\s*contributions?[:\\s]*${AMOUNT}`, 'i')
+    ]);
+    if (contributions) details.contributions = { ytd: contributions };
+
+    // The settlement fund (VMFXX) is listed with the holdings, so no separate cash balance
+    return { statementDate, totalBalance, holdings, cashBalance: 0, details };
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Wealthfront statements: Cash Account (HYSA), IRAs and taxable investing
+ * accounts
+ */
+
+const moment = require('moment');
+const { extractAmount, parseHoldingRows } = require('./common');
+
+const AMOUNT = '\\$?([\\d,]+\\.?\\d*)';
+
+// "VTI 15 $336.31 $5,044.65"
+const POSITION_ROW = /(?<ticker>[A-Z]{2,5})\s+(?<shares>[\d.]+)\s+\$(?<price>[\d,.]+)\s+\$(?<value>[\d,]+\.\d{2})/g;
+
+/**
+ * "Monthly Statement for November 1 - 30, 2025" -> 2025-11-30
+ */
+function extractStatementDate(text) {
+  const match = text.match(/Monthly\s*Statement\s*for\s*(\w+)\s*\d+\s*[-–]\s*(\d+),?\s*(\d{4})/i);
+  if (!match) return null;
+  const date = moment(`${match[1]} ${match[2]} ${match[3]}`, 'MMMM D YYYY', true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+}
+
+function parseCashAccount(text) {
+  const totalBalance = extractAmount(text, [
+    new RegExp(`Ending\\s*Balance\\s*${AMOUNT}`, 'i'),
+    new RegExp(`Total\\s*Holdings\\s*${AMOUNT}`, 'i')
+  ]);
+
+  const details = {};
+  const apy = text.match(/(\d+\.?\d*)\s*%\s*apy/i);
+  if (apy) details.apy = parseFloat(apy[1]);
+  const interest = extractAmount(text, [new RegExp(`Interest\\s*(?:Earned|Paid)?\\s*${AMOUNT}`, 'i')]);
+  if (interest && interest < totalBalance) details.interestEarned = interest;
+
+  return {
+    statementDate: extractStatementDate(text),
+    totalBalance,
+    holdings: [],
+    cashBalance: totalBalance,
+    details
+  };
+}
+
+function parseInvestmentAccount(text) {
+  const ending = extractAmount(text, [new RegExp(`Ending\\s*Balance\\s*${AMOUNT}`, 'i')]);
+  const holdingsTotal = extractAmount(text, [new RegExp(`Total\\s*Holdings\\s*${AMOUNT}`, 'i')]);
+
+  const holdings = parseHoldingRows(text, POSITION_ROW, { type: 'etf' });
+
+  const details = {};
+  const contributions = extractAmount(text, [
+    new RegExp(`(?:ytd|year[\\s-]*to[\\s-]*date)\\s*contributions?[:\\s]*${AMOUNT}`, 'i')
+  ]);
+  if (contributions) details.contributions = { ytd: contributions };
+
+  return {
+    statementDate: extractStatementDate(text),
+    totalBalance: Math.max(ending, holdingsTotal),
+    holdings,
+    cashBalance: 0,
+    details
+  };
+}
+
+module.exports = {
+  id: 'wealthfront',
+  custodian: 'Wealthfront',
+  fingerprints: [/wealthfront/i],
+  accountTypes: [
+    { accountType: 'Roth_IRA', taxTreatment: 'tax_free', patterns: [/roth\s*ira/i] },
+    { accountType: 'Traditional_IRA', taxTreatment: 'tax_deferred', patterns: [/traditional\s*ira/i] },
+    { accountType: 'HYSA', taxTreatment: 'taxable', patterns: [/(?:individual\s*)?cash\s*account|bank\s*sweep/i] },
+    { accountType: 'brokerage', taxTreatment: 'taxable', patterns: [] }
+  ],
+  parse(text, { accountType }) {
+    return accountType === 'HYSA' ? parseCashAccount(text) : parseInvestmentAccount(text);
+  }
+};
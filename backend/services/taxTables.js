@@ -0,0 +1,72 @@
+/**
+ * Tax Tables
+ * Loads the federal tax tables kept in data/tax-tables/<year>.json: ordinary
+ * and capital gains brackets, standard deductions and FICA rates/wage base.
+ *
+ * Each file carries a `version` that is bumped whenever its amounts are
+ * corrected (e.g. a mid-year law change) and a `source` citing where they
+ * came from. Add a new file each year rather than editing an old one.
+ * Bracket upper bounds of null mean "no limit".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TABLES_DIR = path.join(__dirname, '..', 'data', 'tax-tables');
+
+const cache = new Map();
+
+const toBrackets = (brackets) => Object.fromEntries(
+  Object.entries(brackets).map(([status, rows]) => [
+    status,
+    rows.map(([upper, rate]) => [upper === null ? Infinity : upper, rate])
+  ])
+);
+
+/**
+ * Tax years that have a table file
+ *
+ * @returns {Array<number>} Years, ascending
+ */
+function getAvailableYears() {
+  return fs.readdirSync(TABLES_DIR)
+    .filter(file => /^\d{4}\.json$/.test(file))
+    .map(file => parseInt(file, 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Tax tables for a year; years without a file use the closest earlier year
+ * (or the earliest year for years before the first file)
+ *
+ * @param {number} taxYear
+ * @returns {Object} {
+ *   taxYear: year of the tables used, requestedYear, version, source,
+ *   ordinaryBrackets, capitalGainsBrackets, standardDeduction,
+ *   additionalDeduction65, fica
+ * }
+ */
+function getTaxTables(taxYear) {
+  const years = getAvailableYears();
+  if (years.length === 0) {
+    throw new Error(`No tax tables found in ${TABLES_DIR}`);
+  }
+  const year = years.filter(y => y <= taxYear).pop() || years[0];
+
+  if (!cache.has(year)) {
+    const raw = JSON.parse(fs.readFileSync(path.join(TABLES_DIR, `${year}.json`), 'utf8'));
+    cache.set(year, {
+      ...raw,
+      ordinaryBrackets: toBrackets(raw.ordinaryBrackets),
+      capitalGainsBrackets: toBrackets(raw.capitalGainsBrackets)
+    });
+  }
+
+  return { ...cache.get(year), requestedYear: taxYear };
+}
+
+module.exports = {
+  TABLES_DIR,
+  getAvailableYears,
+  getTaxTables
+};
@@ -1,6 +1,9 @@
 const { createPlaidClient } = require('../utils/plaidConfig');
 const Client = require('../models-supabase/Client');
 const MonthlySummary = require('../models-supabase/MonthlySummary');
+const { DEFAULT_RULES, findMatchingRule } = require('./categorizationRules');
+const { getAllocations } = require('./transactionSplits');
+const transferMatcher = require('./transferMatcher');
 const moment = require('moment');
 
 // Initialize Plaid client
@@ -8,8 +11,9 @@ const plaidClient = createPlaidClient();
 
 class TransactionProcessor {
   
-  // Map Plaid categories to your expense categories
-  static categorizeTransaction(transaction, accountType = null) {
+  // Map a transaction to one of your expense categories using the categorization rules.
+  // Pass the client's rule set (categorizationRules.getRulesForClient); defaults to the built-in rules.
+  static categorizeTransaction(transaction, accountType = null, { rules = DEFAULT_RULES, accountSubtype = null } = {}) {
     const plaidCategory = transaction.category ? transaction.category[0] : 'Other';
     const subCategory = transaction.category ? transaction.category[1] : '';
     const merchantName = (transaction.merchant_name || transaction.name || '').toLowerCase();
@@ -54,81 +58,18 @@ class TransactionProcessor {
       return { category: 'income', subCategory: 'income', amount: amount };
     }
 
-    let finalCategory = 'uncategorized';
+    // Apply the first matching categorization rule (client, advisor, then global rules)
+    const matchedRule = findMatchingRule(rules, transaction, { accountType, accountSubtype });
+    const finalCategory = matchedRule ? matchedRule.category : 'uncategorized';
 
-    // Combine merchant name and transaction name for searching
-    const transactionName = (transaction.merchant_name || transaction.name || '').toLowerCase();
-    const searchName = transactionName;
-    
-    // Map to your specific categories
-    if (searchName.includes('rent') || searchName.includes('mortgage') || 
-        searchName.includes('property tax')) {
-      finalCategory = 'housing';
-    }
-    else if (searchName.includes('electric') || searchName.includes('gas company') ||
-             searchName.includes('water') || searchName.includes('internet') ||
-             searchName.includes('phone') || searchName.includes('cable')) {
-      finalCategory = 'billAndUtilities';
-    }
-    else if (searchName.includes('uber') || searchName.includes('lyft') ||
-             searchName.includes('parking')) {
-      finalCategory = 'autoAndTransport';
-    }
-    else if (searchName.includes('gas') && !searchName.includes('gas company')) {
-      finalCategory = 'autoAndTransport';
-    }
-    else if (searchName.includes('insurance') || searchName.includes('allstate') ||
-             searchName.includes('geico')) {
-      finalCategory = 'insurance';
-    }
-    else if (searchName.includes('credit card') && 
-             (searchName.includes('payment') || searchName.includes('pay'))) {
-      finalCategory = 'loanPayment';
-    }
-    else if (searchName.includes('loan') || searchName.includes('payment -')) {
-      finalCategory = 'loanPayment';
-    }
-    else if (searchName.includes('grocery') || searchName.includes('supermarket')) {
-      finalCategory = 'groceries';
-    }
-    else if (searchName.includes('doctor') || searchName.includes('pharmacy') ||
-             searchName.includes('gym') || searchName.includes('fitness')) {
-      finalCategory = 'healthAndFitness';
-    }
-    // Shopping/retail
-    else if (searchName.includes('amazon') || searchName.includes('target') ||
-             searchName.includes('sparkfun') || searchName.includes('shop') ||
-             searchName.includes('bicycle') || searchName.includes('store')) {
-      finalCategory = 'shopping';
-    }
-    // Dining out
-    else if (searchName.includes('restaurant') || searchName.includes('mcdonald') ||
-             searchName.includes("mcdonald's") || searchName.includes('starbucks') ||
-             searchName.includes('kfc') || searchName.includes('kentucky fried')) {
-      finalCategory = 'diningOut';
-    }
-    else if (searchName.includes('netflix') || searchName.includes('spotify') ||
-             searchName.includes('movie')) {
-      finalCategory = 'entertainment';
-    }
-    // Travel
-    else if (searchName.includes('airline') || searchName.includes('airlines') ||
-             searchName.includes('united airlines') || searchName.includes('hotel')) {
-      finalCategory = 'travel';
-    }
-    // Recreation/activities
-    else if (searchName.includes('climbing') || searchName.includes('touchstone')) {
-      finalCategory = 'entertainment';
-    }
-    else if (searchName.includes('church') || searchName.includes('charity')) {
-      finalCategory = 'charitableGiving';
-    }
-    else if (searchName.includes('fee') || searchName.includes('charge') ||
-             searchName.includes('overdraft') || searchName.includes('intrst')) {
-      finalCategory = 'feeAndCharges';
-    }
-
-    return { category: 'expense', subCategory: finalCategory, amount: amount };
+    return {
+      category: 'expense',
+      subCategory: finalCategory,
+      amount: amount,
+      ruleId: matchedRule ? matchedRule.id : null,
+      ruleName: matchedRule ? matchedRule.name : null,
+      ruleScope: matchedRule ? matchedRule.scope : null
+    };
   }
 
   // Process transactions for a specific client and month
@@ -216,6 +157,13 @@ class TransactionProcessor {
         transactionsProcessed: 0
       };
 
+      // Pair up transfers between the client's own accounts before totalling
+      try {
+        await transferMatcher.matchTransfersForMonth(clientId, month);
+      } catch (error) {
+        console.error('⚠️ Transfer matching failed, continuing without it:', error.message);
+      }
+
       // Fetch transactions from database instead of Plaid API
       // This uses the transactions that were already synced via transactionsSync
       const Transaction = require('../models-supabase/Transaction');
@@ -227,12 +175,17 @@ class TransactionProcessor {
       console.log(`📄 Found ${transactions.length} unique transactions in database for ${month}`);
 
       // Process transactions from database
-      // Include ALL transactions regardless of isReviewed status
+      // Include ALL transactions regardless of isReviewed status,
+      // except internal transfers which would count as both income and expense
+      let transfersExcluded = 0;
       for (const transaction of transactions) {
+        if (transferMatcher.isInternalTransfer(transaction)) {
+          transfersExcluded++;
+          continue;
+        }
+
         const accountType = transaction.accountType || null;
         const amount = Math.abs(transaction.amount);
-        // Prioritize userCategory (from review) over suggestedCategory
-        const category = transaction.userCategory || transaction.suggestedCategory || 'uncategorized';
         
         // Determine if income or expense based on account type and amount sign
         let isIncome = false;
@@ -254,21 +207,27 @@ class TransactionProcessor {
         if (isIncome) {
           monthlyData.cashFlow.income += amount;
         } else {
-          // Map category to correct field name
-          if (category === 'billAndUtilities') {
-            monthlyData.cashFlow.billAndUtilities += amount;
-          } else if (category === 'autoAndTransport') {
-            monthlyData.cashFlow.autoAndTransport += amount;
-          } else if (category === 'healthAndFitness') {
-            monthlyData.cashFlow.healthAndFitness += amount;
-          } else if (category === 'feeAndCharges') {
-            monthlyData.cashFlow.feeAndCharges += amount;
-          } else if (category === 'miscellaneous') {
-            monthlyData.cashFlow.misc += amount;
-          } else if (monthlyData.cashFlow[category] !== undefined) {
-            monthlyData.cashFlow[category] += amount;
-          } else {
-            monthlyData.cashFlow.uncategorized += amount;
+          // Split transactions contribute each allocation to its own category;
+          // unsplit ones use userCategory (from review) over suggestedCategory
+          for (const allocation of getAllocations(transaction)) {
+            const category = allocation.category;
+
+            // Map category to correct field name
+            if (category === 'billAndUtilities') {
+              monthlyData.cashFlow.billAndUtilities += allocation.amount;
+            } else if (category === 'autoAndTransport') {
+              monthlyData.cashFlow.autoAndTransport += allocation.amount;
+            } else if (category === 'healthAndFitness') {
+              monthlyData.cashFlow.healthAndFitness += allocation.amount;
+            } else if (category === 'feeAndCharges') {
+              monthlyData.cashFlow.feeAndCharges += allocation.amount;
+            } else if (category === 'miscellaneous') {
+              monthlyData.cashFlow.misc += allocation.amount;
+            } else if (monthlyData.cashFlow[category] !== undefined) {
+              monthlyData.cashFlow[category] += allocation.amount;
+            } else {
+              monthlyData.cashFlow.uncategorized += allocation.amount;
+            }
           }
         }
       }
@@ -354,6 +313,9 @@ class TransactionProcessor {
       );
 
       console.log(`✅ Successfully processed ${transactions.length} transactions for ${month}`);
+      if (transfersExcluded > 0) {
+        console.log(`🔁 Excluded ${transfersExcluded} internal transfer transactions`);
+      }
       console.log(`💰 Income: $${monthlyData.cashFlow.income.toFixed(2)}`);
       console.log(`💸 Expenses: $${monthlyData.cashFlow.totalExpenses.toFixed(2)}`);
       console.log(`💎 Net Worth: $${monthlyData.netWorth.netWorth.toFixed(2)}`);
@@ -389,6 +351,31 @@ class TransactionProcessor {
       throw error;
     }
   }
+
+  // Set the reviewed category for one transaction and remember the decision
+  // so future syncs suggest it for the same merchant
+  static async updateTransactionCategory(clientId, transactionId, category) {
+    const Transaction = require('../models-supabase/Transaction');
+    const categoryLearning = require('./categoryLearning');
+
+    const transaction = await Transaction.findOneAndUpdate(
+      { clientId, plaidTransactionId: transactionId },
+      { userCategory: category, isReviewed: true }
+    );
+
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+
+    try {
+      await categoryLearning.recordReviews(clientId, [transaction]);
+    } catch (error) {
+      // Learning is best-effort; the category itself has been saved
+      console.error('⚠️ Could not record category correction:', error.message);
+    }
+
+    return transaction;
+  }
 }
 
 module.exports = TransactionProcessor;
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Transaction Splits Service
+ * Allocates a single transaction across several categories and turns
+ * any transaction (split or not) into category allocations for reporting.
+ */
+
+const { EXPENSE_CATEGORIES } = require('./categorizationRules');
+
+// Allowed rounding difference between the allocations and the transaction amount
+const SPLIT_TOLERANCE = 0.01;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate split allocations for a transaction
+ *
+ * @param {Object} transaction - Transaction model (needs amount)
+ * @param {Array} splits - [{ category, amount, note? }]
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSplits(transaction, splits) {
+  if (!Array.isArray(splits)) {
+    return 'splits must be an array';
+  }
+
+  // An empty array removes the split
+  if (splits.length === 0) return null;
+
+  if (splits.length < 2) {
+    return 'A split needs at least two allocations';
+  }
+
+  for (const split of splits) {
+    if (!split || typeof split.category !== 'string' || !split.category.trim()) {
+      return 'Every allocation needs a category';
+    }
+    if (!EXPENSE_CATEGORIES.includes(split.category.trim())) {
+      return `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`;
+    }
+    const amount = Number(split.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return 'Allocation amounts must be positive numbers';
+    }
+  }
+
+  const total = splits.reduce((sum, split) => sum + Number(split.amount), 0);
+  const expected = Math.abs(transaction.amount);
+
+  if (Math.abs(total - expected) > SPLIT_TOLERANCE) {
+    return `Allocations total ${roundCents(total).toFixed(2)} but the transaction is ${expected.toFixed(2)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Clean up validated allocations for storage (trimmed, rounded to cents).
+ * Any rounding remainder is absorbed by the largest allocation so the
+ * stored amounts sum exactly to the transaction amount.
+ *
+ * @param {Object} transaction - Transaction model (needs amount)
+ * @param {Array} splits - Validated allocations
+ * @returns {Array} Normalized allocations
+ */
+function normalizeSplits(transaction, splits) {
+  if (!splits || splits.length === 0) return [];
+
+  const normalized = splits.map(split => ({
+    category: split.category.trim(),
+    amount: roundCents(Number(split.amount)),
+    note: split.note ? String(split.note).trim() : null
+  }));
+
+  const total = normalized.reduce((sum, split) => sum + split.amount, 0);
+  const remainder = roundCents(Math.abs(transaction.amount) - total);
+  if (remainder !== 0) {
+    const largest = normalized.reduce((max, split) => (split.amount > max.amount ? split : max));
+    largest.amount = roundCents(largest.amount + remainder);
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the category of the largest allocation (stored as the transaction's
+ * user category so single-category views still show something sensible)
+ *
+ * @param {Array} splits - Normalized allocations
+ * @returns {string|null} Category
+ */
+function getPrimaryCategory(splits) {
+  if (!splits || splits.length === 0) return null;
+
+  return splits.reduce((max, split) => (split.amount > max.amount ? split : max)).category;
+}
+
+/**
+ * Get the category allocations for a transaction.
+ * Unsplit transactions return a single allocation for the full amount.
+ * Accepts Transaction models (camelCase) and raw rows (snake_case).
+ *
+ * @param {Object} transaction - Transaction model or row
+ * @returns {Array} [{ category, amount }] with positive amounts
+ */
+function getAllocations(transaction) {
+  const splits = transaction.splits;
+
+  if (Array.isArray(splits) && splits.length > 0) {
+    return splits.map(split => ({
+      category: split.category || 'uncategorized',
+      amount: Math.abs(parseFloat(split.amount) || 0)
+    }));
+  }
+
+  const category = transaction.finalCategory ||
+    transaction.userCategory || transaction.user_category ||
+    transaction.suggestedCategory || transaction.suggested_category ||
+    'uncategorized';
+
+  return [{ category, amount: Math.abs(parseFloat(transaction.amount) || 0) }];
+}
+
+module.exports = {
+  SPLIT_TOLERANCE,
+  validateSplits,
+  normalizeSplits,
+  getPrimaryCategory,
+  getAllocations
+};
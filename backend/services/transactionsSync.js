@@ -2,6 +2,8 @@ const { createPlaidClient } = require('../utils/plaidConfig');
 const Client = require('../models-supabase/Client');
 const Transaction = require('../models-supabase/Transaction');
 const TransactionProcessor = require('./transactionProcessor');
+const { getRulesForClient } = require('./categorizationRules');
+const categoryLearning = require('./categoryLearning');
 const moment = require('moment');
 
 // Initialize Plaid client
@@ -227,12 +229,21 @@ async function syncTransactionsForItem(clientId, plaidConnection, client) {
     }
   }
 
+  // Load the client's categorization rules once for every transaction in this item
+  const rules = await getRulesForClient(clientId, client?.advisorId);
+  // ...and what was learned from earlier review corrections
+  const learnedCategories = await categoryLearning.loadMemory(clientId, client?.advisorId);
+
   // Process added transactions
   let addedCount = 0;
   for (const transaction of added) {
     try {
       const accountType = accountTypeMap[transaction.account_id] || null;
-      const categorized = TransactionProcessor.categorizeTransaction(transaction, accountType);
+      const categorized = TransactionProcessor.categorizeTransaction(transaction, accountType, {
+        rules,
+        accountSubtype: accountSubtypeMap[transaction.account_id] || null
+      });
+      const suggestion = categoryLearning.applyLearning(categorized, learnedCategories, transaction);
       
       const monthYear = moment(transaction.date).format('YYYY-MM');
 
@@ -258,7 +269,10 @@ async function syncTransactionsForItem(clientId, plaidConnection, client) {
           detailed: transaction.personal_finance_category.detailed,
           confidence: transaction.personal_finance_category.confidence
         } : null,
-        suggestedCategory: categorized.subCategory,
+        suggestedCategory: suggestion.suggestedCategory,
+        categorySource: suggestion.categorySource,
+        categoryConfidence: suggestion.categoryConfidence,
+        categoryExplanation: suggestion.categoryExplanation,
         userCategory: null,
         isReviewed: false,
         monthYear,
@@ -285,7 +299,11 @@ async function syncTransactionsForItem(clientId, plaidConnection, client) {
   for (const transaction of modified) {
     try {
       const accountType = accountTypeMap[transaction.account_id] || null;
-      const categorized = TransactionProcessor.categorizeTransaction(transaction, accountType);
+      const categorized = TransactionProcessor.categorizeTransaction(transaction, accountType, {
+        rules,
+        accountSubtype: accountSubtypeMap[transaction.account_id] || null
+      });
+      const suggestion = categoryLearning.applyLearning(categorized, learnedCategories, transaction);
       
       const monthYear = moment(transaction.date).format('YYYY-MM');
 
@@ -307,7 +325,10 @@ async function syncTransactionsForItem(clientId, plaidConnection, client) {
           detailed: transaction.personal_finance_category.detailed,
           confidence: transaction.personal_finance_category.confidence
         } : null,
-        suggestedCategory: categorized.subCategory,
+        suggestedCategory: suggestion.suggestedCategory,
+        categorySource: suggestion.categorySource,
+        categoryConfidence: suggestion.categoryConfidence,
+        categoryExplanation: suggestion.categoryExplanation,
         monthYear,
         institution: plaidConnection.institutionName
       };
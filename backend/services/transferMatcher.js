@@ -0,0 +1,196 @@
+/**
+ * Transfer Matcher Service
+ * Pairs opposite-signed transactions of equal amount across a client's own
+ * accounts (checking -> savings, credit card payments) and flags them as
+ * internal transfers so they are left out of cash-flow totals.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const Transaction = require('../models-supabase/Transaction');
+
+// Maximum number of days between the two sides of a transfer
+const DEFAULT_WINDOW_DAYS = 3;
+
+// Amounts must match to the cent
+const AMOUNT_TOLERANCE = 0.005;
+
+const TRANSFER_PFC_PRIMARY = ['TRANSFER_IN', 'TRANSFER_OUT', 'LOAN_PAYMENTS'];
+const TRANSFER_NAME_PATTERN = /transfer|xfer|payment|autopay|online banking|from (checking|savings)|to (checking|savings)/i;
+
+/**
+ * Check whether a transaction is part of an active internal transfer pair.
+ * Accepts Transaction models (camelCase) and raw rows (snake_case).
+ *
+ * @param {Object} transaction - Transaction model or row
+ * @returns {boolean} True if it should be left out of cash flow
+ */
+function isInternalTransfer(transaction) {
+  const pairId = transaction.transferPairId || transaction.transfer_pair_id;
+  const status = transaction.transferStatus || transaction.transfer_status;
+
+  return !!pairId && status !== 'broken';
+}
+
+/**
+ * Does a transaction look like money moving between accounts?
+ * Used so a coincidental $20 charge and $20 deposit are not paired.
+ */
+function looksLikeTransfer(transaction) {
+  const pfc = transaction.personalFinanceCategory;
+  if (pfc && TRANSFER_PFC_PRIMARY.includes(pfc.primary)) return true;
+
+  if (['credit', 'loan'].includes(transaction.accountType)) return true;
+
+  return TRANSFER_NAME_PATTERN.test(`${transaction.name || ''} ${transaction.merchantName || ''}`);
+}
+
+/**
+ * Find transfer pairs in a list of transactions.
+ * Only unpaired, unsplit transactions are considered. Each transaction is
+ * paired with the closest-dated opposite transaction of the same amount on a
+ * different account, and at least one side must look like a transfer.
+ *
+ * @param {Array} transactions - Transaction models
+ * @param {Object} options - { windowDays }
+ * @returns {Array} [{ transactions: [a, b], amount, daysApart }]
+ */
+function findTransferPairs(transactions, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  const candidates = transactions
+    .filter(t => !t.transferStatus && t.accountId && t.amount !== 0)
+    .filter(t => !t.splits || t.splits.length === 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const paired = new Set();
+  const pairs = [];
+
+  for (const transaction of candidates) {
+    if (paired.has(transaction.plaidTransactionId)) continue;
+
+    let best = null;
+    for (const other of candidates) {
+      if (other === transaction || paired.has(other.plaidTransactionId)) continue;
+      if (other.accountId === transaction.accountId) continue;
+      if (Math.abs(transaction.amount + other.amount) > AMOUNT_TOLERANCE) continue;
+      if (Math.sign(transaction.amount) === Math.sign(other.amount)) continue;
+
+      const daysApart = Math.abs(moment(other.date).diff(moment(transaction.date), 'days'));
+      if (daysApart > windowDays) continue;
+      if (!looksLikeTransfer(transaction) && !looksLikeTransfer(other)) continue;
+
+      if (!best || daysApart < best.daysApart) {
+        best = { other, daysApart };
+      }
+    }
+
+    if (best) {
+      paired.add(transaction.plaidTransactionId);
+      paired.add(best.other.plaidTransactionId);
+      pairs.push({
+        transactions: [transaction, best.other],
+        amount: Math.abs(transaction.amount),
+        daysApart: best.daysApart
+      });
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Match internal transfers for a client around a month and save the pairs.
+ * The neighbouring months are loaded so transfers that cross a month
+ * boundary are still found; only pairs touching the target month are saved.
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string} month - Month in YYYY-MM format
+ * @param {Object} options - { windowDays }
+ * @returns {Promise<Array>} Newly created pairs
+ */
+async function matchTransfersForMonth(clientId, month, { windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  const months = [
+    moment(month, 'YYYY-MM').subtract(1, 'month').format('YYYY-MM'),
+    month,
+    moment(month, 'YYYY-MM').add(1, 'month').format('YYYY-MM')
+  ];
+
+  const transactions = await Transaction.find({ clientId, monthYear: { $in: months } });
+
+  const pairs = findTransferPairs(transactions, { windowDays })
+    .filter(pair => pair.transactions.some(t => t.monthYear === month));
+
+  for (const pair of pairs) {
+    const transferPairId = crypto.randomUUID();
+    await Transaction.updateTransfer(
+      clientId,
+      pair.transactions.map(t => t.plaidTransactionId),
+      { transferPairId, transferStatus: 'matched' }
+    );
+    pair.transferPairId = transferPairId;
+  }
+
+  if (pairs.length > 0) {
+    console.log(`🔁 Matched ${pairs.length} internal transfers for ${month}`);
+  }
+
+  return pairs;
+}
+
+/**
+ * List transfer pairs for a client, optionally limited to a month
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string|null} month - Month in YYYY-MM format
+ * @returns {Promise<Array>} [{ transferPairId, status, amount, transactions }]
+ */
+async function getTransferPairs(clientId, month = null) {
+  const query = { clientId };
+  if (month) query.monthYear = month;
+
+  const transactions = await Transaction.find(query);
+
+  const pairs = new Map();
+  for (const transaction of transactions) {
+    if (!transaction.transferPairId) continue;
+
+    if (!pairs.has(transaction.transferPairId)) {
+      pairs.set(transaction.transferPairId, {
+        transferPairId: transaction.transferPairId,
+        status: transaction.transferStatus,
+        amount: Math.abs(transaction.amount),
+        transactions: []
+      });
+    }
+    pairs.get(transaction.transferPairId).transactions.push(transaction);
+  }
+
+  return Array.from(pairs.values());
+}
+
+/**
+ * Confirm or break a transfer pair
+ *
+ * @param {string} clientId - Client UUID
+ * @param {string} transferPairId - Pair UUID
+ * @param {string} status - 'confirmed' or 'broken'
+ * @returns {Promise<Array|null>} Updated transactions, or null if the pair does not exist
+ */
+async function setPairStatus(clientId, transferPairId, status) {
+  const transactions = await Transaction.find({ clientId, transferPairId });
+  if (transactions.length === 0) return null;
+
+  return Transaction.updateTransfer(
+    clientId,
+    transactions.map(t => t.plaidTransactionId),
+    { transferPairId, transferStatus: status }
+  );
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  isInternalTransfer,
+  findTransferPairs,
+  matchTransfersForMonth,
+  getTransferPairs,
+  setPairStatus
+};
@@ -0,0 +1,289 @@
+/**
+ * Withdrawal Planner
+ * Compares tax-aware retirement withdrawal orderings year by year, in today's
+ * dollars: taxable-first, proportional across tax types, and taxable-first with
+ * Roth conversions that fill a chosen federal bracket before RMDs begin.
+ * Reports lifetime federal taxes and ending balances for each strategy.
+ */
+
+const moment = require('moment');
+const { getDatabase } = require('../database-supabase');
+const federalTax = require('./federalTax');
+const { buildInputs } = require('./retirementSimulator');
+
+// taxable_first: taxable, then tax-deferred, then tax-free
+// proportional: each account type in proportion to its balance
+// bracket_filling: taxable first, plus Roth conversions up to the target bracket
+const STRATEGIES = {
+  taxable_first: 'Taxable first',
+  proportional: 'Proportional',
+  bracket_filling: 'Roth conversions'
+};
+
+const DEFAULT_OPTIONS = {
+  realReturn: 0.045,            // return after inflation
+  targetBracket: 0.22,          // bracket_filling converts up to the top of this bracket
+  taxableGainShare: 0.5,        // share of a taxable withdrawal that is long-term gain
+  deferredLiquidationTaxRate: 0.22 // tax assumed on tax-deferred money left at the end
+};
+
+const BUCKETS = ['taxable', 'tax-deferred', 'tax-free'];
+
+const roundDollars = (value) => Math.round(value);
+
+/**
+ * Split an amount to withdraw across buckets for a strategy
+ *
+ * @returns {Object} Amount per bucket (may total less than amount if balances run out)
+ */
+function planDraws(strategy, balances, amount) {
+  const draws = { taxable: 0, 'tax-deferred': 0, 'tax-free': 0 };
+  let remaining = amount;
+
+  if (strategy === 'proportional') {
+    const total = BUCKETS.reduce((sum, key) => sum + balances[key], 0);
+    if (total > 0) {
+      BUCKETS.forEach(key => {
+        draws[key] = Math.min(balances[key], amount * (balances[key] / total));
+      });
+      remaining = amount - BUCKETS.reduce((sum, key) => sum + draws[key], 0);
+    }
+  }
+
+  // Ordered fill (and top-up when a proportional share ran short)
+  for (const key of BUCKETS) {
+    if (remaining <= 0) break;
+    const take = Math.min(balances[key] - draws[key], remaining);
+    draws[key] += take;
+    remaining -= take;
+  }
+
+  return draws;
+}
+
+/**
+ * Project one strategy from retirement to the end of the plan
+ *
+ * @param {string} strategy - Key of STRATEGIES
+ * @param {Object} params - { startingBalances, startAge, endAge, birthYear, annualSpending,
+ *   socialSecurityAnnual, socialSecurityClaimAge, filingStatus, ...DEFAULT_OPTIONS }
+ * @returns {Object} Lifetime taxes, ending balances and year-by-year rows
+ */
+function projectStrategy(strategy, params) {
+  const balances = { ...params.startingBalances };
+  const rmdStartAge = federalTax.getRmdStartAge(params.birthYear);
+  const spouses = params.filingStatus === 'married_filing_jointly' ? 2 : 1;
+  const bracketCeiling = strategy === 'bracket_filling'
+    ? federalTax.getBracketCeiling(params.targetBracket, params.filingStatus)
+    : null;
+
+  const years = [];
+  let lifetimeTaxes = 0;
+  let totalConversions = 0;
+  let depletedAge = null;
+
+  for (let age = params.startAge; age <= params.endAge; age++) {
+    const socialSecurity = age >= params.socialSecurityClaimAge ? params.socialSecurityAnnual : 0;
+    const rmd = Math.min(balances['tax-deferred'], federalTax.calculateRmd(balances['tax-deferred'], age, params.birthYear));
+    const afterRmd = { ...balances, 'tax-deferred': balances['tax-deferred'] - rmd };
+    const taxpayers65OrOlder = age >= 65 ? spouses : 0;
+
+    // Taxes depend on the withdrawals that pay them; iterate to a fixed point
+    let tax = 0;
+    let draws = planDraws(strategy, afterRmd, 0);
+    let conversion = 0;
+    let result = null;
+
+    for (let i = 0; i < 50; i++) {
+      const needed = Math.max(0, params.annualSpending + tax - socialSecurity - rmd);
+      draws = planDraws(strategy, afterRmd, needed);
+
+      const ordinaryBefore = rmd + draws['tax-deferred'];
+      const capitalGains = draws.taxable * params.taxableGainShare;
+
+      if (bracketCeiling !== null && age < rmdStartAge) {
+        // Conversions also make more of Social Security taxable, so measure the
+        // room left in the bracket with last iteration's conversion included
+        const base = federalTax.calculateFederalTax({
+          ordinaryIncome: ordinaryBefore + conversion,
+          capitalGains,
+          socialSecurity,
+          filingStatus: params.filingStatus,
+          taxpayers65OrOlder
+        });
+        const room = bracketCeiling + base.deduction - ordinaryBefore - base.taxableSocialSecurity;
+        conversion = Math.max(0, Math.min(afterRmd['tax-deferred'] - draws['tax-deferred'], room));
+      }
+
+      result = federalTax.calculateFederalTax({
+        ordinaryIncome: ordinaryBefore + conversion,
+        capitalGains,
+        socialSecurity,
+        filingStatus: params.filingStatus,
+        taxpayers65OrOlder
+      });
+
+      const converged = Math.abs(result.totalTax - tax) < 0.5;
+      tax = result.totalTax;
+      if (converged) break;
+    }
+
+    const drawn = BUCKETS.reduce((sum, key) => sum + draws[key], 0);
+    const cashIn = socialSecurity + rmd + drawn;
+    const cashOut = params.annualSpending + tax;
+
+    balances.taxable -= draws.taxable;
+    balances['tax-deferred'] -= rmd + draws['tax-deferred'] + conversion;
+    balances['tax-free'] += conversion - draws['tax-free'];
+
+    // RMDs beyond what was spent are reinvested in the taxable account
+    if (cashIn > cashOut) balances.taxable += cashIn - cashOut;
+
+    const shortfall = cashOut - cashIn;
+    if (shortfall > 1 && depletedAge === null) depletedAge = age;
+
+    lifetimeTaxes += tax;
+    totalConversions += conversion;
+
+    years.push({
+      age,
+      year: params.startYear + (age - params.startAge),
+      socialSecurity: roundDollars(socialSecurity),
+      rmd: roundDollars(rmd),
+      withdrawals: Object.fromEntries(BUCKETS.map(key => [key, roundDollars(draws[key])])),
+      rothConversion: roundDollars(conversion),
+      taxableIncome: roundDollars(result.taxableIncome),
+      federalTax: roundDollars(tax),
+      marginalRate: result.marginalRate,
+      shortfall: shortfall > 1 ? roundDollars(shortfall) : 0,
+      endBalances: Object.fromEntries(BUCKETS.map(key => [key, roundDollars(balances[key] * (1 + params.realReturn))]))
+    });
+
+    BUCKETS.forEach(key => { balances[key] = Math.max(0, balances[key]) * (1 + params.realReturn); });
+  }
+
+  const endingTotal = BUCKETS.reduce((sum, key) => sum + balances[key], 0);
+
+  return {
+    strategy,
+    label: STRATEGIES[strategy],
+    lifetimeTaxes: roundDollars(lifetimeTaxes),
+    totalRothConversions: roundDollars(totalConversions),
+    depletedAge,
+    endingBalances: {
+      ...Object.fromEntries(BUCKETS.map(key => [key, roundDollars(balances[key])])),
+      total: roundDollars(endingTotal)
+    },
+    endingAfterTax: roundDollars(endingTotal - balances['tax-deferred'] * params.deferredLiquidationTaxRate),
+    rmdStartAge,
+    years
+  };
+}
+
+/**
+ * Grow balances with contributions from today until retirement (today's dollars)
+ */
+function growToRetirement(inputs, retirementAge, realReturn) {
+  const balances = { ...inputs.startingBalances };
+  for (let age = Math.floor(inputs.currentAge) + 1; age <= retirementAge; age++) {
+    BUCKETS.forEach(key => {
+      balances[key] = balances[key] * (1 + realReturn) + (inputs.annualContributions[key] || 0);
+    });
+  }
+  return balances;
+}
+
+/**
+ * Compare all strategies for a set of inputs
+ *
+ * @param {Object} inputs - From retirementSimulator.buildInputs
+ * @param {Object} assumptions - retirementAge, endAge, socialSecurityClaimAge
+ * @param {Object} options - filingStatus, birthYear and overrides for DEFAULT_OPTIONS
+ * @returns {Object} { strategies, recommended, startingBalances, options }
+ */
+function compareStrategies(inputs, assumptions, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const startAge = Math.max(Math.floor(inputs.currentAge), assumptions.retirementAge);
+  const startingBalances = growToRetirement(inputs, startAge, opts.realReturn);
+
+  const params = {
+    ...opts,
+    filingStatus: opts.filingStatus || 'single',
+    birthYear: opts.birthYear || moment().year() - Math.floor(inputs.currentAge),
+    startingBalances,
+    startAge,
+    startYear: moment().year() + (startAge - Math.floor(inputs.currentAge)),
+    endAge: assumptions.endAge,
+    annualSpending: inputs.annualSpending,
+    socialSecurityAnnual: inputs.socialSecurityMonthly * 12,
+    socialSecurityClaimAge: assumptions.socialSecurityClaimAge
+  };
+
+  const strategies = Object.fromEntries(
+    Object.keys(STRATEGIES).map(strategy => [strategy, projectStrategy(strategy, params)])
+  );
+
+  // Prefer plans that last, then the most after-tax money left
+  const ranked = Object.values(strategies).sort((x, y) =>
+    ((x.depletedAge === null ? 0 : 1) - (y.depletedAge === null ? 0 : 1)) ||
+    (y.endingAfterTax - x.endingAfterTax)
+  );
+
+  return {
+    startAge,
+    endAge: assumptions.endAge,
+    filingStatus: params.filingStatus,
+    taxYear: federalTax.TAX_YEAR,
+    startingBalances: Object.fromEntries(BUCKETS.map(key => [key, roundDollars(startingBalances[key])])),
+    options: opts,
+    strategies,
+    recommended: ranked[0].strategy
+  };
+}
+
+/**
+ * Default filing status: married filing jointly when a spouse is on file
+ */
+async function getFilingStatus(clientId) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('client_partners')
+    .select('relationship')
+    .eq('client_id', clientId);
+
+  if (error) throw error;
+
+  return (data || []).some(p => p.relationship === 'spouse') ? 'married_filing_jointly' : 'single';
+}
+
+/**
+ * Build a withdrawal plan comparison for a client
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} overrides - retirementSimulator overrides plus filingStatus and DEFAULT_OPTIONS keys
+ * @returns {Promise<Object>} Comparison (see compareStrategies) with inputs
+ */
+async function getWithdrawalPlan(clientId, overrides = {}) {
+  const { inputs, assumptions } = await buildInputs(clientId, overrides);
+
+  const options = {
+    filingStatus: overrides.filingStatus || await getFilingStatus(clientId)
+  };
+  Object.keys(DEFAULT_OPTIONS).forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+      options[key] = Number(overrides[key]);
+    }
+  });
+
+  return { ...compareStrategies(inputs, assumptions, options), inputs };
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_OPTIONS,
+  planDraws,
+  projectStrategy,
+  compareStrategies,
+  getFilingStatus,
+  getWithdrawalPlan
+};
@@ -0,0 +1,291 @@
+/**
+ * Withholding Projection
+ * Projects where a client lands in April from the year's paystubs: annual
+ * wages and withholding (YTD plus the current paycheck for each remaining
+ * pay period), federal income tax from the versioned tables in
+ * data/tax-tables, Additional Medicare Tax and excess Social Security
+ * withholding across employers, then the refund or balance due and a W-4
+ * Step 4(c) extra-withholding amount that would close the gap.
+ *
+ * Federal wages are gross pay less pre-tax deductions; FICA wages only
+ * exclude the section 125 deductions (health, HSA, FSA), not 401(k)
+ * deferrals. State withholding is projected but state tax is not estimated.
+ */
+
+const moment = require('moment');
+const { getDatabase } = require('../database-supabase');
+const Client = require('../models-supabase/Client');
+const Paystub = require('../models-supabase/Paystub');
+const { getTaxTables } = require('./taxTables');
+const { calculateBracketTax } = require('./federalTax');
+const { getFilingStatus } = require('./withdrawalPlanner');
+const { extractContributions, getRemainingPeriods, latestByEmployer } = require('./contributionTracker');
+
+// Balance due at which the IRS underpayment penalty can apply
+const UNDERPAYMENT_THRESHOLD = 1000;
+
+// Refund large enough to suggest withholding less
+const LARGE_REFUND_THRESHOLD = 1000;
+
+const round = (value) => Math.round(value);
+
+/**
+ * Project one employer's paystub to year end
+ *
+ * @param {Object} paystub - Latest paystub from the employer
+ * @param {boolean} active - Whether the job continues to year end
+ * @returns {Object} Annual wages and withholding for the employer
+ */
+function projectEmployer(paystub, active) {
+  const remaining = active ? getRemainingPeriods(paystub) : 0;
+  const project = (pair) => (pair ? (pair.ytd || 0) + (active ? (pair.current || 0) * remaining : 0) : 0);
+
+  const gross = project(paystub.earnings && paystub.earnings.gross);
+  const pretax = project(paystub.pretaxTotal);
+  const deferrals = project(extractContributions(paystub).traditional);
+  const statutory = paystub.statutory || {};
+
+  return {
+    employerName: paystub.employerName,
+    periodEnding: paystub.periodEnding,
+    payPeriodsPerYear: paystub.payPeriodsPerYear,
+    active,
+    remainingPayPeriods: remaining,
+    grossWages: gross,
+    federalWages: Math.max(0, gross - pretax),
+    ficaWages: Math.max(0, gross - (pretax - deferrals)),
+    federalWithheld: project(statutory.federal),
+    stateWithheld: project(statutory.state),
+    localWithheld: project(statutory.local),
+    socialSecurityWithheld: project(statutory.socialSecurity),
+    medicareWithheld: project(statutory.medicare),
+    currentFederalWithholding: active && statutory.federal ? statutory.federal.current || 0 : 0
+  };
+}
+
+/**
+ * Year-end federal tax projection from a year's paystubs
+ *
+ * @param {Array} paystubs - Paystubs for one tax year, most recent first
+ * @param {Object} options - {
+ *   taxYear, filingStatus, birthDate,
+ *   spouseBirthDate: counts toward the 65+ deduction when filing jointly,
+ *   otherIncome: income not on the paystubs (spouse wages, interest, ...),
+ *   otherWithholding: estimated payments and withholding not on the paystubs,
+ *   credits: nonrefundable credits such as the child tax credit
+ * }
+ * @returns {Object} Projection with refundOrBalanceDue (positive = refund) and w4 suggestion
+ */
+function calculateWithholdingProjection(paystubs, options = {}) {
+  const taxYear = Number(options.taxYear || paystubs[0].taxYear || moment(paystubs[0].periodEnding).year());
+  const filingStatus = options.filingStatus || 'single';
+  const otherIncome = options.otherIncome || 0;
+  const otherWithholding = options.otherWithholding || 0;
+  const credits = options.credits || 0;
+  const tables = getTaxTables(taxYear);
+  const { fica } = tables;
+
+  const ageAt = (birthDate) => (birthDate ? moment(`${taxYear}-12-31`).diff(moment(birthDate), 'years') : null);
+  const ageAtYearEnd = ageAt(options.birthDate);
+  const spouseAgeAtYearEnd = filingStatus === 'married_filing_jointly' ? ageAt(options.spouseBirthDate) : null;
+  const taxpayers65OrOlder = [ageAtYearEnd, spouseAgeAtYearEnd].filter(age => age !== null && age >= 65).length;
+
+  const employers = latestByEmployer(paystubs).map(({ paystub, active }) => projectEmployer(paystub, active));
+  const sum = (field) => employers.reduce((total, employer) => total + employer[field], 0);
+
+  // Income tax
+  const wages = sum('federalWages');
+  const deduction = tables.standardDeduction[filingStatus] + tables.additionalDeduction65[filingStatus] * taxpayers65OrOlder;
+  const taxableIncome = Math.max(0, wages + otherIncome - deduction);
+  const brackets = tables.ordinaryBrackets[filingStatus];
+  const incomeTaxBeforeCredits = calculateBracketTax(taxableIncome, brackets);
+  const incomeTax = Math.max(0, incomeTaxBeforeCredits - credits);
+  const marginalRate = brackets.find(([upper]) => taxableIncome < upper)[1];
+
+  // Employers withhold 0.9% on wages over $200,000 each; the tax is owed on
+  // combined wages over the filing status threshold
+  const medicareWages = sum('ficaWages');
+  const medicareWithheld = sum('medicareWithheld');
+  const additionalMedicareTax = fica.additionalMedicareRate *
+    Math.max(0, medicareWages - fica.additionalMedicareThreshold[filingStatus]);
+  const additionalMedicareWithheld = Math.max(0, medicareWithheld - fica.medicareRate * medicareWages);
+
+  // Social Security withheld over the wage base by more than one employer comes back as a credit
+  const socialSecurityWithheld = sum('socialSecurityWithheld');
+  const socialSecurityOwed = fica.socialSecurityRate * Math.min(medicareWages, fica.socialSecurityWageBase);
+  const excessSocialSecurity = employers.length > 1 ? Math.max(0, socialSecurityWithheld - socialSecurityOwed) : 0;
+
+  const federalWithheld = sum('federalWithheld');
+  const totalTax = incomeTax + additionalMedicareTax;
+  const totalPayments = federalWithheld + additionalMedicareWithheld + excessSocialSecurity + otherWithholding;
+  const refundOrBalanceDue = totalPayments - totalTax;
+
+  // W-4 Step 4(c): spread the gap over the paychecks left at the job with the most of them
+  const primary = employers
+    .filter(employer => employer.active)
+    .sort((a, b) => b.remainingPayPeriods - a.remainingPayPeriods)[0];
+  const remainingPayPeriods = primary ? primary.remainingPayPeriods : 0;
+
+  const w4 = {
+    employerName: primary ? primary.employerName : null,
+    remainingPayPeriods,
+    currentFederalWithholding: primary ? primary.currentFederalWithholding : 0,
+    extraWithholdingPerPaycheck: 0,
+    reduceWithholdingPerPaycheck: 0,
+    nextYearExtraPerPaycheck: 0
+  };
+
+  const warnings = [];
+
+  if (refundOrBalanceDue < 0) {
+    const balanceDue = -refundOrBalanceDue;
+    if (remainingPayPeriods > 0) {
+      w4.extraWithholdingPerPaycheck = Math.ceil(balanceDue / remainingPayPeriods);
+    }
+    if (primary && primary.payPeriodsPerYear) {
+      w4.nextYearExtraPerPaycheck = Math.ceil(balanceDue / primary.payPeriodsPerYear);
+    }
+
+    if (balanceDue >= UNDERPAYMENT_THRESHOLD) {
+      warnings.push({
+        type: 'underpayment',
+        severity: 'high',
+        message: `Projected balance due of $${round(balanceDue).toLocaleString()} may trigger an underpayment penalty ` +
+          'unless withholding covers last year\'s tax (110% above $150,000 AGI). ' +
+          (remainingPayPeriods > 0
+            ? `Adding $${w4.extraWithholdingPerPaycheck.toLocaleString()} per paycheck on W-4 Step 4(c) would cover it.`
+            : 'No paychecks remain this year; consider a fourth-quarter estimated payment.')
+      });
+    }
+  } else if (refundOrBalanceDue >= LARGE_REFUND_THRESHOLD && remainingPayPeriods > 0) {
+    w4.reduceWithholdingPerPaycheck = Math.floor(refundOrBalanceDue / remainingPayPeriods);
+    warnings.push({
+      type: 'large_refund',
+      severity: 'low',
+      message: `Projected refund of $${round(refundOrBalanceDue).toLocaleString()}; withholding about ` +
+        `$${w4.reduceWithholdingPerPaycheck.toLocaleString()} less per paycheck would keep that money during the year.`
+    });
+  }
+
+  if (tables.taxYear !== taxYear) {
+    warnings.push({
+      type: 'tables_year',
+      severity: 'low',
+      message: `No ${taxYear} tax tables yet; the projection uses ${tables.taxYear} brackets and deductions.`
+    });
+  }
+
+  if (filingStatus === 'married_filing_jointly' && otherIncome === 0) {
+    warnings.push({
+      type: 'spouse_income',
+      severity: 'low',
+      message: 'Filing jointly: only these paystubs are included. Pass a spouse\'s wages as otherIncome.'
+    });
+  }
+
+  if (additionalMedicareTax > additionalMedicareWithheld + 1) {
+    warnings.push({
+      type: 'additional_medicare',
+      severity: 'medium',
+      message: `About $${round(additionalMedicareTax - additionalMedicareWithheld).toLocaleString()} of Additional ` +
+        'Medicare Tax is owed beyond what employers withhold.'
+    });
+  }
+
+  return {
+    taxYear,
+    tables: { taxYear: tables.taxYear, version: tables.version, source: tables.source },
+    filingStatus,
+    asOf: paystubs[0].periodEnding,
+    ageAtYearEnd,
+    spouseAgeAtYearEnd,
+    employers: employers.map(employer => ({
+      employerName: employer.employerName,
+      periodEnding: employer.periodEnding,
+      active: employer.active,
+      remainingPayPeriods: employer.remainingPayPeriods,
+      federalWages: round(employer.federalWages),
+      federalWithheld: round(employer.federalWithheld)
+    })),
+    income: {
+      grossWages: round(sum('grossWages')),
+      federalWages: round(wages),
+      otherIncome: round(otherIncome),
+      deduction,
+      taxableIncome: round(taxableIncome)
+    },
+    federal: {
+      incomeTaxBeforeCredits: round(incomeTaxBeforeCredits),
+      credits: round(credits),
+      incomeTax: round(incomeTax),
+      additionalMedicareTax: round(additionalMedicareTax),
+      totalTax: round(totalTax),
+      marginalRate,
+      effectiveRate: wages + otherIncome > 0 ? Math.round(totalTax / (wages + otherIncome) * 1000) / 10 : 0
+    },
+    payments: {
+      federalWithheld: round(federalWithheld),
+      additionalMedicareWithheld: round(additionalMedicareWithheld),
+      excessSocialSecurity: round(excessSocialSecurity),
+      otherWithholding: round(otherWithholding),
+      total: round(totalPayments)
+    },
+    state: {
+      withheld: round(sum('stateWithheld')),
+      localWithheld: round(sum('localWithheld'))
+    },
+    refundOrBalanceDue: round(refundOrBalanceDue),
+    w4,
+    warnings
+  };
+}
+
+/**
+ * Birth date of the client's spouse from client_partners, or null
+ */
+async function getSpouseBirthDate(clientId) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('client_partners')
+    .select('birth_date')
+    .eq('client_id', clientId)
+    .eq('relationship', 'spouse')
+    .not('birth_date', 'is', null)
+    .limit(1);
+
+  if (error) throw error;
+
+  return data && data.length > 0 ? data[0].birth_date : null;
+}
+
+/**
+ * Year-end withholding projection for a client from their stored paystubs
+ *
+ * @param {string} clientId - Client UUID
+ * @param {Object} options - { taxYear (default current year), filingStatus, otherIncome, otherWithholding, credits }
+ * @returns {Promise<Object|null>} Projection, or null when the year has no paystubs
+ */
+async function getWithholdingProjection(clientId, options = {}) {
+  const taxYear = Number(options.taxYear || moment().year());
+  const paystubs = await Paystub.find({ clientId, taxYear });
+  if (paystubs.length === 0) return null;
+
+  const client = await Client.findOne({ clientId });
+  const filingStatus = options.filingStatus || await getFilingStatus(clientId);
+  const spouseBirthDate = filingStatus === 'married_filing_jointly' ? await getSpouseBirthDate(clientId) : null;
+
+  return calculateWithholdingProjection(paystubs, {
+    ...options,
+    taxYear,
+    filingStatus,
+    birthDate: client && client.birthDate,
+    spouseBirthDate
+  });
+}
+
+module.exports = {
+  UNDERPAYMENT_THRESHOLD,
+  LARGE_REFUND_THRESHOLD,
+  calculateWithholdingProjection,
+  getWithholdingProjection
+};
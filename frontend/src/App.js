@@ -46,6 +46,8 @@ function App() {
   const [selectedMonth, setSelectedMonth] = useState(new Date().toISOString().slice(0, 7));
   const [timePeriod, setTimePeriod] = useState('month'); // 'month', 'this-quarter', 'last-quarter', 'ytd'
   const [currentNetWorth, setCurrentNetWorth] = useState(null);
+  const [goals, setGoals] = useState([]);
+  const [contributionPacing, setContributionPacing] = useState(null);
 
   // Helper function to get period label for headline
   const getPeriodLabel = () => {
@@ -248,6 +250,26 @@ function App() {
     }
   }, []);
 
+  // Load financial goals with progress
+  const loadGoals = useCallback(async (clientId) => {
+    try {
+      const response = await api.get(`/api/clients/${clientId}/goals`);
+      setGoals(response.data.goals || []);
+    } catch (error) {
+      console.error('Error loading goals:', error);
+    }
+  }, []);
+
+  // Load 401(k)/HSA contribution pacing from paystubs
+  const loadContributionPacing = useCallback(async (clientId) => {
+    try {
+      const response = await api.get(`/api/clients/${clientId}/contribution-pacing`);
+      setContributionPacing(response.data.pacing || null);
+    } catch (error) {
+      console.error('Error loading contribution pacing:', error);
+    }
+  }, []);
+
   // Check for unreviewed transactions
   const checkUnreviewedTransactions = useCallback(async (clientId) => { // Wrapped in useCallback
     try {
@@ -813,9 +835,11 @@ function App() {
   useEffect(() => {
     if (client && step === 'dashboard') {
       loadCurrentNetWorth(client.clientId);
+      loadGoals(client.clientId);
+      loadContributionPacing(client.clientId);
       // loadInvestments(client.clientId); // Disabled - investments not needed
     } // Added loadCurrentNetWorth
-  }, [client, step, loadCurrentNetWorth]);
+  }, [client, step, loadCurrentNetWorth, loadGoals, loadContributionPacing]);
 
   // Plaid integration removed - users upload statements instead
 
@@ -1815,6 +1839,89 @@ function App() {
                   })()}
                 </div>
               </div>
+
+              {goals.length > 0 && (
+                <div className="summary-section">
+                  <h3>Financial Goals</h3>
+                  <div className="summary-items">
+                    {goals.map(goal => (
+                      <div key={goal.id} className="breakdown-section" style={{fontSize: '0.9em', paddingBottom: '10px'}}>
+                        <div style={{display: 'flex', justifyContent: 'space-between'}}>
+                          <strong>{goal.name}</strong>
+                          <span>{goal.progress.percentComplete}%</span>
+                        </div>
+                        <div style={{background: '#e1e5e9', borderRadius: '4px', height: '8px', margin: '6px 0'}}>
+                          <div style={{
+                            width: `${goal.progress.percentComplete}%`,
+                            height: '100%',
+                            borderRadius: '4px',
+                            background: goal.progress.onTrack === false ? '#ff6b35' : '#28a745'
+                          }} />
+                        </div>
+                        <div style={{display: 'flex', justifyContent: 'space-between', color: '#6c757d'}}>
+                          <span>{formatCurrency(goal.progress.achievedAmount)} of {formatCurrency(goal.targetAmount)}</span>
+                          {goal.targetDate && (
+                            <span>Target: {new Date(goal.targetDate + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}</span>
+                          )}
+                        </div>
+                        {!goal.progress.isAchieved && goal.progress.requiredMonthlyContribution !== null && (
+                          <div style={{color: goal.progress.onTrack ? '#28a745' : '#ff6b35', marginTop: '4px'}}>
+                            {goal.progress.onTrack ? '✓ On track' : '⚠ Behind schedule'} · {formatCurrency(goal.progress.requiredMonthlyContribution)}/month needed
+                          </div>
+                        )}
+                        {goal.progress.isAchieved && (
+                          <div style={{color: '#28a745', marginTop: '4px'}}>🎉 Goal reached</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {contributionPacing && (
+                <div className="summary-section">
+                  <h3>Contribution Pacing ({contributionPacing.taxYear})</h3>
+                  <div className="summary-items">
+                    {[
+                      { label: '401(k) / 403(b)', values: contributionPacing.elective },
+                      { label: 'HSA', values: contributionPacing.hsa }
+                    ].map(({ label, values }) => (
+                      <div key={label} className="breakdown-section" style={{fontSize: '0.9em', paddingBottom: '10px'}}>
+                        <div style={{display: 'flex', justifyContent: 'space-between'}}>
+                          <strong>{label}</strong>
+                          <span>{values.percentOfLimit}% of limit</span>
+                        </div>
+                        <div style={{background: '#e1e5e9', borderRadius: '4px', height: '8px', margin: '6px 0'}}>
+                          <div style={{
+                            width: `${Math.min(100, values.limit > 0 ? values.ytd / values.limit * 100 : 0)}%`,
+                            height: '100%',
+                            borderRadius: '4px',
+                            background: values.projected > values.limit ? '#ff6b35' : '#28a745'
+                          }} />
+                        </div>
+                        <div style={{display: 'flex', justifyContent: 'space-between', color: '#6c757d'}}>
+                          <span>{formatCurrency(values.ytd)} YTD · {formatCurrency(values.projected)} projected</span>
+                          <span>Limit: {formatCurrency(values.limit)}</span>
+                        </div>
+                      </div>
+                    ))}
+                    {contributionPacing.employerMatch.ytd > 0 && (
+                      <div className="breakdown-item" style={{display: 'flex', justifyContent: 'space-between', fontSize: '0.9em', paddingBottom: '8px'}}>
+                        <span>Employer match (projected):</span>
+                        <span>{formatCurrency(contributionPacing.employerMatch.projected)}</span>
+                      </div>
+                    )}
+                    {contributionPacing.warnings.map(warning => (
+                      <div key={warning.type} style={{color: warning.severity === 'low' ? '#6c757d' : '#ff6b35', fontSize: '0.9em', marginTop: '4px'}}>
+                        ⚠ {warning.message}
+                      </div>
+                    ))}
+                    {contributionPacing.warnings.length === 0 && (
+                      <div style={{color: '#28a745', fontSize: '0.9em', marginTop: '4px'}}>✓ On pace and within IRS limits</div>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
             
             <div className="summary-footer">
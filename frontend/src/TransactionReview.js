@@ -38,6 +38,9 @@ const INCOME_CATEGORIES = [
   { value: 'other', label: 'Other Income' }
 ];
 
+// Split allocations count toward monthly spending, so they can't be excluded
+const SPLIT_CATEGORIES = EXPENSE_CATEGORIES.filter(cat => cat.value !== 'exclude');
+
 function TransactionReview({ client, onComplete }) {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -47,6 +50,8 @@ function TransactionReview({ client, onComplete }) {
   const [searchTerm, setSearchTerm] = useState('');
   // eslint-disable-next-line no-unused-vars
   const [rules, setRules] = useState([]); // Rules state is maintained for rule creation logic
+  const [splitEditor, setSplitEditor] = useState(null); // { transactionId, rows: [{ category, amount }] }
+  const [savingSplit, setSavingSplit] = useState(false);
 
   useEffect(() => {
     loadTransactions();
@@ -144,6 +149,75 @@ function TransactionReview({ client, onComplete }) {
     }));
   };
 
+  // Split editor: allocate one transaction across several categories
+  const openSplitEditor = (transaction) => {
+    const total = Math.abs(transaction.amount);
+    const firstCategory = SPLIT_CATEGORIES.some(cat => cat.value === transaction.finalCategory)
+      ? transaction.finalCategory
+      : 'uncategorized';
+    const rows = transaction.splits && transaction.splits.length > 0
+      ? transaction.splits.map(s => ({ category: s.category, amount: String(s.amount) }))
+      : [
+          { category: firstCategory, amount: total.toFixed(2) },
+          { category: 'uncategorized', amount: '0.00' }
+        ];
+    setSplitEditor({ transactionId: transaction._id, rows });
+  };
+
+  const updateSplitRow = (index, field, value) => {
+    setSplitEditor(prev => ({
+      ...prev,
+      rows: prev.rows.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    }));
+  };
+
+  const addSplitRow = () => {
+    setSplitEditor(prev => ({
+      ...prev,
+      rows: [...prev.rows, { category: 'uncategorized', amount: '0.00' }]
+    }));
+  };
+
+  const removeSplitRow = (index) => {
+    setSplitEditor(prev => ({
+      ...prev,
+      rows: prev.rows.filter((_, i) => i !== index)
+    }));
+  };
+
+  const saveSplits = async (transaction, rows) => {
+    setSavingSplit(true);
+    try {
+      const splits = rows.map(row => ({ category: row.category, amount: parseFloat(row.amount) || 0 }));
+      const response = await api.put(
+        `/api/clients/${client.clientId}/transactions/${transaction._id}/splits`,
+        { splits }
+      );
+      const updated = response.data.transaction;
+      setTransactions(prev => prev.map(t => (
+        t._id === transaction._id
+          ? {
+              ...t,
+              splits: updated.splits,
+              userCategory: updated.userCategory,
+              finalCategory: updated.userCategory || updated.suggestedCategory || 'uncategorized',
+              isReviewed: true
+            }
+          : t
+      )));
+      setSplitEditor(null);
+    } catch (error) {
+      console.error('Error saving split:', error);
+      alert(error.response?.data?.error || 'Failed to save split');
+    }
+    setSavingSplit(false);
+  };
+
+  const getCategoryLabel = (value) => {
+    const match = [...EXPENSE_CATEGORIES, ...INCOME_CATEGORIES].find(c => c.value === value);
+    return match ? match.label : value;
+  };
+
   const saveCategories = async () => {
     setSaving(true);
     try {
@@ -460,8 +534,8 @@ function TransactionReview({ client, onComplete }) {
             </div>
           ) : (
             filteredTransactions.map(transaction => (
+              <React.Fragment key={transaction._id}>
               <div 
-                key={transaction._id} 
                 style={{ 
                   padding: '15px', 
                   borderBottom: '1px solid #eee',
@@ -483,6 +557,11 @@ function TransactionReview({ client, onComplete }) {
                       Original: {transaction.category.join(' → ')}
                     </div>
                   )}
+                  {transaction.transferPairId && transaction.transferStatus !== 'broken' && (
+                    <div style={{ fontSize: '12px', color: '#6c757d', marginTop: '2px' }}>
+                      ⇄ Internal transfer{transaction.transferStatus === 'confirmed' ? ' (confirmed)' : ''} – excluded from cash flow
+                    </div>
+                  )}
                 </div>
                 
                 <div style={{ 
@@ -600,8 +679,138 @@ function TransactionReview({ client, onComplete }) {
                       ✓ Reviewed
                     </div>
                   )}
+                  {!transaction.userCategory &&
+                    transaction.categorySource && transaction.categorySource.startsWith('learned') &&
+                    transaction.finalCategory === transaction.suggestedCategory && (
+                    <div
+                      title={transaction.categoryExplanation || ''}
+                      style={{
+                        fontSize: '10px',
+                        color: '#6c757d',
+                        marginTop: '2px'
+                      }}
+                    >
+                      💡 {transaction.categorySource === 'learned_advisor'
+                        ? 'Learned from your advisor\'s edits'
+                        : 'Learned from your past edits'}
+                      {transaction.categoryConfidence != null && ` (${Math.round(transaction.categoryConfidence * 100)}% confidence)`}
+                    </div>
+                  )}
+                  {transaction.splits && transaction.splits.length > 0 && (
+                    <div style={{ fontSize: '11px', color: '#2D5074', marginTop: '2px' }}>
+                      Split: {transaction.splits
+                        .map(s => `${getCategoryLabel(s.category)} ${formatCurrency(s.amount)}`)
+                        .join(' · ')}
+                    </div>
+                  )}
+                  <button
+                    onClick={() => openSplitEditor(transaction)}
+                    style={{
+                      marginTop: '4px',
+                      padding: '0',
+                      border: 'none',
+                      background: 'none',
+                      color: '#007bff',
+                      fontSize: '11px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {transaction.splits && transaction.splits.length > 0 ? 'Edit split' : 'Split'}
+                  </button>
                 </div>
               </div>
+
+              {splitEditor && splitEditor.transactionId === transaction._id && (() => {
+                const total = Math.abs(transaction.amount);
+                const allocated = splitEditor.rows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+                const remaining = Math.round((total - allocated) * 100) / 100;
+
+                return (
+                  <div style={{
+                    padding: '15px',
+                    borderBottom: '1px solid #eee',
+                    backgroundColor: '#f8f9fa'
+                  }}>
+                    <div style={{ fontWeight: 'bold', marginBottom: '10px' }}>
+                      Split {formatCurrency(total)} across categories
+                    </div>
+                    {splitEditor.rows.map((row, index) => (
+                      <div key={index} style={{ display: 'flex', gap: '10px', marginBottom: '8px' }}>
+                        <select
+                          value={row.category}
+                          onChange={(e) => updateSplitRow(index, 'category', e.target.value)}
+                          style={{ flex: '2', padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+                        >
+                          {SPLIT_CATEGORIES.map(cat => (
+                            <option key={cat.value} value={cat.value}>
+                              {cat.label}
+                            </option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          value={row.amount}
+                          onChange={(e) => updateSplitRow(index, 'amount', e.target.value)}
+                          style={{ flex: '1', padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+                        />
+                        <button
+                          onClick={() => removeSplitRow(index)}
+                          disabled={splitEditor.rows.length <= 2}
+                          style={{ padding: '6px 10px', borderRadius: '4px', border: '1px solid #ccc', cursor: 'pointer' }}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <div style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      marginTop: '10px'
+                    }}>
+                      <div style={{ fontSize: '13px', color: remaining === 0 ? '#28a745' : '#dc3545' }}>
+                        {remaining === 0
+                          ? 'Fully allocated'
+                          : `${formatCurrency(remaining)} ${remaining > 0 ? 'left to allocate' : 'over the total'}`}
+                      </div>
+                      <div style={{ display: 'flex', gap: '8px' }}>
+                        <button onClick={addSplitRow} style={{ padding: '6px 12px', cursor: 'pointer' }}>
+                          + Add category
+                        </button>
+                        {transaction.splits && transaction.splits.length > 0 && (
+                          <button
+                            onClick={() => saveSplits(transaction, [])}
+                            disabled={savingSplit}
+                            style={{ padding: '6px 12px', cursor: 'pointer' }}
+                          >
+                            Remove split
+                          </button>
+                        )}
+                        <button onClick={() => setSplitEditor(null)} style={{ padding: '6px 12px', cursor: 'pointer' }}>
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => saveSplits(transaction, splitEditor.rows)}
+                          disabled={savingSplit || remaining !== 0}
+                          style={{
+                            padding: '6px 12px',
+                            backgroundColor: remaining === 0 ? '#28a745' : '#ccc',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: remaining === 0 ? 'pointer' : 'not-allowed'
+                          }}
+                        >
+                          {savingSplit ? 'Saving...' : 'Save Split'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })()}
+              </React.Fragment>
             ))
           )}
         </div>
@@ -3,6 +3,30 @@ import { supabase } from '../supabaseClient';
 import axios from 'axios';
 import config from '../config';
 
+// Paystub fields shown in the review form: [key, label]
+const PAYSTUB_EARNINGS = [
+  ['regular', 'Regular'], ['overtime', 'Overtime'], ['holiday', 'Holiday'], ['vacation', 'Vacation/PTO'],
+  ['sick', 'Sick'], ['bonus', 'Bonus'], ['commission', 'Commission'], ['fringe', 'Fringe/Imputed'],
+  ['other', 'Other'], ['gross', 'Gross Pay']
+];
+const PAYSTUB_STATUTORY = [
+  ['federal', 'Federal Income Tax'], ['socialSecurity', 'Social Security'], ['medicare', 'Medicare'],
+  ['state', 'State Income Tax'], ['local', 'Local Income Tax']
+];
+const PAYSTUB_EMPLOYER = [
+  ['match401k', '401(k) Match'], ['hsa', 'HSA'], ['healthInsurance', 'Health Insurance']
+];
+
+const TAX_TREATMENT_LABELS = { taxable: 'Taxable', tax_free: 'Tax-Free', tax_deferred: 'Tax-Deferred' };
+
+// PDFs of these types go through a parser instead of OCR
+const PARSE_ACTIONS = {
+  paystub: 'Parse Paystub',
+  investment: 'Parse Statement',
+  bank_statement: 'Parse Statement',
+  credit_card: 'Parse Statement'
+};
+
 const DocumentReview = ({ selectedClient }) => {
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -14,6 +38,13 @@ const DocumentReview = ({ selectedClient }) => {
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [statementParsers, setStatementParsers] = useState([]);
+  const [parserChoice, setParserChoice] = useState('');
+
+  useEffect(() => {
+    loadStatementParsers();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   useEffect(() => {
     if (selectedClient) {
@@ -22,6 +53,26 @@ const DocumentReview = ({ selectedClient }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedClient, filterStatus]);
 
+  // Refresh while OCR runs so documents move to processed or failed on their own
+  useEffect(() => {
+    if (!documents.some(doc => doc.status === 'processing')) return undefined;
+    const timer = setTimeout(loadDocuments, 5000);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [documents]);
+
+  const loadStatementParsers = async () => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await axios.get(`${config.API_BASE}/api/admin/statement-parsers`, {
+        headers: { Authorization: `Bearer ${session.access_token}` }
+      });
+      setStatementParsers(response.data.parsers || []);
+    } catch (err) {
+      console.error('Error loading statement parsers:', err);
+    }
+  };
+
   const loadDocuments = async () => {
     if (!selectedClient) return;
 
@@ -87,7 +138,8 @@ const DocumentReview = ({ selectedClient }) => {
   };
 
   const processOCR = async (doc) => {
-    if (!window.confirm(`Start OCR processing for ${doc.filename}?`)) return;
+    const action = doc.status === 'failed' ? 'Retry' : 'Start';
+    if (!window.confirm(`${action} OCR processing for ${doc.filename}?`)) return;
 
     setProcessing(true);
     setError('');
@@ -95,7 +147,7 @@ const DocumentReview = ({ selectedClient }) => {
 
     try {
       const { data: { session } } = await supabase.auth.getSession();
-      await axios.post(
+      const response = await axios.post(
         `${config.API_BASE}/api/admin/statements/${doc.id}/process-ocr`,
         {},
         {
@@ -105,11 +157,9 @@ const DocumentReview = ({ selectedClient }) => {
         }
       );
 
-      setSuccess(`OCR processing started for ${doc.filename}`);
-      setTimeout(() => {
-        loadDocuments();
-        setSuccess('');
-      }, 2000);
+      setSuccess(`${response.data.message}: ${doc.filename}`);
+      loadDocuments();
+      setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       console.error('OCR processing error:', err);
       setError(err.response?.data?.error || 'Failed to process OCR');
@@ -118,6 +168,147 @@ const DocumentReview = ({ selectedClient }) => {
     setProcessing(false);
   };
 
+  const parsePaystub = async (doc) => {
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await axios.post(
+        `${config.API_BASE}/api/admin/statements/${doc.id}/parse-paystub`,
+        {},
+        {
+          headers: {
+            Authorization: `Bearer ${session.access_token}`
+          }
+        }
+      );
+
+      setSuccess(`Paystub parsed: ${doc.filename}. Review the values before approving.`);
+      viewOCRData(response.data.document);
+      loadDocuments();
+    } catch (err) {
+      console.error('Paystub parsing error:', err);
+      setError(err.response?.data?.error || 'Failed to parse paystub');
+    }
+
+    setProcessing(false);
+  };
+
+  // parser forces a custodian parser; otherwise it is detected from the text
+  const parseInvestmentStatement = async (doc, parser) => {
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await axios.post(
+        `${config.API_BASE}/api/admin/statements/${doc.id}/parse-investment`,
+        parser ? { parser } : {},
+        {
+          headers: {
+            Authorization: `Bearer ${session.access_token}`
+          }
+        }
+      );
+
+      const parsed = response.data.document.ocr_data;
+      setSuccess(`Statement parsed as ${parsed.custodian} ${parsed.accountType}: ${doc.filename}. Review the values before approving.`);
+      viewOCRData(response.data.document);
+      loadDocuments();
+    } catch (err) {
+      console.error('Statement parsing error:', err);
+      setError(err.response?.data?.error || 'Failed to parse statement');
+    }
+
+    setProcessing(false);
+  };
+
+  const parseBankStatement = async (doc) => {
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await axios.post(
+        `${config.API_BASE}/api/admin/statements/${doc.id}/parse-transactions`,
+        {},
+        {
+          headers: {
+            Authorization: `Bearer ${session.access_token}`
+          }
+        }
+      );
+
+      const parsed = response.data.document.ocr_data;
+      setSuccess(`Found ${parsed.transactions.length} transactions in ${doc.filename}. Review them before importing.`);
+      viewOCRData(response.data.document);
+      loadDocuments();
+    } catch (err) {
+      console.error('Statement parsing error:', err);
+      setError(err.response?.data?.error || 'Failed to parse statement');
+    }
+
+    setProcessing(false);
+  };
+
+  const parseDocument = (doc) => {
+    if (doc.account_type === 'paystub') return parsePaystub(doc);
+    if (doc.account_type === 'investment') return parseInvestmentStatement(doc);
+    return parseBankStatement(doc);
+  };
+
+  // Send reviewed statement transactions to the transactions table
+  const importTransactions = async (doc) => {
+    const { flagged, transactions = [] } = doc.ocr_data || {};
+    const prompt = flagged
+      ? `The transactions in ${doc.filename} don't reconcile with its balances. Import ${transactions.length} transactions anyway?`
+      : `Import ${transactions.length} transactions from ${doc.filename}?`;
+    if (!window.confirm(prompt)) return;
+
+    setProcessing(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await axios.post(
+        `${config.API_BASE}/api/admin/statements/${doc.id}/extract-transactions`,
+        flagged ? { force: true } : {},
+        {
+          headers: {
+            Authorization: `Bearer ${session.access_token}`
+          }
+        }
+      );
+
+      setSuccess(response.data.message);
+      loadDocuments();
+    } catch (err) {
+      console.error('Transaction import error:', err);
+      setError(err.response?.data?.error || 'Failed to import transactions');
+    }
+
+    setProcessing(false);
+  };
+
+  // Update one paystub amount or field in the OCR data being reviewed
+  const updatePaystubField = (path, value) => {
+    setOcrData(prev => {
+      const next = JSON.parse(JSON.stringify(prev));
+      let target = next.paystub;
+      path.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[path[path.length - 1]] = value;
+      return next;
+    });
+  };
+
   const saveOCRData = async () => {
     if (!selectedDocument || !ocrData) return;
 
@@ -154,7 +345,12 @@ const DocumentReview = ({ selectedClient }) => {
       return;
     }
 
-    if (!window.confirm(`Approve and import data from ${doc.filename}? This will create balance sheet entries.`)) return;
+    const effects = {
+      paystub: 'This will save the paystub.',
+      investment_statement: 'This will save an account snapshot.'
+    };
+    const effect = effects[doc.ocr_data.documentType] || 'This will create balance sheet entries.';
+    if (!window.confirm(`Approve and import data from ${doc.filename}? ${effect}`)) return;
 
     setProcessing(true);
     setError('');
@@ -223,6 +419,7 @@ const DocumentReview = ({ selectedClient }) => {
       case 'pending': return '#ffc107';
       case 'processing': return '#17a2b8';
       case 'processed': return '#007bff';
+      case 'failed': return '#fd7e14';
       case 'approved': return '#28a745';
       case 'rejected': return '#dc3545';
       default: return '#6c757d';
@@ -252,11 +449,562 @@ const DocumentReview = ({ selectedClient }) => {
       'credit_card': 'Credit Card',
       'investment': 'Investment',
       'loan': 'Loan',
+      'paystub': 'Paystub',
       'other': 'Other'
     };
     return labels[type] || type;
   };
 
+  const amountInputStyle = {
+    width: '110px',
+    padding: '4px 6px',
+    fontSize: '13px',
+    border: '1px solid #e1e5e9',
+    borderRadius: '4px',
+    textAlign: 'right'
+  };
+
+  const renderAmountRows = (group, rows) => rows.map(([key, label]) => {
+    const pair = (ocrData.paystub[group] || {})[key] || { current: 0, ytd: 0 };
+    return (
+      <tr key={`${group}-${key}`} style={{ borderBottom: '1px solid #f0f0f0' }}>
+        <td style={{ padding: '6px 8px' }}>{label}</td>
+        {['current', 'ytd'].map(field => (
+          <td key={field} style={{ padding: '6px 8px', textAlign: 'right' }}>
+            {editingOCR ? (
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={pair[field]}
+                onChange={(e) => updatePaystubField([group, key, field], parseFloat(e.target.value) || 0)}
+                style={amountInputStyle}
+              />
+            ) : (
+              `$${(pair[field] || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`
+            )}
+          </td>
+        ))}
+      </tr>
+    );
+  });
+
+  const renderAmountTable = (title, group, rows) => (
+    <div style={{ marginBottom: '16px' }}>
+      <h4 style={{ margin: '0 0 8px 0' }}>{title}</h4>
+      {rows.length === 0 ? (
+        <p style={{ color: '#999', fontStyle: 'italic', margin: 0 }}>None found</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid #e1e5e9' }}>
+              <th style={{ textAlign: 'left', padding: '6px 8px' }}>Item</th>
+              <th style={{ textAlign: 'right', padding: '6px 8px' }}>This Period</th>
+              <th style={{ textAlign: 'right', padding: '6px 8px' }}>Year to Date</th>
+            </tr>
+          </thead>
+          <tbody>{renderAmountRows(group, rows)}</tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  // Pre/after-tax deductions are keyed by the name printed on the stub
+  const deductionRows = (group) => Object.keys(ocrData.paystub[group] || {}).map(key => [key, key.replace(/_/g, ' ')]);
+
+  const renderPaystubReview = () => {
+    const { paystub, warnings = [], layout, confidence } = ocrData;
+    const fields = [
+      ['employerName', 'Employer', 'text'],
+      ['periodBeginning', 'Period Beginning', 'date'],
+      ['periodEnding', 'Period Ending', 'date'],
+      ['payDate', 'Pay Date', 'date'],
+      ['state', 'State', 'text']
+    ];
+
+    return (
+      <div>
+        <div style={{ marginBottom: '15px' }}>
+          <button
+            onClick={() => setEditingOCR(!editingOCR)}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#007bff',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              marginRight: '10px'
+            }}
+          >
+            {editingOCR ? 'Cancel Edit' : 'Correct Values'}
+          </button>
+
+          {editingOCR && (
+            <button
+              onClick={saveOCRData}
+              disabled={processing}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#28a745',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: processing ? 'not-allowed' : 'pointer',
+                opacity: processing ? 0.6 : 1
+              }}
+            >
+              Save Changes
+            </button>
+          )}
+          <span style={{ marginLeft: '10px', fontSize: '12px', color: '#666' }}>Layout: {layout}</span>
+          {confidence && (
+            <span style={{ marginLeft: '10px', fontSize: '12px', color: confidence === 'low' ? '#856404' : '#155724' }}>
+              Confidence: {confidence}
+            </span>
+          )}
+        </div>
+
+        {warnings.length > 0 && (
+          <div style={{
+            padding: '10px 12px',
+            marginBottom: '15px',
+            backgroundColor: '#fff3cd',
+            color: '#856404',
+            borderRadius: '6px',
+            border: '1px solid #ffeeba',
+            fontSize: '13px'
+          }}>
+            {warnings.map(warning => <div key={warning}>⚠ {warning}</div>)}
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '10px', marginBottom: '16px' }}>
+          {fields.map(([key, label, type]) => (
+            <div key={key}>
+              <div style={{ fontSize: '12px', color: '#666' }}>{label}</div>
+              {editingOCR ? (
+                <input
+                  type={type}
+                  value={paystub[key] || ''}
+                  onChange={(e) => updatePaystubField([key], e.target.value || null)}
+                  style={{ ...amountInputStyle, width: '100%', textAlign: 'left' }}
+                />
+              ) : (
+                <div style={{ fontWeight: '500' }}>{paystub[key] || '—'}</div>
+              )}
+            </div>
+          ))}
+          <div>
+            <div style={{ fontSize: '12px', color: '#666' }}>Pay Frequency</div>
+            <div style={{ fontWeight: '500' }}>{paystub.payFrequency} ({paystub.payPeriodsPerYear}/yr)</div>
+          </div>
+        </div>
+
+        {renderAmountTable('Earnings', 'earnings', PAYSTUB_EARNINGS)}
+        {renderAmountTable('Statutory Deductions', 'statutory', PAYSTUB_STATUTORY)}
+        {renderAmountTable('Pre-Tax Deductions', 'pretaxDeductions', deductionRows('pretaxDeductions'))}
+        {renderAmountTable('After-Tax Deductions', 'aftertaxDeductions', deductionRows('aftertaxDeductions'))}
+        {renderAmountTable('Employer Contributions', 'employerContributions', PAYSTUB_EMPLOYER)}
+
+        <div style={{ display: 'flex', gap: '20px', alignItems: 'center', fontWeight: '600' }}>
+          <span>Net Pay</span>
+          {['current', 'ytd'].map(field => (
+            <span key={field}>
+              {field === 'current' ? 'This Period: ' : 'YTD: '}
+              {editingOCR ? (
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={paystub.netPay[field]}
+                  onChange={(e) => updatePaystubField(['netPay', field], parseFloat(e.target.value) || 0)}
+                  style={amountInputStyle}
+                />
+              ) : (
+                `$${(paystub.netPay[field] || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`
+              )}
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Per-page OCR confidence, present when the document went through local OCR
+  const renderOcrConfidence = () => {
+    if (!ocrData.pages || !ocrData.engine) return null;
+    const lowPages = ocrData.lowConfidencePages || [];
+
+    return (
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', fontSize: '13px', marginBottom: '15px' }}>
+        <span>OCR confidence: <strong>{Math.round(ocrData.confidence * 100)}%</strong></span>
+        {ocrData.pages.map(page => (
+          <span
+            key={page.pageNum}
+            style={{
+              padding: '2px 8px',
+              borderRadius: '10px',
+              backgroundColor: lowPages.includes(page.pageNum) ? '#fff3cd' : '#e9f7ef',
+              color: lowPages.includes(page.pageNum) ? '#856404' : '#155724'
+            }}
+          >
+            p{page.pageNum}: {Math.round(page.confidence * 100)}%
+          </span>
+        ))}
+      </div>
+    );
+  };
+
+  // Update one extracted transaction; the reconciliation follows the edit
+  const updateTransaction = (index, key, value) => {
+    setOcrData(prev => {
+      const transactions = prev.transactions.map((t, i) => (i === index ? { ...t, [key]: value } : t));
+      const { openingBalance, closingBalance } = prev;
+      const reconciliation = { ...prev.reconciliation };
+      reconciliation.transactionsTotal = Math.round(transactions.reduce((sum, t) => sum + t.amount, 0) * 100) / 100;
+      if (openingBalance !== null && closingBalance !== null) {
+        reconciliation.expectedClosing = Math.round((openingBalance + reconciliation.transactionsTotal) * 100) / 100;
+        reconciliation.difference = Math.round((closingBalance - reconciliation.expectedClosing) * 100) / 100;
+        reconciliation.balanced = Math.abs(reconciliation.difference) <= 0.01;
+      }
+      return { ...prev, transactions, reconciliation, flagged: reconciliation.balanced !== true };
+    });
+  };
+
+  const renderBankStatementReview = () => {
+    const { transactions = [], reconciliation = {}, period = {}, warnings = [], flagged } = ocrData;
+    const money = (value) => (value === null || value === undefined
+      ? '—'
+      : `$${value.toLocaleString('en-US', { minimumFractionDigits: 2 })}`);
+
+    return (
+      <div>
+        <div style={{ marginBottom: '15px' }}>
+          <button
+            onClick={() => setEditingOCR(!editingOCR)}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#007bff',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              marginRight: '10px'
+            }}
+          >
+            {editingOCR ? 'Cancel Edit' : 'Correct Values'}
+          </button>
+
+          {editingOCR && (
+            <button
+              onClick={saveOCRData}
+              disabled={processing}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#28a745',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: processing ? 'not-allowed' : 'pointer',
+                opacity: processing ? 0.6 : 1
+              }}
+            >
+              Save Changes
+            </button>
+          )}
+          <span style={{ marginLeft: '10px', fontSize: '12px', color: '#666' }}>
+            {period.start || '?'} to {period.end || '?'}
+          </span>
+        </div>
+
+        {renderOcrConfidence()}
+
+        {warnings.length > 0 && (
+          <div style={{
+            padding: '10px 12px',
+            marginBottom: '15px',
+            backgroundColor: '#fff3cd',
+            color: '#856404',
+            borderRadius: '6px',
+            border: '1px solid #ffeeba',
+            fontSize: '13px'
+          }}>
+            {warnings.map(warning => <div key={warning}>⚠ {warning}</div>)}
+          </div>
+        )}
+
+        <div style={{
+          display: 'flex',
+          gap: '20px',
+          flexWrap: 'wrap',
+          padding: '10px 12px',
+          marginBottom: '15px',
+          borderRadius: '6px',
+          fontSize: '13px',
+          backgroundColor: flagged ? '#f8d7da' : '#d4edda',
+          color: flagged ? '#721c24' : '#155724'
+        }}>
+          <span>Opening: <strong>{money(reconciliation.openingBalance)}</strong></span>
+          <span>+ Transactions: <strong>{money(reconciliation.transactionsTotal)}</strong></span>
+          <span>= <strong>{money(reconciliation.expectedClosing)}</strong></span>
+          <span>Closing: <strong>{money(reconciliation.closingBalance)}</strong></span>
+          <span>
+            {reconciliation.balanced === true && '✓ Reconciled'}
+            {reconciliation.balanced === false && `✗ Off by ${money(reconciliation.difference)}`}
+            {reconciliation.balanced === null && 'Balances not found'}
+          </span>
+        </div>
+
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid #e1e5e9', textAlign: 'left' }}>
+              <th style={{ padding: '6px' }}>Date</th>
+              <th style={{ padding: '6px' }}>Description</th>
+              <th style={{ padding: '6px', textAlign: 'right' }}>Amount</th>
+              <th style={{ padding: '6px', textAlign: 'right' }}>Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.map((transaction, index) => (
+              <tr key={`${transaction.date}-${index}`} style={{ borderBottom: '1px solid #f1f3f5' }}>
+                <td style={{ padding: '6px' }}>
+                  {editingOCR ? (
+                    <input
+                      type="date"
+                      value={transaction.date}
+                      onChange={(e) => updateTransaction(index, 'date', e.target.value)}
+                      style={{ ...amountInputStyle, width: '130px', textAlign: 'left' }}
+                    />
+                  ) : transaction.date}
+                </td>
+                <td style={{ padding: '6px' }}>
+                  {transaction.description}
+                  {transaction.signSource === 'default' && (
+                    <span style={{ marginLeft: '6px', fontSize: '11px', color: '#856404' }}>sign guessed</span>
+                  )}
+                </td>
+                <td style={{ padding: '6px', textAlign: 'right', color: transaction.amount < 0 ? '#dc3545' : '#28a745' }}>
+                  {editingOCR ? (
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={transaction.amount}
+                      onChange={(e) => updateTransaction(index, 'amount', parseFloat(e.target.value) || 0)}
+                      style={amountInputStyle}
+                    />
+                  ) : money(transaction.amount)}
+                </td>
+                <td style={{ padding: '6px', textAlign: 'right', color: '#666' }}>{money(transaction.runningBalance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // Update a field of the parsed statement (top level or snapshot)
+  const updateStatementField = (key, value, inSnapshot = false) => {
+    setOcrData(prev => (inSnapshot
+      ? { ...prev, snapshot: { ...prev.snapshot, [key]: value } }
+      : { ...prev, [key]: value }));
+  };
+
+  const renderInvestmentReview = () => {
+    const { snapshot, warnings = [], parser, custodian, accountType, taxTreatment, maskedAccountRefs = [] } = ocrData;
+    const money = (value) => `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+    const allocation = snapshot.assetAllocation || {};
+    const allocationTotal = Object.values(allocation).reduce((sum, value) => sum + value, 0);
+
+    return (
+      <div>
+        <div style={{ marginBottom: '15px', display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <button
+            onClick={() => setEditingOCR(!editingOCR)}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: '#007bff',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            {editingOCR ? 'Cancel Edit' : 'Correct Values'}
+          </button>
+
+          {editingOCR && (
+            <button
+              onClick={saveOCRData}
+              disabled={processing}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#28a745',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: processing ? 'not-allowed' : 'pointer',
+                opacity: processing ? 0.6 : 1
+              }}
+            >
+              Save Changes
+            </button>
+          )}
+
+          <span style={{ fontSize: '12px', color: '#666' }}>Parser: {parser}</span>
+          <select
+            value={parserChoice}
+            onChange={(e) => setParserChoice(e.target.value)}
+            style={{ padding: '6px 8px', fontSize: '13px', border: '1px solid #e1e5e9', borderRadius: '4px' }}
+          >
+            <option value="">Detect custodian</option>
+            {statementParsers.map(p => (
+              <option key={p.id} value={p.id}>{p.custodian}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => parseInvestmentStatement(selectedDocument, parserChoice || undefined)}
+            disabled={processing}
+            style={{
+              padding: '6px 12px',
+              fontSize: '12px',
+              backgroundColor: '#17a2b8',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: processing ? 'not-allowed' : 'pointer',
+              opacity: processing ? 0.6 : 1
+            }}
+          >
+            Re-parse
+          </button>
+        </div>
+
+        {warnings.length > 0 && (
+          <div style={{
+            padding: '10px 12px',
+            marginBottom: '15px',
+            backgroundColor: '#fff3cd',
+            color: '#856404',
+            borderRadius: '6px',
+            border: '1px solid #ffeeba',
+            fontSize: '13px'
+          }}>
+            {warnings.map(warning => <div key={warning}>⚠ {warning}</div>)}
+          </div>
+        )}
+
+        {renderOcrConfidence()}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '10px', marginBottom: '16px' }}>
+          <div>
+            <div style={{ fontSize: '12px', color: '#666' }}>Custodian</div>
+            <div style={{ fontWeight: '500' }}>{custodian}</div>
+          </div>
+          <div>
+            <div style={{ fontSize: '12px', color: '#666' }}>Account Type</div>
+            {editingOCR ? (
+              <input
+                type="text"
+                value={accountType}
+                onChange={(e) => updateStatementField('accountType', e.target.value)}
+                style={{ ...amountInputStyle, width: '100%', textAlign: 'left' }}
+              />
+            ) : (
+              <div style={{ fontWeight: '500' }}>{accountType.replace(/_/g, ' ')}</div>
+            )}
+          </div>
+          <div>
+            <div style={{ fontSize: '12px', color: '#666' }}>Tax Treatment</div>
+            {editingOCR ? (
+              <select
+                value={taxTreatment}
+                onChange={(e) => updateStatementField('taxTreatment', e.target.value)}
+                style={{ ...amountInputStyle, width: '100%', textAlign: 'left' }}
+              >
+                {Object.entries(TAX_TREATMENT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            ) : (
+              <div style={{ fontWeight: '500' }}>{TAX_TREATMENT_LABELS[taxTreatment] || taxTreatment}</div>
+            )}
+          </div>
+          <div>
+            <div style={{ fontSize: '12px', color: '#666' }}>Statement Date</div>
+            {editingOCR ? (
+              <input
+                type="date"
+                value={snapshot.statementDate || ''}
+                onChange={(e) => updateStatementField('statementDate', e.target.value || null, true)}
+                style={{ ...amountInputStyle, width: '100%', textAlign: 'left' }}
+              />
+            ) : (
+              <div style={{ fontWeight: '500' }}>{snapshot.statementDate || '—'}</div>
+            )}
+          </div>
+          <div>
+            <div style={{ fontSize: '12px', color: '#666' }}>Total Balance</div>
+            {editingOCR ? (
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={snapshot.totalBalance}
+                onChange={(e) => updateStatementField('totalBalance', parseFloat(e.target.value) || 0, true)}
+                style={amountInputStyle}
+              />
+            ) : (
+              <div style={{ fontWeight: '500' }}>{money(snapshot.totalBalance)}</div>
+            )}
+          </div>
+          <div>
+            <div style={{ fontSize: '12px', color: '#666' }}>Account Ref</div>
+            <div style={{ fontWeight: '500' }}>{maskedAccountRefs[0] || '—'}</div>
+          </div>
+        </div>
+
+        {snapshot.holdings.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '16px' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid #e1e5e9', textAlign: 'left' }}>
+                <th style={{ padding: '6px' }}>Holding</th>
+                <th style={{ padding: '6px', textAlign: 'right' }}>Shares</th>
+                <th style={{ padding: '6px', textAlign: 'right' }}>Price</th>
+                <th style={{ padding: '6px', textAlign: 'right' }}>Value</th>
+                <th style={{ padding: '6px' }}>Class</th>
+              </tr>
+            </thead>
+            <tbody>
+              {snapshot.holdings.map((holding, index) => (
+                <tr key={`${holding.ticker || holding.name}-${index}`} style={{ borderBottom: '1px solid #f1f3f5' }}>
+                  <td style={{ padding: '6px' }}>
+                    {holding.ticker && <strong>{holding.ticker} </strong>}
+                    <span style={{ color: '#666' }}>{holding.name}</span>
+                  </td>
+                  <td style={{ padding: '6px', textAlign: 'right' }}>{holding.shares}</td>
+                  <td style={{ padding: '6px', textAlign: 'right' }}>{money(holding.price)}</td>
+                  <td style={{ padding: '6px', textAlign: 'right' }}>{money(holding.value)}</td>
+                  <td style={{ padding: '6px' }}>{holding.assetClass}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', fontSize: '13px' }}>
+          {snapshot.cashBalance > 0 && <span>Cash: <strong>{money(snapshot.cashBalance)}</strong></span>}
+          {allocationTotal > 0 && Object.entries(allocation).filter(([, value]) => value > 0).map(([assetClass, value]) => (
+            <span key={assetClass}>
+              {assetClass}: <strong>{(value / allocationTotal * 100).toFixed(1)}%</strong>
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   if (!selectedClient) {
     return (
       <div style={{ padding: '20px', textAlign: 'center', color: '#999' }}>
@@ -313,6 +1061,7 @@ const DocumentReview = ({ selectedClient }) => {
           <option value="pending">Pending</option>
           <option value="processing">Processing</option>
           <option value="processed">Processed</option>
+          <option value="failed">Failed</option>
           <option value="approved">Approved</option>
           <option value="rejected">Rejected</option>
         </select>
@@ -364,6 +1113,11 @@ const DocumentReview = ({ selectedClient }) => {
                     }}>
                       {doc.status}
                     </span>
+                    {doc.status === 'failed' && doc.processing_error && (
+                      <div style={{ marginTop: '6px', fontSize: '11px', color: '#dc3545', maxWidth: '220px', marginLeft: 'auto', marginRight: 'auto' }}>
+                        {doc.processing_error}
+                      </div>
+                    )}
                   </td>
                   <td style={{ padding: '12px 8px', textAlign: 'center' }}>
                     <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', flexWrap: 'wrap' }}>
@@ -382,7 +1136,27 @@ const DocumentReview = ({ selectedClient }) => {
                         Download
                       </button>
 
-                      {doc.status === 'pending' && (
+                      {doc.status === 'pending' && PARSE_ACTIONS[doc.account_type] && doc.file_type === 'pdf' && (
+                        <button
+                          onClick={() => parseDocument(doc)}
+                          disabled={processing}
+                          style={{
+                            padding: '6px 12px',
+                            fontSize: '12px',
+                            backgroundColor: '#17a2b8',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: processing ? 'not-allowed' : 'pointer',
+                            opacity: processing ? 0.6 : 1
+                          }}
+                        >
+                          {PARSE_ACTIONS[doc.account_type]}
+                        </button>
+                      )}
+
+                      {/* Scanned investment statements need OCR even though they can be parsed */}
+                      {(doc.status === 'pending' || doc.status === 'failed') && !(doc.account_type === 'paystub' && doc.file_type === 'pdf') && (
                         <button
                           onClick={() => processOCR(doc)}
                           disabled={processing}
@@ -397,7 +1171,7 @@ const DocumentReview = ({ selectedClient }) => {
                             opacity: processing ? 0.6 : 1
                           }}
                         >
-                          Process OCR
+                          {doc.status === 'failed' ? 'Retry OCR' : 'Process OCR'}
                         </button>
                       )}
 
@@ -415,8 +1189,31 @@ const DocumentReview = ({ selectedClient }) => {
                               cursor: 'pointer'
                             }}
                           >
-                            View OCR
+                            {{
+                              paystub: 'Review Paystub',
+                              investment_statement: 'Review Statement',
+                              bank_statement: 'Review Transactions'
+                            }[doc.ocr_data?.documentType] || 'View OCR'}
                           </button>
+                          {doc.ocr_data?.documentType === 'bank_statement' && (
+                            <button
+                              onClick={() => importTransactions(doc)}
+                              disabled={processing}
+                              style={{
+                                padding: '6px 12px',
+                                fontSize: '12px',
+                                backgroundColor: doc.ocr_data.flagged ? '#fd7e14' : '#6f42c1',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: processing ? 'not-allowed' : 'pointer',
+                                opacity: processing ? 0.6 : 1
+                              }}
+                              title={doc.ocr_data.flagged ? "Transactions don't reconcile with the statement balances" : undefined}
+                            >
+                              Import Transactions
+                            </button>
+                          )}
                           <button
                             onClick={() => approveAndImport(doc)}
                             disabled={processing}
@@ -504,7 +1301,13 @@ const DocumentReview = ({ selectedClient }) => {
               </button>
             </div>
 
-            {ocrData ? (
+            {ocrData && ocrData.documentType === 'paystub' ? (
+              renderPaystubReview()
+            ) : ocrData && ocrData.documentType === 'investment_statement' ? (
+              renderInvestmentReview()
+            ) : ocrData && ocrData.documentType === 'bank_statement' ? (
+              renderBankStatementReview()
+            ) : ocrData ? (
               <div>
                 <div style={{ marginBottom: '15px' }}>
                   <button
@@ -541,6 +1344,22 @@ const DocumentReview = ({ selectedClient }) => {
                   )}
                 </div>
 
+                {renderOcrConfidence()}
+
+                {(ocrData.warnings || []).length > 0 && (
+                  <div style={{
+                    padding: '10px 12px',
+                    marginBottom: '15px',
+                    backgroundColor: '#fff3cd',
+                    color: '#856404',
+                    borderRadius: '6px',
+                    border: '1px solid #ffeeba',
+                    fontSize: '13px'
+                  }}>
+                    {ocrData.warnings.map(warning => <div key={warning}>⚠ {warning}</div>)}
+                  </div>
+                )}
+
                 {editingOCR ? (
                   <textarea
                     value={JSON.stringify(ocrData, null, 2)}
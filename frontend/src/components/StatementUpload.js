@@ -142,7 +142,9 @@ const StatementUpload = ({ client }) => {
       );
 
       setUploadProgress(100);
-      setSuccess('Statement uploaded successfully! We will review and process it soon.');
+      setSuccess(accountType === 'paystub'
+        ? 'Paystub uploaded successfully! We will review and process it soon.'
+        : 'Statement uploaded successfully! We will review and process it soon.');
 
       // Reset form
       setFile(null);
@@ -221,6 +223,7 @@ const StatementUpload = ({ client }) => {
       'credit_card': 'Credit Card',
       'investment': 'Investment Account',
       'loan': 'Loan Statement',
+      'paystub': 'Paystub',
       'other': 'Other'
     };
     return labels[type] || type;
@@ -231,7 +234,7 @@ const StatementUpload = ({ client }) => {
       <div className="financial-summary">
         <h2>Upload Account Statements</h2>
         <p style={{ color: '#666', marginBottom: '20px' }}>
-          Upload your account statements for review and processing. Accepted formats: PDF, JPG, PNG, CSV (Max 10MB)
+          Upload your account statements and paystubs for review and processing. Accepted formats: PDF, JPG, PNG, CSV (Max 10MB)
         </p>
 
         {/* Upload Form */}
@@ -310,13 +313,19 @@ const StatementUpload = ({ client }) => {
               <option value="credit_card">Credit Card Statement</option>
               <option value="investment">Investment Account Statement</option>
               <option value="loan">Loan Statement</option>
+              <option value="paystub">Paystub</option>
               <option value="other">Other</option>
             </select>
+            {accountType === 'paystub' && (
+              <div style={{ marginTop: '8px', fontSize: '13px', color: '#666' }}>
+                Upload the PDF from your payroll provider (ADP, Paychex, Gusto, Workday, etc.) so it can be read automatically.
+              </div>
+            )}
           </div>
 
           <div style={{ marginBottom: '15px' }}>
             <label style={{ display: 'block', marginBottom: '8px', fontWeight: '500' }}>
-              Statement Month/Year *
+              {accountType === 'paystub' ? 'Pay Date Month/Year *' : 'Statement Month/Year *'}
             </label>
             <input
               type="month"